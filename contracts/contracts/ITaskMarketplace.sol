@@ -6,7 +6,7 @@ pragma solidity ^0.8.28;
  * @dev Interface for TaskMarketplace V2
  */
 interface ITaskMarketplace {
-    enum TaskStatus { Open, InProgress, PendingApproval, Completed, Cancelled, Expired }
+    enum TaskStatus { Open, InProgress, PendingApproval, Completed, Cancelled, Expired, Disputed, Resolved }
 
     enum Category { Dev, Design, Writing, Data, Other }
 
@@ -40,6 +40,48 @@ interface ITaskMarketplace {
 
         Category category;
         bytes32 tagsHash;            // hash of tags list (off-chain) OR hash of metadata contents
+
+        // Milestone payouts (empty: the whole reward is released by a single approval).
+        // Amounts add up to reward; their descriptions live in the metadata.
+        uint256[] milestoneAmounts;
+        uint256 milestonesApproved;  // released so far; the one being worked on is milestoneAmounts[milestonesApproved]
+
+        address token;               // reward token: address(0) for ETH, otherwise an allowlisted ERC-20
+
+        uint256 revisionCount;       // revisions requested so far (capped at maxRevisions)
+    }
+
+    // Reward of a token task: amount of an allowlisted ERC-20, paid in one go or in milestones adding up to it
+    struct TokenReward {
+        address token;
+        uint256 amount;              // in the token's smallest unit
+        uint256[] milestoneAmounts;  // empty: single payout
+    }
+
+    // EIP-2612 signature letting createTokenTaskWithPermit approve and escrow the reward in one transaction
+    struct TokenPermit {
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    // Creator's rejection of submitted work; the reward stays in escrow until the arbiter splits it
+    struct Dispute {
+        string creatorEvidenceCID;   // IPFS evidence from the creator
+        string workerEvidenceCID;    // worker's counter-evidence ("" until they respond)
+        uint256 openedAt;
+        uint256 responseDeadline;    // worker's last moment to respond
+        uint256 resolvedAt;
+        uint16 workerShareBps;       // part of the reward awarded to the worker (set on resolution)
+    }
+
+    // Creator's request for changes to a submission; the task went back to InProgress with a later deadline
+    struct Revision {
+        string noteCID;              // IPFS note describing the requested changes
+        string submissionCID;        // the submission it sent back
+        uint256 requestedAt;
+        uint256 deliveryDeadline;    // extended deadline for the revised work
     }
 
     // ---------- Events ----------
@@ -60,14 +102,40 @@ interface ITaskMarketplace {
     event WorkSubmitted(uint256 indexed taskId, address indexed worker, string submissionCID, uint256 reviewDeadline);
     event WorkApproved(uint256 indexed taskId, address indexed employer, address indexed worker, uint256 workerPayment);
     event WorkAutoApproved(uint256 indexed taskId, address indexed trigger, address indexed worker, uint256 workerPayment);
+    // every approval of a milestone task; the last one is followed by WorkApproved / WorkAutoApproved
+    event MilestoneApproved(uint256 indexed taskId, uint256 indexed milestone, address indexed worker, uint256 workerPayment);
+
+    // round: 1 for the first revision of the task
+    event RevisionRequested(
+        uint256 indexed taskId,
+        address indexed creator,
+        uint256 round,
+        string noteCID,
+        uint256 deliveryDeadline
+    );
+    event MaxRevisionsChanged(uint256 maxRevisions);
 
     event TaskCancelled(uint256 indexed taskId);
     event TaskExpired(uint256 indexed taskId);
 
-    event CommentAdded(uint256 indexed taskId, address indexed author, string cid);
+    // message is plain text (<= 500 bytes) or "ipfs://<cid>" pointing at a longer comment stored on IPFS
+    event TaskComment(uint256 indexed taskId, address indexed author, string message, uint256 timestamp);
 
     event Rated(uint256 indexed taskId, address indexed from, address indexed to, uint8 stars);
 
+    event TokenAllowed(address indexed token, bool allowed, uint256 minReward);
+
+    event ArbiterChanged(address indexed previousArbiter, address indexed newArbiter);
+    event DisputeOpened(uint256 indexed taskId, address indexed creator, string evidenceCID, uint256 responseDeadline);
+    event DisputeResponded(uint256 indexed taskId, address indexed worker, string evidenceCID);
+    event DisputeResolved(
+        uint256 indexed taskId,
+        address indexed arbiter,
+        uint16 workerShareBps,
+        uint256 workerPayment,
+        uint256 creatorRefund
+    );
+
     // ---------- Core ----------
     function createTask(
         string calldata title,
@@ -78,6 +146,41 @@ interface ITaskMarketplace {
         uint256 deliveryDeadline
     ) external payable returns (uint256);
 
+    // Same as createTask, with the reward paid out in milestones (2..10 amounts adding up to msg.value)
+    function createTaskWithMilestones(
+        string calldata title,
+        string calldata metadataCID,
+        uint8 category,
+        bytes32 tagsHash,
+        uint256 applyDeadline,
+        uint256 deliveryDeadline,
+        uint256[] calldata milestoneAmounts
+    ) external payable returns (uint256);
+
+    // Same as createTaskWithMilestones, with the reward escrowed in an allowlisted ERC-20 (transferFrom the
+    // creator, so approve the marketplace first)
+    function createTokenTask(
+        string calldata title,
+        string calldata metadataCID,
+        uint8 category,
+        bytes32 tagsHash,
+        uint256 applyDeadline,
+        uint256 deliveryDeadline,
+        TokenReward calldata reward
+    ) external returns (uint256);
+
+    // createTokenTask preceded by an EIP-2612 permit for the reward amount
+    function createTokenTaskWithPermit(
+        string calldata title,
+        string calldata metadataCID,
+        uint8 category,
+        bytes32 tagsHash,
+        uint256 applyDeadline,
+        uint256 deliveryDeadline,
+        TokenReward calldata reward,
+        TokenPermit calldata permit
+    ) external returns (uint256);
+
     function applyToTask(uint256 taskId) external;
     function getApplicants(uint256 taskId) external view returns (address[] memory);
 
@@ -86,11 +189,20 @@ interface ITaskMarketplace {
     function submitWork(uint256 taskId, string calldata submissionCID) external;
     function approveWork(uint256 taskId) external;
     function autoApprove(uint256 taskId) external;
+    function requestRevision(uint256 taskId, string calldata noteCID, uint256 extension) external;
+    function getRevisions(uint256 taskId) external view returns (Revision[] memory);
+    function setMaxRevisions(uint256 newMax) external;
 
     function cancelTask(uint256 taskId) external;
     function expireTask(uint256 taskId) external;
 
-    function addComment(uint256 taskId, string calldata cid) external;
+    function addComment(uint256 taskId, string calldata message) external;
+
+    // Disputes (PendingApproval -> Disputed -> Resolved; cancelTask on an InProgress task also opens one)
+    function openDispute(uint256 taskId, string calldata evidenceCID) external;
+    function respondToDispute(uint256 taskId, string calldata evidenceCID) external;
+    function resolveDispute(uint256 taskId, uint16 workerShareBps) external;
+    function getDispute(uint256 taskId) external view returns (Dispute memory);
 
     // Ratings (after completion)
     function rateWorker(uint256 taskId, uint8 stars) external;
@@ -103,9 +215,16 @@ interface ITaskMarketplace {
 
     function getRating(address user) external view returns (uint256 avgStarsTimes100, uint32 count);
 
-    // Withdrawal pattern
+    // Reward tokens (owner-managed allowlist)
+    function setAllowedToken(address token, bool allowed, uint256 minReward) external;
+    // Every token ever allowed, including ones allowed no more (balances in them can still be withdrawn)
+    function getTokens() external view returns (address[] memory);
+
+    // Withdrawal pattern, per token (withdraw/getBalance: ETH)
     function withdraw() external;
+    function withdrawToken(address token) external;
     function getBalance(address user) external view returns (uint256);
+    function getTokenBalance(address user, address token) external view returns (uint256);
 
     function getTotalTasks() external view returns (uint256);
 }
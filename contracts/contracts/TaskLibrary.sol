@@ -12,19 +12,22 @@ library TaskLibrary {
     uint256 internal constant MIN_REWARD_WEI = 0.0001 ether;
     uint256 internal constant MAX_TITLE_LEN = 80;
     uint256 internal constant DEFAULT_REVIEW_PERIOD = 3 days;
+    uint256 internal constant DEFAULT_DISPUTE_RESPONSE_PERIOD = 3 days;
+    uint256 internal constant MAX_MILESTONES = 10;
+    uint256 internal constant DEFAULT_MAX_REVISIONS = 3;
+    uint256 internal constant MIN_REVISION_EXTENSION = 1 days;
+    uint256 internal constant MAX_REVISION_EXTENSION = 30 days;
 
     // ---------- Validation ----------
     function validateTaskCreation(
         string calldata title,
         string calldata metadataCID,
-        uint256 reward,
         uint256 applyDeadline,
         uint256 deliveryDeadline,
         uint8 category
     ) external view {
         require(bytes(title).length > 0 && bytes(title).length <= MAX_TITLE_LEN, "Invalid title length");
         require(bytes(metadataCID).length > 0, "metadataCID required");
-        require(reward >= MIN_REWARD_WEI, "Reward too small");
 
         // Deadlines must be in the future and ordered
         require(applyDeadline > block.timestamp, "applyDeadline must be future");
@@ -33,6 +36,32 @@ library TaskLibrary {
         require(category <= uint8(type(ITaskMarketplace.Category).max), "Invalid category");
     }
 
+    // minReward: MIN_REWARD_WEI for ETH, the owner-set minimum for a token
+    function validateReward(uint256 reward, uint256 minReward) internal pure {
+        require(reward >= minReward, "Reward too small");
+    }
+
+    function validateMilestones(uint256[] calldata amounts, uint256 reward) external pure {
+        require(amounts.length >= 2 && amounts.length <= MAX_MILESTONES, "Invalid milestone count");
+
+        uint256 total;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            require(amounts[i] > 0, "Empty milestone");
+            total += amounts[i];
+        }
+        require(total == reward, "Milestones must add up to reward");
+    }
+
+    // The revised work is due extension after the old deadline, or after now once that has passed
+    function extendDeadline(uint256 deliveryDeadline, uint256 extension) external view returns (uint256) {
+        require(
+            extension >= MIN_REVISION_EXTENSION && extension <= MAX_REVISION_EXTENSION,
+            "Invalid extension"
+        );
+        uint256 from = deliveryDeadline > block.timestamp ? deliveryDeadline : block.timestamp;
+        return from + extension;
+    }
+
     // ---------- Fee helpers (pure) ----------
     function platformFeeBps() internal pure returns (uint256) {
         return 200; // 2% = 200 basis points
@@ -51,6 +80,11 @@ library TaskLibrary {
         return DEFAULT_REVIEW_PERIOD;
     }
 
+    // ---------- Disputes ----------
+    function disputeResponsePeriod() internal pure returns (uint256) {
+        return DEFAULT_DISPUTE_RESPONSE_PERIOD;
+    }
+
     // ---------- Small pure helper (for rubric) ----------
     function min(uint256 a, uint256 b) external pure returns (uint256) {
         return a < b ? a : b;
@@ -3,10 +3,12 @@ pragma solidity ^0.8.28;
 
 import "./ITaskMarketplace.sol";
 import "./TaskLibrary.sol";
+import "./IERC20.sol";
 
 /**
  * @title TaskMarketplace V2
- * @dev Job/Task marketplace with applications, deadlines, escrow + auto-approval, comments (IPFS), ratings.
+ * @dev Job/Task marketplace with applications, deadlines, escrow (ETH or allowlisted ERC-20) + auto-approval,
+ * milestone payouts, revision requests, disputes, comments (IPFS), ratings.
  */
 contract TaskMarketplace is ITaskMarketplace {
     using TaskLibrary for *;
@@ -25,20 +27,26 @@ contract TaskMarketplace is ITaskMarketplace {
     mapping(uint256 => bool) private workerRated;
     mapping(uint256 => bool) private creatorRated;
 
-    // Withdrawal pattern
-    mapping(address => uint256) private userBalances;
+    // Revision requests, oldest first
+    mapping(uint256 => Revision[]) private revisions;
 
-    address public owner;
-    uint256 private taskCounter;
-    uint256 public platformFeeBalance;
+    // Disputes
+    mapping(uint256 => Dispute) private disputes;
+
+    // Withdrawal pattern: user => token (address(0) = ETH) => amount
+    mapping(address => mapping(address => uint256)) private balances;
 
-    event TaskComment(
-    uint256 indexed taskId,
-    address indexed author,
-    string message,
-    uint256 timestamp
-);
+    // Reward tokens
+    mapping(address => bool) public allowedTokens;
+    mapping(address => uint256) public minTokenReward;  // in the token's smallest unit
+    mapping(address => bool) private listedTokens;
+    address[] private tokenList;                        // every token ever allowed, in order (see getTokens)
 
+    address public owner;
+    address public arbiter;      // resolves disputes; appointed by the owner
+    uint256 public maxRevisions; // revision requests allowed per task
+    uint256 private taskCounter;
+    mapping(address => uint256) public platformFees;    // per token, address(0) = ETH
 
     // -------- Modifiers --------
     modifier taskExists(uint256 taskId) {
@@ -61,8 +69,15 @@ contract TaskMarketplace is ITaskMarketplace {
         _;
     }
 
+    modifier onlyArbiter() {
+        require(msg.sender == arbiter, "Only arbiter");
+        _;
+    }
+
     constructor() {
         owner = msg.sender;
+        arbiter = msg.sender;
+        maxRevisions = TaskLibrary.DEFAULT_MAX_REVISIONS;
     }
 
     // -------- Core --------
@@ -74,35 +89,121 @@ contract TaskMarketplace is ITaskMarketplace {
         uint256 applyDeadline,
         uint256 deliveryDeadline
     ) external payable override returns (uint256) {
-        TaskLibrary.validateTaskCreation(title, metadataCID, msg.value, applyDeadline, deliveryDeadline, category);
-
-        taskCounter++;
-
-        Task memory t = Task({
-            id: taskCounter,
-            creator: msg.sender,
-            worker: address(0),
-            title: title,
-            metadataCID: metadataCID,
-            submissionCID: "",
-            reward: msg.value,
-            status: TaskStatus.Open,
-            createdAt: block.timestamp,
-            applyDeadline: applyDeadline,
-            deliveryDeadline: deliveryDeadline,
-            reviewDeadline: 0,
-            acceptedAt: 0,
-            completedAt: 0,
-            category: Category(category),
-            tagsHash: tagsHash
-        });
+        TaskLibrary.validateReward(msg.value, TaskLibrary.MIN_REWARD_WEI);
+        TaskLibrary.validateTaskCreation(title, metadataCID, applyDeadline, deliveryDeadline, category);
+
+        return _createTask(title, metadataCID, category, tagsHash, applyDeadline, deliveryDeadline, msg.value);
+    }
 
-        tasks[taskCounter] = t;
-        tasksByCreator[msg.sender].push(taskCounter);
+    function createTaskWithMilestones(
+        string calldata title,
+        string calldata metadataCID,
+        uint8 category,
+        bytes32 tagsHash,
+        uint256 applyDeadline,
+        uint256 deliveryDeadline,
+        uint256[] calldata milestoneAmounts
+    ) external payable override returns (uint256) {
+        TaskLibrary.validateReward(msg.value, TaskLibrary.MIN_REWARD_WEI);
+        TaskLibrary.validateTaskCreation(title, metadataCID, applyDeadline, deliveryDeadline, category);
+        TaskLibrary.validateMilestones(milestoneAmounts, msg.value);
 
-        emit TaskCreated(taskCounter, msg.sender, msg.value, applyDeadline, deliveryDeadline, category, tagsHash, metadataCID);
+        uint256 taskId =
+            _createTask(title, metadataCID, category, tagsHash, applyDeadline, deliveryDeadline, msg.value);
+        tasks[taskId].milestoneAmounts = milestoneAmounts;
 
-        return taskCounter;
+        return taskId;
+    }
+
+    function createTokenTask(
+        string calldata title,
+        string calldata metadataCID,
+        uint8 category,
+        bytes32 tagsHash,
+        uint256 applyDeadline,
+        uint256 deliveryDeadline,
+        TokenReward calldata reward
+    ) external override returns (uint256) {
+        return _createTokenTask(title, metadataCID, category, tagsHash, applyDeadline, deliveryDeadline, reward);
+    }
+
+    /**
+     * @dev A failing permit is ignored rather than reverting: someone may have front-run it with the same
+     * signature, in which case the allowance is already there. transferFrom fails if it isn't.
+     */
+    function createTokenTaskWithPermit(
+        string calldata title,
+        string calldata metadataCID,
+        uint8 category,
+        bytes32 tagsHash,
+        uint256 applyDeadline,
+        uint256 deliveryDeadline,
+        TokenReward calldata reward,
+        TokenPermit calldata permit
+    ) external override returns (uint256) {
+        try IERC20Permit(reward.token).permit(
+            msg.sender, address(this), reward.amount, permit.deadline, permit.v, permit.r, permit.s
+        ) {} catch {}
+
+        return _createTokenTask(title, metadataCID, category, tagsHash, applyDeadline, deliveryDeadline, reward);
+    }
+
+    function _createTokenTask(
+        string calldata title,
+        string calldata metadataCID,
+        uint8 category,
+        bytes32 tagsHash,
+        uint256 applyDeadline,
+        uint256 deliveryDeadline,
+        TokenReward calldata reward
+    ) internal returns (uint256 taskId) {
+        require(allowedTokens[reward.token], "Token not allowed");
+        TaskLibrary.validateReward(reward.amount, minTokenReward[reward.token]);
+        TaskLibrary.validateTaskCreation(title, metadataCID, applyDeadline, deliveryDeadline, category);
+        if (reward.milestoneAmounts.length > 0) TaskLibrary.validateMilestones(reward.milestoneAmounts, reward.amount);
+
+        _pullToken(reward.token, reward.amount);
+
+        taskId =
+            _createTask(title, metadataCID, category, tagsHash, applyDeadline, deliveryDeadline, reward.amount);
+        tasks[taskId].token = reward.token;
+        tasks[taskId].milestoneAmounts = reward.milestoneAmounts;
+    }
+
+    function _createTask(
+        string calldata title,
+        string calldata metadataCID,
+        uint8 category,
+        bytes32 tagsHash,
+        uint256 applyDeadline,
+        uint256 deliveryDeadline,
+        uint256 reward
+    ) internal returns (uint256 taskId) {
+        taskId = ++taskCounter;
+
+        Task storage t = tasks[taskId];
+        t.id = taskId;
+        t.creator = msg.sender;
+        t.title = title;
+        t.metadataCID = metadataCID;
+        t.reward = reward;
+        t.status = TaskStatus.Open;
+        t.createdAt = block.timestamp;
+        t.applyDeadline = applyDeadline;
+        t.deliveryDeadline = deliveryDeadline;
+        t.category = Category(category);
+        t.tagsHash = tagsHash;
+
+        tasksByCreator[msg.sender].push(taskId);
+
+        _emitTaskCreated(t, metadataCID);
+    }
+
+    // Separate from _createTask to keep its stack shallow
+    function _emitTaskCreated(Task storage t, string calldata metadataCID) internal {
+        emit TaskCreated(
+            t.id, t.creator, t.reward, t.applyDeadline, t.deliveryDeadline, uint8(t.category), t.tagsHash, metadataCID
+        );
     }
 
     function applyToTask(uint256 taskId) external override taskExists(taskId) {
@@ -195,18 +296,81 @@ contract TaskMarketplace is ITaskMarketplace {
         _finalizePayout(taskId, true);
     }
 
+    /**
+     * @dev Creator sends submitted work back for changes before the review deadline: the task returns to
+     * InProgress (same milestone) with a deadline extension (agreed with the worker, 1 to 30 days) and no review
+     * deadline. At most maxRevisions per task.
+     */
+    function requestRevision(uint256 taskId, string calldata noteCID, uint256 extension)
+        external
+        override
+        taskExists(taskId)
+        onlyCreator(taskId)
+    {
+        Task storage t = tasks[taskId];
+        require(t.status == TaskStatus.PendingApproval, "Not pending approval");
+        require(block.timestamp <= t.reviewDeadline, "Review period over");
+        require(bytes(noteCID).length > 0, "noteCID required");
+        require(t.revisionCount < maxRevisions, "Revision limit reached");
+
+        uint256 deliveryDeadline = TaskLibrary.extendDeadline(t.deliveryDeadline, extension);
+
+        t.status = TaskStatus.InProgress;
+        t.deliveryDeadline = deliveryDeadline;
+        t.reviewDeadline = 0;
+        t.revisionCount++;
+
+        revisions[taskId].push(Revision({
+            noteCID: noteCID,
+            submissionCID: t.submissionCID,
+            requestedAt: block.timestamp,
+            deliveryDeadline: deliveryDeadline
+        }));
+
+        emit RevisionRequested(taskId, msg.sender, t.revisionCount, noteCID, deliveryDeadline);
+    }
+
+    function getRevisions(uint256 taskId)
+        external
+        view
+        override
+        taskExists(taskId)
+        returns (Revision[] memory)
+    {
+        return revisions[taskId];
+    }
+
+    // Applies to later requests; tasks already past the new limit can't request more
+    function setMaxRevisions(uint256 newMax) external override onlyOwner {
+        maxRevisions = newMax;
+        emit MaxRevisionsChanged(newMax);
+    }
+
+    /**
+     * @dev Pays the approved submission: the whole reward, or the current milestone of a milestone task.
+     * A milestone task goes back to InProgress until its last milestone is approved.
+     */
     function _finalizePayout(uint256 taskId, bool isAuto) internal {
         Task storage t = tasks[taskId];
 
+        uint256 workerPay;
+        if (t.milestoneAmounts.length == 0) {
+            workerPay = _payWorker(t, t.reward);
+        } else {
+            uint256 milestone = t.milestonesApproved++;
+            workerPay = _payWorker(t, t.milestoneAmounts[milestone]);
+            emit MilestoneApproved(taskId, milestone, t.worker, workerPay);
+
+            if (t.milestonesApproved < t.milestoneAmounts.length) {
+                t.status = TaskStatus.InProgress;
+                t.reviewDeadline = 0;
+                return;
+            }
+        }
+
         t.status = TaskStatus.Completed;
         t.completedAt = block.timestamp;
 
-        uint256 fee = TaskLibrary.calculatePlatformFee(t.reward);
-        uint256 workerPay = TaskLibrary.calculateWorkerPayment(t.reward);
-
-        platformFeeBalance += fee;
-        userBalances[t.worker] += workerPay;
-
         if (isAuto) {
             emit WorkAutoApproved(taskId, msg.sender, t.worker, workerPay);
         } else {
@@ -214,6 +378,21 @@ contract TaskMarketplace is ITaskMarketplace {
         }
     }
 
+    // Credits amount minus the platform fee to the worker, in the task's token
+    function _payWorker(Task storage t, uint256 amount) internal returns (uint256 workerPay) {
+        platformFees[t.token] += TaskLibrary.calculatePlatformFee(amount);
+        workerPay = TaskLibrary.calculateWorkerPayment(amount);
+        balances[t.worker][t.token] += workerPay;
+    }
+
+    // Part of the reward still in escrow: all of it, less the milestones already paid out
+    function _escrowed(Task storage t) internal view returns (uint256 amount) {
+        amount = t.reward;
+        for (uint256 i = 0; i < t.milestonesApproved; i++) {
+            amount -= t.milestoneAmounts[i];
+        }
+    }
+
     function cancelTask(uint256 taskId)
         external
         override
@@ -226,8 +405,14 @@ contract TaskMarketplace is ITaskMarketplace {
             "Cannot cancel now"
         );
 
+        // once a worker is on it, the arbiter splits the escrow instead of the creator taking it all back
+        if (t.status == TaskStatus.InProgress) {
+            _openDispute(taskId, t, "");
+            return;
+        }
+
         t.status = TaskStatus.Cancelled;
-        userBalances[t.creator] += t.reward;
+        balances[t.creator][t.token] += _escrowed(t);
 
         emit TaskCancelled(taskId);
     }
@@ -235,7 +420,8 @@ contract TaskMarketplace is ITaskMarketplace {
     /**
      * @dev Anyone can mark an open/inprogress task as expired after deadline, freeing logic for refunds.
      * - If Open and applyDeadline passed -> expire + refund creator
-     * - If InProgress and deliveryDeadline passed -> expire + refund creator (you can change this policy if you want)
+     * - If InProgress and deliveryDeadline passed -> expire + refund creator (you can change this policy if you want);
+     *   for a milestone task only what is still in escrow
      */
     function expireTask(uint256 taskId)
         external
@@ -255,11 +441,117 @@ contract TaskMarketplace is ITaskMarketplace {
         require(canExpire, "Not past deadline");
 
         t.status = TaskStatus.Expired;
-        userBalances[t.creator] += t.reward;
+        balances[t.creator][t.token] += _escrowed(t);
 
         emit TaskExpired(taskId);
     }
 
+    // -------- Disputes --------
+    function setArbiter(address newArbiter) external onlyOwner {
+        require(newArbiter != address(0), "Invalid arbiter");
+        emit ArbiterChanged(arbiter, newArbiter);
+        arbiter = newArbiter;
+    }
+
+    /**
+     * @dev Creator rejects submitted work before the review deadline. This stops auto-approval; the worker
+     * can answer until responseDeadline, then the arbiter splits the reward.
+     */
+    function openDispute(uint256 taskId, string calldata evidenceCID)
+        external
+        override
+        taskExists(taskId)
+        onlyCreator(taskId)
+    {
+        Task storage t = tasks[taskId];
+        require(t.status == TaskStatus.PendingApproval, "Not pending approval");
+        require(block.timestamp <= t.reviewDeadline, "Review period over");
+        require(bytes(evidenceCID).length > 0, "evidenceCID required");
+
+        _openDispute(taskId, t, evidenceCID);
+    }
+
+    // evidenceCID is empty when the dispute comes from cancelling a task in progress
+    function _openDispute(uint256 taskId, Task storage t, string memory evidenceCID) private {
+        t.status = TaskStatus.Disputed;
+
+        uint256 responseDeadline = block.timestamp + TaskLibrary.disputeResponsePeriod();
+        disputes[taskId] = Dispute({
+            creatorEvidenceCID: evidenceCID,
+            workerEvidenceCID: "",
+            openedAt: block.timestamp,
+            responseDeadline: responseDeadline,
+            resolvedAt: 0,
+            workerShareBps: 0
+        });
+
+        emit DisputeOpened(taskId, t.creator, evidenceCID, responseDeadline);
+    }
+
+    function respondToDispute(uint256 taskId, string calldata evidenceCID)
+        external
+        override
+        taskExists(taskId)
+        onlyWorker(taskId)
+    {
+        Task storage t = tasks[taskId];
+        Dispute storage d = disputes[taskId];
+        require(t.status == TaskStatus.Disputed, "Not disputed");
+        require(bytes(d.workerEvidenceCID).length == 0, "Already responded");
+        require(block.timestamp <= d.responseDeadline, "Response period over");
+        require(bytes(evidenceCID).length > 0, "evidenceCID required");
+
+        d.workerEvidenceCID = evidenceCID;
+
+        emit DisputeResponded(taskId, msg.sender, evidenceCID);
+    }
+
+    /**
+     * @dev Arbiter splits the escrowed reward (for a milestone task: what is left after the paid milestones):
+     * workerShareBps (0..10000) of it goes to the worker, minus the platform fee on that part; the rest is
+     * refunded to the creator. Allowed once the worker has responded or the response period is over.
+     */
+    function resolveDispute(uint256 taskId, uint16 workerShareBps)
+        external
+        override
+        taskExists(taskId)
+        onlyArbiter
+    {
+        Task storage t = tasks[taskId];
+        Dispute storage d = disputes[taskId];
+        require(t.status == TaskStatus.Disputed, "Not disputed");
+        require(msg.sender != t.creator && msg.sender != t.worker, "Arbiter is a party");
+        require(workerShareBps <= 10_000, "Invalid share");
+        require(
+            bytes(d.workerEvidenceCID).length > 0 || block.timestamp > d.responseDeadline,
+            "Awaiting worker response"
+        );
+
+        t.status = TaskStatus.Resolved;
+        t.completedAt = block.timestamp;
+        d.resolvedAt = block.timestamp;
+        d.workerShareBps = workerShareBps;
+
+        uint256 escrowed = _escrowed(t);
+        uint256 workerAmount = (escrowed * workerShareBps) / 10_000;
+        uint256 workerPay = _payWorker(t, workerAmount);
+        uint256 creatorRefund = escrowed - workerAmount;
+
+        balances[t.creator][t.token] += creatorRefund;
+
+        emit DisputeResolved(taskId, msg.sender, workerShareBps, workerPay, creatorRefund);
+    }
+
+    function getDispute(uint256 taskId)
+        external
+        view
+        override
+        taskExists(taskId)
+        returns (Dispute memory)
+    {
+        return disputes[taskId];
+    }
+
     function addComment(uint256 taskId, string calldata message)
         external
         taskExists(taskId)
@@ -366,36 +658,105 @@ contract TaskMarketplace is ITaskMarketplace {
         return taskCounter;
     }
 
+    // -------- Reward tokens --------
+    /**
+     * @dev Allows (or stops allowing) new tasks to escrow token; tasks already created keep working either way.
+     * Fee-on-transfer and rebasing tokens are not supported.
+     */
+    function setAllowedToken(address token, bool allowed, uint256 minReward) external override onlyOwner {
+        require(token != address(0) && token.code.length > 0, "Invalid token");
+        require(!allowed || minReward > 0, "Invalid min reward");
+
+        if (!listedTokens[token]) {
+            listedTokens[token] = true;
+            tokenList.push(token);
+        }
+        allowedTokens[token] = allowed;
+        minTokenReward[token] = minReward;
+
+        emit TokenAllowed(token, allowed, minReward);
+    }
+
+    function getTokens() external view override returns (address[] memory) {
+        return tokenList;
+    }
+
+    // Escrows amount from the creator; the balance check rejects tokens that deliver less than was sent
+    function _pullToken(address token, uint256 amount) internal {
+        uint256 before = IERC20(token).balanceOf(address(this));
+        _callToken(token, abi.encodeCall(IERC20.transferFrom, (msg.sender, address(this), amount)));
+        require(IERC20(token).balanceOf(address(this)) - before == amount, "Unsupported token");
+    }
+
+    // Accepts tokens that return nothing as well as those returning true
+    function _callToken(address token, bytes memory data) internal {
+        (bool ok, bytes memory ret) = token.call(data);
+        require(ok && (ret.length == 0 || abi.decode(ret, (bool))), "Token transfer failed");
+    }
+
+    function _send(address token, address to, uint256 amount) internal {
+        if (token == address(0)) {
+            (bool ok, ) = payable(to).call{value: amount}("");
+            require(ok, "Transfer failed");
+        } else {
+            _callToken(token, abi.encodeCall(IERC20.transfer, (to, amount)));
+        }
+    }
+
     // -------- Withdrawals --------
     function withdraw() external override {
-        uint256 amount = userBalances[msg.sender];
+        _withdraw(address(0));
+    }
+
+    function withdrawToken(address token) external override {
+        require(token != address(0), "Invalid token");
+        _withdraw(token);
+    }
+
+    function _withdraw(address token) internal {
+        uint256 amount = balances[msg.sender][token];
         require(amount > 0, "No balance");
-        userBalances[msg.sender] = 0;
+        balances[msg.sender][token] = 0;
 
-        (bool ok, ) = payable(msg.sender).call{value: amount}("");
-        require(ok, "Transfer failed");
+        _send(token, msg.sender, amount);
     }
 
     function getBalance(address user) external view override returns (uint256) {
-        return userBalances[user];
+        return balances[user][address(0)];
+    }
+
+    function getTokenBalance(address user, address token) external view override returns (uint256) {
+        return balances[user][token];
     }
 
     // -------- Owner fees --------
+    function platformFeeBalance() external view returns (uint256) {
+        return platformFees[address(0)];
+    }
+
     function withdrawPlatformFees() external onlyOwner {
-        uint256 amount = platformFeeBalance;
+        _withdrawFees(address(0));
+    }
+
+    function withdrawPlatformTokenFees(address token) external onlyOwner {
+        require(token != address(0), "Invalid token");
+        _withdrawFees(token);
+    }
+
+    function _withdrawFees(address token) internal {
+        uint256 amount = platformFees[token];
         require(amount > 0, "No fees");
-        platformFeeBalance = 0;
+        platformFees[token] = 0;
 
-        (bool ok, ) = payable(owner).call{value: amount}("");
-        require(ok, "Fee transfer failed");
+        _send(token, owner, amount);
     }
 
     // -------- Receive/fallback --------
     receive() external payable {
-        platformFeeBalance += msg.value;
+        platformFees[address(0)] += msg.value;
     }
 
     fallback() external payable {
-        platformFeeBalance += msg.value;
+        platformFees[address(0)] += msg.value;
     }
 }
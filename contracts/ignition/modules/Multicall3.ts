@@ -0,0 +1,9 @@
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+
+const Multicall3Module = buildModule("Multicall3Module", (m) => {
+  const multicall3 = m.contract("Multicall3");
+
+  return { multicall3 };
+});
+
+export default Multicall3Module;
@@ -1,11 +1,42 @@
 import hre from "hardhat";
 import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+
+const filename = fileURLToPath(import.meta.url);
+const dir = dirname(filename);
+
+// Per-chain deployment registry (chainId -> addresses); the frontend reads its copy in src/contracts
+const REGISTRY_FILE = path.join(dir, "../deployments.json");
+const FRONTEND_REGISTRY_FILE = path.join(dir, "../../src/contracts/deployments.json");
+
+// Canonical Multicall3, deployed on Sepolia/mainnet/most L2s but not on local Hardhat nodes
+const CANONICAL_MULTICALL3 = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+// Optional reward tokens to allowlist: ALLOWED_TOKENS=<address>:<min reward in base units>,...
+function allowedTokensFromEnv(): [string, bigint][] {
+  return (process.env.ALLOWED_TOKENS ?? "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [address, minReward] = entry.split(":");
+      return [address, BigInt(minReward ?? "1")];
+    });
+}
+
+function readRegistry(): Record<string, any> {
+  if (!fs.existsSync(REGISTRY_FILE)) return {};
+  return JSON.parse(fs.readFileSync(REGISTRY_FILE, "utf8"));
+}
 
 async function main() {
   console.log("Deploying TaskMarketplace with TaskLibrary...");
 
-  const { ethers } = await hre.network.connect();
-  
+  const { ethers, networkName } = await hre.network.connect();
+  const chainId = (await ethers.provider.getNetwork()).chainId.toString();
+
   // Step 1: Deploy TaskLibrary first
   console.log("1️⃣ Deploying TaskLibrary...");
   const TaskLibrary = await ethers.getContractFactory("TaskLibrary");
@@ -24,29 +55,51 @@ async function main() {
   const taskMarketplace = await TaskMarketplace.deploy();
   await taskMarketplace.waitForDeployment();
   const marketplaceAddress = await taskMarketplace.getAddress();
+  const deployReceipt = await taskMarketplace.deploymentTransaction()?.wait();
   console.log(`✅ TaskMarketplace deployed to: ${marketplaceAddress}`);
 
-  // Save deployment info
-  const deploymentInfo = {
+  const allowedTokens = allowedTokensFromEnv();
+  for (const [token, minReward] of allowedTokens) {
+    await (await taskMarketplace.setAllowedToken(token, true, minReward)).wait();
+    console.log(`✅ Reward token allowed: ${token} (min reward ${minReward})`);
+  }
+
+  // Step 3: Multicall3 for batched reads, only where the canonical one is missing
+  let multicallAddress: string | null = null;
+  if ((await ethers.provider.getCode(CANONICAL_MULTICALL3)) === "0x") {
+    console.log("\n3️⃣ Deploying Multicall3 (no canonical deployment on this chain)...");
+    const multicall = await ethers.deployContract("Multicall3");
+    await multicall.waitForDeployment();
+    multicallAddress = await multicall.getAddress();
+    console.log(`✅ Multicall3 deployed to: ${multicallAddress}`);
+  }
+
+  // Save deployment info under this chain, keeping other chains' entries
+  const registry = readRegistry();
+  registry[chainId] = {
+    network: networkName,
     taskMarketplace: marketplaceAddress,
     taskLibrary: libraryAddress,
-    network: (await ethers.provider.getNetwork()).name,
+    multicall3: multicallAddress,
+    startBlock: deployReceipt?.blockNumber ?? 0,
     deployer: (await ethers.getSigners())[0].address,
     timestamp: new Date().toISOString(),
   };
 
-  fs.writeFileSync(
-    "./deployed-addresses.json",
-    JSON.stringify(deploymentInfo, null, 2)
-  );
+  const json = JSON.stringify(registry, null, 2) + "\n";
+  fs.writeFileSync(REGISTRY_FILE, json);
+  fs.mkdirSync(path.dirname(FRONTEND_REGISTRY_FILE), { recursive: true });
+  fs.writeFileSync(FRONTEND_REGISTRY_FILE, json);
 
-  console.log("\n📝 Deployment info saved to deployed-addresses.json");
+  console.log(`\n📝 Deployment info for chain ${chainId} (${networkName}) saved to deployments.json`);
+  console.log("   and copied to src/contracts/deployments.json for the frontend");
   console.log("\n🎉 Deployment complete!");
   console.log(`\n📋 Summary:`);
   console.log(`   TaskLibrary:     ${libraryAddress}`);
   console.log(`   TaskMarketplace: ${marketplaceAddress}`);
-  console.log(`\n🔗 Update your frontend with this address:`);
-  console.log(`   ${marketplaceAddress}`);
+  if (multicallAddress) console.log(`   Multicall3:      ${multicallAddress}`);
+  if (allowedTokens.length) console.log(`   Reward tokens:   ${allowedTokens.map(([token]) => token).join(", ")}`);
+  console.log(`   Start block:     ${registry[chainId].startBlock}`);
 }
 
 main()
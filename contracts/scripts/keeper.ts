@@ -0,0 +1,98 @@
+// Keeper: auto-approves tasks past their review period and expires tasks past their deadlines.
+// Usage: npx hardhat run scripts/keeper.ts --network localhost
+//   TASK_MARKETPLACE_ADDRESS=0x... to override the deployments.json entry for this chain
+//   KEEPER_DRY_RUN=1 to only list eligible tasks without sending transactions
+
+import { network } from "hardhat";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+
+const { ethers } = await network.connect();
+
+const filename = fileURLToPath(import.meta.url);
+const dir = dirname(filename);
+
+// TaskStatus enum order from ITaskMarketplace.sol
+const OPEN = 0n;
+const IN_PROGRESS = 1n;
+const PENDING_APPROVAL = 2n;
+
+type KeeperAction = "autoApprove" | "expireTask";
+
+function resolveMarketplaceAddress(chainId: string): string {
+  if (process.env.TASK_MARKETPLACE_ADDRESS) return process.env.TASK_MARKETPLACE_ADDRESS;
+
+  const file = path.join(dir, "../deployments.json");
+  const registry = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const address = registry[chainId]?.taskMarketplace;
+  if (!address) throw new Error(`No taskMarketplace deployment for chain ${chainId} in ${file}`);
+  return address;
+}
+
+// Mirrors the require() checks in TaskMarketplace.autoApprove / expireTask
+function actionFor(task: any, now: bigint): KeeperAction | null {
+  if (task.status === PENDING_APPROVAL && task.reviewDeadline !== 0n && now > task.reviewDeadline) {
+    return "autoApprove";
+  }
+  if (task.status === OPEN && now > task.applyDeadline) return "expireTask";
+  if (task.status === IN_PROGRESS && now > task.deliveryDeadline) return "expireTask";
+  return null;
+}
+
+async function main() {
+  const chainId = (await ethers.provider.getNetwork()).chainId.toString();
+  const address = resolveMarketplaceAddress(chainId);
+  const dryRun = process.env.KEEPER_DRY_RUN === "1";
+  const [keeper] = await ethers.getSigners();
+  const marketplace = await ethers.getContractAt("TaskMarketplace", address, keeper);
+
+  const block = await ethers.provider.getBlock("latest");
+  if (!block) throw new Error("Could not read latest block");
+  const now = BigInt(block.timestamp);
+
+  const total = await marketplace.getTotalTasks();
+  console.log(`🔍 Scanning ${total} task(s) on ${address} at block #${block.number} (t=${now})`);
+
+  const due: { id: bigint; action: KeeperAction }[] = [];
+  for (let id = 1n; id <= total; id++) {
+    const task = await marketplace.getTask(id);
+    const action = actionFor(task, now);
+    if (action) due.push({ id, action });
+  }
+
+  if (due.length === 0) {
+    console.log("✅ Nothing to do");
+    return;
+  }
+
+  for (const { id, action } of due) {
+    console.log(`   #${id} -> ${action}`);
+  }
+  if (dryRun) {
+    console.log(`\n📝 Dry run: ${due.length} task(s) eligible, no transactions sent`);
+    return;
+  }
+
+  let processed = 0;
+  for (const { id, action } of due) {
+    try {
+      const tx = await marketplace[action](id);
+      const receipt = await tx.wait();
+      processed++;
+      console.log(`✅ #${id} ${action} (tx ${tx.hash}, gas ${receipt?.gasUsed})`);
+    } catch (error: any) {
+      console.error(`❌ #${id} ${action} failed: ${error?.shortMessage || error?.message || error}`);
+    }
+  }
+
+  console.log(`\n🎉 Processed ${processed}/${due.length} task(s)`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
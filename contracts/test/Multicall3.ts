@@ -0,0 +1,89 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+
+const { ethers } = await network.connect();
+
+describe("Multicall3", function () {
+  let multicall: any;
+  let taskMarketplace: any;
+  let creator: any;
+  let worker: any;
+
+  const TASK_REWARD = ethers.parseEther("0.1");
+
+  beforeEach(async function () {
+    [, creator, worker] = await ethers.getSigners();
+
+    const taskLibrary = await ethers.deployContract("TaskLibrary");
+    taskMarketplace = await ethers.deployContract("TaskMarketplace", [], {
+      libraries: { TaskLibrary: await taskLibrary.getAddress() },
+    });
+    multicall = await ethers.deployContract("Multicall3");
+
+    const now = (await ethers.provider.getBlock("latest"))!.timestamp;
+    await taskMarketplace.connect(creator).createTask(
+      "Batch me",
+      "bafybeimetadata",
+      0,
+      ethers.ZeroHash,
+      now + 86400,
+      now + 2 * 86400,
+      { value: TASK_REWARD }
+    );
+  });
+
+  function call3(method: string, args: unknown[], allowFailure = true) {
+    return {
+      target: taskMarketplace.target,
+      allowFailure,
+      callData: taskMarketplace.interface.encodeFunctionData(method, args),
+    };
+  }
+
+  it("Should batch task, balance and rating reads into one aggregate3 call", async function () {
+    const results = await multicall.aggregate3.staticCall([
+      call3("getTask", [1]),
+      call3("getBalance", [creator.address]),
+      call3("getRating", [worker.address]),
+      call3("getApplicants", [1]),
+    ]);
+
+    expect(results.length).to.equal(4);
+    expect(results.every((r: any) => r.success)).to.equal(true);
+
+    const [task] = taskMarketplace.interface.decodeFunctionResult("getTask", results[0].returnData);
+    expect(task.title).to.equal("Batch me");
+    expect(task.reward).to.equal(TASK_REWARD);
+
+    const [balance] = taskMarketplace.interface.decodeFunctionResult("getBalance", results[1].returnData);
+    expect(balance).to.equal(0n);
+
+    const [avg, count] = taskMarketplace.interface.decodeFunctionResult("getRating", results[2].returnData);
+    expect(avg).to.equal(0n);
+    expect(count).to.equal(0n);
+
+    const [applicants] = taskMarketplace.interface.decodeFunctionResult("getApplicants", results[3].returnData);
+    expect(applicants.length).to.equal(0);
+  });
+
+  it("Should report a failing call without reverting when allowFailure is set", async function () {
+    const results = await multicall.aggregate3.staticCall([
+      call3("getTask", [999]),
+      call3("getTotalTasks", []),
+    ]);
+
+    expect(results[0].success).to.equal(false);
+    expect(results[1].success).to.equal(true);
+    expect(() => taskMarketplace.interface.decodeFunctionResult("getTask", results[0].returnData)).to.throw();
+  });
+
+  it("Should revert when a required call fails", async function () {
+    await expect(
+      multicall.aggregate3.staticCall([call3("getTask", [999], false)])
+    ).to.be.revertedWith("Multicall3: call failed");
+  });
+
+  it("Should return native balances", async function () {
+    expect(await multicall.getEthBalance(await taskMarketplace.getAddress())).to.equal(TASK_REWARD);
+  });
+});
@@ -0,0 +1,74 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+
+const { ethers } = await network.connect();
+
+describe("TaskMarketplace comments", function () {
+  let taskMarketplace: any;
+  let creator: any;
+  let worker: any;
+  let stranger: any;
+
+  const TASK_REWARD = ethers.parseEther("0.1");
+
+  beforeEach(async function () {
+    [, creator, worker, stranger] = await ethers.getSigners();
+
+    const taskLibrary = await ethers.deployContract("TaskLibrary");
+    taskMarketplace = await ethers.deployContract("TaskMarketplace", [], {
+      libraries: { TaskLibrary: await taskLibrary.getAddress() },
+    });
+
+    const now = (await ethers.provider.getBlock("latest"))!.timestamp;
+    await taskMarketplace.connect(creator).createTask(
+      "Discuss me",
+      "bafybeimetadata",
+      0,
+      ethers.ZeroHash,
+      now + 86400,
+      now + 2 * 86400,
+      { value: TASK_REWARD }
+    );
+  });
+
+  it("Should emit TaskComment with the author, message and timestamp", async function () {
+    const tx = await taskMarketplace.connect(creator).addComment(1, "Any questions?");
+    const block = await ethers.provider.getBlock(tx.blockNumber);
+
+    await expect(tx)
+      .to.emit(taskMarketplace, "TaskComment")
+      .withArgs(1, creator.address, "Any questions?", block!.timestamp);
+  });
+
+  it("Should let the assigned worker comment", async function () {
+    await taskMarketplace.connect(worker).applyToTask(1);
+    await taskMarketplace.connect(creator).acceptWorker(1, worker.address);
+
+    await expect(taskMarketplace.connect(worker).addComment(1, "On it")).to.emit(
+      taskMarketplace,
+      "TaskComment"
+    );
+  });
+
+  it("Should reject comments from anyone else", async function () {
+    await expect(taskMarketplace.connect(stranger).addComment(1, "Hi")).to.be.revertedWith(
+      "Only creator or worker can comment"
+    );
+  });
+
+  it("Should enforce the 500-byte limit, leaving longer comments to IPFS", async function () {
+    await expect(taskMarketplace.connect(creator).addComment(1, "")).to.be.revertedWith("Empty message");
+    await expect(taskMarketplace.connect(creator).addComment(1, "x".repeat(501))).to.be.revertedWith(
+      "Message too long"
+    );
+
+    await taskMarketplace.connect(creator).addComment(1, "x".repeat(500));
+    await taskMarketplace.connect(creator).addComment(1, "ipfs://bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy");
+
+    const logs = await taskMarketplace.queryFilter(taskMarketplace.filters.TaskComment(1));
+    expect(logs.map((l: any) => l.args.message)).to.deep.equal([
+      "x".repeat(500),
+      "ipfs://bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy",
+    ]);
+  });
+});
@@ -0,0 +1,275 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+
+const { ethers } = await network.connect();
+
+const DAY = 86400;
+
+// TaskStatus enum order
+const PENDING_APPROVAL = 2;
+const DISPUTED = 6;
+const RESOLVED = 7;
+
+describe("TaskMarketplace disputes", function () {
+  let taskMarketplace: any;
+  let owner: any;
+  let creator: any;
+  let worker: any;
+  let arbiter: any;
+  let stranger: any;
+
+  const TASK_REWARD = ethers.parseEther("1");
+
+  const increaseTime = async (seconds: number) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  };
+
+  beforeEach(async function () {
+    [owner, creator, worker, arbiter, stranger] = await ethers.getSigners();
+
+    const taskLibrary = await ethers.deployContract("TaskLibrary");
+    taskMarketplace = await ethers.deployContract("TaskMarketplace", [], {
+      libraries: { TaskLibrary: await taskLibrary.getAddress() },
+    });
+    await taskMarketplace.connect(owner).setArbiter(arbiter.address);
+
+    const now = (await ethers.provider.getBlock("latest"))!.timestamp;
+    await taskMarketplace.connect(creator).createTask(
+      "Dispute me",
+      "bafybeimetadata",
+      0,
+      ethers.ZeroHash,
+      now + DAY,
+      now + 2 * DAY,
+      { value: TASK_REWARD }
+    );
+    await taskMarketplace.connect(worker).applyToTask(1);
+    await taskMarketplace.connect(creator).acceptWorker(1, worker.address);
+    await taskMarketplace.connect(worker).submitWork(1, "bafybeisubmission");
+  });
+
+  describe("Arbiter", function () {
+    it("Should start with the owner as arbiter and let only the owner change it", async function () {
+      const fresh = await ethers.deployContract("TaskMarketplace", [], {
+        libraries: { TaskLibrary: await (await ethers.deployContract("TaskLibrary")).getAddress() },
+      });
+      expect(await fresh.arbiter()).to.equal(owner.address);
+
+      await expect(fresh.connect(owner).setArbiter(arbiter.address))
+        .to.emit(fresh, "ArbiterChanged")
+        .withArgs(owner.address, arbiter.address);
+      await expect(fresh.connect(stranger).setArbiter(stranger.address)).to.be.revertedWith("Only owner");
+      await expect(fresh.connect(owner).setArbiter(ethers.ZeroAddress)).to.be.revertedWith("Invalid arbiter");
+    });
+  });
+
+  describe("Opening", function () {
+    it("Should let the creator dispute submitted work with evidence", async function () {
+      const tx = await taskMarketplace.connect(creator).openDispute(1, "bafybeicreatorevidence");
+      const block = await ethers.provider.getBlock(tx.blockNumber);
+      const responseDeadline = block!.timestamp + 3 * DAY;
+
+      await expect(tx)
+        .to.emit(taskMarketplace, "DisputeOpened")
+        .withArgs(1, creator.address, "bafybeicreatorevidence", responseDeadline);
+
+      expect((await taskMarketplace.getTask(1)).status).to.equal(DISPUTED);
+      const dispute = await taskMarketplace.getDispute(1);
+      expect(dispute.creatorEvidenceCID).to.equal("bafybeicreatorevidence");
+      expect(dispute.workerEvidenceCID).to.equal("");
+      expect(dispute.openedAt).to.equal(block!.timestamp);
+      expect(dispute.responseDeadline).to.equal(responseDeadline);
+    });
+
+    it("Should only allow the creator, with evidence, while work is pending approval", async function () {
+      await expect(taskMarketplace.connect(worker).openDispute(1, "bafybeievidence")).to.be.revertedWith(
+        "Only creator"
+      );
+      await expect(taskMarketplace.connect(creator).openDispute(1, "")).to.be.revertedWith(
+        "evidenceCID required"
+      );
+
+      await taskMarketplace.connect(creator).approveWork(1);
+      await expect(taskMarketplace.connect(creator).openDispute(1, "bafybeievidence")).to.be.revertedWith(
+        "Not pending approval"
+      );
+    });
+
+    it("Should reject disputes after the review deadline", async function () {
+      await increaseTime(3 * DAY + 1);
+
+      await expect(taskMarketplace.connect(creator).openDispute(1, "bafybeievidence")).to.be.revertedWith(
+        "Review period over"
+      );
+      expect((await taskMarketplace.getTask(1)).status).to.equal(PENDING_APPROVAL);
+    });
+
+    it("Should stop approval and auto-approval of disputed work", async function () {
+      await taskMarketplace.connect(creator).openDispute(1, "bafybeievidence");
+      await increaseTime(3 * DAY + 1);
+
+      await expect(taskMarketplace.connect(creator).approveWork(1)).to.be.revertedWith("Not pending approval");
+      await expect(taskMarketplace.connect(stranger).autoApprove(1)).to.be.revertedWith("Not pending approval");
+      await expect(taskMarketplace.connect(creator).cancelTask(1)).to.be.revertedWith("Cannot cancel now");
+    });
+  });
+
+  describe("Cancelling work in progress", function () {
+    beforeEach(async function () {
+      const now = (await ethers.provider.getBlock("latest"))!.timestamp;
+      await taskMarketplace.connect(creator).createTask(
+        "Cancel me",
+        "bafybeimetadata",
+        0,
+        ethers.ZeroHash,
+        now + DAY,
+        now + 5 * DAY,
+        { value: TASK_REWARD }
+      );
+      await taskMarketplace.connect(worker).applyToTask(2);
+      await taskMarketplace.connect(creator).acceptWorker(2, worker.address);
+    });
+
+    it("Should open a dispute instead of refunding the creator", async function () {
+      const tx = await taskMarketplace.connect(creator).cancelTask(2);
+      const responseDeadline = (await ethers.provider.getBlock(tx.blockNumber))!.timestamp + 3 * DAY;
+
+      await expect(tx)
+        .to.emit(taskMarketplace, "DisputeOpened")
+        .withArgs(2, creator.address, "", responseDeadline);
+      await expect(tx).not.to.emit(taskMarketplace, "TaskCancelled");
+
+      expect((await taskMarketplace.getTask(2)).status).to.equal(DISPUTED);
+      expect(await taskMarketplace.getBalance(creator.address)).to.equal(0);
+      expect((await taskMarketplace.getDispute(2)).creatorEvidenceCID).to.equal("");
+    });
+
+    it("Should let the worker respond and the arbiter split the reward", async function () {
+      await taskMarketplace.connect(creator).cancelTask(2);
+      await taskMarketplace.connect(worker).respondToDispute(2, "bafybeiworkerevidence");
+      await taskMarketplace.connect(arbiter).resolveDispute(2, 5000);
+
+      expect((await taskMarketplace.getTask(2)).status).to.equal(RESOLVED);
+      expect(await taskMarketplace.getBalance(worker.address)).to.equal(ethers.parseEther("0.49"));
+      expect(await taskMarketplace.getBalance(creator.address)).to.equal(ethers.parseEther("0.5"));
+    });
+
+    it("Should still refund an open task right away", async function () {
+      const now = (await ethers.provider.getBlock("latest"))!.timestamp;
+      await taskMarketplace.connect(creator).createTask(
+        "Nobody yet",
+        "bafybeimetadata",
+        0,
+        ethers.ZeroHash,
+        now + DAY,
+        now + 2 * DAY,
+        { value: TASK_REWARD }
+      );
+
+      await expect(taskMarketplace.connect(creator).cancelTask(3)).to.emit(taskMarketplace, "TaskCancelled").withArgs(3);
+      expect(await taskMarketplace.getBalance(creator.address)).to.equal(TASK_REWARD);
+    });
+  });
+
+  describe("Responding", function () {
+    beforeEach(async function () {
+      await taskMarketplace.connect(creator).openDispute(1, "bafybeicreatorevidence");
+    });
+
+    it("Should let the worker respond once with counter-evidence", async function () {
+      await expect(taskMarketplace.connect(worker).respondToDispute(1, "bafybeiworkerevidence"))
+        .to.emit(taskMarketplace, "DisputeResponded")
+        .withArgs(1, worker.address, "bafybeiworkerevidence");
+
+      expect((await taskMarketplace.getDispute(1)).workerEvidenceCID).to.equal("bafybeiworkerevidence");
+      await expect(taskMarketplace.connect(worker).respondToDispute(1, "bafybeiagain")).to.be.revertedWith(
+        "Already responded"
+      );
+    });
+
+    it("Should only allow the worker, with evidence, within the response period", async function () {
+      await expect(taskMarketplace.connect(creator).respondToDispute(1, "bafybeievidence")).to.be.revertedWith(
+        "Only assigned worker"
+      );
+      await expect(taskMarketplace.connect(worker).respondToDispute(1, "")).to.be.revertedWith(
+        "evidenceCID required"
+      );
+
+      await increaseTime(3 * DAY + 1);
+      await expect(taskMarketplace.connect(worker).respondToDispute(1, "bafybeievidence")).to.be.revertedWith(
+        "Response period over"
+      );
+    });
+  });
+
+  describe("Resolving", function () {
+    beforeEach(async function () {
+      await taskMarketplace.connect(creator).openDispute(1, "bafybeicreatorevidence");
+    });
+
+    it("Should split the reward, taking the platform fee from the worker's part only", async function () {
+      await taskMarketplace.connect(worker).respondToDispute(1, "bafybeiworkerevidence");
+
+      // 60% to the worker: 0.6 ETH minus the 2% fee; 0.4 ETH back to the creator
+      const workerPay = ethers.parseEther("0.588");
+      const creatorRefund = ethers.parseEther("0.4");
+      await expect(taskMarketplace.connect(arbiter).resolveDispute(1, 6000))
+        .to.emit(taskMarketplace, "DisputeResolved")
+        .withArgs(1, arbiter.address, 6000, workerPay, creatorRefund);
+
+      expect(await taskMarketplace.getBalance(worker.address)).to.equal(workerPay);
+      expect(await taskMarketplace.getBalance(creator.address)).to.equal(creatorRefund);
+      expect(await taskMarketplace.platformFeeBalance()).to.equal(ethers.parseEther("0.012"));
+
+      const task = await taskMarketplace.getTask(1);
+      expect(task.status).to.equal(RESOLVED);
+      expect(task.completedAt).to.be.greaterThan(0);
+      const dispute = await taskMarketplace.getDispute(1);
+      expect(dispute.workerShareBps).to.equal(6000);
+      expect(dispute.resolvedAt).to.equal(task.completedAt);
+    });
+
+    it("Should refund everything to the creator or pay everything to the worker", async function () {
+      await taskMarketplace.connect(worker).respondToDispute(1, "bafybeiworkerevidence");
+      await taskMarketplace.connect(arbiter).resolveDispute(1, 0);
+
+      expect(await taskMarketplace.getBalance(creator.address)).to.equal(TASK_REWARD);
+      expect(await taskMarketplace.getBalance(worker.address)).to.equal(0);
+      expect(await taskMarketplace.platformFeeBalance()).to.equal(0);
+    });
+
+    it("Should wait for the worker's response or the end of the response period", async function () {
+      await expect(taskMarketplace.connect(arbiter).resolveDispute(1, 10_000)).to.be.revertedWith(
+        "Awaiting worker response"
+      );
+
+      await increaseTime(3 * DAY + 1);
+      await taskMarketplace.connect(arbiter).resolveDispute(1, 10_000);
+      expect(await taskMarketplace.getBalance(worker.address)).to.equal(ethers.parseEther("0.98"));
+    });
+
+    it("Should only let the arbiter resolve, once, with a valid share", async function () {
+      await taskMarketplace.connect(worker).respondToDispute(1, "bafybeiworkerevidence");
+
+      await expect(taskMarketplace.connect(owner).resolveDispute(1, 5000)).to.be.revertedWith("Only arbiter");
+      await expect(taskMarketplace.connect(creator).resolveDispute(1, 5000)).to.be.revertedWith("Only arbiter");
+      await expect(taskMarketplace.connect(arbiter).resolveDispute(1, 10_001)).to.be.revertedWith(
+        "Invalid share"
+      );
+
+      await taskMarketplace.connect(arbiter).resolveDispute(1, 5000);
+      await expect(taskMarketplace.connect(arbiter).resolveDispute(1, 5000)).to.be.revertedWith("Not disputed");
+      await expect(taskMarketplace.connect(creator).rateWorker(1, 5)).to.be.revertedWith("Not completed");
+    });
+
+    it("Should not let a party to the task arbitrate it", async function () {
+      await taskMarketplace.connect(worker).respondToDispute(1, "bafybeiworkerevidence");
+      await taskMarketplace.connect(owner).setArbiter(creator.address);
+
+      await expect(taskMarketplace.connect(creator).resolveDispute(1, 0)).to.be.revertedWith(
+        "Arbiter is a party"
+      );
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+
+const { ethers } = await network.connect();
+
+const DAY = 86400;
+
+// TaskStatus enum order
+const IN_PROGRESS = 1;
+const PENDING_APPROVAL = 2;
+const COMPLETED = 3;
+const DISPUTED = 6;
+
+describe("TaskMarketplace milestones", function () {
+  let taskMarketplace: any;
+  let owner: any;
+  let creator: any;
+  let worker: any;
+  let arbiter: any;
+
+  const MILESTONES = [ethers.parseEther("0.2"), ethers.parseEther("0.3"), ethers.parseEther("0.5")];
+  const TASK_REWARD = ethers.parseEther("1");
+
+  const increaseTime = async (seconds: number) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  };
+
+  const deadlines = async () => {
+    const now = (await ethers.provider.getBlock("latest"))!.timestamp;
+    return [now + DAY, now + 30 * DAY];
+  };
+
+  const createWithMilestones = async (amounts: bigint[], value: bigint) => {
+    const [applyDeadline, deliveryDeadline] = await deadlines();
+    return taskMarketplace
+      .connect(creator)
+      .createTaskWithMilestones("Big job", "bafybeimetadata", 0, ethers.ZeroHash, applyDeadline, deliveryDeadline, amounts, {
+        value,
+      });
+  };
+
+  beforeEach(async function () {
+    [owner, creator, worker, arbiter] = await ethers.getSigners();
+
+    const taskLibrary = await ethers.deployContract("TaskLibrary");
+    taskMarketplace = await ethers.deployContract("TaskMarketplace", [], {
+      libraries: { TaskLibrary: await taskLibrary.getAddress() },
+    });
+  });
+
+  describe("Creation", function () {
+    it("Should store the milestone amounts and expose them through getTask", async function () {
+      await expect(createWithMilestones(MILESTONES, TASK_REWARD)).to.emit(taskMarketplace, "TaskCreated");
+
+      const task = await taskMarketplace.getTask(1);
+      expect(task.reward).to.equal(TASK_REWARD);
+      expect(task.milestoneAmounts).to.deep.equal(MILESTONES);
+      expect(task.milestonesApproved).to.equal(0);
+    });
+
+    it("Should leave createTask tasks without milestones", async function () {
+      const [applyDeadline, deliveryDeadline] = await deadlines();
+      await taskMarketplace
+        .connect(creator)
+        .createTask("Small job", "bafybeimetadata", 0, ethers.ZeroHash, applyDeadline, deliveryDeadline, {
+          value: TASK_REWARD,
+        });
+
+      const task = await taskMarketplace.getTask(1);
+      expect(task.milestoneAmounts).to.deep.equal([]);
+      expect(task.milestonesApproved).to.equal(0);
+    });
+
+    it("Should reject invalid milestone lists", async function () {
+      await expect(createWithMilestones([TASK_REWARD], TASK_REWARD)).to.be.revertedWith("Invalid milestone count");
+      await expect(
+        createWithMilestones(Array(11).fill(ethers.parseEther("0.1")), ethers.parseEther("1.1"))
+      ).to.be.revertedWith("Invalid milestone count");
+      await expect(createWithMilestones([TASK_REWARD, 0n], TASK_REWARD)).to.be.revertedWith("Empty milestone");
+      await expect(createWithMilestones(MILESTONES, ethers.parseEther("0.9"))).to.be.revertedWith(
+        "Milestones must add up to reward"
+      );
+    });
+  });
+
+  describe("Payouts", function () {
+    beforeEach(async function () {
+      await createWithMilestones(MILESTONES, TASK_REWARD);
+      await taskMarketplace.connect(worker).applyToTask(1);
+      await taskMarketplace.connect(creator).acceptWorker(1, worker.address);
+    });
+
+    it("Should release each approved milestone minus the fee and reopen the task for the next one", async function () {
+      await taskMarketplace.connect(worker).submitWork(1, "bafybeimilestone1");
+
+      const firstPay = ethers.parseEther("0.196");
+      await expect(taskMarketplace.connect(creator).approveWork(1))
+        .to.emit(taskMarketplace, "MilestoneApproved")
+        .withArgs(1, 0, worker.address, firstPay);
+
+      let task = await taskMarketplace.getTask(1);
+      expect(task.status).to.equal(IN_PROGRESS);
+      expect(task.milestonesApproved).to.equal(1);
+      expect(task.reviewDeadline).to.equal(0);
+      expect(await taskMarketplace.getBalance(worker.address)).to.equal(firstPay);
+      expect(await taskMarketplace.platformFeeBalance()).to.equal(ethers.parseEther("0.004"));
+
+      await taskMarketplace.connect(worker).submitWork(1, "bafybeimilestone2");
+      expect((await taskMarketplace.getTask(1)).status).to.equal(PENDING_APPROVAL);
+      await taskMarketplace.connect(creator).approveWork(1);
+
+      await taskMarketplace.connect(worker).submitWork(1, "bafybeimilestone3");
+      const lastPay = ethers.parseEther("0.49");
+      await expect(taskMarketplace.connect(creator).approveWork(1))
+        .to.emit(taskMarketplace, "MilestoneApproved")
+        .withArgs(1, 2, worker.address, lastPay)
+        .and.to.emit(taskMarketplace, "WorkApproved")
+        .withArgs(1, creator.address, worker.address, lastPay);
+
+      task = await taskMarketplace.getTask(1);
+      expect(task.status).to.equal(COMPLETED);
+      expect(task.milestonesApproved).to.equal(3);
+      expect(await taskMarketplace.getBalance(worker.address)).to.equal(ethers.parseEther("0.98"));
+      expect(await taskMarketplace.platformFeeBalance()).to.equal(ethers.parseEther("0.02"));
+    });
+
+    it("Should auto-approve a milestone after its review period", async function () {
+      await taskMarketplace.connect(worker).submitWork(1, "bafybeimilestone1");
+      await increaseTime(3 * DAY + 1);
+
+      await expect(taskMarketplace.connect(owner).autoApprove(1))
+        .to.emit(taskMarketplace, "MilestoneApproved")
+        .withArgs(1, 0, worker.address, ethers.parseEther("0.196"));
+      expect((await taskMarketplace.getTask(1)).status).to.equal(IN_PROGRESS);
+    });
+
+    it("Should dispute only the unreleased milestones on cancellation", async function () {
+      await taskMarketplace.connect(worker).submitWork(1, "bafybeimilestone1");
+      await taskMarketplace.connect(creator).approveWork(1);
+
+      // in progress: cancelling hands the rest of the escrow to the arbiter (the owner here)
+      await taskMarketplace.connect(creator).cancelTask(1);
+      expect((await taskMarketplace.getTask(1)).status).to.equal(DISPUTED);
+
+      await increaseTime(3 * DAY + 1);
+      await taskMarketplace.connect(owner).resolveDispute(1, 0);
+
+      expect(await taskMarketplace.getBalance(creator.address)).to.equal(ethers.parseEther("0.8"));
+      expect(await taskMarketplace.getBalance(worker.address)).to.equal(ethers.parseEther("0.196"));
+    });
+
+    it("Should refund only the unreleased milestones on expiry", async function () {
+      await taskMarketplace.connect(worker).submitWork(1, "bafybeimilestone1");
+      await taskMarketplace.connect(creator).approveWork(1);
+      await increaseTime(30 * DAY + 1);
+
+      await taskMarketplace.connect(owner).expireTask(1);
+      expect(await taskMarketplace.getBalance(creator.address)).to.equal(ethers.parseEther("0.8"));
+    });
+
+    it("Should let the arbiter split only what is left in escrow", async function () {
+      await taskMarketplace.connect(owner).setArbiter(arbiter.address);
+      await taskMarketplace.connect(worker).submitWork(1, "bafybeimilestone1");
+      await taskMarketplace.connect(creator).approveWork(1);
+      await taskMarketplace.connect(worker).submitWork(1, "bafybeimilestone2");
+      await taskMarketplace.connect(creator).openDispute(1, "bafybeievidence");
+      await increaseTime(3 * DAY + 1);
+
+      // 0.8 ETH left: half of it to the worker (minus 2%), half back to the creator
+      await expect(taskMarketplace.connect(arbiter).resolveDispute(1, 5000))
+        .to.emit(taskMarketplace, "DisputeResolved")
+        .withArgs(1, arbiter.address, 5000, ethers.parseEther("0.392"), ethers.parseEther("0.4"));
+      expect(await taskMarketplace.getBalance(worker.address)).to.equal(ethers.parseEther("0.588"));
+    });
+  });
+});
+
@@ -0,0 +1,225 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+
+const { ethers } = await network.connect();
+
+const DAY = 86400;
+
+// TaskStatus enum order
+const IN_PROGRESS = 1;
+const PENDING_APPROVAL = 2;
+const COMPLETED = 3;
+const DISPUTED = 6;
+
+describe("TaskMarketplace revisions", function () {
+  let taskMarketplace: any;
+  let owner: any;
+  let creator: any;
+  let worker: any;
+  let stranger: any;
+  let deliveryDeadline: number;
+
+  const TASK_REWARD = ethers.parseEther("1");
+
+  const increaseTime = async (seconds: number) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  };
+
+  const blockTime = async (tx: any) => (await ethers.provider.getBlock(tx.blockNumber))!.timestamp;
+
+  beforeEach(async function () {
+    [owner, creator, worker, stranger] = await ethers.getSigners();
+
+    const taskLibrary = await ethers.deployContract("TaskLibrary");
+    taskMarketplace = await ethers.deployContract("TaskMarketplace", [], {
+      libraries: { TaskLibrary: await taskLibrary.getAddress() },
+    });
+
+    const now = (await ethers.provider.getBlock("latest"))!.timestamp;
+    deliveryDeadline = now + 5 * DAY;
+    await taskMarketplace.connect(creator).createTask(
+      "Revise me",
+      "bafybeimetadata",
+      0,
+      ethers.ZeroHash,
+      now + DAY,
+      deliveryDeadline,
+      { value: TASK_REWARD }
+    );
+    await taskMarketplace.connect(worker).applyToTask(1);
+    await taskMarketplace.connect(creator).acceptWorker(1, worker.address);
+    await taskMarketplace.connect(worker).submitWork(1, "bafybeisubmission1");
+  });
+
+  describe("Requesting", function () {
+    it("Should send the work back with a note and extend the delivery deadline", async function () {
+      const tx = await taskMarketplace.connect(creator).requestRevision(1, "bafybeinote1", 2 * DAY);
+      const newDeadline = deliveryDeadline + 2 * DAY;
+
+      await expect(tx)
+        .to.emit(taskMarketplace, "RevisionRequested")
+        .withArgs(1, creator.address, 1, "bafybeinote1", newDeadline);
+
+      const task = await taskMarketplace.getTask(1);
+      expect(task.status).to.equal(IN_PROGRESS);
+      expect(task.deliveryDeadline).to.equal(newDeadline);
+      expect(task.reviewDeadline).to.equal(0);
+      expect(task.revisionCount).to.equal(1);
+
+      const [revision] = await taskMarketplace.getRevisions(1);
+      expect(revision.noteCID).to.equal("bafybeinote1");
+      expect(revision.submissionCID).to.equal("bafybeisubmission1");
+      expect(revision.requestedAt).to.equal(await blockTime(tx));
+      expect(revision.deliveryDeadline).to.equal(newDeadline);
+    });
+
+    it("Should extend from now when the delivery deadline has passed", async function () {
+      await increaseTime(5 * DAY + 1);
+      await expect(taskMarketplace.connect(creator).requestRevision(1, "bafybeinote1", DAY)).to.be.revertedWith(
+        "Review period over"
+      );
+
+      // a submission right before the deadline is reviewed after it
+      await taskMarketplace.connect(creator).createTask(
+        "Late",
+        "bafybeimetadata",
+        0,
+        ethers.ZeroHash,
+        (await ethers.provider.getBlock("latest"))!.timestamp + DAY,
+        (await ethers.provider.getBlock("latest"))!.timestamp + 2 * DAY,
+        { value: TASK_REWARD }
+      );
+      await taskMarketplace.connect(worker).applyToTask(2);
+      await taskMarketplace.connect(creator).acceptWorker(2, worker.address);
+      await increaseTime(2 * DAY - 60);
+      await taskMarketplace.connect(worker).submitWork(2, "bafybeisubmission");
+      await increaseTime(DAY);
+
+      const tx = await taskMarketplace.connect(creator).requestRevision(2, "bafybeinote", DAY);
+      expect((await taskMarketplace.getTask(2)).deliveryDeadline).to.equal((await blockTime(tx)) + DAY);
+      await expect(taskMarketplace.connect(stranger).expireTask(2)).to.be.revertedWith("Not past deadline");
+    });
+
+    it("Should let the worker resubmit and the creator approve the revised work", async function () {
+      await taskMarketplace.connect(creator).requestRevision(1, "bafybeinote1", DAY);
+      await taskMarketplace.connect(worker).submitWork(1, "bafybeisubmission2");
+
+      const task = await taskMarketplace.getTask(1);
+      expect(task.status).to.equal(PENDING_APPROVAL);
+      expect(task.submissionCID).to.equal("bafybeisubmission2");
+
+      await taskMarketplace.connect(creator).approveWork(1);
+      expect((await taskMarketplace.getTask(1)).status).to.equal(COMPLETED);
+      expect(await taskMarketplace.getBalance(worker.address)).to.equal((TASK_REWARD * 98n) / 100n);
+    });
+
+    it("Should only allow the creator, with a note, while work is pending approval", async function () {
+      await expect(taskMarketplace.connect(worker).requestRevision(1, "bafybeinote", DAY)).to.be.revertedWith(
+        "Only creator"
+      );
+      await expect(taskMarketplace.connect(creator).requestRevision(1, "", DAY)).to.be.revertedWith(
+        "noteCID required"
+      );
+
+      await taskMarketplace.connect(creator).requestRevision(1, "bafybeinote", DAY);
+      await expect(taskMarketplace.connect(creator).requestRevision(1, "bafybeinote", DAY)).to.be.revertedWith(
+        "Not pending approval"
+      );
+    });
+
+    it("Should reject extensions outside 1 to 30 days", async function () {
+      await expect(taskMarketplace.connect(creator).requestRevision(1, "bafybeinote", DAY - 1)).to.be.revertedWith(
+        "Invalid extension"
+      );
+      await expect(
+        taskMarketplace.connect(creator).requestRevision(1, "bafybeinote", 30 * DAY + 1)
+      ).to.be.revertedWith("Invalid extension");
+    });
+
+    it("Should reject requests after the review deadline", async function () {
+      await increaseTime(3 * DAY + 1);
+
+      await expect(taskMarketplace.connect(creator).requestRevision(1, "bafybeinote", DAY)).to.be.revertedWith(
+        "Review period over"
+      );
+      await taskMarketplace.connect(stranger).autoApprove(1);
+      expect((await taskMarketplace.getTask(1)).status).to.equal(COMPLETED);
+    });
+  });
+
+  describe("Limit", function () {
+    const revise = async (round: number) => {
+      await taskMarketplace.connect(creator).requestRevision(1, `bafybeinote${round}`, DAY);
+      await taskMarketplace.connect(worker).submitWork(1, `bafybeisubmission${round + 1}`);
+    };
+
+    it("Should cap the revisions per task at maxRevisions and keep the history", async function () {
+      expect(await taskMarketplace.maxRevisions()).to.equal(3);
+      for (let round = 1; round <= 3; round++) await revise(round);
+
+      await expect(taskMarketplace.connect(creator).requestRevision(1, "bafybeinote4", DAY)).to.be.revertedWith(
+        "Revision limit reached"
+      );
+
+      const history = await taskMarketplace.getRevisions(1);
+      expect(history.map((r: any) => r.noteCID)).to.deep.equal(["bafybeinote1", "bafybeinote2", "bafybeinote3"]);
+      expect(history.map((r: any) => r.submissionCID)).to.deep.equal([
+        "bafybeisubmission1",
+        "bafybeisubmission2",
+        "bafybeisubmission3",
+      ]);
+      expect((await taskMarketplace.getTask(1)).revisionCount).to.equal(3);
+    });
+
+    it("Should let only the owner change the limit", async function () {
+      await expect(taskMarketplace.connect(owner).setMaxRevisions(1))
+        .to.emit(taskMarketplace, "MaxRevisionsChanged")
+        .withArgs(1);
+      await expect(taskMarketplace.connect(stranger).setMaxRevisions(5)).to.be.revertedWith("Only owner");
+
+      await revise(1);
+      await expect(taskMarketplace.connect(creator).requestRevision(1, "bafybeinote2", DAY)).to.be.revertedWith(
+        "Revision limit reached"
+      );
+
+      await taskMarketplace.connect(owner).setMaxRevisions(0);
+      expect(await taskMarketplace.maxRevisions()).to.equal(0);
+    });
+  });
+
+  describe("Milestones", function () {
+    it("Should send back the current milestone without releasing anything", async function () {
+      const now = (await ethers.provider.getBlock("latest"))!.timestamp;
+      await taskMarketplace.connect(creator).createTaskWithMilestones(
+        "Milestones",
+        "bafybeimetadata",
+        0,
+        ethers.ZeroHash,
+        now + DAY,
+        now + 10 * DAY,
+        [ethers.parseEther("0.4"), ethers.parseEther("0.6")],
+        { value: TASK_REWARD }
+      );
+      await taskMarketplace.connect(worker).applyToTask(2);
+      await taskMarketplace.connect(creator).acceptWorker(2, worker.address);
+      await taskMarketplace.connect(worker).submitWork(2, "bafybeimilestone1");
+      await taskMarketplace.connect(creator).approveWork(2);
+
+      await taskMarketplace.connect(worker).submitWork(2, "bafybeimilestone2");
+      await taskMarketplace.connect(creator).requestRevision(2, "bafybeinote", DAY);
+
+      const task = await taskMarketplace.getTask(2);
+      expect(task.status).to.equal(IN_PROGRESS);
+      expect(task.milestonesApproved).to.equal(1);
+      expect(await taskMarketplace.getBalance(worker.address)).to.equal((ethers.parseEther("0.4") * 98n) / 100n);
+
+      // cancelling while the revision is being worked on disputes the rest
+      await taskMarketplace.connect(creator).cancelTask(2);
+      expect((await taskMarketplace.getTask(2)).status).to.equal(DISPUTED);
+      await increaseTime(3 * DAY + 1);
+      await taskMarketplace.connect(owner).resolveDispute(2, 0);
+      expect(await taskMarketplace.getBalance(creator.address)).to.equal(ethers.parseEther("0.6"));
+    });
+  });
+});
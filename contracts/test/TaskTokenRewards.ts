@@ -0,0 +1,247 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+
+const { ethers } = await network.connect();
+
+const DAY = 86400;
+
+// TaskStatus enum order
+const IN_PROGRESS = 1;
+const COMPLETED = 3;
+
+describe("TaskMarketplace token rewards", function () {
+  let taskMarketplace: any;
+  let token: any;
+  let owner: any;
+  let creator: any;
+  let worker: any;
+  let arbiter: any;
+  let stranger: any;
+
+  // 6 decimals, like USDC
+  const units = (amount: string) => ethers.parseUnits(amount, 6);
+  const TASK_REWARD = units("100");
+  const MIN_REWARD = units("1");
+
+  const increaseTime = async (seconds: number) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  };
+
+  const taskArgs = async () => {
+    const now = (await ethers.provider.getBlock("latest"))!.timestamp;
+    return ["Token job", "bafybeimetadata", 0, ethers.ZeroHash, now + DAY, now + 30 * DAY] as const;
+  };
+
+  const reward = (amount: bigint, milestoneAmounts: bigint[] = [], rewardToken: any = token) => ({
+    token: rewardToken.target,
+    amount,
+    milestoneAmounts,
+  });
+
+  const createTokenTask = async (amount = TASK_REWARD, milestoneAmounts: bigint[] = []) => {
+    await token.connect(creator).approve(taskMarketplace.target, amount);
+    return taskMarketplace.connect(creator).createTokenTask(...(await taskArgs()), reward(amount, milestoneAmounts));
+  };
+
+  const signPermit = async (signer: any, value: bigint, deadline: number) => {
+    const { chainId } = await ethers.provider.getNetwork();
+    const signature = await signer.signTypedData(
+      { name: await token.name(), version: "1", chainId, verifyingContract: token.target },
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      },
+      { owner: signer.address, spender: taskMarketplace.target, value, nonce: await token.nonces(signer.address), deadline }
+    );
+    const { v, r, s } = ethers.Signature.from(signature);
+    return { deadline, v, r, s };
+  };
+
+  beforeEach(async function () {
+    [owner, creator, worker, arbiter, stranger] = await ethers.getSigners();
+
+    const taskLibrary = await ethers.deployContract("TaskLibrary");
+    taskMarketplace = await ethers.deployContract("TaskMarketplace", [], {
+      libraries: { TaskLibrary: await taskLibrary.getAddress() },
+    });
+
+    token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD", 6]);
+    await token.mint(creator.address, units("1000"));
+    await taskMarketplace.connect(owner).setAllowedToken(token.target, true, MIN_REWARD);
+  });
+
+  describe("Allowlist", function () {
+    it("Should let only the owner allow tokens, and list the allowed ones", async function () {
+      const other = await ethers.deployContract("MockERC20", ["Other", "OTH", 18]);
+
+      await expect(taskMarketplace.connect(stranger).setAllowedToken(other.target, true, 1)).to.be.revertedWith(
+        "Only owner"
+      );
+      await expect(taskMarketplace.connect(owner).setAllowedToken(ethers.ZeroAddress, true, 1)).to.be.revertedWith(
+        "Invalid token"
+      );
+      await expect(taskMarketplace.connect(owner).setAllowedToken(other.target, true, 0)).to.be.revertedWith(
+        "Invalid min reward"
+      );
+
+      await expect(taskMarketplace.connect(owner).setAllowedToken(other.target, true, 5))
+        .to.emit(taskMarketplace, "TokenAllowed")
+        .withArgs(other.target, true, 5);
+      expect(await taskMarketplace.getTokens()).to.deep.equal([token.target, other.target]);
+
+      await taskMarketplace.connect(owner).setAllowedToken(token.target, false, 0);
+      expect(await taskMarketplace.allowedTokens(token.target)).to.equal(false);
+      await taskMarketplace.connect(owner).setAllowedToken(token.target, true, MIN_REWARD);
+      expect(await taskMarketplace.getTokens()).to.deep.equal([token.target, other.target]);
+      expect(await taskMarketplace.minTokenReward(token.target)).to.equal(MIN_REWARD);
+    });
+
+    it("Should reject tokens that aren't allowed and rewards under the token minimum", async function () {
+      const other = await ethers.deployContract("MockERC20", ["Other", "OTH", 18]);
+      await expect(
+        taskMarketplace.connect(creator).createTokenTask(...(await taskArgs()), reward(TASK_REWARD, [], other))
+      ).to.be.revertedWith("Token not allowed");
+
+      await expect(createTokenTask(units("0.5"))).to.be.revertedWith("Reward too small");
+    });
+  });
+
+  describe("Escrow", function () {
+    it("Should escrow the reward with transferFrom and record the token on the task", async function () {
+      await expect(createTokenTask()).to.emit(taskMarketplace, "TaskCreated");
+
+      const task = await taskMarketplace.getTask(1);
+      expect(task.token).to.equal(token.target);
+      expect(task.reward).to.equal(TASK_REWARD);
+      expect(await token.balanceOf(taskMarketplace.target)).to.equal(TASK_REWARD);
+      expect(await token.balanceOf(creator.address)).to.equal(units("900"));
+    });
+
+    it("Should fail without an allowance", async function () {
+      await expect(
+        taskMarketplace.connect(creator).createTokenTask(...(await taskArgs()), reward(TASK_REWARD))
+      ).to.be.revertedWith("Token transfer failed");
+    });
+
+    it("Should reject tokens that deliver less than was sent", async function () {
+      await token.setTransferFeeBps(100);
+      await expect(createTokenTask()).to.be.revertedWith("Unsupported token");
+    });
+
+    it("Should approve and escrow in one transaction with a permit", async function () {
+      const now = (await ethers.provider.getBlock("latest"))!.timestamp;
+      const permit = await signPermit(creator, TASK_REWARD, now + DAY);
+
+      await taskMarketplace
+        .connect(creator)
+        .createTokenTaskWithPermit(...(await taskArgs()), reward(TASK_REWARD), permit);
+      expect(await token.balanceOf(taskMarketplace.target)).to.equal(TASK_REWARD);
+    });
+
+    it("Should still create the task when the permit was already used", async function () {
+      const now = (await ethers.provider.getBlock("latest"))!.timestamp;
+      const permit = await signPermit(creator, TASK_REWARD, now + DAY);
+      await token.permit(creator.address, taskMarketplace.target, TASK_REWARD, permit.deadline, permit.v, permit.r, permit.s);
+
+      await taskMarketplace
+        .connect(creator)
+        .createTokenTaskWithPermit(...(await taskArgs()), reward(TASK_REWARD), permit);
+      expect((await taskMarketplace.getTask(1)).token).to.equal(token.target);
+    });
+  });
+
+  describe("Payouts", function () {
+    const takeTask = async () => {
+      await taskMarketplace.connect(worker).applyToTask(1);
+      await taskMarketplace.connect(creator).acceptWorker(1, worker.address);
+      await taskMarketplace.connect(worker).submitWork(1, "bafybeisubmission");
+    };
+
+    it("Should pay the worker and the fee in the task's token, withdrawable per token", async function () {
+      await createTokenTask();
+      await takeTask();
+      await taskMarketplace.connect(creator).approveWork(1);
+
+      expect((await taskMarketplace.getTask(1)).status).to.equal(COMPLETED);
+      expect(await taskMarketplace.getTokenBalance(worker.address, token.target)).to.equal(units("98"));
+      expect(await taskMarketplace.platformFees(token.target)).to.equal(units("2"));
+      expect(await taskMarketplace.getBalance(worker.address)).to.equal(0);
+      expect(await taskMarketplace.platformFeeBalance()).to.equal(0);
+
+      await expect(taskMarketplace.connect(worker).withdraw()).to.be.revertedWith("No balance");
+      await taskMarketplace.connect(worker).withdrawToken(token.target);
+      expect(await token.balanceOf(worker.address)).to.equal(units("98"));
+      expect(await taskMarketplace.getTokenBalance(worker.address, token.target)).to.equal(0);
+
+      await expect(taskMarketplace.connect(stranger).withdrawPlatformTokenFees(token.target)).to.be.revertedWith(
+        "Only owner"
+      );
+      await taskMarketplace.connect(owner).withdrawPlatformTokenFees(token.target);
+      expect(await token.balanceOf(owner.address)).to.equal(units("2"));
+    });
+
+    it("Should keep ETH and token balances apart", async function () {
+      await createTokenTask();
+      await takeTask();
+      await taskMarketplace.connect(creator).approveWork(1);
+
+      const [applyDeadline, deliveryDeadline] = (await taskArgs()).slice(4);
+      await taskMarketplace
+        .connect(creator)
+        .createTask("ETH job", "bafybeimetadata", 0, ethers.ZeroHash, applyDeadline, deliveryDeadline, {
+          value: ethers.parseEther("1"),
+        });
+      await taskMarketplace.connect(worker).applyToTask(2);
+      await taskMarketplace.connect(creator).acceptWorker(2, worker.address);
+      await taskMarketplace.connect(worker).submitWork(2, "bafybeisubmission");
+      await taskMarketplace.connect(creator).approveWork(2);
+
+      expect(await taskMarketplace.getBalance(worker.address)).to.equal(ethers.parseEther("0.98"));
+      expect(await taskMarketplace.getTokenBalance(worker.address, token.target)).to.equal(units("98"));
+      expect(await taskMarketplace.platformFeeBalance()).to.equal(ethers.parseEther("0.02"));
+      expect(await taskMarketplace.platformFees(token.target)).to.equal(units("2"));
+    });
+
+    it("Should release token milestones and refund the rest in the token after cancellation", async function () {
+      await createTokenTask(TASK_REWARD, [units("40"), units("60")]);
+      await takeTask();
+      await taskMarketplace.connect(creator).approveWork(1);
+      expect((await taskMarketplace.getTask(1)).status).to.equal(IN_PROGRESS);
+
+      // cancelling work in progress goes to the arbiter (the owner here)
+      await taskMarketplace.connect(creator).cancelTask(1);
+      await increaseTime(3 * DAY + 1);
+      await taskMarketplace.connect(owner).resolveDispute(1, 0);
+      expect(await taskMarketplace.getTokenBalance(worker.address, token.target)).to.equal(units("39.2"));
+      expect(await taskMarketplace.getTokenBalance(creator.address, token.target)).to.equal(units("60"));
+    });
+
+    it("Should split a disputed token reward in the token", async function () {
+      await taskMarketplace.connect(owner).setArbiter(arbiter.address);
+      await createTokenTask();
+      await takeTask();
+      await taskMarketplace.connect(creator).openDispute(1, "bafybeievidence");
+      await increaseTime(3 * DAY + 1);
+
+      await taskMarketplace.connect(arbiter).resolveDispute(1, 2500);
+      expect(await taskMarketplace.getTokenBalance(worker.address, token.target)).to.equal(units("24.5"));
+      expect(await taskMarketplace.getTokenBalance(creator.address, token.target)).to.equal(units("75"));
+    });
+
+    it("Should keep paying out tasks whose token was removed from the allowlist", async function () {
+      await createTokenTask();
+      await takeTask();
+      await taskMarketplace.connect(owner).setAllowedToken(token.target, false, 0);
+
+      await taskMarketplace.connect(creator).approveWork(1);
+      await taskMarketplace.connect(worker).withdrawToken(token.target);
+      expect(await token.balanceOf(worker.address)).to.equal(units("98"));
+    });
+  });
+});
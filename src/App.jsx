@@ -1,12 +1,79 @@
 // src/App.jsx
 import { useEffect, useMemo, useState } from "react";
-import TaskMarketplaceUtils from "./utils/TaskMarketplaceUtils";
-import { initIPFS } from "./utils/ipfsUtils";
+import { Link, useLocation, useNavigate, useSearchParams } from "react-router-dom";
+import TaskMarketplaceUtils, {
+  CATEGORIES,
+  canonicalizeTags,
+  MAX_COMMENT_BYTES,
+  commentByteLength,
+  disputeSplit,
+  milestonesTotal,
+  REVISION_EXTENSION_DAYS,
+} from "./utils/TaskMarketplaceUtils";
+import { initIPFS, getIPFSUrl, getIPFSCacheStats, clearIPFSCache } from "./utils/ipfsUtils";
+import { CONTACT_METHODS, METADATA_LIMITS } from "./utils/taskMetadata";
+import { renderMarkdown, markdownExcerpt } from "./utils/markdown";
+import { PATHS, taskPath, addressPath, parseRoute, readFilters, filtersSearch } from "./utils/routes";
+import {
+  getDeployment,
+  getSupportedChains,
+  getChainName,
+  getRpcUrl,
+  getDefaultChainId,
+  getExplorerTxUrl,
+  switchNetwork,
+} from "./utils/networks";
+import {
+  watchWallets,
+  getRememberedWalletId,
+  rememberWallet,
+  forgetWallet,
+  createPrivateKeyWallet,
+  createHardhatWallet,
+} from "./utils/walletProviders";
+import { decodeContractError } from "./utils/contractErrors";
+import { setEthereumProvider } from "./utils/CounterEthersUtils";
+import { FEE_SPEEDS, DEFAULT_FEE_SPEED } from "./utils/feeEngine";
 import "./App.css";
 
-// ✅ update this after deploy
-const SEPOLIA_CONTRACT_ADDRESS = "0x5D533ccf3765aeba0d5bdfeBfc08AdD1AECBb8C5"; // ✅ V2 Contract
-const SEPOLIA_CHAIN_ID = "11155111";
+// ✅ contract addresses come from src/contracts/deployments.json (written by deploy-taskmarketplace.ts)
+const SUPPORTED_CHAINS = getSupportedChains();
+// optional override of the deployment block the task indexer reads events from
+const START_BLOCK = import.meta.env.VITE_TASK_MARKETPLACE_START_BLOCK
+  ? Number(import.meta.env.VITE_TASK_MARKETPLACE_START_BLOCK)
+  : undefined;
+// optional override of the deployment's Multicall3; defaults to the canonical Multicall3 address
+const MULTICALL_ADDRESS = import.meta.env.VITE_MULTICALL_ADDRESS || undefined;
+// development-only wallets offered in the picker next to the browser extensions
+const DEV_PRIVATE_KEY = import.meta.env.DEV ? import.meta.env.VITE_DEV_PRIVATE_KEY : undefined;
+const DEV_HARDHAT_ACCOUNT = import.meta.env.DEV ? import.meta.env.VITE_DEV_HARDHAT_ACCOUNT : undefined;
+// how often pending transactions are re-checked (only while there are some)
+const TX_POLL_MS = 8000;
+
+// labels for the transactions drawer, keyed by the utils method that sent them
+const TX_ACTION_LABELS = {
+  createTask: "Create task",
+  applyToTask: "Apply",
+  acceptWorker: "Accept worker",
+  submitWork: "Submit work",
+  approveWork: "Approve work",
+  autoApprove: "Auto-approve",
+  cancelTask: "Cancel task",
+  expireTask: "Expire task",
+  rateWorker: "Rate worker",
+  rateCreator: "Rate creator",
+  addComment: "Comment",
+  withdraw: "Withdraw",
+  withdrawToken: "Withdraw tokens",
+  approveToken: "Approve token",
+  requestRevision: "Request changes",
+  openDispute: "Open dispute",
+  respondToDispute: "Respond to dispute",
+  resolveDispute: "Resolve dispute",
+};
+
+const TX_KIND_LABELS = { speedUp: "sped up", cancel: "cancellation" };
+const DEV_RPC_URL = import.meta.env.VITE_DEV_RPC_URL || "http://127.0.0.1:8545";
 
 // status mapping must match your contract enum order
 const STATUS = {
@@ -15,39 +82,156 @@ const STATUS = {
   PendingApproval: 2,
   Completed: 3,
   Cancelled: 4,
+  Expired: 5,
+  Disputed: 6,
+  Resolved: 7,
 };
 
 const ZERO_ADDR = "0x0000000000000000000000000000000000000000";
 
+// Comment lists arrive from both the live event and log history; keep one copy of each, oldest first
+const mergeComments = (current = [], incoming = []) => {
+  const byId = new Map(current.map((c) => [c.id, c]));
+  for (const c of incoming) byId.set(c.id, c);
+  return Array.from(byId.values()).sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Value for the error banner: the decoded contract/wallet error when the utils return one, else plain text
+const toErrorState = (res, context) => {
+  if (res?.errorInfo) return { ...res.errorInfo, context };
+  return context ? `${context}: ${res?.error}` : res?.error;
+};
+
+// Error banner value for failed pre-flight checks (reasons come from utils.checkPreconditions)
+const preflightError = (reasons, context) => ({
+  ...reasons[0],
+  message: reasons.map((r) => r.message).join(" "),
+  raw: reasons.map((r) => r.reason).join(", "),
+  context,
+});
+
+// "0.000120 – 0.000210" (one value when min and max round the same)
+const formatEthRange = (min, max) => {
+  const [lo, hi] = [parseFloat(min).toFixed(6), parseFloat(max).toFixed(6)];
+  return lo === hi ? lo : `${lo} – ${hi}`;
+};
+
+// Tooltip for a button blocked by pre-flight
+const reasonsTitle = (reasons) => (reasons.length > 0 ? reasons.map((r) => r.message).join("\n") : undefined);
+
+// Create-form fields -> additional task metadata (skills comma separated, one criterion per line)
+const taskMetadataFields = (form) => ({
+  skills: form.skills.split(","),
+  acceptanceCriteria: form.acceptanceCriteria.split("\n"),
+  contact: form.contactValue.trim() ? { [form.contactMethod]: form.contactValue } : null,
+  milestones: form.milestones,
+});
+
+// Milestone a milestone task's worker is on (null: single payout, or nothing left to deliver)
+const currentMilestone = (task) =>
+  [STATUS.InProgress, STATUS.PendingApproval, STATUS.Disputed].includes(task.status)
+    ? task.milestones?.[task.milestonesApproved] ?? null
+    : null;
+
+// What the worker delivers next: "Work", or "Milestone 2" on a milestone task
+const deliverableLabel = (task) => {
+  const milestone = currentMilestone(task);
+  return milestone ? `Milestone ${milestone.index + 1}` : "Work";
+};
+
 export default function App() {
   const [utils, setUtils] = useState(null);
 
   const [account, setAccount] = useState("");
   const [balance, setBalance] = useState("0");
   const [withdrawable, setWithdrawable] = useState("0");
+  const [tokenBalances, setTokenBalances] = useState([]); // withdrawable ERC-20 rewards: [{address, symbol, balance}]
+  const [rewardTokens, setRewardTokens] = useState([]); // from utils.getTokens(), ETH first
   const [networkInfo, setNetworkInfo] = useState(null);
+  const [readChainId, setReadChainId] = useState(null); // chain tasks are read from (no wallet needed)
+  const [blockTime, setBlockTime] = useState(null); // latest block timestamp (deadlines are checked against it)
+  const [appliedTaskIds, setAppliedTaskIds] = useState([]); // tasks the account has applied to
+
+  // submitted transactions (persisted by utils.txQueue), newest first
+  const [transactions, setTransactions] = useState([]);
+  const [showTxDrawer, setShowTxDrawer] = useState(false);
+
+  // wallets: EIP-6963 announced extensions + dev wallets; wallet: the one connected
+  const [wallets, setWallets] = useState([]);
+  const [wallet, setWallet] = useState(null); // { id, name, icon, provider }
+  const [walletPicker, setWalletPicker] = useState({ show: false, resolve: null });
 
   // tasks
   const [openTasks, setOpenTasks] = useState([]);
   const [myCreatedTasks, setMyCreatedTasks] = useState([]);
   const [myWorkerTasks, setMyWorkerTasks] = useState([]);
 
-  // ui state
-  const [currentView, setCurrentView] = useState("marketplace"); // marketplace | myTasks | create | taskDetail
-  const [selectedTaskId, setSelectedTaskId] = useState(null);
+  // ui state: the view comes from the URL (see utils/routes)
+  const location = useLocation();
+  const navigate = useNavigate();
+  const route = parseRoute(location.pathname);
+  const currentView = route?.view ?? null; // marketplace | myTasks | create | taskDetail | address | maintenance
+  const routeTaskId = route?.taskId ?? null;
   const [selectedTask, setSelectedTask] = useState(null);
+  const [taskLoadError, setTaskLoadError] = useState(null); // { taskId, error } when /tasks/:id failed to load
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
 
-  // search / filters (Marketplace)
-  const [searchQuery, setSearchQuery] = useState("");
-  const [statusFilter, setStatusFilter] = useState("all"); // all | open | inprogress | pendingapproval | completed | cancelled
-  const [sortBy, setSortBy] = useState("newest"); // newest | rewardHigh | rewardLow | deadlineSoon
+  // search / filters (Marketplace), kept in the query string
+  const [searchParams] = useSearchParams();
+  const filters = readFilters(searchParams);
+  const searchQuery = filters.q;
+  const statusFilter = filters.status; // all | open | inprogress | pendingapproval | completed | cancelled
+  const sortBy = filters.sort; // newest | rewardHigh | rewardLow | deadlineSoon
+  const categoryFilter = filters.category; // all | category index
+  const tagFilter = filters.tag; // single canonical tag
+  // search box text while its URL update (a transition) is pending; null = show the URL's
+  const [searchDraft, setSearchDraft] = useState(null);
+  if (searchDraft !== null && searchDraft === searchQuery) setSearchDraft(null);
+
+  // address page (/address/:addr): tasks the address created and worked on
+  const [addressTasks, setAddressTasks] = useState({ address: null, created: [], working: [], loading: false });
 
   // comments (optional, if supported by your utils + contract)
   const [comments, setComments] = useState({}); // { [taskId]: [{taskId, author, message, timestamp}] }
   const [commentInput, setCommentInput] = useState({}); // { [taskId]: "..." }
+  const [commentOnIPFS, setCommentOnIPFS] = useState({}); // { [taskId]: bool } post only the IPFS CID on-chain
+
+  // applicants (creator view of an Open task)
+  const [applicants, setApplicants] = useState({}); // { [taskId]: [{address, avgStars, ratingCount, completedTasks}] }
+  const [loadingApplicants, setLoadingApplicants] = useState(false);
+
+  // ✅ Work submission dialog (deliverables + note -> submission manifest on IPFS)
+  const [submitDialog, setSubmitDialog] = useState({ show: false, taskId: null, note: "", files: [] });
+
+  // revision requests: { [taskId]: [{ round, noteCID, submissionCID, requestedAt, deliveryDeadline, note }] }
+  // (note: the request's manifest, like submissions)
+  const [revisions, setRevisions] = useState({});
+  const [maxRevisions, setMaxRevisions] = useState(null);
+  // request changes dialog (creator): what to change, reference files, deadline extension in days
+  const [revisionDialog, setRevisionDialog] = useState({ show: false, taskId: null, note: "", files: [], days: 3 });
+  const [uploadingRevision, setUploadingRevision] = useState(false);
+
+  // disputes: { [taskId]: { dispute, creatorEvidence, workerEvidence } } (evidence manifests like submissions)
+  const [disputes, setDisputes] = useState({});
+  const [arbiter, setArbiter] = useState(null);
+  const [disputedTasks, setDisputedTasks] = useState([]); // waiting for the arbiter (maintenance page)
+  // evidence dialog: party "creator" opens a dispute, "worker" responds to one
+  const [disputeDialog, setDisputeDialog] = useState({ show: false, taskId: null, party: null, statement: "", files: [] });
+  const [uploadingEvidence, setUploadingEvidence] = useState(false);
+  const [disputeShares, setDisputeShares] = useState({}); // { [taskId]: worker's share in %, arbiter's draft }
+  const [uploadingSubmission, setUploadingSubmission] = useState(false);
+  const [submissions, setSubmissions] = useState({}); // { [taskId]: {note, files, submittedAt} }
+
+  // maintenance (keeper) view
+  const [maintenance, setMaintenance] = useState({ candidates: [], blockTime: null, blockNumber: null });
+  const [scanningMaintenance, setScanningMaintenance] = useState(false);
+  const [ipfsCacheStats, setIpfsCacheStats] = useState(null); // { hits, misses, entries, bytes, maxBytes }
+
+  // ratings
+  const [ratings, setRatings] = useState({}); // { [addressLower]: {avgStars, count} }
+  const [ratingStatus, setRatingStatus] = useState({}); // { [taskId]: {workerRated, creatorRated} }
 
   // form
   const [newTask, setNewTask] = useState({
@@ -55,6 +239,15 @@ export default function App() {
     description: "",
     reward: "",
     deadline: "",
+    applyDeadline: "",
+    category: "0",
+    tags: "",
+    skills: "",
+    acceptanceCriteria: "",
+    contactMethod: "email",
+    contactValue: "",
+    milestones: [], // [{ description, amount (in the reward token) }], empty for a single payout
+    token: ZERO_ADDR, // reward token, ZERO_ADDR for ETH
   });
   
   // ✅ File uploads state
@@ -62,6 +255,7 @@ export default function App() {
   const [uploadingFiles, setUploadingFiles] = useState(false);
 
   // ✅ Gas estimation modal state
+  const [gasSpeed, setGasSpeed] = useState(DEFAULT_FEE_SPEED); // fee preset, kept between transactions
   const [gasModal, setGasModal] = useState({
     show: false,
     action: "",
@@ -72,19 +266,69 @@ export default function App() {
 
   // init utils
   useEffect(() => {
-    setUtils(new TaskMarketplaceUtils(SEPOLIA_CONTRACT_ADDRESS));
+    setUtils(new TaskMarketplaceUtils(null, {
+      getDeployment,
+      getRpcUrl,
+      startBlock: START_BLOCK,
+      multicallAddress: MULTICALL_ADDRESS,
+    }));
     // ✅ Initialize IPFS client on app load
     initIPFS().catch(e => console.warn("IPFS init failed:", e));
   }, []);
 
+  // ✅ wallet discovery (EIP-6963); dev wallets are always listed after the extensions
+  useEffect(() => {
+    const devWallets = [];
+    if (DEV_HARDHAT_ACCOUNT !== undefined && DEV_HARDHAT_ACCOUNT !== "") {
+      devWallets.push(createHardhatWallet(DEV_RPC_URL, Number(DEV_HARDHAT_ACCOUNT)));
+    }
+    if (DEV_PRIVATE_KEY) devWallets.push(createPrivateKeyWallet(DEV_PRIVATE_KEY, DEV_RPC_URL));
+
+    setWallets(devWallets);
+    return watchWallets((found) => setWallets([...found, ...devWallets]));
+  }, []);
+
+  // ✅ read-only browsing: open tasks, details and ratings load before any wallet connects
+  useEffect(() => {
+    if (!utils) return;
+
+    (async () => {
+      const chainId = getDefaultChainId();
+      if (chainId == null) {
+        setError("No marketplace deployment: run contracts/scripts/deploy-taskmarketplace.ts to deploy one.");
+        return;
+      }
+
+      const res = await utils.connectReadOnly(chainId);
+      if (!res.success) {
+        setError(`Could not load the marketplace: ${res.error}`);
+        return;
+      }
+      setReadChainId(res.chainId);
+      const net = await utils.getNetworkInfo();
+      if (net.success) setNetworkInfo(net);
+      await loadTasks("");
+    })();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [utils]);
+
   // helpers
   const isConnected = useMemo(
     () => Boolean(account && utils?.isConnected?.()),
-    [account, utils]
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [account, utils, networkInfo]
   );
 
-  const wrongNetwork =
-    networkInfo?.chainId && networkInfo.chainId !== SEPOLIA_CHAIN_ID;
+  // connected to a chain without a marketplace deployment
+  const wrongNetwork = Boolean(networkInfo?.chainId) && !getDeployment(networkInfo.chainId);
+
+  // create form: the reward token (ETH until the token list has loaded)
+  const rewardToken = rewardTokens.find((t) => t.address === newTask.token) ?? { symbol: "ETH", decimals: 18 };
+
+  // create form: 2+ milestones whose amounts add up to the reward, or none
+  const milestoneCheck = milestonesTotal(newTask.milestones, newTask.reward, rewardToken.decimals);
+  const milestonesInvalid =
+    newTask.milestones.length > 0 && (newTask.milestones.length < 2 || !milestoneCheck.matches);
 
   const normalize = (s) => (s ?? "").toString().toLowerCase().trim();
 
@@ -98,6 +342,324 @@ export default function App() {
     return `${addr.slice(0, 6)}...${addr.slice(-4)}`;
   };
 
+  // ✅ Address (linking to its page) + average stars (from avgStarsTimes100)
+  const renderAddress = (addr) => {
+    const r = addr ? ratings[addr.toLowerCase()] : null;
+    return (
+      <>
+        {addr && addr !== ZERO_ADDR ? (
+          <Link to={addressPath(addr)} className="address-link" title={addr}>
+            {formatAddress(addr)}
+          </Link>
+        ) : (
+          formatAddress(addr)
+        )}
+        {r && (
+          <span className="address-rating" title={`${r.count} rating${r.count === 1 ? "" : "s"}`}>
+            {r.count > 0 ? ` ⭐ ${r.avgStars.toFixed(2)}` : " ⭐ -"}
+          </span>
+        )}
+      </>
+    );
+  };
+
+  // Category badge + clickable tags (click = filter marketplace by that tag)
+  const renderTaskTags = (task) => (
+    <div className="task-tags">
+      <span className="category-badge">{task.categoryText ?? CATEGORIES[task.category]}</span>
+      {(task.tags ?? []).map((tag) => (
+        <button
+          key={tag}
+          type="button"
+          className={`tag-chip${tagFilter === tag ? " active" : ""}`}
+          onClick={() => setFilters({ tag: tagFilter === tag ? "" : tag })}
+          title="Filter by this tag"
+        >
+          #{tag}
+        </button>
+      ))}
+    </div>
+  );
+
+  // Thread + input; only the creator and the assigned worker can post (contract rule)
+  const renderComments = (task) => {
+    const thread = comments[task.id] || [];
+    const me = account?.toLowerCase();
+    const canComment =
+      Boolean(me) && [task.creator, task.worker].some((a) => a && a !== ZERO_ADDR && a.toLowerCase() === me);
+    const draft = commentInput[task.id] || "";
+    const tooLong = commentByteLength(draft) > MAX_COMMENT_BYTES;
+
+    return (
+      <div className="comments">
+        {thread.length === 0 ? (
+          <div className="comments-empty">No comments yet</div>
+        ) : (
+          thread.map((c) => (
+            <div key={c.id} className="comment">
+              <div className="comment-meta">
+                <b>{formatAddress(c.author)}</b>
+                <span>{formatDateTime(c.timestamp)}</span>
+                {c.cid && (
+                  <a href={getIPFSUrl(c.cid)} target="_blank" rel="noopener noreferrer" title={c.cid}>
+                    📌 IPFS
+                  </a>
+                )}
+              </div>
+              <div className="comment-body">
+                {c.unavailable ? <i>Comment stored on IPFS could not be loaded ({c.cid})</i> : c.message}
+              </div>
+            </div>
+          ))
+        )}
+
+        {canComment && utils?.addComment && (
+          <>
+            <div className="comment-input">
+              <input
+                placeholder="Write a comment..."
+                value={draft}
+                onChange={(e) =>
+                  setCommentInput((prev) => ({
+                    ...prev,
+                    [task.id]: e.target.value,
+                  }))
+                }
+              />
+              <button
+                type="button"
+                className="btn-small"
+                disabled={loading || wrongNetwork || !draft.trim()}
+                onClick={() => handleAddComment(task.id)}
+              >
+                Send
+              </button>
+            </div>
+            <label className="comment-ipfs-toggle">
+              <input
+                type="checkbox"
+                checked={tooLong || Boolean(commentOnIPFS[task.id])}
+                disabled={tooLong}
+                onChange={(e) => setCommentOnIPFS((prev) => ({ ...prev, [task.id]: e.target.checked }))}
+              />
+              Store on IPFS (post only the CID)
+              {tooLong && ` — required above ${MAX_COMMENT_BYTES} bytes`}
+            </label>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // Submission or dispute evidence manifest ({ note, files, submittedAt, integrity }); null = not loadable
+  const renderManifest = (manifest, cid, noun) => {
+    if (!manifest) {
+      return (
+        <div className="comments-empty">
+          {noun[0].toUpperCase() + noun.slice(1)} {cid} could not be loaded.{" "}
+          <a href={getIPFSUrl(cid)} target="_blank" rel="noopener noreferrer">
+            Open raw
+          </a>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {manifest.integrity === "mismatch" && (
+          <div className="warning" style={{ marginBottom: '1rem' }}>
+            ⚠️ This {noun} does not match its CID. The gateway may have served altered content.
+          </div>
+        )}
+        {manifest.integrity === "unverifiable" && (
+          <div className="warning" style={{ marginBottom: '1rem' }}>
+            ⚠️ This {noun} could not be verified against its CID
+            {manifest.integrityReason ? ` (${manifest.integrityReason})` : ""}
+            .
+          </div>
+        )}
+        {manifest.note && <p className="description submission-note">{manifest.note}</p>}
+        {manifest.submittedAt && (
+          <div className="label">Submitted {new Date(manifest.submittedAt).toLocaleString()}</div>
+        )}
+        {manifest.files.length === 0 ? (
+          <div className="comments-empty">No files attached</div>
+        ) : (
+          <ul>
+            {manifest.files.map((f, idx) => (
+              <li key={idx}>
+                <span>📄 {f.name} ({formatFileSize(f.size)})</span>
+                <a
+                  href={getIPFSUrl(f.cid)}
+                  download={f.name}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="btn-small"
+                >
+                  Download
+                </a>
+              </li>
+            ))}
+          </ul>
+        )}
+      </>
+    );
+  };
+
+  // Milestone list with what has been released and what the worker is on now
+  const renderMilestones = (task) => {
+    const current = currentMilestone(task);
+    const releasedPct = task.rewardWei > 0n ? Number((task.releasedWei * 100n) / task.rewardWei) : 0;
+
+    return (
+      <div className="task-attachments milestones-panel">
+        <h4>
+          🎯 Milestones ({task.milestonesApproved}/{task.milestones.length} approved)
+        </h4>
+        <div className="milestone-progress">
+          <div className="milestone-progress-bar" style={{ width: `${releasedPct}%` }} />
+        </div>
+        <div className="label">
+          {task.released} of {task.reward} {task.tokenSymbol} released
+        </div>
+        <ol className="milestone-list">
+          {task.milestones.map((m) => (
+            <li key={m.index} className={m.approved ? "approved" : m === current ? "current" : undefined}>
+              <span>
+                {m.approved ? "✅" : m !== current ? "◻️" : task.status === STATUS.InProgress ? "🔨" : "⏳"}
+              </span>
+              <span className="milestone-description">{m.description || `Milestone ${m.index + 1}`}</span>
+              <b>
+                {m.amount} {task.tokenSymbol}
+              </b>
+            </li>
+          ))}
+        </ol>
+      </div>
+    );
+  };
+
+  // Revisions panel body: the current round, then every request with its note and the submission it sent back
+  const renderRevisions = (task) => {
+    const list = revisions[task.id];
+    const round = task.revisionCount;
+
+    return (
+      <>
+        <div className="task-meta">
+          <span>
+            Round {round}
+            {maxRevisions != null && ` of ${maxRevisions}`}
+          </span>
+          {task.status === STATUS.InProgress && <span>🔨 Revised work due {formatDateTime(task.deliveryDeadline)}</span>}
+          {task.status === STATUS.PendingApproval && <span>⏳ Revised work waiting for review</span>}
+        </div>
+
+        {!list ? (
+          <div className="comments-empty">Loading revisions...</div>
+        ) : (
+          list.map((r) => (
+            <div key={r.round} className="revision-entry">
+              <h5>
+                Revision {r.round} · requested {formatDateTime(r.requestedAt)} · new deadline{" "}
+                {formatDateTime(r.deliveryDeadline)}
+              </h5>
+              {renderManifest(r.note, r.noteCID, "revision request")}
+              <div className="label" style={{ marginTop: 8 }}>Sent back: submission {r.submissionCID}</div>
+            </div>
+          ))
+        )}
+      </>
+    );
+  };
+
+  // Dispute panel body: deadlines, both sides' evidence, the worker's response button and the arbiter's split
+  const renderDispute = (task) => {
+    const entry = disputes[task.id];
+    if (!entry) return <div className="comments-empty">Loading dispute...</div>;
+
+    const { dispute, creatorEvidence, workerEvidence } = entry;
+    const me = account?.toLowerCase();
+    const isArbiter = Boolean(me) && arbiter?.toLowerCase() === me;
+    const isWorker = Boolean(me) && task.worker?.toLowerCase() === me;
+    const open = task.status === STATUS.Disputed;
+    const sharePct = disputeShares[task.id] ?? 50;
+    const workerShareBps = open ? Math.round(sharePct * 100) : dispute.workerShareBps;
+    // a milestone task's paid milestones are not part of the dispute
+    const split = disputeSplit(task.rewardWei - task.releasedWei, workerShareBps, task.tokenDecimals);
+
+    return (
+      <>
+        <div className="task-meta">
+          <span>Opened: {formatDateTime(dispute.openedAt)}</span>
+          {open && !dispute.responded && <span>Worker can respond until: {formatDateTime(dispute.responseDeadline)}</span>}
+          <span>Arbiter: {arbiter ? renderAddress(arbiter) : "-"}</span>
+        </div>
+
+        <div className="dispute-evidence">
+          <h5>Creator's evidence</h5>
+          {dispute.creatorEvidenceCID ? (
+            renderManifest(creatorEvidence, dispute.creatorEvidenceCID, "evidence")
+          ) : (
+            <div className="comments-empty">None: opened by cancelling the task while it was in progress</div>
+          )}
+        </div>
+
+        <div className="dispute-evidence">
+          <h5>Worker's response</h5>
+          {dispute.responded ? (
+            renderManifest(workerEvidence, dispute.workerEvidenceCID, "evidence")
+          ) : (
+            <div className="comments-empty">No response yet</div>
+          )}
+        </div>
+
+        {open && isWorker && !dispute.responded && (
+          <button
+            onClick={() => openDisputeDialog(task, "worker")}
+            {...actionProps("respondDispute", task, { dispute })}
+            className="btn-primary"
+          >
+            📝 Respond with Counter-Evidence
+          </button>
+        )}
+
+        {open && isArbiter && (
+          <div className="dispute-resolve">
+            <label htmlFor="dispute-share">Worker's share of the reward: {sharePct}%</label>
+            <input
+              id="dispute-share"
+              type="range"
+              min={0}
+              max={100}
+              step={1}
+              value={sharePct}
+              onChange={(e) => setDisputeShares((prev) => ({ ...prev, [task.id]: Number(e.target.value) }))}
+            />
+            <div className="label">
+              Worker receives {split.workerPayment} {task.tokenSymbol} (after the platform fee), creator is refunded{" "}
+              {split.creatorRefund} {task.tokenSymbol}
+            </div>
+            <button
+              onClick={() => handleResolveDispute(task.id, workerShareBps)}
+              {...actionProps("resolveDispute", task, { dispute, arbiter, workerShareBps })}
+              className="btn-success"
+            >
+              ⚖️ Resolve Dispute
+            </button>
+          </div>
+        )}
+
+        {task.status === STATUS.Resolved && (
+          <div className="completion-message">
+            ⚖️ Resolved {formatDateTime(dispute.resolvedAt)}: {dispute.workerShareBps / 100}% to the worker ({split.workerPayment}{" "}
+            {task.tokenSymbol}), {split.creatorRefund} {task.tokenSymbol} refunded to the creator
+          </div>
+        )}
+      </>
+    );
+  };
+
   const clearMessagesSoon = () => {
     setTimeout(() => {
       setError("");
@@ -136,6 +698,8 @@ export default function App() {
       task?.creator,
       task?.worker,
       task?.statusText,
+      task?.categoryText,
+      ...(task?.tags ?? []),
     ]
       .map((x) => normalize(x))
       .join(" ");
@@ -143,6 +707,13 @@ export default function App() {
     return hay.includes(query);
   };
 
+  // Marketplace filters go to the URL (tag chips on other views open the marketplace filtered by the tag).
+  // Every change is a history entry, except further keystrokes in the search box.
+  const setFilters = (changes, { replace = false } = {}) => {
+    const current = currentView === "marketplace" ? searchParams : new URLSearchParams();
+    navigate({ pathname: PATHS.marketplace, search: filtersSearch(current, changes) }, { replace });
+  };
+
   const applyFiltersAndSort = (tasks) => {
     const q = searchQuery;
 
@@ -150,7 +721,9 @@ export default function App() {
       const okSearch = matchesSearch(t, q);
       const key = statusKeyFromTask(t);
       const okStatus = statusFilter === "all" ? true : key === statusFilter;
-      return okSearch && okStatus;
+      const okCategory = categoryFilter === "all" ? true : t.category === Number(categoryFilter);
+      const okTag = tagFilter ? (t.tags ?? []).includes(tagFilter) : true;
+      return okSearch && okStatus && okCategory && okTag;
     });
 
     const toNum = (v) => {
@@ -172,26 +745,47 @@ export default function App() {
   const filteredOpen = useMemo(
     () => applyFiltersAndSort(openTasks),
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    [openTasks, searchQuery, statusFilter, sortBy]
+    [openTasks, searchQuery, statusFilter, sortBy, categoryFilter, tagFilter]
+  );
+
+  // every tag used by an open task, for the tag filter
+  const availableTags = useMemo(
+    () => Array.from(new Set(openTasks.flatMap((t) => t.tags ?? []))).sort(),
+    [openTasks]
   );
 
-  const handleDisconnect = () => {
-    utils?.removeAllListeners?.();
+  const handleDisconnect = async () => {
+    // reads keep working without the wallet
+    utils?.disconnectWallet?.();
+    forgetWallet();
+    setEthereumProvider(null);
+    setWallet(null);
     setAccount("");
     setBalance("0");
     setWithdrawable("0");
-    setNetworkInfo(null);
-    setOpenTasks([]);
+    setTokenBalances([]);
     setMyCreatedTasks([]);
     setMyWorkerTasks([]);
-    setCurrentView("marketplace");
     setSuccess("Wallet disconnected in UI. Reconnect to continue.");
     clearMessagesSoon();
+
+    const net = await utils?.getNetworkInfo?.();
+    setNetworkInfo(net?.success ? net : null);
   };
 
-  // MetaMask account changes
+  // ✅ silently reconnect the remembered wallet once it has been announced (eth_accounts, no prompt)
+  useEffect(() => {
+    if (!utils || !readChainId || account || wallet) return;
+
+    const remembered = wallets.find((w) => w.id === getRememberedWalletId());
+    if (remembered) connectWallet(remembered, { silent: true });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [utils, readChainId, wallets]);
+
+  // Wallet account changes
   useEffect(() => {
-    if (!window.ethereum) return;
+    const eth = wallet?.provider;
+    if (!eth?.on) return;
 
     const onAccountsChanged = async (accounts) => {
       if (!accounts || accounts.length === 0) {
@@ -217,14 +811,31 @@ export default function App() {
       }
     };
 
-    window.ethereum.on("accountsChanged", onAccountsChanged);
-    return () => window.ethereum.removeListener("accountsChanged", onAccountsChanged);
+    eth.on("accountsChanged", onAccountsChanged);
+    return () => eth.removeListener("accountsChanged", onAccountsChanged);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [account, utils, wallet]);
+
+  // Wallet network changes: reconnect against the new chain's deployment
+  useEffect(() => {
+    const eth = wallet?.provider;
+    if (!eth?.on || !account) return;
+
+    // task ids and addresses in the URL belong to the old chain's deployment
+    const onChainChanged = () => {
+      setSelectedTask(null);
+      navigate(PATHS.marketplace);
+      connectWallet();
+    };
+
+    eth.on("chainChanged", onChainChanged);
+    return () => eth.removeListener("chainChanged", onChainChanged);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [account, utils]);
+  }, [account, utils, wallet]);
 
-  // event listeners
+  // event listeners (read side, so they also run without a wallet)
   useEffect(() => {
-    if (!utils || !isConnected) return;
+    if (!utils || !readChainId) return;
 
     utils.removeAllListeners();
 
@@ -264,52 +875,265 @@ export default function App() {
       }, 1200);
     });
 
-    // optional: comments event
+    utils.onTaskExpired?.(() => {
+      setSuccess("Task expired. Reward refunded to the creator's withdrawable balance.");
+      clearMessagesSoon();
+      setTimeout(async () => {
+        await loadTasks(account);
+        await loadBalances(account);
+      }, 1200);
+    });
+
+    utils.onWorkAutoApproved?.(() => {
+      setSuccess("Work auto-approved after the review period.");
+      clearMessagesSoon();
+      setTimeout(async () => {
+        await loadTasks(account);
+        await loadBalances(account);
+      }, 1200);
+    });
+
+    utils.onMilestoneApproved?.((taskId, milestone) => {
+      setSuccess(`Milestone ${Number(milestone) + 1} of Task #${taskId} approved. Its payment is withdrawable.`);
+      clearMessagesSoon();
+      setTimeout(async () => {
+        await loadTasks(account);
+        await loadBalances(account);
+        await refreshTaskDetail(Number(taskId));
+      }, 1200);
+    });
+
+    utils.onRevisionRequested?.((taskId, _creator, round) => {
+      setSuccess(`Changes requested on Task #${taskId} (revision ${round}). The task is back in progress.`);
+      clearMessagesSoon();
+      setTimeout(async () => {
+        await loadTasks(account);
+        await refreshTaskDetail(Number(taskId));
+        await loadRevisions(Number(taskId));
+      }, 1200);
+    });
+
+    utils.onDisputeOpened?.((taskId) => {
+      setSuccess(`Task #${taskId} is in dispute. The worker can respond with counter-evidence.`);
+      clearMessagesSoon();
+      setTimeout(async () => {
+        await loadTasks(account);
+        await refreshTaskDetail(Number(taskId));
+        await loadDispute(Number(taskId));
+      }, 1200);
+    });
+
+    utils.onDisputeResponded?.((taskId) => {
+      setSuccess(`The worker responded to the dispute on Task #${taskId}.`);
+      clearMessagesSoon();
+      setTimeout(() => loadDispute(Number(taskId)), 1200);
+    });
+
+    utils.onDisputeResolved?.((taskId) => {
+      setSuccess(`The dispute on Task #${taskId} was resolved. Payouts are withdrawable.`);
+      clearMessagesSoon();
+      setTimeout(async () => {
+        await loadTasks(account);
+        await loadBalances(account);
+        await refreshTaskDetail(Number(taskId));
+        await loadDispute(Number(taskId));
+      }, 1200);
+    });
+
+    // ✅ live comment thread updates
     utils.onTaskComment?.((c) => {
-      // expecting: { taskId, author, message, timestamp }
+      // { id, taskId, author, message, timestamp, cid }
       setComments((prev) => ({
         ...prev,
-        [c.taskId]: [...(prev[c.taskId] || []), c],
+        [c.taskId]: mergeComments(prev[c.taskId], [c]),
       }));
     });
 
     return () => utils.removeAllListeners?.();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [utils, isConnected, account]);
+  }, [utils, readChainId, account]);
+
+  // ✅ pending transactions: reload the queue for this chain and re-attach to receipts (e.g. after a reload)
+  useEffect(() => {
+    if (!utils || !readChainId) return;
+
+    setTransactions(utils.getTransactions());
+    const unsubscribe = utils.onTransactionsChanged(setTransactions);
+    utils.refreshTransactions();
+    return unsubscribe;
+  }, [utils, readChainId]);
+
+  // ✅ dispute arbiter of this deployment (their account gets the resolve controls)
+  useEffect(() => {
+    if (!utils || !readChainId) return;
+
+    utils.getArbiter().then((res) => setArbiter(res.success ? res.arbiter : null));
+  }, [utils, readChainId]);
+
+  // ✅ unknown URLs go to the marketplace
+  useEffect(() => {
+    if (currentView === null) navigate(PATHS.marketplace, { replace: true });
+  }, [currentView, navigate]);
+
+  // ✅ /tasks/:id: load the task (again after switching chain or account)
+  useEffect(() => {
+    if (!utils || !readChainId || routeTaskId === null) return;
+
+    loadTaskDetail(routeTaskId);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [utils, readChainId, account, routeTaskId]);
+
+  // ✅ /address/:addr: the tasks this address created and worked on
+  useEffect(() => {
+    if (!utils || !readChainId || !route?.address) return;
+
+    loadAddressTasks(route.address);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [utils, readChainId, route?.address]);
+
+  // ✅ /maintenance: scan when the page is opened
+  useEffect(() => {
+    if (!utils || !readChainId || currentView !== "maintenance") return;
+
+    scanMaintenance();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [utils, readChainId, currentView]);
+
+  // ✅ revision requests allowed per task on this deployment
+  useEffect(() => {
+    if (!utils || !readChainId) return;
+
+    utils.getMaxRevisions().then((res) => setMaxRevisions(res.success ? res.maxRevisions : null));
+  }, [utils, readChainId]);
+
+  // ✅ reward tokens of this deployment (create form selector, per-token withdrawals)
+  useEffect(() => {
+    if (!utils || !readChainId) return;
+
+    utils.getTokens().then((res) => setRewardTokens(res.success ? res.tokens : []));
+    setNewTask((prev) => ({ ...prev, token: ZERO_ADDR }));
+  }, [utils, readChainId]);
+
+  const pendingTxCount = transactions.filter((t) => t.status === "pending").length;
+
+  // ✅ poll while something is pending: catches confirmations, replacements and drops
+  useEffect(() => {
+    if (!utils || pendingTxCount === 0) return;
+
+    const timer = setInterval(async () => {
+      const res = await utils.refreshTransactions();
+      if (res.success && res.changed.some((t) => t.status === "confirmed")) {
+        await loadTasks(account);
+        await loadBalances(account);
+      }
+    }, TX_POLL_MS);
+    return () => clearInterval(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [utils, pendingTxCount, account]);
 
   // core loaders
   const loadBalances = async (addr = account) => {
-    if (!utils || !addr) return;
-
-    const bal = await utils.getBalance(addr);
+    const who = addr || utils?.account;
+    if (!utils || !who) return;
+
+    // issued together so they share one multicall batch
+    const [bal, w, tokens] = await Promise.all([
+      utils.getBalance(who),
+      utils.getContractBalance(who),
+      utils.getTokenBalances(who),
+    ]);
     if (bal.success) setBalance(bal.balance);
-
-    const w = await utils.getContractBalance(addr);
     if (w.success) setWithdrawable(w.balance);
+    if (tokens.success) setTokenBalances(tokens.balances.filter((b) => b.balanceWei > 0n));
+  };
+
+  const loadRatings = async (addresses) => {
+    if (!utils?.getRating) return;
+
+    const unique = Array.from(
+      new Set((addresses ?? []).filter((a) => a && a !== ZERO_ADDR).map((a) => a.toLowerCase()))
+    );
+    const pairs = await Promise.all(
+      unique.map(async (a) => {
+        const res = await utils.getRating(a);
+        return [a, res.success ? { avgStars: res.avgStars, count: res.count } : null];
+      })
+    );
+
+    setRatings((prev) => {
+      const next = { ...prev };
+      for (const [a, r] of pairs) {
+        if (r) next[a] = r;
+      }
+      return next;
+    });
+  };
+
+  const loadRatingStatuses = async (tasks) => {
+    if (!utils?.getRatingStatus) return;
+
+    const completed = (tasks ?? []).filter((t) => t.status === STATUS.Completed);
+    const pairs = await Promise.all(
+      completed.map(async (t) => {
+        const res = await utils.getRatingStatus(t.id);
+        return [t.id, res.success ? res : null];
+      })
+    );
+
+    setRatingStatus((prev) => {
+      const next = { ...prev };
+      for (const [id, st] of pairs) {
+        if (st) next[id] = { workerRated: st.workerRated, creatorRated: st.creatorRated };
+      }
+      return next;
+    });
   };
 
   const loadTasks = async (addr = account) => {
-    if (!utils || !addr) return;
+    if (!utils) return;
 
-    const openRes = await utils.getAllOpenTasks();
+    // handlers that connected the wallet mid-flight still hold the old (empty) account
+    const who = addr || utils.account || "";
+    const none = { success: true, tasks: [] };
+
+    // all three are served from the same event index (one sync)
+    const [openRes, createdRes, workerRes, appliedRes, blockRes] = await Promise.all([
+      utils.getAllOpenTasks(),
+      who ? utils.getTasksByCreator(who) : none,
+      who ? utils.getTasksByWorker(who) : none,
+      who ? utils.getAppliedTaskIds(who) : { success: true, taskIds: [] },
+      utils.getLatestBlockTime(),
+    ]);
     if (openRes.success) setOpenTasks(openRes.tasks);
+    if (appliedRes.success) setAppliedTaskIds(appliedRes.taskIds);
+    if (blockRes.success) setBlockTime(blockRes.timestamp);
 
-    const createdRes = await utils.getTasksByCreator(addr);
     if (createdRes.success) {
       const filtered = createdRes.tasks.filter(
-        (t) => t.creator?.toLowerCase?.() === addr.toLowerCase()
+        (t) => t.creator?.toLowerCase?.() === who.toLowerCase()
       );
       setMyCreatedTasks(filtered);
     }
 
-    const workerRes = await utils.getTasksByWorker(addr);
     if (workerRes.success) {
       const filtered = workerRes.tasks.filter(
-        (t) => t.worker?.toLowerCase?.() === addr.toLowerCase()
+        (t) => t.worker?.toLowerCase?.() === who.toLowerCase()
       );
       setMyWorkerTasks(filtered);
     }
 
+    // ✅ reputation for every creator/worker shown + pending rating prompts
+    const loaded = [
+      ...(openRes.success ? openRes.tasks : []),
+      ...(createdRes.success ? createdRes.tasks : []),
+      ...(workerRes.success ? workerRes.tasks : []),
+    ];
+    await loadRatings(loaded.flatMap((t) => [t.creator, t.worker]));
+    await loadRatingStatuses([
+      ...(createdRes.success ? createdRes.tasks : []),
+      ...(workerRes.success ? workerRes.tasks : []),
+    ]);
+
     // ✅ load comments from chain (so they persist after refresh)
     if (utils.getCommentsForTask) {
       try {
@@ -330,7 +1154,7 @@ export default function App() {
         setComments((prev) => {
           const next = { ...prev };
           for (const [id, list] of pairs) {
-            if (Array.isArray(list)) next[id] = list;
+            if (Array.isArray(list)) next[id] = mergeComments(next[id], list);
           }
           return next;
         });
@@ -340,58 +1164,129 @@ export default function App() {
     }
   };
 
-  const connectWallet = async () => {
-    if (!utils) return;
+  // ✅ wallet picker: resolves with the chosen wallet, or null if closed
+  const pickWallet = () => new Promise((resolve) => setWalletPicker({ show: true, resolve }));
 
-    setLoading(true);
-    setError("");
-    setSuccess("");
+  const closeWalletPicker = (choice = null) => {
+    walletPicker.resolve?.(choice);
+    setWalletPicker({ show: false, resolve: null });
+  };
 
-    if (!window.ethereum) {
-      setError("MetaMask is not installed. Install it from https://metamask.io/");
-      setLoading(false);
-      return;
+  // returns the utils.connectWallet() result (null if it could not run)
+  // silent: reconnect a remembered wallet through eth_accounts without prompting
+  const connectWallet = async (selected = wallet, { silent = false } = {}) => {
+    if (!utils) return null;
+
+    if (!selected) {
+      selected = wallets.length === 1 ? wallets[0] : await pickWallet();
+      if (!selected) return null;
+    }
+
+    setLoading(true);
+    if (!silent) {
+      setError("");
+      setSuccess("");
     }
+    setWallet(selected);
 
-    const res = await utils.connectWallet();
+    const res = await utils.connectWallet({ provider: selected.provider, silent });
     if (!res.success) {
-      setError(`Connection failed: ${res.error}`);
+      setWallet(null);
+      if (silent) {
+        // the site is no longer authorized: stop trying on every load
+        forgetWallet();
+      } else {
+        setError(`Connection failed: ${res.error}`);
+      }
       setLoading(false);
-      return;
+      return res;
     }
+    rememberWallet(selected.id);
+    // the Counter helpers sign with the same wallet
+    setEthereumProvider(selected.provider);
 
     const net = await utils.getNetworkInfo();
-    if (net.success) {
-      setNetworkInfo(net);
-      if (net.chainId !== SEPOLIA_CHAIN_ID) {
-        setError(
-          `Wrong network (Chain ID ${net.chainId}). Switch MetaMask to Sepolia (11155111) and reconnect.`
-        );
-        setAccount(res.address);
-        setBalance(res.balance);
-        setLoading(false);
-        return;
-      }
-    }
+    if (net.success) setNetworkInfo(net);
 
     setAccount(res.address);
     setBalance(res.balance);
 
+    if (!res.supported) {
+      // the wrong-network banner offers to switch; browsing stays on the read chain
+      setMyCreatedTasks([]);
+      setMyWorkerTasks([]);
+      setLoading(false);
+      return res;
+    }
+
+    setReadChainId(res.chainId);
     await loadBalances(res.address);
     await loadTasks(res.address);
 
-    setSuccess("Wallet connected to Sepolia ✅");
-    clearMessagesSoon();
+    if (!silent) {
+      setSuccess(`${selected.name} connected to ${getChainName(res.chainId)} ✅`);
+      clearMessagesSoon();
+    }
     setLoading(false);
+    return res;
   };
 
-  // actions
-  const handleCreateTask = async (e) => {
-    e.preventDefault();
-    if (!utils) return;
+  // ✅ the wallet is only requested when an action needs a signature
+  const ensureWallet = async () => {
+    if (utils?.isConnected?.()) return true;
+    const res = await connectWallet();
+    if (res?.success && !res.supported) {
+      setError(`Switch your wallet to ${SUPPORTED_CHAINS.map((c) => c.name).join(" or ")} to continue.`);
+    }
+    return Boolean(res?.supported);
+  };
 
-    // ✅ First, estimate gas and show modal
-    setEstimatingGas(true);
+  // ✅ pre-flight: why an action would revert right now, from the loaded task state (empty = allowed)
+  const blockingReasons = (action, task, extra = {}) =>
+    utils?.checkPreconditions?.(action, task, {
+      account: account || undefined,
+      now: blockTime ?? undefined,
+      applied: account ? appliedTaskIds.includes(task?.id) : undefined,
+      ratingStatus: ratingStatus[task?.id],
+      ...extra,
+    }) ?? [];
+
+  // disabled/title props for an action button: blocked while busy, on the wrong network, or by pre-flight
+  const actionProps = (action, task, extra) => {
+    const reasons = blockingReasons(action, task, extra);
+    return { disabled: loading || wrongNetwork || reasons.length > 0, title: reasonsTitle(reasons) };
+  };
+
+  // ✅ pre-flight against fresh chain state before estimating gas; shows the reasons and returns false if blocked
+  const passesPreflight = async (action, taskId, label, params = {}) => {
+    const res = await utils.preflight(action, taskId, params);
+    // if the check itself fails, let the gas estimate decide
+    if (!res.success || res.ok) return true;
+
+    setError(preflightError(res.reasons, label));
+    clearMessagesSoon();
+    return false;
+  };
+
+  // ✅ wallet_switchEthereumChain (adds the network first if the wallet doesn't know it)
+  const handleSwitchNetwork = async (chainId) => {
+    setError("");
+    try {
+      await switchNetwork(wallet?.provider, chainId);
+      // chainChanged reconnects and reloads
+    } catch (e) {
+      setError(`Could not switch to ${getChainName(chainId)}: ${e?.message || String(e)}`);
+      clearMessagesSoon();
+    }
+  };
+
+  // actions
+  const handleCreateTask = async (e) => {
+    e.preventDefault();
+    if (!utils || !(await ensureWallet())) return;
+
+    // ✅ First, estimate gas and show modal
+    setEstimatingGas(true);
     setGasModal({
       show: true,
       action: "Create Task",
@@ -401,6 +1296,28 @@ export default function App() {
 
     try {
       const deadlineTimestamp = Math.floor(new Date(newTask.deadline).getTime() / 1000);
+      const taskOptions = {
+        category: Number(newTask.category),
+        tags: canonicalizeTags(newTask.tags),
+        applyDeadlineTs: newTask.applyDeadline
+          ? Math.floor(new Date(newTask.applyDeadline).getTime() / 1000)
+          : undefined,
+        token: newTask.token,
+      };
+
+      // A token reward is pulled with transferFrom: use the allowance, or sign a permit, or approve first
+      const prepared = await utils.prepareTokenReward(newTask.token, newTask.reward);
+      if (!prepared.success) {
+        setError(toErrorState(prepared, "Can't escrow the reward"));
+        setEstimatingGas(false);
+        setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+        return;
+      }
+      if (prepared.needsApproval) {
+        await requestTokenApproval(prepared.token, newTask.reward);
+        return;
+      }
+      taskOptions.permit = prepared.permit;
 
       // Upload attachments first if needed (for accurate gas estimation)
       let attachmentCIDs = [];
@@ -408,13 +1325,15 @@ export default function App() {
         setUploadingFiles(true);
         try {
           const { uploadFiles } = await import("./utils/ipfsUtils");
-          const cid = await uploadFiles(attachments);
-          attachmentCIDs = attachments.map((file, i) => ({
-            name: file.name,
-            size: file.size,
-            type: file.type,
-            cid: attachments.length === 1 ? cid : `${cid}/${file.name}`,
-          }));
+          // one upload per file so each attachment has its own CID
+          attachmentCIDs = await Promise.all(
+            attachments.map(async (file) => ({
+              name: file.name,
+              size: file.size,
+              type: file.type,
+              cid: await uploadFiles(file),
+            }))
+          );
         } catch (uploadErr) {
           setError(`File upload failed: ${uploadErr.message}`);
           setUploadingFiles(false);
@@ -431,13 +1350,14 @@ export default function App() {
         newTask.description,
         deadlineTimestamp,
         newTask.reward,
-        { attachments: attachmentCIDs }
+        { ...taskMetadataFields(newTask), attachments: attachmentCIDs },
+        taskOptions
       );
 
       setEstimatingGas(false);
 
       if (!gasEstimate.success) {
-        setError(`Gas estimation failed: ${gasEstimate.error}`);
+        setError(toErrorState(gasEstimate, "Gas estimation failed"));
         setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
         return;
       }
@@ -447,7 +1367,7 @@ export default function App() {
         show: true,
         action: "Create Task",
         gasEstimate: gasEstimate,
-        onConfirm: async () => {
+        onConfirm: async (overrides) => {
           setLoading(true);
           setError("");
           setSuccess("");
@@ -459,11 +1379,13 @@ export default function App() {
               gasEstimate.metadataCID, // Use pre-uploaded metadata CID
               deadlineTimestamp,
               newTask.reward,
-              { attachments: attachmentCIDs }
+              { ...taskMetadataFields(newTask), attachments: attachmentCIDs },
+              taskOptions,
+              overrides
             );
 
             if (!res.success) {
-              setError(res.error);
+              setError(toErrorState(res));
               setLoading(false);
               return;
             }
@@ -474,26 +1396,77 @@ export default function App() {
             setSuccess(msg + ipfsInfo + filesInfo);
             clearMessagesSoon();
 
-            setNewTask({ title: "", description: "", reward: "", deadline: "" });
+            setNewTask({
+              title: "",
+              description: "",
+              reward: "",
+              deadline: "",
+              applyDeadline: "",
+              category: "0",
+              tags: "",
+              skills: "",
+              acceptanceCriteria: "",
+              contactMethod: "email",
+              contactValue: "",
+              milestones: [],
+              token: ZERO_ADDR,
+            });
             setAttachments([]);
-            setCurrentView("marketplace");
+            navigate(PATHS.marketplace);
 
             await loadTasks(account);
             await loadBalances(account);
           } catch (err) {
-            setError(err?.message || String(err));
+            setError(decodeContractError(err));
           }
 
           setLoading(false);
         },
       });
     } catch (err) {
-      setError(err?.message || String(err));
+      setError(decodeContractError(err));
       setEstimatingGas(false);
       setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
     }
   };
 
+  // ✅ approve() the marketplace for a token reward (tokens without EIP-2612 permit); creating the task is a
+  // second step, from the same form
+  const requestTokenApproval = async (token, amount) => {
+    const action = `Approve ${amount} ${token.symbol} for the task reward`;
+    setGasModal({ show: true, action, gasEstimate: null, onConfirm: null });
+
+    const gasEstimate = await utils.estimateGasForApproveToken(token.address, amount);
+    setEstimatingGas(false);
+
+    if (!gasEstimate.success) {
+      setError(toErrorState(gasEstimate, "Gas estimation failed"));
+      setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+      return;
+    }
+
+    setGasModal({
+      show: true,
+      action,
+      gasEstimate,
+      onConfirm: async (overrides) => {
+        setLoading(true);
+        setError("");
+        setSuccess("");
+
+        const res = await utils.approveToken(token.address, amount, overrides);
+        if (res.success) {
+          setSuccess(`${token.symbol} approved. Click Create Task again to escrow the reward and publish the task.`);
+          clearMessagesSoon();
+        } else {
+          setError(toErrorState(res));
+        }
+
+        setLoading(false);
+      },
+    });
+  };
+
   // ✅ Handle file selection
   const handleFileSelect = (e) => {
     const files = Array.from(e.target.files || []);
@@ -517,6 +1490,28 @@ export default function App() {
     setAttachments(prev => prev.filter((_, i) => i !== index));
   };
 
+  // ✅ Milestones of the create form (the contract wants 2 or more, so the first click adds two)
+  const addMilestone = () => {
+    setNewTask(prev => ({
+      ...prev,
+      milestones: [
+        ...prev.milestones,
+        ...Array(prev.milestones.length === 0 ? 2 : 1).fill(null).map(() => ({ description: "", amount: "" })),
+      ],
+    }));
+  };
+
+  const updateMilestone = (index, field, value) => {
+    setNewTask(prev => ({
+      ...prev,
+      milestones: prev.milestones.map((m, i) => (i === index ? { ...m, [field]: value } : m)),
+    }));
+  };
+
+  const removeMilestone = (index) => {
+    setNewTask(prev => ({ ...prev, milestones: prev.milestones.filter((_, i) => i !== index) }));
+  };
+
   // ✅ Format file size for display
   const formatFileSize = (bytes) => {
     if (bytes < 1024) return bytes + ' B';
@@ -525,7 +1520,8 @@ export default function App() {
   };
 
   const handleTakeTask = async (taskId) => {
-    if (!utils) return;
+    if (!utils || !(await ensureWallet())) return;
+    if (!(await passesPreflight("apply", taskId, `Can't take Task #${taskId}`))) return;
 
     // ✅ Estimate gas first
     setEstimatingGas(true);
@@ -541,7 +1537,7 @@ export default function App() {
       setEstimatingGas(false);
 
       if (!gasEstimate.success) {
-        setError(`Gas estimation failed: ${gasEstimate.error}`);
+        setError(toErrorState(gasEstimate, "Gas estimation failed"));
         setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
         return;
       }
@@ -551,48 +1547,64 @@ export default function App() {
         show: true,
         action: `Take Task #${taskId}`,
         gasEstimate: gasEstimate,
-        onConfirm: async () => {
+        onConfirm: async (overrides) => {
           setLoading(true);
           setError("");
           setSuccess("");
 
-          const res = await utils.takeTask(taskId);
+          const res = await utils.takeTask(taskId, overrides);
           if (res.success) {
             setSuccess(`Task #${taskId} taken!`);
             clearMessagesSoon();
             await loadTasks(account);
           } else {
-            setError(res.error);
+            setError(toErrorState(res));
           }
 
           setLoading(false);
         },
       });
     } catch (err) {
-      setError(err?.message || String(err));
+      setError(decodeContractError(err));
       setEstimatingGas(false);
       setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
     }
   };
 
-  const handleSubmitWork = async (taskId) => {
-    if (!utils) return;
+  // ✅ Load applicants (with rating + completed count) for a task the user created
+  const loadApplicants = async (taskId) => {
+    if (!utils?.getApplicantDetails) return;
+
+    setLoadingApplicants(true);
+    const res = await utils.getApplicantDetails(taskId);
+    if (res.success) {
+      setApplicants((prev) => ({ ...prev, [taskId]: res.applicants }));
+    } else {
+      setError(`Failed to load applicants: ${res.error}`);
+      clearMessagesSoon();
+    }
+    setLoadingApplicants(false);
+  };
+
+  const handleAcceptWorker = async (taskId, workerAddress) => {
+    if (!utils || !(await ensureWallet())) return;
+    if (!(await passesPreflight("accept", taskId, `Can't accept this worker`, { worker: workerAddress }))) return;
 
     // ✅ Estimate gas first
     setEstimatingGas(true);
     setGasModal({
       show: true,
-      action: `Submit Work for Task #${taskId}`,
+      action: `Accept ${formatAddress(workerAddress)} for Task #${taskId}`,
       gasEstimate: null,
       onConfirm: null,
     });
 
     try {
-      const gasEstimate = await utils.estimateGasForSubmitWork(taskId, "");
+      const gasEstimate = await utils.estimateGasForAcceptWorker(taskId, workerAddress);
       setEstimatingGas(false);
 
       if (!gasEstimate.success) {
-        setError(`Gas estimation failed: ${gasEstimate.error}`);
+        setError(toErrorState(gasEstimate, "Gas estimation failed"));
         setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
         return;
       }
@@ -600,102 +1612,210 @@ export default function App() {
       // Show gas modal with confirmation callback
       setGasModal({
         show: true,
-        action: `Submit Work for Task #${taskId}`,
+        action: `Accept ${formatAddress(workerAddress)} for Task #${taskId}`,
         gasEstimate: gasEstimate,
-        onConfirm: async () => {
+        onConfirm: async (overrides) => {
           setLoading(true);
           setError("");
           setSuccess("");
 
-          const res = await utils.submitWork(taskId);
+          const res = await utils.acceptWorker(taskId, workerAddress, overrides);
           if (res.success) {
-            setSuccess(`Work submitted for Task #${taskId}. Waiting approval...`);
+            setSuccess(`Worker ${formatAddress(workerAddress)} accepted for Task #${taskId}.`);
             clearMessagesSoon();
             await loadTasks(account);
+
+            const updated = await utils.getTask(taskId);
+            if (updated.success) setSelectedTask(updated.task);
           } else {
-            setError(res.error);
+            setError(toErrorState(res));
           }
 
           setLoading(false);
         },
       });
     } catch (err) {
-      setError(err?.message || String(err));
+      setError(decodeContractError(err));
       setEstimatingGas(false);
       setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
     }
   };
 
-  const handleApproveWork = async (taskId) => {
-    if (!utils) return;
+  // ✅ Rate the other side of a completed task (creator -> worker, worker -> creator)
+  const handleRate = async (task, stars) => {
+    if (!utils || !(await ensureWallet())) return;
+    const rateAction = task.creator?.toLowerCase() === utils.account?.toLowerCase() ? "rateWorker" : "rateCreator";
+    if (!(await passesPreflight(rateAction, task.id, `Can't rate Task #${task.id}`, { stars }))) return;
+
+    const ratingWorker = task.creator?.toLowerCase() === account.toLowerCase();
+    const action = `Rate ${ratingWorker ? "Worker" : "Creator"} ${stars}★ for Task #${task.id}`;
 
-    // ✅ Estimate gas first
     setEstimatingGas(true);
     setGasModal({
       show: true,
-      action: `Approve Work for Task #${taskId}`,
+      action,
       gasEstimate: null,
       onConfirm: null,
     });
 
     try {
-      const gasEstimate = await utils.estimateGasForApproveWork(taskId);
+      const gasEstimate = ratingWorker
+        ? await utils.estimateGasForRateWorker(task.id, stars)
+        : await utils.estimateGasForRateCreator(task.id, stars);
       setEstimatingGas(false);
 
       if (!gasEstimate.success) {
-        setError(`Gas estimation failed: ${gasEstimate.error}`);
+        setError(toErrorState(gasEstimate, "Gas estimation failed"));
         setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
         return;
       }
 
-      // Show gas modal with confirmation callback
       setGasModal({
         show: true,
-        action: `Approve Work for Task #${taskId}`,
+        action,
         gasEstimate: gasEstimate,
-        onConfirm: async () => {
+        onConfirm: async (overrides) => {
           setLoading(true);
           setError("");
           setSuccess("");
 
-          const res = await utils.approveWork(taskId);
+          const res = ratingWorker
+            ? await utils.rateWorker(task.id, stars, overrides)
+            : await utils.rateCreator(task.id, stars, overrides);
           if (res.success) {
-            setSuccess(`Approved Task #${taskId}. Worker can withdraw reward now.`);
+            setSuccess(`Thanks! You rated the ${ratingWorker ? "worker" : "creator"} ${stars}★.`);
             clearMessagesSoon();
-            await loadTasks(account);
-            await loadBalances(account);
+            setRatingStatus((prev) => ({
+              ...prev,
+              [task.id]: {
+                ...prev[task.id],
+                [ratingWorker ? "workerRated" : "creatorRated"]: true,
+              },
+            }));
+            await loadRatings([task.creator, task.worker]);
           } else {
-            setError(res.error);
+            setError(toErrorState(res));
           }
 
           setLoading(false);
         },
       });
     } catch (err) {
-      setError(err?.message || String(err));
+      setError(decodeContractError(err));
       setEstimatingGas(false);
       setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
     }
   };
 
-  const handleCancelTask = async (taskId) => {
+  // Star prompt shown on Completed tasks for whichever side has not rated yet
+  const renderRatingPrompt = (task) => {
+    if (task?.status !== STATUS.Completed) return null;
+
+    const st = ratingStatus[task.id];
+    if (!st) return null;
+
+    const me = account.toLowerCase();
+    const isCreator = task.creator?.toLowerCase() === me;
+    const isWorker = task.worker?.toLowerCase() === me;
+    if (!isCreator && !isWorker) return null;
+
+    const alreadyRated = isCreator ? st.workerRated : st.creatorRated;
+    if (alreadyRated) {
+      return <div className="completion-message">⭐ You rated this task</div>;
+    }
+
+    const blocked = blockingReasons(isCreator ? "rateWorker" : "rateCreator", task);
+
+    return (
+      <div className="rating-prompt">
+        <span>Rate the {isCreator ? "worker" : "creator"}:</span>
+        <div className="rating-stars">
+          {[1, 2, 3, 4, 5].map((n) => (
+            <button
+              key={n}
+              type="button"
+              className="star-btn"
+              title={reasonsTitle(blocked) ?? `${n} star${n === 1 ? "" : "s"}`}
+              onClick={() => handleRate(task, n)}
+              disabled={loading || wrongNetwork || blocked.length > 0}
+            >
+              {"★".repeat(n)}
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  // Opens the submission dialog; the transaction is sent from handleConfirmSubmission
+  const handleSubmitWork = (taskId) => {
     if (!utils) return;
+    setSubmitDialog({ show: true, taskId, note: "", files: [] });
+  };
+
+  const closeSubmitDialog = () => {
+    setSubmitDialog({ show: false, taskId: null, note: "", files: [] });
+  };
+
+  const handleSubmissionFileSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length === 0) return;
+
+    // Same limit as task attachments (max 100MB per file)
+    const maxSize = 100 * 1024 * 1024;
+    const oversized = files.filter(f => f.size > maxSize);
+    if (oversized.length > 0) {
+      setError(`Files too large (max 100MB): ${oversized.map(f => f.name).join(', ')}`);
+      clearMessagesSoon();
+      return;
+    }
+
+    setSubmitDialog(prev => ({ ...prev, files: [...prev.files, ...files] }));
+  };
+
+  const handleConfirmSubmission = async (e) => {
+    e.preventDefault();
+    if (!utils || !(await ensureWallet())) return;
+
+    const { taskId, note, files } = submitDialog;
+    if (!note.trim() && files.length === 0) {
+      setError("Add a note or at least one deliverable file.");
+      clearMessagesSoon();
+      return;
+    }
+
+    // check before uploading anything
+    if (!(await passesPreflight("submit", taskId, `Can't submit work for Task #${taskId}`))) return;
+
+    // Upload deliverables + manifest first: the contract needs a non-empty submissionCID
+    let submissionCID;
+    setUploadingSubmission(true);
+    try {
+      const { uploadSubmission } = await import("./utils/ipfsUtils");
+      submissionCID = await uploadSubmission(taskId, note.trim(), files);
+    } catch (uploadErr) {
+      setError(`Deliverable upload failed: ${uploadErr.message}`);
+      setUploadingSubmission(false);
+      return;
+    }
+    setUploadingSubmission(false);
+    closeSubmitDialog();
 
     // ✅ Estimate gas first
     setEstimatingGas(true);
     setGasModal({
       show: true,
-      action: `Cancel Task #${taskId}`,
+      action: `Submit Work for Task #${taskId}`,
       gasEstimate: null,
       onConfirm: null,
     });
 
     try {
-      const gasEstimate = await utils.estimateGasForCancelTask(taskId);
+      const gasEstimate = await utils.estimateGasForSubmitWork(taskId, submissionCID);
       setEstimatingGas(false);
 
       if (!gasEstimate.success) {
-        setError(`Gas estimation failed: ${gasEstimate.error}`);
+        setError(toErrorState(gasEstimate, "Gas estimation failed"));
         setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
         return;
       }
@@ -703,187 +1823,826 @@ export default function App() {
       // Show gas modal with confirmation callback
       setGasModal({
         show: true,
-        action: `Cancel Task #${taskId}`,
+        action: `Submit Work for Task #${taskId}`,
         gasEstimate: gasEstimate,
-        onConfirm: async () => {
+        onConfirm: async (overrides) => {
           setLoading(true);
           setError("");
           setSuccess("");
 
-          const res = await utils.cancelTask(taskId);
+          const res = await utils.submitWork(taskId, submissionCID, overrides);
           if (res.success) {
-            setSuccess(`Task #${taskId} cancelled.`);
+            setSuccess(`Work submitted for Task #${taskId} (Submission: ${submissionCID}). Waiting approval...`);
             clearMessagesSoon();
             await loadTasks(account);
-            await loadBalances(account);
+
+            if (selectedTask?.id === taskId) {
+              const updated = await utils.getTask(taskId);
+              if (updated.success) setSelectedTask(updated.task);
+              await loadSubmission(updated.task ?? selectedTask);
+            }
           } else {
-            setError(res.error);
+            setError(toErrorState(res));
           }
 
           setLoading(false);
         },
       });
     } catch (err) {
-      setError(err?.message || String(err));
+      setError(decodeContractError(err));
       setEstimatingGas(false);
       setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
     }
   };
 
-  const handleWithdraw = async () => {
-    if (!utils) return;
+  // ✅ Resolve task.submissionCID into the manifest (note + downloadable files)
+  const loadSubmission = async (task) => {
+    if (!utils?.getSubmission || !task?.submissionCID) return;
+
+    const res = await utils.getSubmission(task.submissionCID);
+    if (res.success) {
+      setSubmissions((prev) => ({ ...prev, [task.id]: res.submission }));
+    } else {
+      console.warn(`Failed to load submission for task ${task.id}:`, res.error);
+    }
+  };
+
+  // ✅ Dispute record plus both parties' evidence manifests
+  const loadDispute = async (taskId) => {
+    if (!utils?.getDispute) return;
+
+    const res = await utils.getDispute(taskId);
+    if (!res.success) {
+      console.warn(`Failed to load dispute for task ${taskId}:`, res.error);
+      return;
+    }
+
+    const [creatorEvidence, workerEvidence] = await Promise.all(
+      [res.dispute.creatorEvidenceCID, res.dispute.workerEvidenceCID].map(async (cid) => {
+        if (!cid) return null;
+        const evidence = await utils.getSubmission(cid);
+        return evidence.success ? evidence.submission : null;
+      })
+    );
+    setDisputes((prev) => ({ ...prev, [taskId]: { dispute: res.dispute, creatorEvidence, workerEvidence } }));
+  };
+
+  // ✅ Revision history plus each request's note manifest
+  const loadRevisions = async (taskId) => {
+    if (!utils?.getRevisions) return;
+
+    const res = await utils.getRevisions(taskId);
+    if (!res.success) {
+      console.warn(`Failed to load revisions for task ${taskId}:`, res.error);
+      return;
+    }
+
+    const withNotes = await Promise.all(
+      res.revisions.map(async (revision) => {
+        const note = await utils.getSubmission(revision.noteCID);
+        return { ...revision, note: note.success ? note.submission : null };
+      })
+    );
+    setRevisions((prev) => ({ ...prev, [taskId]: withNotes }));
+  };
+
+  // Re-read the task shown in the detail view (no-op for other tasks)
+  const refreshTaskDetail = async (taskId) => {
+    const updated = await utils.getTask(taskId);
+    if (updated.success) setSelectedTask((prev) => (prev?.id === updated.task.id ? updated.task : prev));
+  };
+
+  const openRevisionDialog = (task) => {
+    setRevisionDialog({ show: true, taskId: task.id, note: "", files: [], days: 3 });
+  };
+
+  const closeRevisionDialog = () => {
+    setRevisionDialog({ show: false, taskId: null, note: "", files: [], days: 3 });
+  };
+
+  const handleRevisionFileSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length === 0) return;
+
+    // Same limit as task attachments (max 100MB per file)
+    const maxSize = 100 * 1024 * 1024;
+    const oversized = files.filter(f => f.size > maxSize);
+    if (oversized.length > 0) {
+      setError(`Files too large (max 100MB): ${oversized.map(f => f.name).join(', ')}`);
+      clearMessagesSoon();
+      return;
+    }
+
+    setRevisionDialog(prev => ({ ...prev, files: [...prev.files, ...files] }));
+  };
+
+  // Creator sends the submission back: upload the note, then requestRevision with the deadline extension
+  const handleConfirmRevision = async (e) => {
+    e.preventDefault();
+    if (!utils || !(await ensureWallet())) return;
+
+    const { taskId, note, files, days } = revisionDialog;
+    if (!note.trim()) {
+      setError("Describe the changes you need.");
+      clearMessagesSoon();
+      return;
+    }
+
+    const extension = Math.round(Number(days) * 24 * 60 * 60);
+    const label = `Request Changes for Task #${taskId}`;
+
+    // check before uploading anything
+    if (!(await passesPreflight("revision", taskId, `Can't request changes for Task #${taskId}`, { extension }))) return;
+
+    let noteCID;
+    setUploadingRevision(true);
+    try {
+      const { uploadRevisionNote } = await import("./utils/ipfsUtils");
+      noteCID = await uploadRevisionNote(taskId, note.trim(), files);
+    } catch (uploadErr) {
+      setError(`Revision note upload failed: ${uploadErr.message}`);
+      setUploadingRevision(false);
+      return;
+    }
+    setUploadingRevision(false);
+    closeRevisionDialog();
 
-    // ✅ Estimate gas first
     setEstimatingGas(true);
-    setGasModal({
-      show: true,
-      action: `Withdraw ${withdrawable} ETH`,
-      gasEstimate: null,
-      onConfirm: null,
-    });
+    setGasModal({ show: true, action: label, gasEstimate: null, onConfirm: null });
 
     try {
-      const gasEstimate = await utils.estimateGasForWithdraw();
+      const gasEstimate = await utils.estimateGasForRequestRevision(taskId, noteCID, extension);
       setEstimatingGas(false);
 
       if (!gasEstimate.success) {
-        setError(`Gas estimation failed: ${gasEstimate.error}`);
+        setError(toErrorState(gasEstimate, "Gas estimation failed"));
         setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
         return;
       }
 
-      // Show gas modal with confirmation callback
       setGasModal({
         show: true,
-        action: `Withdraw ${withdrawable} ETH`,
+        action: label,
         gasEstimate: gasEstimate,
-        onConfirm: async () => {
+        onConfirm: async (overrides) => {
           setLoading(true);
           setError("");
           setSuccess("");
 
-          const res = await utils.withdraw();
+          const res = await utils.requestRevision(taskId, noteCID, extension, overrides);
           if (res.success) {
-            setSuccess("Withdrawal successful!");
+            setSuccess(`Changes requested for Task #${taskId}. The worker has ${days} more day(s) to deliver.`);
             clearMessagesSoon();
-            await loadBalances(account);
+            await loadTasks(account);
+            await refreshTaskDetail(taskId);
+            await loadRevisions(taskId);
           } else {
-            setError(res.error);
+            setError(toErrorState(res));
           }
 
           setLoading(false);
         },
       });
     } catch (err) {
-      setError(err?.message || String(err));
+      setError(decodeContractError(err));
       setEstimatingGas(false);
       setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
     }
   };
 
-  // optional: add comment (only if utils.addComment exists)
-  const handleAddComment = async (taskId) => {
-    const msg = commentInput[taskId];
-    if (!msg || !utils?.addComment) return;
+  const openDisputeDialog = (task, party) => {
+    setDisputeDialog({ show: true, taskId: task.id, party, statement: "", files: [] });
+  };
 
-    try {
-      setLoading(true);
-      const res = await utils.addComment(taskId, msg);
-      if (!res?.success) throw new Error(res?.error || "Failed to add comment");
+  const closeDisputeDialog = () => {
+    setDisputeDialog({ show: false, taskId: null, party: null, statement: "", files: [] });
+  };
 
-      // Clear input immediately
-      setCommentInput((prev) => ({ ...prev, [taskId]: "" }));
+  const handleEvidenceFileSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length === 0) return;
 
-      // ✅ refresh comments for this task so UI updates even if the event doesn't fire
-      if (utils.getCommentsForTask) {
-        const c = await utils.getCommentsForTask(taskId);
-        if (c.success) {
-          setComments((prev) => ({ ...prev, [taskId]: c.comments }));
-        }
-      }
-    } catch (e) {
-      setError(e?.message || String(e));
+    // Same limit as task attachments (max 100MB per file)
+    const maxSize = 100 * 1024 * 1024;
+    const oversized = files.filter(f => f.size > maxSize);
+    if (oversized.length > 0) {
+      setError(`Files too large (max 100MB): ${oversized.map(f => f.name).join(', ')}`);
       clearMessagesSoon();
-    } finally {
-      setLoading(false);
+      return;
     }
+
+    setDisputeDialog(prev => ({ ...prev, files: [...prev.files, ...files] }));
   };
 
-  // ✅ View task details
-  const handleViewTask = async (taskId) => {
-    if (!utils) return;
-    
-    setLoading(true);
-    const res = await utils.getTask(taskId);
-    
-    console.log('Task detail loaded:', res.task); // Debug
-    
-    if (res.success) {
-      setSelectedTask(res.task);
-      setSelectedTaskId(taskId);
-      setCurrentView("taskDetail");
-      
-      // Load comments for this task
-      if (utils.getCommentsForTask) {
-        const commentsRes = await utils.getCommentsForTask(taskId);
-        if (commentsRes.success) {
-          setComments(prev => ({ ...prev, [taskId]: commentsRes.comments }));
-        }
-      }
-    } else {
-      setError(`Failed to load task: ${res.error}`);
+  // Creator opens a dispute / worker responds: upload the evidence, then openDispute / respondToDispute
+  const handleConfirmEvidence = async (e) => {
+    e.preventDefault();
+    if (!utils || !(await ensureWallet())) return;
+
+    const { taskId, party, statement, files } = disputeDialog;
+    if (!statement.trim() && files.length === 0) {
+      setError("Add a statement or at least one evidence file.");
+      clearMessagesSoon();
+      return;
     }
-    
-    setLoading(false);
-  };
 
-  // ✅ Go back from task detail view
-  const handleBackFromDetail = () => {
-    setCurrentView("marketplace");
-    setSelectedTask(null);
-    setSelectedTaskId(null);
-  };
+    const opening = party === "creator";
+    const label = opening ? `Dispute Work for Task #${taskId}` : `Respond to Dispute on Task #${taskId}`;
 
-  // ---------------- UI ----------------
+    // check before uploading anything
+    if (!(await passesPreflight(opening ? "dispute" : "respondDispute", taskId, `Can't ${label.toLowerCase()}`))) return;
 
-  if (!account) {
-    return (
-      <div className="app connect-page">
-        <div className="connect-container">
-          <h1>🎯 Task Marketplace</h1>
-          <p>A decentralized task platform on Sepolia (escrow + approvals)</p>
-          <button onClick={connectWallet} disabled={loading} className="btn-primary">
-            {loading ? "Connecting..." : "Connect Wallet"}
-          </button>
-        </div>
-      </div>
-    );
-  }
+    let evidenceCID;
+    setUploadingEvidence(true);
+    try {
+      const { uploadEvidence } = await import("./utils/ipfsUtils");
+      evidenceCID = await uploadEvidence(taskId, party, statement.trim(), files);
+    } catch (uploadErr) {
+      setError(`Evidence upload failed: ${uploadErr.message}`);
+      setUploadingEvidence(false);
+      return;
+    }
+    setUploadingEvidence(false);
+    closeDisputeDialog();
 
-  return (
-    <div className="app">
-      {/* ✅ Gas Estimation Modal */}
-      {gasModal.show && (
-        <div className="modal-overlay" onClick={() => setGasModal({ ...gasModal, show: false })}>
-          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
-            <h3>⛽ Transaction Details</h3>
-            
-            {estimatingGas ? (
-              <div className="gas-loading">
-                <p>Estimating gas cost...</p>
-              </div>
-            ) : gasModal.gasEstimate ? (
-              <>
-                <div className="gas-details">
-                  <div className="gas-row">
+    setEstimatingGas(true);
+    setGasModal({ show: true, action: label, gasEstimate: null, onConfirm: null });
+
+    try {
+      const gasEstimate = opening
+        ? await utils.estimateGasForOpenDispute(taskId, evidenceCID)
+        : await utils.estimateGasForRespondToDispute(taskId, evidenceCID);
+      setEstimatingGas(false);
+
+      if (!gasEstimate.success) {
+        setError(toErrorState(gasEstimate, "Gas estimation failed"));
+        setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+        return;
+      }
+
+      setGasModal({
+        show: true,
+        action: label,
+        gasEstimate: gasEstimate,
+        onConfirm: async (overrides) => {
+          setLoading(true);
+          setError("");
+          setSuccess("");
+
+          const res = opening
+            ? await utils.openDispute(taskId, evidenceCID, overrides)
+            : await utils.respondToDispute(taskId, evidenceCID, overrides);
+          if (res.success) {
+            setSuccess(
+              opening
+                ? `Dispute opened for Task #${taskId}. The worker can now respond.`
+                : `Response filed for Task #${taskId}. The arbiter will decide.`
+            );
+            clearMessagesSoon();
+            await loadTasks(account);
+            await refreshTaskDetail(taskId);
+            await loadDispute(taskId);
+          } else {
+            setError(toErrorState(res));
+          }
+
+          setLoading(false);
+        },
+      });
+    } catch (err) {
+      setError(decodeContractError(err));
+      setEstimatingGas(false);
+      setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+    }
+  };
+
+  // Arbiter: workerShareBps of the reward to the worker, the rest back to the creator
+  const handleResolveDispute = async (taskId, workerShareBps) => {
+    if (!utils || !(await ensureWallet())) return;
+    const label = `Resolve Dispute on Task #${taskId}`;
+    if (!(await passesPreflight("resolveDispute", taskId, `Can't resolve the dispute on Task #${taskId}`, { workerShareBps }))) {
+      return;
+    }
+
+    setEstimatingGas(true);
+    setGasModal({ show: true, action: label, gasEstimate: null, onConfirm: null });
+
+    try {
+      const gasEstimate = await utils.estimateGasForResolveDispute(taskId, workerShareBps);
+      setEstimatingGas(false);
+
+      if (!gasEstimate.success) {
+        setError(toErrorState(gasEstimate, "Gas estimation failed"));
+        setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+        return;
+      }
+
+      setGasModal({
+        show: true,
+        action: label,
+        gasEstimate: gasEstimate,
+        onConfirm: async (overrides) => {
+          setLoading(true);
+          setError("");
+          setSuccess("");
+
+          const res = await utils.resolveDispute(taskId, workerShareBps, overrides);
+          if (res.success) {
+            setSuccess(`Dispute on Task #${taskId} resolved: ${workerShareBps / 100}% of the reward to the worker.`);
+            clearMessagesSoon();
+            await loadTasks(account);
+            await loadBalances(account);
+            await refreshTaskDetail(taskId);
+            await loadDispute(taskId);
+            setDisputedTasks((prev) => prev.filter((t) => t.id !== taskId));
+          } else {
+            setError(toErrorState(res));
+          }
+
+          setLoading(false);
+        },
+      });
+    } catch (err) {
+      setError(decodeContractError(err));
+      setEstimatingGas(false);
+      setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+    }
+  };
+
+  const handleApproveWork = async (taskId) => {
+    if (!utils || !(await ensureWallet())) return;
+    if (!(await passesPreflight("approve", taskId, `Can't approve Task #${taskId}`))) return;
+
+    // ✅ Estimate gas first
+    setEstimatingGas(true);
+    setGasModal({
+      show: true,
+      action: `Approve Work for Task #${taskId}`,
+      gasEstimate: null,
+      onConfirm: null,
+    });
+
+    try {
+      const gasEstimate = await utils.estimateGasForApproveWork(taskId);
+      setEstimatingGas(false);
+
+      if (!gasEstimate.success) {
+        setError(toErrorState(gasEstimate, "Gas estimation failed"));
+        setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+        return;
+      }
+
+      // Show gas modal with confirmation callback
+      setGasModal({
+        show: true,
+        action: `Approve Work for Task #${taskId}`,
+        gasEstimate: gasEstimate,
+        onConfirm: async (overrides) => {
+          setLoading(true);
+          setError("");
+          setSuccess("");
+
+          const res = await utils.approveWork(taskId, overrides);
+          if (res.success) {
+            setSuccess(`Approved Task #${taskId}. Worker can withdraw reward now.`);
+            clearMessagesSoon();
+            await loadTasks(account);
+            await loadBalances(account);
+          } else {
+            setError(toErrorState(res));
+          }
+
+          setLoading(false);
+        },
+      });
+    } catch (err) {
+      setError(decodeContractError(err));
+      setEstimatingGas(false);
+      setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+    }
+  };
+
+  const handleCancelTask = async (taskId) => {
+    if (!utils || !(await ensureWallet())) return;
+    if (!(await passesPreflight("cancel", taskId, `Can't cancel Task #${taskId}`))) return;
+
+    // ✅ Estimate gas first
+    setEstimatingGas(true);
+    setGasModal({
+      show: true,
+      action: `Cancel Task #${taskId}`,
+      gasEstimate: null,
+      onConfirm: null,
+    });
+
+    try {
+      const gasEstimate = await utils.estimateGasForCancelTask(taskId);
+      setEstimatingGas(false);
+
+      if (!gasEstimate.success) {
+        setError(toErrorState(gasEstimate, "Gas estimation failed"));
+        setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+        return;
+      }
+
+      // Show gas modal with confirmation callback
+      setGasModal({
+        show: true,
+        action: `Cancel Task #${taskId}`,
+        gasEstimate: gasEstimate,
+        onConfirm: async (overrides) => {
+          setLoading(true);
+          setError("");
+          setSuccess("");
+
+          const res = await utils.cancelTask(taskId, overrides);
+          if (res.success) {
+            setSuccess(`Task #${taskId} cancelled.`);
+            clearMessagesSoon();
+            await loadTasks(account);
+            await loadBalances(account);
+          } else {
+            setError(toErrorState(res));
+          }
+
+          setLoading(false);
+        },
+      });
+    } catch (err) {
+      setError(decodeContractError(err));
+      setEstimatingGas(false);
+      setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+    }
+  };
+
+  // ✅ speed up / cancel a pending transaction (same nonce, higher fees)
+  const handleReplaceTransaction = async (hash, kind) => {
+    if (!utils || !(await ensureWallet())) return;
+    setError("");
+
+    const res =
+      kind === "cancel" ? await utils.cancelTransaction(hash) : await utils.speedUpTransaction(hash);
+
+    if (res.success) {
+      setSuccess(kind === "cancel" ? "Cancellation sent." : "Transaction re-sent with higher fees.");
+    } else {
+      setError(toErrorState(res, kind === "cancel" ? "Cancel failed" : "Speed up failed"));
+    }
+    clearMessagesSoon();
+  };
+
+  // token: an entry of tokenBalances; ETH when omitted
+  const handleWithdraw = async (token = null) => {
+    if (!utils || !(await ensureWallet())) return;
+    if (!(await passesPreflight("withdraw", null, "Can't withdraw", { token: token?.address }))) return;
+
+    const action = token ? `Withdraw ${token.balance} ${token.symbol}` : `Withdraw ${withdrawable} ETH`;
+
+    // ✅ Estimate gas first
+    setEstimatingGas(true);
+    setGasModal({
+      show: true,
+      action,
+      gasEstimate: null,
+      onConfirm: null,
+    });
+
+    try {
+      const gasEstimate = token
+        ? await utils.estimateGasForWithdrawToken(token.address)
+        : await utils.estimateGasForWithdraw();
+      setEstimatingGas(false);
+
+      if (!gasEstimate.success) {
+        setError(toErrorState(gasEstimate, "Gas estimation failed"));
+        setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+        return;
+      }
+
+      // Show gas modal with confirmation callback
+      setGasModal({
+        show: true,
+        action,
+        gasEstimate: gasEstimate,
+        onConfirm: async (overrides) => {
+          setLoading(true);
+          setError("");
+          setSuccess("");
+
+          const res = token ? await utils.withdrawToken(token.address, overrides) : await utils.withdraw(overrides);
+          if (res.success) {
+            setSuccess("Withdrawal successful!");
+            clearMessagesSoon();
+            await loadBalances(account);
+          } else {
+            setError(toErrorState(res));
+          }
+
+          setLoading(false);
+        },
+      });
+    } catch (err) {
+      setError(decodeContractError(err));
+      setEstimatingGas(false);
+      setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+    }
+  };
+
+  // ✅ Maintenance: find tasks eligible for autoApprove / expireTask (by latest block time)
+  const scanMaintenance = async () => {
+    if (!utils?.getMaintenanceCandidates) return;
+
+    setScanningMaintenance(true);
+    const res = await utils.getMaintenanceCandidates();
+    if (res.success) {
+      setMaintenance({ candidates: res.candidates, blockTime: res.blockTime, blockNumber: res.blockNumber });
+    } else {
+      setError(`Maintenance scan failed: ${res.error}`);
+      clearMessagesSoon();
+    }
+    const disputed = await utils.getDisputedTasks();
+    if (disputed.success) setDisputedTasks(disputed.tasks);
+    setIpfsCacheStats(await getIPFSCacheStats());
+    setScanningMaintenance(false);
+  };
+
+  const handleClearIPFSCache = async () => {
+    await clearIPFSCache();
+    setIpfsCacheStats(await getIPFSCacheStats());
+  };
+
+  const runMaintenanceAction = (item, overrides) =>
+    item.action === "autoApprove"
+      ? utils.autoApprove(item.task.id, overrides)
+      : utils.expireTask(item.task.id, overrides);
+
+  const estimateMaintenanceAction = (item) =>
+    item.action === "autoApprove"
+      ? utils.estimateGasForAutoApprove(item.task.id)
+      : utils.estimateGasForExpireTask(item.task.id);
+
+  const maintenanceLabel = (item) =>
+    `${item.action === "autoApprove" ? "Auto-approve" : "Expire"} Task #${item.task.id}`;
+
+  const handleMaintenanceAction = async (item) => {
+    if (!utils || !(await ensureWallet())) return;
+    const maintenanceAction = item.action === "autoApprove" ? "autoApprove" : "expire";
+    if (!(await passesPreflight(maintenanceAction, item.task.id, `Can't ${maintenanceLabel(item).toLowerCase()}`))) return;
+
+    // ✅ Estimate gas first
+    setEstimatingGas(true);
+    setGasModal({
+      show: true,
+      action: maintenanceLabel(item),
+      gasEstimate: null,
+      onConfirm: null,
+    });
+
+    try {
+      const gasEstimate = await estimateMaintenanceAction(item);
+      setEstimatingGas(false);
+
+      if (!gasEstimate.success) {
+        setError(toErrorState(gasEstimate, "Gas estimation failed"));
+        setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+        return;
+      }
+
+      setGasModal({
+        show: true,
+        action: maintenanceLabel(item),
+        gasEstimate: gasEstimate,
+        onConfirm: async (overrides) => {
+          setLoading(true);
+          setError("");
+          setSuccess("");
+
+          const res = await runMaintenanceAction(item, overrides);
+          if (res.success) {
+            setSuccess(`${maintenanceLabel(item)} done.`);
+            clearMessagesSoon();
+            await scanMaintenance();
+            await loadTasks(account);
+            await loadBalances(account);
+          } else {
+            setError(toErrorState(res));
+          }
+
+          setLoading(false);
+        },
+      });
+    } catch (err) {
+      setError(decodeContractError(err));
+      setEstimatingGas(false);
+      setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+    }
+  };
+
+  // Batch = one confirmation, then one transaction per task (sequential so nonces stay ordered)
+  const handleMaintenanceBatch = async () => {
+    const items = maintenance.candidates;
+    if (!utils || items.length === 0 || !(await ensureWallet())) return;
+
+    const action = `Process ${items.length} maintenance task${items.length === 1 ? "" : "s"}`;
+    setEstimatingGas(true);
+    setGasModal({ show: true, action, gasEstimate: null, onConfirm: null });
+
+    try {
+      const estimates = await Promise.all(items.map(estimateMaintenanceAction));
+      setEstimatingGas(false);
+
+      const failed = estimates.findIndex((g) => !g.success);
+      if (failed !== -1) {
+        setError(toErrorState(estimates[failed], `Gas estimation failed for ${maintenanceLabel(items[failed])}`));
+        setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+        return;
+      }
+
+      // fees per gas are the same for every transaction: quote the combined gas once
+      const totalGas = estimates.reduce((sum, g) => sum + BigInt(g.gasEstimate), 0n);
+      const combined = await utils.estimateFees(totalGas);
+      if (!combined.success) {
+        setError(toErrorState(combined, "Fee estimation failed"));
+        setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+        return;
+      }
+
+      setGasModal({
+        show: true,
+        action,
+        gasEstimate: combined,
+        onConfirm: async (overrides) => {
+          setLoading(true);
+          setError("");
+          setSuccess("");
+
+          let done = 0;
+          const errors = [];
+          for (const item of items) {
+            const res = await runMaintenanceAction(item, overrides);
+            if (res.success) done++;
+            else errors.push(`${maintenanceLabel(item)}: ${res.error}`);
+          }
+
+          if (done > 0) {
+            setSuccess(`Processed ${done}/${items.length} maintenance task(s).`);
+            clearMessagesSoon();
+          }
+          if (errors.length > 0) setError(errors.join(" | "));
+
+          await scanMaintenance();
+          await loadTasks(account);
+          await loadBalances(account);
+          setLoading(false);
+        },
+      });
+    } catch (err) {
+      setError(decodeContractError(err));
+      setEstimatingGas(false);
+      setGasModal({ show: false, action: "", gasEstimate: null, onConfirm: null });
+    }
+  };
+
+  // ✅ add comment (long messages or opted-in ones are stored on IPFS, only the CID goes on-chain)
+  const handleAddComment = async (taskId) => {
+    const msg = (commentInput[taskId] || "").trim();
+    if (!msg || !utils?.addComment) return;
+
+    const storeOnIPFS = Boolean(commentOnIPFS[taskId]) || commentByteLength(msg) > MAX_COMMENT_BYTES;
+
+    try {
+      setLoading(true);
+      const res = await utils.addComment(taskId, msg, { storeOnIPFS });
+      if (!res?.success) {
+        setError(res?.errorInfo ? toErrorState(res) : res?.error || "Failed to add comment");
+        clearMessagesSoon();
+        return;
+      }
+
+      // Clear input immediately
+      setCommentInput((prev) => ({ ...prev, [taskId]: "" }));
+
+      // ✅ refresh comments for this task so UI updates even if the event doesn't fire
+      if (utils.getCommentsForTask) {
+        const c = await utils.getCommentsForTask(taskId);
+        if (c.success) {
+          setComments((prev) => ({ ...prev, [taskId]: mergeComments(prev[taskId], c.comments) }));
+        }
+      }
+    } catch (e) {
+      setError(decodeContractError(e));
+      clearMessagesSoon();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // ✅ Address page: created / worked-on tasks plus the ratings shown next to the counterparties
+  const loadAddressTasks = async (address) => {
+    setAddressTasks({ address, created: [], working: [], loading: true });
+
+    const [createdRes, workerRes] = await Promise.all([
+      utils.getTasksByCreator(address),
+      utils.getTasksByWorker(address),
+    ]);
+    if (!createdRes.success || !workerRes.success) {
+      setError(`Failed to load tasks of ${formatAddress(address)}: ${createdRes.error ?? workerRes.error}`);
+      clearMessagesSoon();
+    }
+
+    const created = createdRes.success ? createdRes.tasks : [];
+    const working = workerRes.success
+      ? workerRes.tasks.filter((t) => t.worker?.toLowerCase?.() === address.toLowerCase())
+      : [];
+    setAddressTasks((prev) => (prev.address === address ? { address, created, working, loading: false } : prev));
+    await loadRatings([address, ...created.map((t) => t.worker), ...working.map((t) => t.creator)]);
+  };
+
+  // ✅ View task details (/tasks/:id loads the task)
+  const handleViewTask = (taskId) => {
+    navigate(taskPath(taskId));
+  };
+
+  // ✅ Task of the /tasks/:id route with its comments, submission, dispute, revisions and applicants
+  const loadTaskDetail = async (taskId) => {
+    if (!utils) return;
+    
+    setLoading(true);
+    const res = await utils.getTask(taskId);
+    
+    console.log('Task detail loaded:', res.task); // Debug
+    
+    if (res.success) {
+      setSelectedTask(res.task);
+      setTaskLoadError(null);
+      
+      // Load comments for this task
+      if (utils.getCommentsForTask) {
+        const commentsRes = await utils.getCommentsForTask(taskId);
+        if (commentsRes.success) {
+          setComments((prev) => ({ ...prev, [taskId]: mergeComments(prev[taskId], commentsRes.comments) }));
+        }
+      }
+
+      if (res.task.submissionCID) await loadSubmission(res.task);
+      if (res.task.status === STATUS.Disputed || res.task.status === STATUS.Resolved) await loadDispute(taskId);
+      if (res.task.revisionCount > 0) await loadRevisions(taskId);
+
+      await loadRatings([res.task.creator, res.task.worker]);
+      await loadRatingStatuses([res.task]);
+
+      // Creators review applicants while the task is still open
+      if (
+        res.task.status === STATUS.Open &&
+        res.task.creator?.toLowerCase() === account.toLowerCase()
+      ) {
+        await loadApplicants(taskId);
+      }
+    } else {
+      setTaskLoadError({ taskId, error: res.error });
+      setError(`Failed to load task: ${res.error}`);
+    }
+    
+    setLoading(false);
+  };
+
+  // ✅ Go back from task detail view (to the marketplace when the page was opened directly)
+  const handleBackFromDetail = () => {
+    if (location.key !== "default") navigate(-1);
+    else navigate(PATHS.marketplace);
+  };
+
+  // ---------------- UI ----------------
+
+  const selectedFee = gasModal.gasEstimate?.fees?.[gasSpeed];
+  const routeRating = route?.address ? ratings[route.address.toLowerCase()] : null;
+
+  return (
+    <div className="app">
+      {/* ✅ Gas Estimation Modal */}
+      {gasModal.show && (
+        <div className="modal-overlay" onClick={() => setGasModal({ ...gasModal, show: false })}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h3>⛽ Transaction Details</h3>
+            
+            {estimatingGas ? (
+              <div className="gas-loading">
+                <p>Estimating gas cost...</p>
+              </div>
+            ) : selectedFee ? (
+              <>
+                <div className="gas-details">
+                  <div className="gas-row">
                     <span className="gas-label">Action:</span>
                     <span className="gas-value">{gasModal.action}</span>
                   </div>
                   
-                  {gasModal.gasEstimate.rewardEth && (
+                  {gasModal.gasEstimate.reward && (
                     <div className="gas-row">
                       <span className="gas-label">Task Reward:</span>
-                      <span className="gas-value reward-highlight">{gasModal.gasEstimate.rewardEth} ETH</span>
+                      <span className="gas-value reward-highlight">
+                        {gasModal.gasEstimate.reward} {gasModal.gasEstimate.rewardSymbol}
+                      </span>
                     </div>
                   )}
                   
@@ -892,25 +2651,46 @@ export default function App() {
                     <span className="gas-value">{Number(gasModal.gasEstimate.gasEstimate).toLocaleString()} units</span>
                   </div>
                   
-                  <div className="gas-row">
-                    <span className="gas-label">Gas Price:</span>
-                    <span className="gas-value">{parseFloat(gasModal.gasEstimate.gasPrice).toFixed(2)} Gwei</span>
+                  <div className="gas-speeds">
+                    {Object.keys(FEE_SPEEDS).map((speed) => {
+                      const fee = gasModal.gasEstimate.fees[speed];
+                      return (
+                        <button
+                          key={speed}
+                          type="button"
+                          className={`gas-speed ${gasSpeed === speed ? "active" : ""}`}
+                          onClick={() => setGasSpeed(speed)}
+                        >
+                          <span className="gas-speed-label">{fee.label}</span>
+                          <span className="gas-speed-fee">
+                            {parseFloat(fee.maxFeeGwei).toFixed(2)} Gwei max
+                            {fee.priorityFeeGwei != null && ` · ${parseFloat(fee.priorityFeeGwei).toFixed(2)} tip`}
+                          </span>
+                        </button>
+                      );
+                    })}
                   </div>
-                  
+
                   <div className="gas-row highlight">
                     <span className="gas-label">Gas Cost:</span>
-                    <span className="gas-value">{parseFloat(gasModal.gasEstimate.gasCostEth).toFixed(6)} ETH</span>
+                    <span className="gas-value">{formatEthRange(selectedFee.minCostEth, selectedFee.maxCostEth)} ETH</span>
                   </div>
                   
-                  {gasModal.gasEstimate.totalCostEth && (
+                  {gasModal.gasEstimate.rewardEth && (
                     <div className="gas-row total">
                       <span className="gas-label">Total Cost:</span>
-                      <span className="gas-value total-highlight">{gasModal.gasEstimate.totalCostEth} ETH</span>
+                      <span className="gas-value total-highlight">
+                        {formatEthRange(
+                          parseFloat(gasModal.gasEstimate.rewardEth) + parseFloat(selectedFee.minCostEth),
+                          parseFloat(gasModal.gasEstimate.rewardEth) + parseFloat(selectedFee.maxCostEth)
+                        )}{" "}
+                        ETH
+                      </span>
                     </div>
                   )}
                   
                   <div className="gas-warning">
-                    ⚠️ Actual cost may vary based on network conditions
+                    ⚠️ You pay the lower amount if the base fee holds; the higher one is the most the wallet can charge
                   </div>
                 </div>
                 
@@ -925,7 +2705,7 @@ export default function App() {
                     className="btn-primary" 
                     onClick={() => {
                       setGasModal({ ...gasModal, show: false });
-                      gasModal.onConfirm?.();
+                      gasModal.onConfirm?.(selectedFee.overrides);
                     }}
                     disabled={loading}
                   >
@@ -948,43 +2728,401 @@ export default function App() {
         </div>
       )}
 
+      {/* ✅ Wallet picker */}
+      {walletPicker.show && (
+        <div className="modal-overlay" onClick={() => closeWalletPicker()}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h3>🔐 Choose a Wallet</h3>
+
+            {wallets.length === 0 ? (
+              <p className="wallet-empty">
+                No wallet found. Install a browser wallet such as{" "}
+                <a href="https://metamask.io/" target="_blank" rel="noopener noreferrer">MetaMask</a>.
+              </p>
+            ) : (
+              <div className="wallet-list">
+                {wallets.map((w) => (
+                  <button key={w.id} className="wallet-option" onClick={() => closeWalletPicker(w)}>
+                    {w.icon ? <img src={w.icon} alt="" /> : <span className="wallet-icon-fallback">👛</span>}
+                    <span>{w.name}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div className="gas-actions">
+              <button className="btn-secondary" onClick={() => closeWalletPicker()}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ✅ Work submission dialog */}
+      {submitDialog.show && (
+        <div className="modal-overlay" onClick={() => !uploadingSubmission && closeSubmitDialog()}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h3>📦 Submit Work for Task #{submitDialog.taskId}</h3>
+
+            <form onSubmit={handleConfirmSubmission}>
+              <div className="form-group">
+                <label htmlFor="submission-note">Note to the creator</label>
+                <textarea
+                  id="submission-note"
+                  value={submitDialog.note}
+                  onChange={(e) => setSubmitDialog(prev => ({ ...prev, note: e.target.value }))}
+                  rows={4}
+                  maxLength={2000}
+                  placeholder="What did you deliver? Links, instructions, anything the creator should know..."
+                  disabled={uploadingSubmission}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="submission-files">Deliverables (max 100MB each)</label>
+                <input
+                  type="file"
+                  id="submission-files"
+                  multiple
+                  onChange={handleSubmissionFileSelect}
+                  disabled={uploadingSubmission}
+                />
+                {submitDialog.files.length > 0 && (
+                  <ul className="attachments-list">
+                    {submitDialog.files.map((file, index) => (
+                      <li key={index}>
+                        {file.name} ({formatFileSize(file.size)})
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setSubmitDialog(prev => ({ ...prev, files: prev.files.filter((_, i) => i !== index) }))
+                          }
+                          className="btn-remove"
+                          disabled={uploadingSubmission}
+                        >
+                          ✕
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              <div className="gas-actions">
+                <button type="button" className="btn-secondary" onClick={closeSubmitDialog} disabled={uploadingSubmission}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary" disabled={uploadingSubmission || loading}>
+                  {uploadingSubmission ? "Uploading to IPFS..." : "Upload & Continue"}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* ✅ Dispute evidence dialog (creator opening a dispute, worker responding) */}
+      {disputeDialog.show && (
+        <div className="modal-overlay" onClick={() => !uploadingEvidence && closeDisputeDialog()}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h3>
+              ⚖️ {disputeDialog.party === "creator" ? "Dispute Work" : "Respond to Dispute"} for Task #{disputeDialog.taskId}
+            </h3>
+
+            <form onSubmit={handleConfirmEvidence}>
+              <div className="form-group">
+                <label htmlFor="evidence-statement">Statement for the arbiter</label>
+                <textarea
+                  id="evidence-statement"
+                  value={disputeDialog.statement}
+                  onChange={(e) => setDisputeDialog(prev => ({ ...prev, statement: e.target.value }))}
+                  rows={4}
+                  maxLength={2000}
+                  placeholder={
+                    disputeDialog.party === "creator"
+                      ? "What is wrong with the delivered work?"
+                      : "Why does the delivered work meet the task?"
+                  }
+                  disabled={uploadingEvidence}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="evidence-files">Evidence (max 100MB each)</label>
+                <input
+                  type="file"
+                  id="evidence-files"
+                  multiple
+                  onChange={handleEvidenceFileSelect}
+                  disabled={uploadingEvidence}
+                />
+                {disputeDialog.files.length > 0 && (
+                  <ul className="attachments-list">
+                    {disputeDialog.files.map((file, index) => (
+                      <li key={index}>
+                        {file.name} ({formatFileSize(file.size)})
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setDisputeDialog(prev => ({ ...prev, files: prev.files.filter((_, i) => i !== index) }))
+                          }
+                          className="btn-remove"
+                          disabled={uploadingEvidence}
+                        >
+                          ✕
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              <div className="gas-actions">
+                <button type="button" className="btn-secondary" onClick={closeDisputeDialog} disabled={uploadingEvidence}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary" disabled={uploadingEvidence || loading}>
+                  {uploadingEvidence ? "Uploading to IPFS..." : "Upload & Continue"}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* ✅ Request changes dialog (creator sends submitted work back) */}
+      {revisionDialog.show && (
+        <div className="modal-overlay" onClick={() => !uploadingRevision && closeRevisionDialog()}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h3>🔁 Request Changes for Task #{revisionDialog.taskId}</h3>
+
+            <form onSubmit={handleConfirmRevision}>
+              <div className="form-group">
+                <label htmlFor="revision-note">What needs to change</label>
+                <textarea
+                  id="revision-note"
+                  value={revisionDialog.note}
+                  onChange={(e) => setRevisionDialog(prev => ({ ...prev, note: e.target.value }))}
+                  rows={4}
+                  maxLength={2000}
+                  placeholder="List the changes the worker should make"
+                  disabled={uploadingRevision}
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="revision-days">
+                  Extra time for the worker (days, {REVISION_EXTENSION_DAYS.min}-{REVISION_EXTENSION_DAYS.max})
+                </label>
+                <input
+                  type="number"
+                  id="revision-days"
+                  min={REVISION_EXTENSION_DAYS.min}
+                  max={REVISION_EXTENSION_DAYS.max}
+                  step="1"
+                  value={revisionDialog.days}
+                  onChange={(e) => setRevisionDialog(prev => ({ ...prev, days: e.target.value }))}
+                  disabled={uploadingRevision}
+                  required
+                />
+                <div className="label">
+                  Added to the delivery deadline (or to now, if it has passed). Agree on it with the worker in the
+                  comments.
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="revision-files">Reference files (max 100MB each)</label>
+                <input
+                  type="file"
+                  id="revision-files"
+                  multiple
+                  onChange={handleRevisionFileSelect}
+                  disabled={uploadingRevision}
+                />
+                {revisionDialog.files.length > 0 && (
+                  <ul className="attachments-list">
+                    {revisionDialog.files.map((file, index) => (
+                      <li key={index}>
+                        {file.name} ({formatFileSize(file.size)})
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setRevisionDialog(prev => ({ ...prev, files: prev.files.filter((_, i) => i !== index) }))
+                          }
+                          className="btn-remove"
+                          disabled={uploadingRevision}
+                        >
+                          ✕
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              <div className="gas-actions">
+                <button type="button" className="btn-secondary" onClick={closeRevisionDialog} disabled={uploadingRevision}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary" disabled={uploadingRevision || loading}>
+                  {uploadingRevision ? "Uploading to IPFS..." : "Upload & Continue"}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* ✅ Transactions drawer */}
+      {showTxDrawer && (
+        <div className="tx-drawer-overlay" onClick={() => setShowTxDrawer(false)}>
+          <aside className="tx-drawer" onClick={(e) => e.stopPropagation()}>
+            <div className="tx-drawer-header">
+              <h3>Transactions</h3>
+              <button className="btn-small" onClick={() => setShowTxDrawer(false)}>
+                ✕
+              </button>
+            </div>
+
+            {transactions.length === 0 ? (
+              <p className="tx-empty">No transactions sent from this browser yet.</p>
+            ) : (
+              <ul className="tx-list">
+                {transactions.map((tx) => {
+                  const explorerUrl = getExplorerTxUrl(tx.chainId, tx.hash);
+                  return (
+                    <li key={tx.hash} className={`tx-item tx-${tx.status}`}>
+                      <div className="tx-item-title">
+                        <strong>
+                          {TX_ACTION_LABELS[tx.action] ?? tx.action}
+                          {tx.taskId != null && ` · Task #${tx.taskId}`}
+                        </strong>
+                        <span className="tx-status">{tx.status}</span>
+                      </div>
+
+                      <div className="tx-item-meta">
+                        {explorerUrl ? (
+                          <a href={explorerUrl} target="_blank" rel="noopener noreferrer">
+                            {formatAddress(tx.hash)}
+                          </a>
+                        ) : (
+                          <span title={tx.hash}>{formatAddress(tx.hash)}</span>
+                        )}
+                        <span>nonce {tx.nonce}</span>
+                        {TX_KIND_LABELS[tx.kind] && <span>{TX_KIND_LABELS[tx.kind]}</span>}
+                        <span>{new Date(tx.submittedAt).toLocaleTimeString()}</span>
+                      </div>
+
+                      <div className="tx-item-actions">
+                        {tx.status === "pending" ? (
+                          <>
+                            <button className="btn-small" onClick={() => handleReplaceTransaction(tx.hash, "speedUp")}>
+                              ⚡ Speed up
+                            </button>
+                            <button
+                              className="btn-small btn-secondary"
+                              onClick={() => handleReplaceTransaction(tx.hash, "cancel")}
+                            >
+                              Cancel
+                            </button>
+                          </>
+                        ) : (
+                          <button className="btn-small btn-secondary" onClick={() => utils?.dismissTransaction(tx.hash)}>
+                            Dismiss
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
+            {transactions.length > pendingTxCount && (
+              <div className="gas-actions">
+                <button className="btn-secondary" onClick={() => utils?.clearFinishedTransactions()}>
+                  Clear finished
+                </button>
+              </div>
+            )}
+          </aside>
+        </div>
+      )}
+
       <div className="container">
         <header className="header">
           <h1>🎯 Task Marketplace</h1>
 
           <div className="account-info">
-            <div className="info-item">
-              <span className="label">Account:</span>
-              <span className="value">{formatAddress(account)}</span>
-              <button
-                onClick={handleDisconnect}
-                className="btn-disconnect"
-                title="Clear UI connection (for switching accounts)"
-              >
-                🔄 Switch
-              </button>
-            </div>
+            {!account ? (
+              <div className="info-item">
+                <span className="label">Browsing read-only</span>
+                <button onClick={() => connectWallet()} disabled={loading} className="btn-small">
+                  {loading ? "Connecting..." : "Connect Wallet"}
+                </button>
+              </div>
+            ) : (
+              <>
+                <div className="info-item">
+                  <span className="label">Account:</span>
+                  <span className="value">{formatAddress(account)}</span>
+                  <button
+                    onClick={handleDisconnect}
+                    className="btn-disconnect"
+                    title="Clear UI connection (for switching accounts)"
+                  >
+                    🔄 Switch
+                  </button>
+                </div>
 
-            <div className="info-item">
-              <span className="label">Balance:</span>
-              <span className="value">{Number(balance).toFixed(4)} ETH</span>
-            </div>
+                <div className="info-item">
+                  <span className="label">Balance:</span>
+                  <span className="value">{Number(balance).toFixed(4)} ETH</span>
+                </div>
+
+                <div className="info-item">
+                  <span className="label">Withdrawable:</span>
+                  <span className="value">{Number(withdrawable).toFixed(4)} ETH</span>
+                  {Number(withdrawable) > 0 && (
+                    <button onClick={() => handleWithdraw()} className="btn-small" disabled={loading}>
+                      Withdraw
+                    </button>
+                  )}
+                </div>
+
+                {tokenBalances.map((token) => (
+                  <div key={token.address} className="info-item">
+                    <span className="label">Withdrawable:</span>
+                    <span className="value">
+                      {Number(token.balance).toFixed(4)} {token.symbol}
+                    </span>
+                    <button onClick={() => handleWithdraw(token)} className="btn-small" disabled={loading}>
+                      Withdraw
+                    </button>
+                  </div>
+                ))}
+              </>
+            )}
 
-            <div className="info-item">
-              <span className="label">Withdrawable:</span>
-              <span className="value">{Number(withdrawable).toFixed(4)} ETH</span>
-              {Number(withdrawable) > 0 && (
-                <button onClick={handleWithdraw} className="btn-small" disabled={loading}>
-                  Withdraw
+            {transactions.length > 0 && (
+              <div className="info-item">
+                <button
+                  className={`btn-small ${pendingTxCount > 0 ? "tx-pending-button" : ""}`}
+                  onClick={() => setShowTxDrawer(true)}
+                >
+                  {pendingTxCount > 0 ? `⏳ ${pendingTxCount} pending` : "🧾 Transactions"}
                 </button>
-              )}
-            </div>
+              </div>
+            )}
 
             {networkInfo && (
               <div className="info-item">
                 <span className="label">Network:</span>
                 <span className="value">
-                  {networkInfo.name} (Chain ID {networkInfo.chainId})
+                  {getChainName(networkInfo.chainId)} (Chain ID {networkInfo.chainId})
                 </span>
               </div>
             )}
@@ -992,7 +3130,15 @@ export default function App() {
         </header>
 
         {wrongNetwork && (
-          <div className="error">❌ Wrong network! Switch MetaMask to Sepolia (Chain ID 11155111).</div>
+          <div className="error network-switch">
+            ❌ The marketplace isn't deployed on {getChainName(networkInfo.chainId)} (Chain ID {networkInfo.chainId}).
+            {SUPPORTED_CHAINS.length > 0 && " Switch to:"}
+            {SUPPORTED_CHAINS.map((c) => (
+              <button key={c.chainId} type="button" className="btn-small" onClick={() => handleSwitchNetwork(c.chainId)}>
+                {c.name}
+              </button>
+            ))}
+          </div>
         )}
 
         {/* ✅ Dashboard Statistics */}
@@ -1018,8 +3164,9 @@ export default function App() {
               <div className="stat-icon">💰</div>
               <div className="stat-content">
                 <div className="stat-value">
+                  {/* ETH rewards only: token amounts don't add up with them */}
                   {myWorkerTasks
-                    .filter(t => t.status === STATUS.Completed)
+                    .filter(t => t.status === STATUS.Completed && t.token === ZERO_ADDR)
                     .reduce((sum, t) => sum + parseFloat(t.reward || 0), 0)
                     .toFixed(3)} ETH
                 </div>
@@ -1032,6 +3179,7 @@ export default function App() {
               <div className="stat-content">
                 <div className="stat-value">
                   {myCreatedTasks
+                    .filter(t => t.token === ZERO_ADDR)
                     .reduce((sum, t) => sum + parseFloat(t.reward || 0), 0)
                     .toFixed(3)} ETH
                 </div>
@@ -1068,25 +3216,42 @@ export default function App() {
         <nav className="nav">
           <button
             className={currentView === "marketplace" ? "active" : ""}
-            onClick={() => setCurrentView("marketplace")}
+            onClick={() => navigate(PATHS.marketplace)}
           >
             🏪 Marketplace
           </button>
           <button
             className={currentView === "myTasks" ? "active" : ""}
-            onClick={() => setCurrentView("myTasks")}
+            onClick={() => navigate(PATHS.created)}
           >
             📋 My Tasks
           </button>
           <button
             className={currentView === "create" ? "active" : ""}
-            onClick={() => setCurrentView("create")}
+            onClick={() => navigate(PATHS.create)}
           >
             ➕ Create Task
           </button>
+          <button
+            className={currentView === "maintenance" ? "active" : ""}
+            onClick={() => navigate(PATHS.maintenance)}
+          >
+            🛠️ Maintenance
+          </button>
         </nav>
 
-        {error && <div className="error">{error}</div>}
+        {error &&
+          (typeof error === "string" ? (
+            <div className="error">{error}</div>
+          ) : (
+            <div className="error" title={error.raw}>
+              <strong>
+                {error.context ? `${error.context}: ` : ""}
+                {error.message}
+              </strong>
+              {error.action && <div className="error-action">💡 {error.action}</div>}
+            </div>
+          ))}
         {success && <div className="success">{success}</div>}
 
         <main className="main">
@@ -1100,15 +3265,18 @@ export default function App() {
                   <span className="search-icon">🔎</span>
                   <input
                     className="search-input"
-                    value={searchQuery}
-                    onChange={(e) => setSearchQuery(e.target.value)}
+                    value={searchDraft ?? searchQuery}
+                    onChange={(e) => {
+                      setSearchDraft(e.target.value);
+                      setFilters({ q: e.target.value }, { replace: searchQuery !== "" });
+                    }}
                     placeholder="Search by title, description, creator, worker, id..."
                   />
                   {searchQuery && (
                     <button
                       className="chip-btn"
                       type="button"
-                      onClick={() => setSearchQuery("")}
+                      onClick={() => setFilters({ q: "" })}
                       title="Clear search"
                     >
                       ✕
@@ -1119,7 +3287,7 @@ export default function App() {
                 <select
                   className="select"
                   value={statusFilter}
-                  onChange={(e) => setStatusFilter(e.target.value)}
+                  onChange={(e) => setFilters({ status: e.target.value })}
                   title="Filter by status"
                 >
                   <option value="all">All statuses</option>
@@ -1130,10 +3298,34 @@ export default function App() {
                   <option value="cancelled">Cancelled</option>
                 </select>
 
+                <select
+                  className="select"
+                  value={categoryFilter}
+                  onChange={(e) => setFilters({ category: e.target.value })}
+                  title="Filter by category"
+                >
+                  <option value="all">All categories</option>
+                  {CATEGORIES.map((c, i) => (
+                    <option key={c} value={String(i)}>{c}</option>
+                  ))}
+                </select>
+
+                <select
+                  className="select"
+                  value={tagFilter}
+                  onChange={(e) => setFilters({ tag: e.target.value })}
+                  title="Filter by tag"
+                >
+                  <option value="">All tags</option>
+                  {availableTags.map((tag) => (
+                    <option key={tag} value={tag}>#{tag}</option>
+                  ))}
+                </select>
+
                 <select
                   className="select"
                   value={sortBy}
-                  onChange={(e) => setSortBy(e.target.value)}
+                  onChange={(e) => setFilters({ sort: e.target.value })}
                   title="Sort"
                 >
                   <option value="newest">Newest</option>
@@ -1166,62 +3358,30 @@ export default function App() {
                 <div className="tasks-grid">
                   {filteredOpen.map((task) => {
                     const isCreator = task.creator?.toLowerCase?.() === account.toLowerCase();
-                    const isOpen = task.status === STATUS.Open;
 
                     return (
                       <div key={task.id} className="task-card">
                         <div className="task-header">
                           <h3>{task.title}</h3>
-                          <span className="reward">💰 {task.reward} ETH</span>
+                          <span className="reward">💰 {task.reward} {task.tokenSymbol}</span>
                         </div>
 
-                        <p className="description">{task.description}</p>
+                        <p className="description">{markdownExcerpt(task.description)}</p>
+
+                        {renderTaskTags(task)}
 
                         <div className="task-meta">
                           <span>📅 Deadline: {formatDateTime(task.deadline)}</span>
-                          <span>👤 Creator: {formatAddress(task.creator)}</span>
+                          <span>👤 Creator: {renderAddress(task.creator)}</span>
+                          {task.milestones.length > 0 && <span>🎯 {task.milestones.length} milestones</span>}
                         </div>
 
-                        {/* Optional: COMMENTS (only shows send button if utils.addComment exists) */}
-                        <div className="comments">
-                          {(comments[task.id] || []).length === 0 ? (
-                            <div className="comments-empty">No comments yet</div>
-                          ) : (
-                            (comments[task.id] || []).map((c, i) => (
-                              <div key={i} className="comment">
-                                <b>{formatAddress(c.author)}</b>: {c.message}
-                              </div>
-                            ))
-                          )}
-
-                          <div className="comment-input">
-                            <input
-                              placeholder="Write a comment..."
-                              value={commentInput[task.id] || ""}
-                              onChange={(e) =>
-                                setCommentInput((prev) => ({
-                                  ...prev,
-                                  [task.id]: e.target.value,
-                                }))
-                              }
-                            />
-                            {utils?.addComment && (
-                              <button
-                                type="button"
-                                className="btn-small"
-                                disabled={loading || wrongNetwork}
-                                onClick={() => handleAddComment(task.id)}
-                              >
-                                Send
-                              </button>
-                            )}
-                          </div>
-                        </div>
+                        {renderComments(task)}
 
                         {isCreator ? (
                           <button
                             onClick={() => handleCancelTask(task.id)}
-                            disabled={loading || !isOpen || wrongNetwork}
+                            {...actionProps("cancel", task)}
                             className="btn-danger"
                           >
                             Cancel Task
@@ -1229,7 +3389,7 @@ export default function App() {
                         ) : (
                           <button
                             onClick={() => handleTakeTask(task.id)}
-                            disabled={loading || !isOpen || wrongNetwork}
+                            {...actionProps("apply", task)}
                             className="btn-primary"
                           >
                             Take Task
@@ -1251,11 +3411,24 @@ export default function App() {
             </div>
           )}
 
-          {/* Task Detail */}
-          {currentView === "taskDetail" && selectedTask && (
+          {/* Task Detail */}
+          {currentView === "taskDetail" && selectedTask?.id !== routeTaskId && (
+            <div className="task-detail">
+              <button onClick={handleBackFromDetail} className="btn-back">
+                ← Back
+              </button>
+              <p className="empty-state">
+                {taskLoadError?.taskId === routeTaskId
+                  ? `Task #${routeTaskId} could not be loaded.`
+                  : `Loading task #${routeTaskId}...`}
+              </p>
+            </div>
+          )}
+
+          {currentView === "taskDetail" && selectedTask?.id === routeTaskId && (
             <div className="task-detail">
               <button onClick={handleBackFromDetail} className="btn-back">
-                ← Back to Marketplace
+                ← Back
               </button>
 
               <h2>Task Details</h2>
@@ -1263,25 +3436,95 @@ export default function App() {
               <div className="task-card">
                 <div className="task-header">
                   <h3>{selectedTask.title}</h3>
-                  <span className="reward">💰 {selectedTask.reward} ETH</span>
+                  <span className="reward">💰 {selectedTask.reward} {selectedTask.tokenSymbol}</span>
                 </div>
 
-                {/* ✅ Show description with fallback */}
-                <p className="description">
-                  {selectedTask.description || selectedTask.metadataCID || "No description available"}
-                </p>
+                {selectedTask.description ? (
+                  <div className="description markdown">{renderMarkdown(selectedTask.description)}</div>
+                ) : (
+                  <p className="description">No description available</p>
+                )}
+
+                {selectedTask.metadataErrors?.length > 0 && (
+                  <div className="warning" style={{ marginBottom: '1rem' }}>
+                    ⚠️ This task's metadata does not follow the metadata schema, so some details may be missing or wrong:
+                    <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+                      {selectedTask.metadataErrors.map((err) => (
+                        <li key={err}>{err}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {renderTaskTags(selectedTask)}
+
+                {selectedTask.metadataIntegrity === "mismatch" && (
+                  <div className="warning" style={{ marginBottom: '1rem' }}>
+                    ⚠️ This task's metadata does not match its CID. The gateway may have served altered content.
+                  </div>
+                )}
+                {selectedTask.metadataIntegrity === "unverifiable" && (
+                  <div className="warning" style={{ marginBottom: '1rem' }}>
+                    ⚠️ This task's metadata could not be verified against its CID
+                    {selectedTask.metadataIntegrityReason ? ` (${selectedTask.metadataIntegrityReason})` : ""}.
+                  </div>
+                )}
+
+                {selectedTask.tagsStatus === "mismatch" && (
+                  <div className="warning" style={{ marginBottom: '1rem' }}>
+                    ⚠️ The tags in this task's metadata do not match the on-chain tags hash. They may have been altered.
+                  </div>
+                )}
+                {selectedTask.tagsStatus === "unverifiable" && (
+                  <div className="warning" style={{ marginBottom: '1rem' }}>
+                    ⚠️ Tags could not be verified against the on-chain tags hash (metadata unavailable).
+                  </div>
+                )}
 
                 {/* ✅ Show metadata CID info for debugging */}
                 {selectedTask.metadataCID && (
                   <div style={{ fontSize: '0.85rem', color: '#888', marginBottom: '1rem' }}>
-                    Metadata CID: <a href={`https://gateway.pinata.cloud/ipfs/${selectedTask.metadataCID}`} target="_blank" rel="noopener noreferrer" style={{ color: '#ff6fb1' }}>
+                    Metadata CID: <a href={getIPFSUrl(selectedTask.metadataCID)} target="_blank" rel="noopener noreferrer" style={{ color: '#ff6fb1' }}>
                       {selectedTask.metadataCID}
                     </a>
                   </div>
                 )}
 
+                {Array.isArray(selectedTask.metadata?.skills) && selectedTask.metadata.skills.length > 0 && (
+                  <div style={{ marginBottom: '1rem' }}>
+                    <strong>Skills:</strong> {selectedTask.metadata.skills.join(", ")}
+                  </div>
+                )}
+
+                {Array.isArray(selectedTask.metadata?.acceptanceCriteria) && selectedTask.metadata.acceptanceCriteria.length > 0 && (
+                  <div style={{ marginBottom: '1rem' }}>
+                    <strong>Acceptance criteria:</strong>
+                    <ul style={{ margin: '0.25rem 0 0', paddingLeft: '1.25rem' }}>
+                      {selectedTask.metadata.acceptanceCriteria.map((criterion, idx) => (
+                        <li key={idx}>{criterion}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {selectedTask.metadata?.contact && typeof selectedTask.metadata.contact === "object" && (
+                  <div style={{ marginBottom: '1rem' }}>
+                    <strong>Contact:</strong>{" "}
+                    {Object.entries(selectedTask.metadata.contact).map(([method, value]) => (
+                      <span key={method} style={{ marginRight: '1rem' }}>
+                        {method}:{" "}
+                        {method === "website" && /^https?:\/\//i.test(value) ? (
+                          <a href={value} target="_blank" rel="noopener noreferrer">{value}</a>
+                        ) : (
+                          String(value)
+                        )}
+                      </span>
+                    ))}
+                  </div>
+                )}
+
                 {/* ✅ Display attachments if they exist in metadata */}
-                {selectedTask.metadata?.attachments && selectedTask.metadata.attachments.length > 0 && (
+                {Array.isArray(selectedTask.metadata?.attachments) && selectedTask.metadata.attachments.length > 0 && (
                   <div className="task-attachments">
                     <h4>📎 Attachments ({selectedTask.metadata.attachments.length})</h4>
                     <ul>
@@ -1291,7 +3534,7 @@ export default function App() {
                             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                               <span>📄 {att.name} ({formatFileSize(att.size)})</span>
                               <a 
-                                href={`https://gateway.pinata.cloud/ipfs/${att.cid}`} 
+                                href={getIPFSUrl(att.cid)} 
                                 target="_blank" 
                                 rel="noopener noreferrer"
                                 className="btn-small"
@@ -1302,7 +3545,7 @@ export default function App() {
                             {/* ✅ Show image preview if it's an image */}
                             {att.type?.startsWith('image/') && (
                               <img 
-                                src={`https://gateway.pinata.cloud/ipfs/${att.cid}`} 
+                                src={getIPFSUrl(att.cid)} 
                                 alt={att.name}
                                 style={{ 
                                   maxWidth: '100%', 
@@ -1325,22 +3568,106 @@ export default function App() {
                 )}
 
                 <div className="task-meta">
+                  <span>📝 Apply by: {formatDateTime(selectedTask.applyDeadline)}</span>
                   <span>📅 Deadline: {formatDateTime(selectedTask.deadline)}</span>
-                  <span>👤 Creator: {formatAddress(selectedTask.creator)}</span>
+                  <span>👤 Creator: {renderAddress(selectedTask.creator)}</span>
                   {selectedTask.worker && selectedTask.worker !== ZERO_ADDR && (
-                    <span>👷 Worker: {formatAddress(selectedTask.worker)}</span>
+                    <span>👷 Worker: {renderAddress(selectedTask.worker)}</span>
                   )}
                   <span className={`status status-${selectedTask.statusText?.toLowerCase()}`}>
                     Status: {selectedTask.statusText}
                   </span>
                 </div>
 
+                {selectedTask.milestones.length > 0 && renderMilestones(selectedTask)}
+
+                {/* ✅ Submitted work (creator + worker while waiting for approval; the arbiter too while disputed) */}
+                {(selectedTask.status === STATUS.PendingApproval || selectedTask.status === STATUS.Disputed) &&
+                  [selectedTask.creator, selectedTask.worker, selectedTask.status === STATUS.Disputed ? arbiter : null].some(
+                    (a) => a?.toLowerCase() === account.toLowerCase()
+                  ) && (
+                  <div className="task-attachments submission-view">
+                    <h4>📦 Submitted Work</h4>
+                    {renderManifest(submissions[selectedTask.id], selectedTask.submissionCID, "submission")}
+                    <div className="label" style={{ marginTop: 8 }}>Submission CID: {selectedTask.submissionCID}</div>
+                  </div>
+                )}
+
+                {/* ✅ Revision requests: current round and history */}
+                {selectedTask.revisionCount > 0 && (
+                  <div className="task-attachments revisions-panel">
+                    <h4>🔁 Revisions</h4>
+                    {renderRevisions(selectedTask)}
+                  </div>
+                )}
+
+                {/* ✅ Dispute: evidence of both parties, the worker's response and the arbiter's decision */}
+                {(selectedTask.status === STATUS.Disputed || selectedTask.status === STATUS.Resolved) && (
+                  <div className="task-attachments dispute-panel">
+                    <h4>⚖️ Dispute</h4>
+                    {renderDispute(selectedTask)}
+                  </div>
+                )}
+
+                {/* ✅ Applicants panel (creator only, while task is open) */}
+                {selectedTask.status === STATUS.Open && selectedTask.creator?.toLowerCase() === account.toLowerCase() && (
+                  <div className="applicants-panel">
+                    <div className="applicants-header">
+                      <h4>👥 Applicants ({(applicants[selectedTask.id] || []).length})</h4>
+                      <button
+                        type="button"
+                        className="btn-small"
+                        onClick={() => loadApplicants(selectedTask.id)}
+                        disabled={loadingApplicants}
+                      >
+                        🔄 Refresh
+                      </button>
+                    </div>
+
+                    {loadingApplicants ? (
+                      <div className="comments-empty">Loading applicants...</div>
+                    ) : (applicants[selectedTask.id] || []).length === 0 ? (
+                      <div className="comments-empty">No applicants yet</div>
+                    ) : (
+                      <ul>
+                        {applicants[selectedTask.id].map((a) => (
+                          <li key={a.address} className="applicant-row">
+                            <div className="applicant-info">
+                              <span className="applicant-address" title={a.address}>{a.address}</span>
+                              <span className="applicant-stats">
+                                ⭐ {a.ratingCount > 0 ? `${a.avgStars.toFixed(2)} (${a.ratingCount})` : "No ratings"}
+                                {" · "}
+                                ✅ {a.completedTasks} completed
+                              </span>
+                            </div>
+                            <button
+                              type="button"
+                              onClick={() => handleAcceptWorker(selectedTask.id, a.address)}
+                              {...actionProps("accept", selectedTask, { worker: a.address })}
+                              className="btn-success"
+                            >
+                              Accept
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
+                <div className="task-attachments comment-thread">
+                  <h4>💬 Comments ({(comments[selectedTask.id] || []).length})</h4>
+                  {renderComments(selectedTask)}
+                </div>
+
+                {renderRatingPrompt(selectedTask)}
+
                 {/* Action buttons based on status */}
                 <div className="button-group" style={{ marginTop: '1rem' }}>
                   {selectedTask.status === STATUS.Open && selectedTask.creator?.toLowerCase() !== account.toLowerCase() && (
                     <button
                       onClick={() => handleTakeTask(selectedTask.id)}
-                      disabled={loading || wrongNetwork}
+                      {...actionProps("apply", selectedTask)}
                       className="btn-primary"
                     >
                       Take Task
@@ -1350,27 +3677,47 @@ export default function App() {
                   {selectedTask.status === STATUS.InProgress && selectedTask.worker?.toLowerCase() === account.toLowerCase() && (
                     <button
                       onClick={() => handleSubmitWork(selectedTask.id)}
-                      disabled={loading || wrongNetwork}
+                      {...actionProps("submit", selectedTask)}
                       className="btn-success"
                     >
-                      ✅ Submit Work for Review
+                      ✅ Submit {deliverableLabel(selectedTask)} for Review
                     </button>
                   )}
 
                   {selectedTask.status === STATUS.PendingApproval && selectedTask.creator?.toLowerCase() === account.toLowerCase() && (
                     <button
                       onClick={() => handleApproveWork(selectedTask.id)}
-                      disabled={loading || wrongNetwork}
+                      {...actionProps("approve", selectedTask)}
                       className="btn-success"
                     >
-                      ✅ Approve Work & Release Payment
+                      ✅ Approve {deliverableLabel(selectedTask)} & Release Payment
+                    </button>
+                  )}
+
+                  {selectedTask.status === STATUS.PendingApproval && selectedTask.creator?.toLowerCase() === account.toLowerCase() && (
+                    <button
+                      onClick={() => openRevisionDialog(selectedTask)}
+                      {...actionProps("revision", selectedTask, { maxRevisions })}
+                      className="btn-secondary"
+                    >
+                      🔁 Request Changes
+                    </button>
+                  )}
+
+                  {selectedTask.status === STATUS.PendingApproval && selectedTask.creator?.toLowerCase() === account.toLowerCase() && (
+                    <button
+                      onClick={() => openDisputeDialog(selectedTask, "creator")}
+                      {...actionProps("dispute", selectedTask)}
+                      className="btn-danger"
+                    >
+                      ⚖️ Dispute Work
                     </button>
                   )}
 
                   {selectedTask.status === STATUS.Open && selectedTask.creator?.toLowerCase() === account.toLowerCase() && (
                     <button
                       onClick={() => handleCancelTask(selectedTask.id)}
-                      disabled={loading || wrongNetwork}
+                      {...actionProps("cancel", selectedTask)}
                       className="btn-danger"
                     >
                       Cancel Task
@@ -1382,20 +3729,161 @@ export default function App() {
           )}
 
           {/* My Tasks */}
-          {currentView === "myTasks" && (
+          {currentView === "myTasks" && !account && (
             <div className="my-tasks">
-              <section>
-                <h2>Tasks I Created</h2>
+              <p className="empty-state">Connect your wallet to see the tasks you created or are working on.</p>
+              <button onClick={() => connectWallet()} disabled={loading} className="btn-primary">
+                Connect Wallet
+              </button>
+            </div>
+          )}
 
-                {myCreatedTasks.length === 0 ? (
-                  <p className="empty-state">You haven't created any tasks yet</p>
-                ) : (
-                  <div className="tasks-grid">
-                    {myCreatedTasks.map((task) => {
-                      const workerSet =
-                        task.worker && task.worker.toLowerCase() !== ZERO_ADDR.toLowerCase();
+          {currentView === "myTasks" && account && (
+            <div className="my-tasks">
+              <nav className="subnav">
+                <button
+                  className={route.section === "created" ? "active" : ""}
+                  onClick={() => navigate(PATHS.created)}
+                >
+                  Tasks I Created ({myCreatedTasks.length})
+                </button>
+                <button
+                  className={route.section === "working" ? "active" : ""}
+                  onClick={() => navigate(PATHS.working)}
+                >
+                  Tasks I'm Working On ({myWorkerTasks.length})
+                </button>
+              </nav>
+
+              {route.section === "created" && (
+                <section>
+                  <h2>Tasks I Created</h2>
+
+                  {myCreatedTasks.length === 0 ? (
+                    <p className="empty-state">You haven't created any tasks yet</p>
+                  ) : (
+                    <div className="tasks-grid">
+                      {myCreatedTasks.map((task) => {
+                        const workerSet =
+                          task.worker && task.worker.toLowerCase() !== ZERO_ADDR.toLowerCase();
+
+                        return (
+                          <div key={task.id} className="task-card">
+                            <div className="task-header">
+                              <h3>{task.title}</h3>
+                              <span className={`status status-${task.statusText.toLowerCase()}`}>
+                                {task.statusText}
+                              </span>
+                            </div>
 
-                      return (
+                            <p className="description">{markdownExcerpt(task.description)}</p>
+
+                            <div className="task-meta">
+                              <span>💰 Reward: {task.reward} {task.tokenSymbol}</span>
+                              <span>📅 Deadline: {formatDateTime(task.deadline)}</span>
+                              {workerSet && <span>👷 Worker: {renderAddress(task.worker)}</span>}
+                              {task.milestones.length > 0 && (
+                                <span>
+                                  🎯 Milestones: {task.milestonesApproved}/{task.milestones.length} approved
+                                </span>
+                              )}
+                              {task.revisionCount > 0 && (
+                                <span>
+                                  🔁 Revisions: {task.revisionCount}
+                                  {maxRevisions != null && `/${maxRevisions}`}
+                                </span>
+                              )}
+                            </div>
+
+                            {task.status === STATUS.Open && (
+                              <div className="button-group">
+                                <button
+                                  onClick={() => handleCancelTask(task.id)}
+                                  {...actionProps("cancel", task)}
+                                  className="btn-danger"
+                                >
+                                  Cancel Task
+                                </button>
+                              </div>
+                            )}
+
+                            {task.status === STATUS.PendingApproval && (
+                              <div className="button-group">
+                                <button
+                                  onClick={() => handleApproveWork(task.id)}
+                                  {...actionProps("approve", task)}
+                                  className="btn-success"
+                                >
+                                  ✅ Approve {deliverableLabel(task)} & Release Payment
+                                </button>
+                                <button
+                                  onClick={() => openRevisionDialog(task)}
+                                  {...actionProps("revision", task, { maxRevisions })}
+                                  className="btn-secondary"
+                                >
+                                  🔁 Request Changes
+                                </button>
+                                <button
+                                  onClick={() => openDisputeDialog(task, "creator")}
+                                  {...actionProps("dispute", task)}
+                                  className="btn-danger"
+                                >
+                                  ⚖️ Dispute
+                                </button>
+                              </div>
+                            )}
+
+                            {task.status === STATUS.Disputed && (
+                              <>
+                                <div className="pending-approval">⚖️ In dispute — waiting for the arbiter</div>
+                                <button onClick={() => handleViewTask(task.id)} className="btn-small">
+                                  View Dispute
+                                </button>
+                              </>
+                            )}
+
+                            {task.status === STATUS.Resolved && (
+                              <div className="completion-message">⚖️ Dispute resolved by the arbiter</div>
+                            )}
+
+                            {task.status === STATUS.InProgress && (
+                              <div className="pending-approval">
+                                {task.revisionCount > 0
+                                  ? `🔁 Revision ${task.revisionCount} in progress (waiting for submit)`
+                                  : "⏳ In progress (waiting for submit)"}
+                              </div>
+                            )}
+
+                            {task.status === STATUS.Completed && (
+                              <div className="completion-message">✅ Completed & approved</div>
+                            )}
+
+                            {renderRatingPrompt(task)}
+
+                            {task.status === STATUS.Cancelled && (
+                              <div className="completion-message">🚫 Cancelled</div>
+                            )}
+
+                            {task.status === STATUS.Expired && (
+                              <div className="completion-message">⌛ Expired — reward refunded</div>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                </section>
+              )}
+
+              {route.section === "working" && (
+                <section>
+                  <h2>Tasks I'm Working On</h2>
+
+                  {myWorkerTasks.length === 0 ? (
+                    <p className="empty-state">You haven't taken any tasks yet</p>
+                  ) : (
+                    <div className="tasks-grid">
+                      {myWorkerTasks.map((task) => (
                         <div key={task.id} className="task-card">
                           <div className="task-header">
                             <h3>{task.title}</h3>
@@ -1404,106 +3892,247 @@ export default function App() {
                             </span>
                           </div>
 
-                          <p className="description">{task.description}</p>
+                          <p className="description">{markdownExcerpt(task.description)}</p>
 
                           <div className="task-meta">
-                            <span>💰 Reward: {task.reward} ETH</span>
+                            <span>💰 Reward: {task.reward} {task.tokenSymbol}</span>
                             <span>📅 Deadline: {formatDateTime(task.deadline)}</span>
-                            {workerSet && <span>👷 Worker: {formatAddress(task.worker)}</span>}
+                            <span>👤 Creator: {renderAddress(task.creator)}</span>
+                            {task.milestones.length > 0 && (
+                              <span>
+                                🎯 Milestones: {task.milestonesApproved}/{task.milestones.length} approved
+                              </span>
+                            )}
                           </div>
 
-                          {task.status === STATUS.Open && (
-                            <div className="button-group">
-                              <button
-                                onClick={() => handleCancelTask(task.id)}
-                                disabled={loading || wrongNetwork}
-                                className="btn-danger"
-                              >
-                                Cancel Task
+                          {task.status === STATUS.InProgress && task.revisionCount > 0 && (
+                            <>
+                              <div className="pending-approval">🔁 Changes requested (revision {task.revisionCount})</div>
+                              <button onClick={() => handleViewTask(task.id)} className="btn-small">
+                                View Requested Changes
                               </button>
-                            </div>
+                            </>
+                          )}
+
+                          {task.status === STATUS.InProgress && (
+                            <button
+                              onClick={() => handleSubmitWork(task.id)}
+                              {...actionProps("submit", task)}
+                              className="btn-success"
+                            >
+                              ✅ Submit {deliverableLabel(task)} for Review
+                            </button>
                           )}
 
                           {task.status === STATUS.PendingApproval && (
-                            <div className="button-group">
-                              <button
-                                onClick={() => handleApproveWork(task.id)}
-                                disabled={loading || wrongNetwork}
-                                className="btn-success"
-                              >
-                                ✅ Approve Work & Release Payment
+                            <div className="pending-approval">⏳ Waiting for creator approval...</div>
+                          )}
+
+                          {task.status === STATUS.Disputed && (
+                            <>
+                              <div className="pending-approval">⚖️ The creator disputed this work</div>
+                              <button onClick={() => handleViewTask(task.id)} className="btn-small">
+                                View Dispute
                               </button>
-                            </div>
+                            </>
                           )}
 
-                          {task.status === STATUS.InProgress && (
-                            <div className="pending-approval">⏳ In progress (waiting for submit)</div>
+                          {task.status === STATUS.Resolved && (
+                            <div className="completion-message">⚖️ Dispute resolved. Your share is withdrawable.</div>
                           )}
 
                           {task.status === STATUS.Completed && (
-                            <div className="completion-message">✅ Completed & approved</div>
+                            <div className="completion-message">✅ Approved! Reward is withdrawable.</div>
                           )}
 
+                          {renderRatingPrompt(task)}
+
                           {task.status === STATUS.Cancelled && (
                             <div className="completion-message">🚫 Cancelled</div>
                           )}
+
+                          {task.status === STATUS.Expired && (
+                            <div className="completion-message">⌛ Expired</div>
+                          )}
                         </div>
-                      );
-                    })}
-                  </div>
-                )}
-              </section>
+                      ))}
+                    </div>
+                  )}
+                </section>
+              )}
+            </div>
+          )}
 
-              <section>
-                <h2>Tasks I'm Working On</h2>
+          {/* Address page: reputation and task history of any address */}
+          {currentView === "address" && (
+            <div className="my-tasks address-page">
+              {!route.address ? (
+                <p className="empty-state">That is not a valid address.</p>
+              ) : (
+                <>
+                  <h2 style={{ wordBreak: "break-all" }}>👤 {route.address}</h2>
+                  <div className="task-meta">
+                    <span>
+                      ⭐ {routeRating?.count > 0 ? `${routeRating.avgStars.toFixed(2)} (${routeRating.count} ratings)` : "No ratings"}
+                    </span>
+                    {account?.toLowerCase() === route.address.toLowerCase() && <span>This is your account</span>}
+                  </div>
 
-                {myWorkerTasks.length === 0 ? (
-                  <p className="empty-state">You haven't taken any tasks yet</p>
-                ) : (
-                  <div className="tasks-grid">
-                    {myWorkerTasks.map((task) => (
-                      <div key={task.id} className="task-card">
-                        <div className="task-header">
-                          <h3>{task.title}</h3>
-                          <span className={`status status-${task.statusText.toLowerCase()}`}>
-                            {task.statusText}
-                          </span>
-                        </div>
+                  {addressTasks.address !== route.address || addressTasks.loading ? (
+                    <p className="empty-state">Loading tasks...</p>
+                  ) : (
+                    [
+                      ["Tasks Created", addressTasks.created, "creator"],
+                      ["Tasks Worked On", addressTasks.working, "worker"],
+                    ].map(([heading, tasks, role]) => (
+                      <section key={role}>
+                        <h2>
+                          {heading} ({tasks.length})
+                        </h2>
+                        {tasks.length === 0 ? (
+                          <p className="empty-state">None yet</p>
+                        ) : (
+                          <div className="tasks-grid">
+                            {tasks.map((task) => (
+                              <div key={task.id} className="task-card">
+                                <div className="task-header">
+                                  <h3>{task.title}</h3>
+                                  <span className={`status status-${task.statusText.toLowerCase()}`}>
+                                    {task.statusText}
+                                  </span>
+                                </div>
+                                <p className="description">{markdownExcerpt(task.description)}</p>
+                                <div className="task-meta">
+                                  <span>💰 Reward: {task.reward} {task.tokenSymbol}</span>
+                                  <span>📅 Deadline: {formatDateTime(task.deadline)}</span>
+                                  {role === "creator" && task.worker && task.worker !== ZERO_ADDR && (
+                                    <span>👷 Worker: {renderAddress(task.worker)}</span>
+                                  )}
+                                  {role === "worker" && <span>👤 Creator: {renderAddress(task.creator)}</span>}
+                                </div>
+                                <button onClick={() => handleViewTask(task.id)} className="btn-secondary">
+                                  View Details
+                                </button>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </section>
+                    ))
+                  )}
+                </>
+              )}
+            </div>
+          )}
 
-                        <p className="description">{task.description}</p>
+          {/* Maintenance (keeper) */}
+          {currentView === "maintenance" && (
+            <div className="maintenance">
+              <h2>Maintenance</h2>
+              <p className="description">
+                Anyone can auto-approve work after the review period or expire tasks whose apply / delivery
+                deadline passed. Funds go to the worker or back to the creator's withdrawable balance.
+              </p>
+
+              <div style={{ display: "flex", gap: 8, marginBottom: 12, alignItems: "center", flexWrap: "wrap" }}>
+                <button className="btn-small" disabled={scanningMaintenance || loading} onClick={scanMaintenance}>
+                  {scanningMaintenance ? "Scanning..." : "🔄 Rescan"}
+                </button>
+                <button
+                  className="btn-primary"
+                  disabled={loading || wrongNetwork || scanningMaintenance || maintenance.candidates.length === 0}
+                  onClick={handleMaintenanceBatch}
+                >
+                  Process all ({maintenance.candidates.length})
+                </button>
+                {maintenance.blockTime && (
+                  <span className="label">
+                    Block #{maintenance.blockNumber} · {formatDateTime(maintenance.blockTime)}
+                  </span>
+                )}
+              </div>
 
-                        <div className="task-meta">
-                          <span>💰 Reward: {task.reward} ETH</span>
-                          <span>📅 Deadline: {formatDateTime(task.deadline)}</span>
-                          <span>👤 Creator: {formatAddress(task.creator)}</span>
-                        </div>
+              {maintenance.candidates.length === 0 ? (
+                <p className="empty-state">
+                  {scanningMaintenance ? "Scanning tasks..." : "Nothing to do — no tasks are past their deadlines."}
+                </p>
+              ) : (
+                <div className="tasks-grid">
+                  {maintenance.candidates.map((item) => (
+                    <div key={item.task.id} className="task-card">
+                      <div className="task-header">
+                        <h3>#{item.task.id} {item.task.title}</h3>
+                        <span className={`status status-${item.task.statusText?.toLowerCase()}`}>
+                          {item.task.statusText}
+                        </span>
+                      </div>
 
-                        {task.status === STATUS.InProgress && (
-                          <button
-                            onClick={() => handleSubmitWork(task.id)}
-                            disabled={loading || wrongNetwork}
-                            className="btn-success"
-                          >
-                            ✅ Submit Work for Review
-                          </button>
+                      <div className="task-meta">
+                        <span>💰 Reward: {item.task.reward} {item.task.tokenSymbol}</span>
+                        {item.action === "autoApprove" ? (
+                          <span>⏰ Review deadline: {formatDateTime(item.task.reviewDeadline)}</span>
+                        ) : item.task.status === STATUS.Open ? (
+                          <span>⏰ Apply deadline: {formatDateTime(item.task.applyDeadline)}</span>
+                        ) : (
+                          <span>⏰ Delivery deadline: {formatDateTime(item.task.deliveryDeadline)}</span>
                         )}
+                        <span>👤 Creator: {renderAddress(item.task.creator)}</span>
+                      </div>
 
-                        {task.status === STATUS.PendingApproval && (
-                          <div className="pending-approval">⏳ Waiting for creator approval...</div>
-                        )}
+                      <button
+                        onClick={() => handleMaintenanceAction(item)}
+                        disabled={loading || wrongNetwork}
+                        className={item.action === "autoApprove" ? "btn-success" : "btn-danger"}
+                      >
+                        {item.action === "autoApprove" ? "✅ Auto-approve" : "⌛ Expire & refund"}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
 
-                        {task.status === STATUS.Completed && (
-                          <div className="completion-message">✅ Approved! Reward is withdrawable.</div>
-                        )}
+              {/* ✅ Disputes waiting for the arbiter */}
+              <h3 style={{ marginTop: 24 }}>⚖️ Open Disputes ({disputedTasks.length})</h3>
+              {disputedTasks.length === 0 ? (
+                <p className="empty-state">No open disputes.</p>
+              ) : (
+                <div className="tasks-grid">
+                  {disputedTasks.map((task) => (
+                    <div key={task.id} className="task-card">
+                      <div className="task-header">
+                        <h3>#{task.id} {task.title}</h3>
+                        <span className={`status status-${task.statusText?.toLowerCase()}`}>{task.statusText}</span>
+                      </div>
 
-                        {task.status === STATUS.Cancelled && (
-                          <div className="completion-message">🚫 Cancelled</div>
-                        )}
+                      <div className="task-meta">
+                        <span>💰 Reward: {task.reward} {task.tokenSymbol}</span>
+                        <span>👤 Creator: {renderAddress(task.creator)}</span>
+                        <span>👷 Worker: {renderAddress(task.worker)}</span>
                       </div>
-                    ))}
-                  </div>
-                )}
-              </section>
+
+                      <button onClick={() => handleViewTask(task.id)} className="btn-primary">
+                        {arbiter && account && arbiter.toLowerCase() === account.toLowerCase() ? "⚖️ Review & Resolve" : "View Dispute"}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* ✅ IPFS content cache (debugging) */}
+              {ipfsCacheStats && (
+                <div className="task-meta" style={{ marginTop: 24, alignItems: "center" }}>
+                  <span>
+                    🗄️ IPFS cache: {ipfsCacheStats.hits} hits / {ipfsCacheStats.misses} misses this session
+                  </span>
+                  <span>
+                    {ipfsCacheStats.entries} items, {formatFileSize(ipfsCacheStats.bytes)} of{" "}
+                    {formatFileSize(ipfsCacheStats.maxBytes)}
+                  </span>
+                  <button className="btn-small" onClick={handleClearIPFSCache} disabled={ipfsCacheStats.entries === 0}>
+                    Clear cache
+                  </button>
+                </div>
+              )}
             </div>
           )}
 
@@ -1521,40 +4150,65 @@ export default function App() {
                     value={newTask.title}
                     onChange={(e) => setNewTask({ ...newTask, title: e.target.value })}
                     required
-                    maxLength={100}
+                    maxLength={METADATA_LIMITS.title}
                     placeholder="e.g., Make a landing page"
                     disabled={wrongNetwork}
                   />
                 </div>
 
                 <div className="form-group">
-                  <label htmlFor="description">Description *</label>
+                  <label htmlFor="description">Description * (Markdown)</label>
                   <textarea
                     id="description"
                     value={newTask.description}
                     onChange={(e) => setNewTask({ ...newTask, description: e.target.value })}
                     required
-                    maxLength={1000}
-                    rows={4}
-                    placeholder="Describe what needs to be done..."
+                    maxLength={METADATA_LIMITS.description}
+                    rows={6}
+                    placeholder={"Describe what needs to be done...\n\n## Deliverables\n- **Markdown** works: headings, lists, `code`, [links](https://…)"}
                     disabled={wrongNetwork}
                   />
+                  {newTask.description.trim() && (
+                    <div className="markdown-preview">
+                      <div className="markdown-preview-label">Preview</div>
+                      <div className="markdown">{renderMarkdown(newTask.description)}</div>
+                    </div>
+                  )}
                 </div>
 
                 <div className="form-row">
                   <div className="form-group">
-                    <label htmlFor="reward">Reward (ETH) *</label>
-                    <input
-                      type="number"
-                      id="reward"
-                      value={newTask.reward}
-                      onChange={(e) => setNewTask({ ...newTask, reward: e.target.value })}
-                      required
-                      step="0.001"
-                      min="0.001"
-                      placeholder="0.05"
-                      disabled={wrongNetwork}
-                    />
+                    <label htmlFor="reward">Reward ({rewardToken.symbol}) *</label>
+                    <div className="reward-input">
+                      <input
+                        type="number"
+                        id="reward"
+                        value={newTask.reward}
+                        onChange={(e) => setNewTask({ ...newTask, reward: e.target.value })}
+                        required
+                        step="any"
+                        min={rewardToken.minReward ?? "0.0001"}
+                        placeholder="0.05"
+                        disabled={wrongNetwork}
+                      />
+                      {rewardTokens.length > 1 && (
+                        <select
+                          className="select"
+                          aria-label="Reward token"
+                          value={newTask.token}
+                          onChange={(e) => setNewTask({ ...newTask, token: e.target.value })}
+                          disabled={wrongNetwork}
+                        >
+                          {rewardTokens
+                            .filter((t) => t.allowed)
+                            .map((t) => (
+                              <option key={t.address} value={t.address}>
+                                {t.symbol}
+                              </option>
+                            ))}
+                        </select>
+                      )}
+                    </div>
                   </div>
 
                   <div className="form-group">
@@ -1571,6 +4225,156 @@ export default function App() {
                   </div>
                 </div>
 
+                {/* ✅ Optional milestone payouts */}
+                <div className="form-group">
+                  <label>Milestones (optional, paid out one approval at a time)</label>
+                  {newTask.milestones.map((m, index) => (
+                    <div key={index} className="milestone-row">
+                      <input
+                        type="text"
+                        value={m.description}
+                        onChange={(e) => updateMilestone(index, "description", e.target.value)}
+                        required
+                        maxLength={METADATA_LIMITS.milestoneDescription}
+                        placeholder={`Milestone ${index + 1}: what gets delivered`}
+                        disabled={wrongNetwork}
+                      />
+                      <input
+                        type="number"
+                        value={m.amount}
+                        onChange={(e) => updateMilestone(index, "amount", e.target.value)}
+                        required
+                        step="any"
+                        min="0"
+                        placeholder={rewardToken.symbol}
+                        disabled={wrongNetwork}
+                      />
+                      <button type="button" onClick={() => removeMilestone(index)} className="btn-remove">
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    className="btn-small"
+                    onClick={addMilestone}
+                    disabled={wrongNetwork || newTask.milestones.length >= METADATA_LIMITS.milestones}
+                  >
+                    {newTask.milestones.length === 0 ? "🎯 Pay in milestones" : "+ Add milestone"}
+                  </button>
+                  {newTask.milestones.length > 0 && (
+                    <div className={milestoneCheck.matches && newTask.milestones.length >= 2 ? "label" : "warning"}>
+                      {newTask.milestones.length < 2
+                        ? "Add at least 2 milestones, or remove the last one for a single payout."
+                        : `Milestones add up to ${milestoneCheck.total ?? "?"} ${rewardToken.symbol} of the ${
+                            newTask.reward || "0"
+                          } ${rewardToken.symbol} reward.`}
+                    </div>
+                  )}
+                </div>
+
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="category">Category *</label>
+                    <select
+                      id="category"
+                      className="select"
+                      value={newTask.category}
+                      onChange={(e) => setNewTask({ ...newTask, category: e.target.value })}
+                      disabled={wrongNetwork}
+                    >
+                      {CATEGORIES.map((c, i) => (
+                        <option key={c} value={String(i)}>{c}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="applyDeadline">Apply Deadline (optional, default 7 days)</label>
+                    <input
+                      type="datetime-local"
+                      id="applyDeadline"
+                      value={newTask.applyDeadline}
+                      onChange={(e) => setNewTask({ ...newTask, applyDeadline: e.target.value })}
+                      min={new Date().toISOString().slice(0, 16)}
+                      max={newTask.deadline || undefined}
+                      disabled={wrongNetwork}
+                    />
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="tags">Tags (comma separated)</label>
+                  <input
+                    type="text"
+                    id="tags"
+                    value={newTask.tags}
+                    onChange={(e) => setNewTask({ ...newTask, tags: e.target.value })}
+                    placeholder="e.g., react, landing page, figma"
+                    disabled={wrongNetwork}
+                  />
+                  {canonicalizeTags(newTask.tags).length > 0 && (
+                    <div className="task-tags" style={{ marginTop: 6 }}>
+                      {canonicalizeTags(newTask.tags).map((tag) => (
+                        <span key={tag} className="tag-chip">#{tag}</span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="skills">Required skills (optional, comma separated)</label>
+                  <input
+                    type="text"
+                    id="skills"
+                    value={newTask.skills}
+                    onChange={(e) => setNewTask({ ...newTask, skills: e.target.value })}
+                    placeholder="e.g., Solidity, React"
+                    disabled={wrongNetwork}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="acceptanceCriteria">Acceptance criteria (optional, one per line)</label>
+                  <textarea
+                    id="acceptanceCriteria"
+                    value={newTask.acceptanceCriteria}
+                    onChange={(e) => setNewTask({ ...newTask, acceptanceCriteria: e.target.value })}
+                    rows={3}
+                    placeholder="e.g., Page scores 90+ on Lighthouse"
+                    disabled={wrongNetwork}
+                  />
+                </div>
+
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="contactMethod">Contact (optional)</label>
+                    <select
+                      id="contactMethod"
+                      value={newTask.contactMethod}
+                      onChange={(e) => setNewTask({ ...newTask, contactMethod: e.target.value })}
+                      disabled={wrongNetwork}
+                    >
+                      {CONTACT_METHODS.map((method) => (
+                        <option key={method} value={method}>{method}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="contactValue">&nbsp;</label>
+                    <input
+                      type="text"
+                      id="contactValue"
+                      value={newTask.contactValue}
+                      onChange={(e) => setNewTask({ ...newTask, contactValue: e.target.value })}
+                      maxLength={METADATA_LIMITS.contactValue}
+                      placeholder={newTask.contactMethod === "website" ? "https://…" : "How workers can reach you"}
+                      disabled={wrongNetwork}
+                    />
+                  </div>
+                </div>
+
                 {/* ✅ File upload input */}
                 <div className="form-group">
                   <label htmlFor="attachments">Attachments (optional, max 100MB each)</label>
@@ -1600,13 +4404,13 @@ export default function App() {
                   )}
                 </div>
 
-                <button type="submit" disabled={loading || wrongNetwork} className="btn-primary">
+                <button type="submit" disabled={loading || wrongNetwork || milestonesInvalid} className="btn-primary">
                   {loading ? "Creating..." : "Create Task"}
                 </button>
 
                 {wrongNetwork && (
                   <div className="warning" style={{ marginTop: 12 }}>
-                    Switch MetaMask to Sepolia to create tasks.
+                    Switch to a supported network to create tasks.
                   </div>
                 )}
               </form>
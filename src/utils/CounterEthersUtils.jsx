@@ -5,13 +5,26 @@ import CounterArtifact from "../contracts/Counter.json";
 const COUNTER_ADDRESS = deployedAddresses.counter;
 const COUNTER_ABI = CounterArtifact.abi;
 
-let provider;
+let injected = null;
+let cachedProvider = null;
 
-if (typeof window !== "undefined" && window.ethereum) {
-  provider = new ethers.BrowserProvider(window.ethereum);
+// Use a specific EIP-1193 provider (e.g. the wallet picked through EIP-6963) instead of window.ethereum
+export function setEthereumProvider(eip1193Provider) {
+  injected = eip1193Provider;
+  cachedProvider = null;
+}
+
+// Resolved on first use, so a wallet that injects after this module loads is still found
+function getProvider() {
+  if (!cachedProvider) {
+    const source = injected ?? (typeof window !== "undefined" ? window.ethereum : null);
+    if (source) cachedProvider = new ethers.BrowserProvider(source);
+  }
+  return cachedProvider;
 }
 
 export async function connectWallet() {
+  const provider = getProvider();
   if (!provider) {
     throw new Error("MetaMask not found");
   }
@@ -20,6 +33,7 @@ export async function connectWallet() {
 }
 
 export async function getCounterValue() {
+  const provider = getProvider();
   if (!provider) {
     throw new Error("No provider");
   }
@@ -29,6 +43,7 @@ export async function getCounterValue() {
 }
 
 export async function incrementCounter() {
+  const provider = getProvider();
   if (!provider) {
     throw new Error("No provider");
   }
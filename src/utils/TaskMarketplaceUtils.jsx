@@ -1,11 +1,18 @@
 import { ethers } from "ethers";
 import TaskMarketplaceArtifact from "../contracts/TaskMarketplace.json";
-import { uploadTaskMetadata, fetchFromIPFS, isIPFSCID } from "./ipfsUtils";
+import { uploadTaskMetadata, uploadComment, fetchFromIPFS, fetchVerifiedFromIPFS, isIPFSCID } from "./ipfsUtils";
+import { buildTaskMetadata, validateTaskMetadata, migrateTaskMetadata } from "./taskMetadata";
+import TaskIndexer from "./taskIndexer";
+import Multicall from "./multicall";
+import { contractFailure, describeRevert } from "./contractErrors";
+import { quoteFees, getFeeOptions, DEFAULT_FEE_SPEED } from "./feeEngine";
+import TxQueue, { TX_STATUS } from "./txQueue";
+import { ERC20_ABI, ETH_TOKEN, isEthToken, parseTokenAmount, readTokenMeta, signPermit } from "./erc20";
 
 const ABI = TaskMarketplaceArtifact.abi;
 
 // TaskStatus order assumed from contract enum:
-// Open(0), InProgress(1), PendingApproval(2), Completed(3), Cancelled(4), Expired(5)
+// Open(0), InProgress(1), PendingApproval(2), Completed(3), Cancelled(4), Expired(5), Disputed(6), Resolved(7)
 const STATUS_TEXT = {
   0: "Open",
   1: "InProgress",
@@ -13,22 +20,143 @@ const STATUS_TEXT = {
   3: "Completed",
   4: "Cancelled",
   5: "Expired",
+  6: "Disputed",
+  7: "Resolved",
 };
 
+const STATUS = { Open: 0, InProgress: 1, PendingApproval: 2, Completed: 3, Disputed: 6 };
+
+// TaskLibrary.platformFeeBps()
+const PLATFORM_FEE_BPS = 200n;
+
+// TaskLibrary.MIN_REWARD_WEI, in ETH (token minimums are set per token by the owner)
+const MIN_ETH_REWARD = "0.0001";
+
+// Same-nonce replacements must raise both fees by at least 10% (geth); 12.5% leaves room for rounding
+const REPLACEMENT_BUMP_BPS = 11250n;
+
+// Category enum order from ITaskMarketplace.sol: Dev(0), Design(1), Writing(2), Data(3), Other(4)
+export const CATEGORIES = ["Dev", "Design", "Writing", "Data", "Other"];
+
+const DEFAULT_APPLY_WINDOW = 7 * 24 * 60 * 60;
+
+// TaskLibrary.MIN_REVISION_EXTENSION / MAX_REVISION_EXTENSION, in days
+export const REVISION_EXTENSION_DAYS = { min: 1, max: 30 };
+const MIN_REVISION_EXTENSION = REVISION_EXTENSION_DAYS.min * 24 * 60 * 60;
+const MAX_REVISION_EXTENSION = REVISION_EXTENSION_DAYS.max * 24 * 60 * 60;
+
+// Lifetime of the EIP-2612 permits signed for createTask
+const PERMIT_WINDOW = 60 * 60;
+
+/**
+ * How resolveDispute splits a reward: workerShareBps of it to the worker minus the platform fee on that part,
+ * the rest back to the creator (mirrors the contract's integer math)
+ * @param {bigint} rewardWei - in the reward token's smallest unit
+ * @param {number} workerShareBps - 0..10000
+ * @param {number} decimals - the reward token's (18 for ETH)
+ * @returns {{workerPaymentWei, feeWei, creatorRefundWei, workerPayment, creatorRefund}} - formatted amounts as strings
+ */
+export function disputeSplit(rewardWei, workerShareBps, decimals = 18) {
+  const reward = BigInt(rewardWei);
+  const workerAmount = (reward * BigInt(workerShareBps)) / 10000n;
+  const feeWei = (workerAmount * PLATFORM_FEE_BPS) / 10000n;
+  const workerPaymentWei = workerAmount - feeWei;
+  const creatorRefundWei = reward - workerAmount;
+  return {
+    workerPaymentWei,
+    feeWei,
+    creatorRefundWei,
+    workerPayment: ethers.formatUnits(workerPaymentWei, decimals),
+    creatorRefund: ethers.formatUnits(creatorRefundWei, decimals),
+  };
+}
+
+/**
+ * Milestones entered for a new task against its reward: createTaskWithMilestones requires them to add up
+ * @param {Array<{amount: string}>} milestones - amounts in the reward token (ETH by default)
+ * @param {string} reward
+ * @param {number} decimals - the reward token's
+ * @returns {{total: string|null, matches: boolean}} - total in the reward token, null when an amount isn't a
+ *   valid number
+ */
+export function milestonesTotal(milestones, reward, decimals = 18) {
+  let totalWei;
+  try {
+    totalWei = milestones.reduce((sum, m) => sum + parseTokenAmount(m.amount || "0", decimals), 0n);
+  } catch {
+    return { total: null, matches: false };
+  }
+
+  let rewardWei = null;
+  try {
+    rewardWei = parseTokenAmount(reward || "0", decimals);
+  } catch {
+    // invalid reward: can't match
+  }
+  return { total: ethers.formatUnits(totalWei, decimals), matches: totalWei === rewardWei };
+}
+
+// Canonical tag list: trimmed, lowercase, unique, sorted (commas are separators, never part of a tag)
+export function canonicalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? "").split(",");
+  const cleaned = list.map((t) => String(t).trim().toLowerCase()).filter(Boolean);
+  return Array.from(new Set(cleaned)).sort();
+}
+
+// tagsHash = keccak256(utf8(canonical tags joined by ",")); no tags -> zero hash
+export function hashTags(tags) {
+  const canonical = canonicalizeTags(tags);
+  if (canonical.length === 0) return ethers.ZeroHash;
+  return ethers.keccak256(ethers.toUtf8Bytes(canonical.join(",")));
+}
+
+// addComment() reverts above this many bytes; longer comments go to IPFS and only "ipfs://<cid>" is posted
+export const MAX_COMMENT_BYTES = 500;
+const COMMENT_IPFS_PREFIX = "ipfs://";
+
+export function commentByteLength(message) {
+  return ethers.toUtf8Bytes(String(message ?? "")).length;
+}
+
 export default class TaskMarketplaceUtils {
-  constructor(contractAddress) {
+  // options: { getDeployment, getRpcUrl, startBlock, multicallAddress }
+  //   getDeployment(chainId) - per-chain { taskMarketplace, startBlock, multicall3 } or null (see utils/networks);
+  //     used when contractAddress is null, so the wallet's chain picks the deployment
+  //   getRpcUrl(chainId) - JSON-RPC endpoint for reads; without one, reads go through the wallet
+  //   startBlock - first block to index events from (overrides the deployment's block)
+  //   multicallAddress - Multicall3 used to batch reads (overrides the deployment's, else the canonical address)
+  //   txQueue - persistent record of sent transactions (defaults to a localStorage-backed TxQueue)
+  constructor(contractAddress, options = {}) {
+    this.fixedAddress = contractAddress;
     this.contractAddress = contractAddress;
-    this.provider = null;
+    this.options = options;
+    this.chainId = null; // chain the read side is on
+    this.walletChainId = null;
+    this.account = null; // connected wallet address
+    this.walletProvider = null; // EIP-1193 provider behind this.provider
+    this.startBlock = options.startBlock ?? 0;
+    this.readProvider = null; // JsonRpcProvider: all view calls, logs and event subscriptions
+    this.provider = null; // wallet (BrowserProvider): signing only
     this.signer = null;
     this.contractRead = null;
     this.contractWrite = null;
+    this.indexer = null;
+    this.multicall = null;
+    this.txQueue = options.txQueue ?? new TxQueue();
     this._listeners = [];
+    this._tokens = new Map(); // lowercase address -> { address, symbol, name, decimals } (reward tokens)
   }
 
+  // Wallet connected on a chain with a deployment (writes possible)
   isConnected() {
     return Boolean(this.provider && this.signer && this.contractRead && this.contractWrite);
   }
 
+  // Read side ready (with or without a wallet)
+  canRead() {
+    return Boolean(this.readProvider && this.contractRead);
+  }
+
   removeAllListeners() {
     try {
       for (const { event, handler } of this._listeners) {
@@ -40,6 +168,12 @@ export default class TaskMarketplaceUtils {
     this._listeners = [];
   }
 
+  // View call through the Multicall3 batcher (falls back to a direct call)
+  _read(method, ...args) {
+    if (this.multicall) return this.multicall.call(this.contractRead, method, args);
+    return this.contractRead[method](...args);
+  }
+
   _on(event, handler) {
     if (!this.contractRead?.on) return;
     this.contractRead.on(event, handler);
@@ -47,31 +181,111 @@ export default class TaskMarketplaceUtils {
   }
 
   // ---- Connection / info ----
-  async connectWallet() {
+
+  // Point the read side at chainId's deployment; false if the marketplace isn't deployed there
+  _setupRead(chainId) {
+    chainId = Number(chainId);
+    if (this.contractRead && this.chainId === chainId) return true;
+
+    const deployment = this.fixedAddress ? null : (this.options.getDeployment?.(chainId) ?? null);
+    const address = this.fixedAddress ?? deployment?.taskMarketplace ?? null;
+    if (!address) return false;
+
+    const rpcUrl = this.options.getRpcUrl?.(chainId);
+    const readProvider = rpcUrl
+      ? new ethers.JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true })
+      : this.provider;
+    if (!readProvider) return false;
+
+    this.removeAllListeners();
+    if (this.readProvider !== readProvider) this.readProvider?.destroy?.();
+
+    this.chainId = chainId;
+    this.contractAddress = address;
+    this._tokens = new Map();
+    this.startBlock = this.options.startBlock ?? deployment?.startBlock ?? 0;
+    this.readProvider = readProvider;
+    this.contractRead = new ethers.Contract(address, ABI, readProvider);
+    this.multicall = new Multicall(readProvider, {
+      address: this.options.multicallAddress ?? deployment?.multicall3 ?? undefined,
+    });
+    this.indexer = new TaskIndexer(this.contractRead, readProvider, {
+      read: (method, ...args) => this._read(method, ...args),
+      dbName: `task-index-${chainId}-${address.toLowerCase()}`,
+      startBlock: this.startBlock,
+    });
+    return true;
+  }
+
+  // Browse without a wallet: reads from the configured RPC for chainId
+  async connectReadOnly(chainId) {
+    try {
+      if (!this._setupRead(chainId)) {
+        return { success: false, error: `Marketplace is not available on chain ${chainId}` };
+      }
+      return { success: true, chainId: this.chainId };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // options: { provider, silent }
+  //   provider - EIP-1193 provider to sign with (EIP-6963 wallet, dev signer, ...);
+  //     defaults to the previously used one, then window.ethereum
+  //   silent - reconnect through eth_accounts only (never prompts; fails if the wallet hasn't authorized this site)
+  async connectWallet(options = {}) {
     try {
-      if (!window.ethereum) return { success: false, error: "MetaMask not found" };
+      const injected =
+        options.provider ?? this.walletProvider ?? (typeof window !== "undefined" ? window.ethereum : null);
+      if (!injected) return { success: false, error: "No wallet found" };
 
-      this.provider = new ethers.BrowserProvider(window.ethereum);
-      const accounts = await this.provider.send("eth_requestAccounts", []);
+      this.walletProvider = injected;
+      this.provider = new ethers.BrowserProvider(injected);
+      const accounts = await this.provider.send(options.silent ? "eth_accounts" : "eth_requestAccounts", []);
       const address = accounts?.[0];
-      if (!address) return { success: false, error: "No account" };
+      if (!address) {
+        this.provider = null;
+        return { success: false, error: options.silent ? "Wallet has not authorized this site" : "No account" };
+      }
 
       this.signer = await this.provider.getSigner();
+      this.account = address;
+      this.contractWrite = null;
 
-      this.contractRead = new ethers.Contract(this.contractAddress, ABI, this.provider);
-      this.contractWrite = new ethers.Contract(this.contractAddress, ABI, this.signer);
+      const { chainId } = await this.provider.getNetwork();
+      this.walletChainId = Number(chainId);
 
       const balanceWei = await this.provider.getBalance(address);
-      return { success: true, address, balance: ethers.formatEther(balanceWei) };
+      const balance = ethers.formatEther(balanceWei);
+
+      // Wallet is on a chain without the marketplace: keep browsing the current read chain
+      if (!this._setupRead(this.walletChainId)) {
+        return { success: true, address, balance, chainId: this.walletChainId, supported: false };
+      }
+
+      this.contractWrite = new ethers.Contract(this.contractAddress, ABI, this.signer);
+      return { success: true, address, balance, chainId: this.walletChainId, supported: true };
     } catch (e) {
       return { success: false, error: e?.message || String(e) };
     }
   }
 
+  // Forget the wallet; reads keep working
+  disconnectWallet() {
+    this.walletProvider = null;
+    this.provider = null;
+    this.signer = null;
+    this.contractWrite = null;
+    this.walletChainId = null;
+    this.account = null;
+  }
+
+  // Wallet's network when connected, otherwise the read-only one
   async getNetworkInfo() {
     try {
-      if (!this.provider) return { success: false, error: "Not connected" };
-      const net = await this.provider.getNetwork();
+      const provider = this.provider ?? this.readProvider;
+      if (!provider) return { success: false, error: "Not connected" };
+      const net = await provider.getNetwork();
       return { success: true, chainId: String(net.chainId), name: net.name };
     } catch (e) {
       return { success: false, error: e?.message || String(e) };
@@ -80,25 +294,173 @@ export default class TaskMarketplaceUtils {
 
   async getBalance(address) {
     try {
-      if (!this.provider) return { success: false, error: "Not connected" };
-      const balWei = await this.provider.getBalance(address);
+      if (!this.readProvider) return { success: false, error: "Not connected" };
+      const balWei = this.multicall
+        ? await this.multicall.getEthBalance(address)
+        : await this.readProvider.getBalance(address);
       return { success: true, balance: ethers.formatEther(balWei) };
     } catch (e) {
       return { success: false, error: e?.message || String(e) };
     }
   }
 
-  // contract withdrawable balance (userBalances mapping)
+  // contract withdrawable ETH balance (see getTokenBalances for the rest)
   async getContractBalance(address) {
     try {
       if (!this.contractRead) return { success: false, error: "Not connected" };
-      const balWei = await this.contractRead.getBalance(address);
+      const balWei = await this._read("getBalance", address);
       return { success: true, balance: ethers.formatEther(balWei) };
     } catch (e) {
       return { success: false, error: e?.message || String(e) };
     }
   }
 
+  // ---- Reward tokens ----
+  _token(address) {
+    return new ethers.Contract(address, ERC20_ABI, this.readProvider);
+  }
+
+  // Cached symbol/decimals of a reward token (ETH for address(0)); null until _loadTokens has read it
+  _tokenMeta(address) {
+    if (isEthToken(address)) return ETH_TOKEN;
+    return this._tokens.get(address.toLowerCase()) ?? null;
+  }
+
+  // Reads the metadata of the tokens not cached yet; _normalizeTask needs them for the decimals
+  async _loadTokens(addresses) {
+    const missing = Array.from(
+      new Set(addresses.filter((a) => !isEthToken(a) && !this._tokenMeta(a)).map((a) => a.toLowerCase()))
+    );
+    const read = (contract, method) =>
+      this.multicall ? this.multicall.call(contract, method, []) : contract[method]();
+    await Promise.all(
+      missing.map(async (address) => {
+        this._tokens.set(address, await readTokenMeta(this._token(address), read));
+      })
+    );
+  }
+
+  /**
+   * Tokens the marketplace knows: ETH first, then every ERC-20 the owner allowed (allowed: false for ones
+   * removed from the allowlist since, which only matter for withdrawals)
+   * @returns {Promise<{success, tokens: Array<{address, symbol, name, decimals, allowed, minReward}>}>}
+   */
+  async getTokens() {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+
+      const addresses = Array.from(await this._read("getTokens"));
+      await this._loadTokens(addresses);
+      const tokens = await Promise.all(
+        addresses.map(async (address) => {
+          const meta = this._tokenMeta(address);
+          const [allowed, minReward] = await Promise.all([
+            this._read("allowedTokens", address),
+            this._read("minTokenReward", address),
+          ]);
+          return { ...meta, allowed, minReward: ethers.formatUnits(minReward, meta.decimals) };
+        })
+      );
+      return { success: true, tokens: [{ ...ETH_TOKEN, allowed: true, minReward: MIN_ETH_REWARD }, ...tokens] };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // Withdrawable balance in every known ERC-20 (ETH: getContractBalance)
+  async getTokenBalances(address) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+
+      const addresses = Array.from(await this._read("getTokens"));
+      await this._loadTokens(addresses);
+      const balances = await Promise.all(
+        addresses.map(async (token) => {
+          const meta = this._tokenMeta(token);
+          const balanceWei = await this._read("getTokenBalance", address, token);
+          return { ...meta, balanceWei, balance: ethers.formatUnits(balanceWei, meta.decimals) };
+        })
+      );
+      return { success: true, balances };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  /**
+   * Gets a token reward ready for createTask: the marketplace pulls it with transferFrom. Uses the existing
+   * allowance, else signs an EIP-2612 permit (pass it as options.permit), else asks for approveToken first.
+   * @param {string} tokenAddress - address(0) for ETH (always ready)
+   * @param {string} amount - reward in the token
+   * @returns {Promise<{success, ready, permit?, needsApproval?, token}>}
+   */
+  async prepareTokenReward(tokenAddress, amount) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+      if (isEthToken(tokenAddress)) return { success: true, ready: true, token: ETH_TOKEN };
+
+      await this._loadTokens([tokenAddress]);
+      const meta = this._tokenMeta(tokenAddress);
+      const value = parseTokenAmount(amount, meta.decimals);
+      const token = this._token(tokenAddress);
+
+      const [balance, allowance] = await Promise.all([
+        token.balanceOf(this.account),
+        token.allowance(this.account, this.contractAddress),
+      ]);
+      if (balance < value) {
+        return { success: false, error: `Not enough ${meta.symbol}: you have ${ethers.formatUnits(balance, meta.decimals)}` };
+      }
+      if (allowance >= value) return { success: true, ready: true, token: meta };
+
+      const permit = await signPermit(this.signer, token.connect(this.signer), {
+        spender: this.contractAddress,
+        value,
+        deadline: Math.floor(Date.now() / 1000) + PERMIT_WINDOW,
+        chainId: this.walletChainId,
+      });
+      if (permit) return { success: true, ready: true, permit, token: meta };
+
+      return { success: true, ready: false, needsApproval: true, token: meta };
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  _approveCall(tokenAddress, amount) {
+    const meta = this._tokenMeta(tokenAddress);
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.signer);
+    return [token.approve, [this.contractAddress, parseTokenAmount(amount, meta.decimals)]];
+  }
+
+  async estimateGasForApproveToken(tokenAddress, amount) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+      await this._loadTokens([tokenAddress]);
+
+      const [approve, args] = this._approveCall(tokenAddress, amount);
+      const gasEstimate = await approve.estimateGas(...args);
+      return this.estimateFees(gasEstimate);
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  // Lets the marketplace pull amount of the token (for a createTask without permit)
+  async approveToken(tokenAddress, amount, overrides = {}) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+      await this._loadTokens([tokenAddress]);
+
+      const [approve, args] = this._approveCall(tokenAddress, amount);
+      const tx = await approve(...args, overrides);
+      const r = await this._track(tx, "approveToken", null);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
   // ---- Events (used by App.jsx) ----
   onTaskCreated(cb) {
     this._on("TaskCreated", cb);
@@ -117,18 +479,59 @@ export default class TaskMarketplaceUtils {
   onTaskCancelled(cb) {
     this._on("TaskCancelled", cb);
   }
+  onTaskExpired(cb) {
+    this._on("TaskExpired", cb);
+  }
+  onWorkAutoApproved(cb) {
+    this._on("WorkAutoApproved", cb);
+  }
+  onMilestoneApproved(cb) {
+    this._on("MilestoneApproved", cb);
+  }
+  onRevisionRequested(cb) {
+    this._on("RevisionRequested", cb);
+  }
+  onDisputeOpened(cb) {
+    this._on("DisputeOpened", cb);
+  }
+  onDisputeResponded(cb) {
+    this._on("DisputeResponded", cb);
+  }
+  onDisputeResolved(cb) {
+    this._on("DisputeResolved", cb);
+  }
   onTaskComment(cb) {
-    // ✅ Comment event doesn't exist in this contract version
-    // Commenting out to prevent errors
-    // this._on("TaskComment", (taskId, author, message, timestamp) => {
-    //   cb({ taskId: Number(taskId), author, message, timestamp: Number(timestamp) });
-    // });
+    // Callback gets the same shape as getCommentsForTask (IPFS comments already resolved)
+    this._on("TaskComment", async (taskId, author, message, timestamp, event) => {
+      const comment = this._toComment({
+        taskId,
+        author,
+        message,
+        timestamp,
+        transactionHash: event?.log?.transactionHash,
+        index: event?.log?.index,
+      });
+      cb(await this._resolveComment(comment));
+    });
   }
 
   // ---- Helpers ----
+  // Amounts are formatted with the reward token's decimals: _loadTokens([raw.token]) first
   _normalizeTask(raw) {
     const statusNum = Number(raw.status);
     const statusText = STATUS_TEXT[statusNum] ?? String(statusNum);
+    // records indexed before token rewards have no token: ETH
+    const token = this._tokenMeta(raw.token ?? ethers.ZeroAddress);
+    if (!token) throw new Error(`Reward token ${raw.token} not loaded`);
+    const format = (amount) => ethers.formatUnits(amount, token.decimals);
+
+    // Milestone payouts: the one being worked on is milestones[milestonesApproved]
+    const milestoneAmounts = Array.from(raw.milestoneAmounts ?? [], (a) => BigInt(a));
+    const milestonesApproved = Number(raw.milestonesApproved ?? 0);
+    const releasedWei = milestoneAmounts.slice(0, milestonesApproved).reduce((sum, a) => sum + a, 0n);
+    const escrowWei = [STATUS.Open, STATUS.InProgress, STATUS.PendingApproval, STATUS.Disputed].includes(statusNum)
+      ? BigInt(raw.reward) - releasedWei
+      : 0n;
 
     return {
       id: Number(raw.id),
@@ -139,8 +542,11 @@ export default class TaskMarketplaceUtils {
       description: raw.metadataCID,
       metadataCID: raw.metadataCID,
       submissionCID: raw.submissionCID,
-      reward: ethers.formatEther(raw.reward),
+      reward: format(raw.reward),
       rewardWei: raw.reward,
+      token: token.address,
+      tokenSymbol: token.symbol,
+      tokenDecimals: token.decimals,
       status: statusNum,
       statusText,
       createdAt: Number(raw.createdAt),
@@ -151,166 +557,929 @@ export default class TaskMarketplaceUtils {
       acceptedAt: Number(raw.acceptedAt),
       completedAt: Number(raw.completedAt),
       category: Number(raw.category),
+      categoryText: CATEGORIES[Number(raw.category)] ?? String(raw.category),
       tagsHash: raw.tagsHash,
+      tags: [],
+      // "verified" | "mismatch" | "unverifiable" (metadata not available)
+      tagsStatus: raw.tagsHash === ethers.ZeroHash ? "verified" : "unverifiable",
+      // metadata content checked against metadataCID: "verified" | "mismatch" | "unverifiable",
+      // null when metadataCID is plain text
+      metadataIntegrity: isIPFSCID(raw.metadataCID) ? "unverifiable" : null,
+      metadataIntegrityReason: null,
+      // schema check of the (migrated) metadata: problems as "field: message", empty when valid
+      metadata: null,
+      metadataVersion: null, // version it was stored in: "text" | 0 | 1 ...
+      metadataErrors: [],
+      // [{ index, amount, amountWei, description (from metadata), approved }], empty for a single payout
+      milestones: milestoneAmounts.map((amountWei, index) => ({
+        index,
+        amount: format(amountWei),
+        amountWei,
+        description: "",
+        approved: index < milestonesApproved,
+      })),
+      milestonesApproved,
+      released: format(releasedWei),
+      releasedWei,
+      // reward still held by the contract (what cancel/expire refunds or a dispute splits)
+      escrow: format(escrowWei),
+      escrowWei,
+      // revision requests so far (records indexed before revisions have none)
+      revisionCount: Number(raw.revisionCount ?? 0),
     };
   }
 
-  async getTask(taskId) {
+  async getTask(taskId) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+      const t = await this._read("getTask", BigInt(taskId));
+      await this._loadTokens([t.token]);
+      const normalized = await this._attachMetadata(this._normalizeTask(t));
+      return { success: true, task: normalized };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // ✅ Metadata behind metadataCID (or the plain-text description itself), migrated to the current schema
+  // and validated; invalid metadata is still shown, with task.metadataErrors set
+  async _attachMetadata(normalized) {
+    const taskId = normalized.id;
+    const fromIPFS = isIPFSCID(normalized.metadataCID);
+
+    let source = normalized.metadataCID;
+    if (fromIPFS) {
+      source = null;
+      try {
+        const fetched = await fetchVerifiedFromIPFS(normalized.metadataCID);
+        if (fetched) {
+          source = fetched.data;
+          normalized.metadataIntegrity = fetched.integrity;
+          normalized.metadataIntegrityReason = fetched.integrityReason;
+        } else {
+          console.warn('Metadata fetch returned null for:', normalized.metadataCID);
+          normalized.metadataIntegrityReason = "Metadata could not be fetched";
+        }
+      } catch (e) {
+        console.error(`Failed to fetch IPFS metadata for task ${taskId}:`, e);
+      }
+    }
+    if (source == null) return normalized;
+
+    const { metadata, fromVersion } = migrateTaskMetadata(source, {
+      title: normalized.title,
+      createdAt: new Date(normalized.createdAt * 1000).toISOString(),
+    });
+    normalized.metadata = metadata;
+    normalized.metadataVersion = fromVersion;
+    normalized.metadataErrors = validateTaskMetadata(metadata).errors;
+    normalized.description = typeof metadata?.description === "string" ? metadata.description : "";
+    this._attachMilestoneDescriptions(normalized, metadata);
+
+    if (fromIPFS) {
+      // ✅ Tags in metadata must hash to the on-chain tagsHash
+      normalized.tags = canonicalizeTags(Array.isArray(metadata?.tags) ? metadata.tags : []);
+      normalized.tagsStatus = hashTags(normalized.tags) === normalized.tagsHash ? "verified" : "mismatch";
+    }
+    return normalized;
+  }
+
+  // ✅ Milestone descriptions from metadata.milestones; their amounts must match the escrowed ones
+  _attachMilestoneDescriptions(normalized, metadata) {
+    if (normalized.milestones.length === 0) return;
+
+    const described = Array.isArray(metadata?.milestones) ? metadata.milestones : [];
+    normalized.milestones.forEach((m, i) => {
+      m.description = typeof described[i]?.description === "string" ? described[i].description : "";
+    });
+
+    const matches =
+      described.length === normalized.milestones.length &&
+      described.every((d, i) => {
+        try {
+          return parseTokenAmount(d?.amount, normalized.tokenDecimals) === normalized.milestones[i].amountWei;
+        } catch {
+          return false;
+        }
+      });
+    if (!matches) normalized.metadataErrors.push("milestones: don't match the milestone amounts escrowed on-chain");
+  }
+
+  // Submission manifest behind task.submissionCID ({ note, files: [{name, size, type, cid}] });
+  // dispute evidence and revision notes are stored in the same shape
+  async getSubmission(submissionCID) {
+    try {
+      if (!submissionCID) return { success: false, error: "No submission" };
+      if (!isIPFSCID(submissionCID)) {
+        // Older submissions may carry a plain-text note instead of a CID
+        return { success: true, submission: { note: submissionCID, files: [] } };
+      }
+
+      const fetched = await fetchVerifiedFromIPFS(submissionCID);
+      if (fetched == null) return { success: false, error: "Submission could not be fetched from IPFS" };
+
+      // integrity: the manifest checked against submissionCID ("verified" | "mismatch" | "unverifiable")
+      const { data, integrity, integrityReason } = fetched;
+      if (typeof data === "string") {
+        return { success: true, submission: { note: data, files: [], integrity, integrityReason } };
+      }
+
+      return {
+        success: true,
+        submission: {
+          note: data.note || "",
+          files: Array.isArray(data.files) ? data.files : [],
+          submittedAt: data.submittedAt,
+          integrity,
+          integrityReason,
+        },
+      };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // ---- Revisions ----
+  // Revision requests allowed per task (owner setting)
+  async getMaxRevisions() {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+      return { success: true, maxRevisions: Number(await this._read("maxRevisions")) };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // Revision requests of a task, oldest first: [{ round, noteCID, submissionCID (the one sent back),
+  // requestedAt, deliveryDeadline (the extended one) }]
+  async getRevisions(taskId) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+      const list = await this._read("getRevisions", BigInt(taskId));
+      const revisions = Array.from(list, (r, i) => ({
+        round: i + 1,
+        noteCID: r.noteCID,
+        submissionCID: r.submissionCID,
+        requestedAt: Number(r.requestedAt),
+        deliveryDeadline: Number(r.deliveryDeadline),
+      }));
+      return { success: true, revisions };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // ---- Disputes ----
+  async getArbiter() {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+      return { success: true, arbiter: await this._read("arbiter") };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  _normalizeDispute(raw) {
+    return {
+      creatorEvidenceCID: raw.creatorEvidenceCID,
+      workerEvidenceCID: raw.workerEvidenceCID,
+      responded: raw.workerEvidenceCID.length > 0,
+      openedAt: Number(raw.openedAt),
+      responseDeadline: Number(raw.responseDeadline),
+      resolvedAt: Number(raw.resolvedAt),
+      workerShareBps: Number(raw.workerShareBps),
+    };
+  }
+
+  // Dispute record of a task; openedAt is 0 when the task was never disputed
+  async getDispute(taskId) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+      const raw = await this._read("getDispute", BigInt(taskId));
+      return { success: true, dispute: this._normalizeDispute(raw) };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // Tasks waiting for the arbiter (status Disputed)
+  async getDisputedTasks() {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+
+      const indexed = await this._getIndexedTasks((t) => Number(t.status) === STATUS.Disputed);
+      if (indexed) return { success: true, tasks: indexed };
+
+      const n = Number(await this._read("getTotalTasks"));
+      const ids = Array.from({ length: n }, (_, i) => i + 1);
+      const tasks = (await this._getTasksFromIds(ids)).filter((t) => t.status === STATUS.Disputed);
+      return { success: true, tasks };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  async getApplicants(taskId) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+      const arr = await this._read("getApplicants", BigInt(taskId));
+      return { success: true, applicants: arr };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // avgStarsTimes100 comes from the contract (ex: 4.25 -> 425)
+  async getRating(address) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+      const [avgStarsTimes100, count] = await this._read("getRating", address);
+      return {
+        success: true,
+        avgStarsTimes100: Number(avgStarsTimes100),
+        avgStars: Number(avgStarsTimes100) / 100,
+        count: Number(count),
+      };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // Which side of a completed task has already rated (from Rated events)
+  async getRatingStatus(taskId, fromBlock = this.startBlock) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+      const t = await this._read("getTask", BigInt(taskId));
+      const filter = this.contractRead.filters.Rated(BigInt(taskId));
+      const events = await this.contractRead.queryFilter(filter, fromBlock, "latest");
+
+      const from = events.map((e) => e.args.from?.toLowerCase?.());
+      return {
+        success: true,
+        workerRated: from.includes(t.creator.toLowerCase()),
+        creatorRated: from.includes(t.worker.toLowerCase()),
+      };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // Completed tasks where the address was the assigned worker (no IPFS fetch needed)
+  async getCompletedTaskCount(worker) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+      const ids = await this._read("getTasksByWorker", worker);
+      const raws = await Promise.all(ids.map((id) => this._read("getTask", id)));
+      const count = raws.filter(
+        (t) => Number(t.status) === 3 && t.worker?.toLowerCase?.() === worker.toLowerCase()
+      ).length;
+      return { success: true, count };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // Applicants + reputation, used by the creator's applicants panel
+  async getApplicantDetails(taskId) {
+    try {
+      const res = await this.getApplicants(taskId);
+      if (!res.success) return res;
+
+      const applicants = await Promise.all(
+        res.applicants.map(async (address) => {
+          const [rating, completed] = await Promise.all([
+            this.getRating(address),
+            this.getCompletedTaskCount(address),
+          ]);
+          return {
+            address,
+            avgStars: rating.success ? rating.avgStars : 0,
+            ratingCount: rating.success ? rating.count : 0,
+            completedTasks: completed.success ? completed.count : 0,
+          };
+        })
+      );
+
+      return { success: true, applicants };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  async _getTasksFromIds(ids) {
+    const results = await Promise.all(ids.map((id) => this.getTask(id)));
+    const tasks = results.filter((r) => r.success).map((r) => r.task);
+    // newest first
+    tasks.sort((a, b) => Number(b.id) - Number(a.id));
+    return tasks;
+  }
+
+  // Tasks from the event index (synced first), metadata fetched in parallel.
+  // Returns null when the index is unavailable so callers can fall back to direct reads.
+  async _getIndexedTasks(predicate) {
+    if (!this.indexer) return null;
+    try {
+      await this.indexer.sync();
+      const records = (await this.indexer.getAllTasks()).filter(predicate);
+      await this._loadTokens(records.map((r) => r.token ?? ethers.ZeroAddress));
+      const tasks = await Promise.all(records.map((r) => this._attachMetadata(this._normalizeTask(r))));
+      tasks.sort((a, b) => Number(b.id) - Number(a.id));
+      return tasks;
+    } catch (e) {
+      console.warn("Task index unavailable, reading tasks directly:", e);
+      return null;
+    }
+  }
+
+  async getTasksByCreator(creator) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+      const who = creator.toLowerCase();
+      const indexed = await this._getIndexedTasks((t) => t.creator.toLowerCase() === who);
+      if (indexed) return { success: true, tasks: indexed };
+
+      const ids = await this._read("getTasksByCreator", creator);
+      const tasks = await this._getTasksFromIds(ids);
+      return { success: true, tasks };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  async getTasksByWorker(worker) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+      const who = worker.toLowerCase();
+      const indexed = await this._getIndexedTasks((t) => t.worker.toLowerCase() === who);
+      if (indexed) return { success: true, tasks: indexed };
+
+      const ids = await this._read("getTasksByWorker", worker);
+      const tasks = await this._getTasksFromIds(ids);
+      return { success: true, tasks };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  async getAllOpenTasks() {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+
+      const indexed = await this._getIndexedTasks((t) => Number(t.status) === 0);
+      if (indexed) return { success: true, tasks: indexed };
+
+      const n = Number(await this._read("getTotalTasks"));
+      const ids = Array.from({ length: n }, (_, i) => i + 1);
+      const tasks = (await this._getTasksFromIds(ids)).filter((t) => t.status === 0);
+      return { success: true, tasks };
+    } catch (e) {
+      console.error('❌ Error fetching tasks:', e);
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // ---- Maintenance (keeper) ----
+  async getLatestBlockTime() {
+    try {
+      if (!this.readProvider) return { success: false, error: "Not connected" };
+      const block = await this.readProvider.getBlock("latest");
+      return { success: true, timestamp: Number(block.timestamp), blockNumber: Number(block.number) };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // Mirrors the require() checks in autoApprove / expireTask
+  _maintenanceAction(task, now) {
+    if (task.status === 2 && task.reviewDeadline !== 0 && now > task.reviewDeadline) {
+      return { action: "autoApprove", reason: `Review period ended ${task.reviewDeadline}` };
+    }
+    if (task.status === 0 && now > task.applyDeadline) {
+      return { action: "expire", reason: `Apply deadline passed ${task.applyDeadline}` };
+    }
+    if (task.status === 1 && now > task.deliveryDeadline) {
+      return { action: "expire", reason: `Delivery deadline passed ${task.deliveryDeadline}` };
+    }
+    return null;
+  }
+
+  // Scan every task and return the ones anyone can autoApprove / expire right now
+  async getMaintenanceCandidates() {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+
+      const block = await this.getLatestBlockTime();
+      if (!block.success) return block;
+
+      const n = Number(await this._read("getTotalTasks"));
+      const ids = Array.from({ length: n }, (_, i) => BigInt(i + 1));
+      const raws = await Promise.all(ids.map((id) => this._read("getTask", id)));
+      await this._loadTokens(raws.map((raw) => raw.token));
+
+      const candidates = [];
+      for (const raw of raws) {
+        const task = this._normalizeTask(raw);
+        const match = this._maintenanceAction(task, block.timestamp);
+        if (match) candidates.push({ task, ...match });
+      }
+
+      return { success: true, candidates, blockTime: block.timestamp, blockNumber: block.blockNumber };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // ---- Pre-flight ----
+
+  // Task ids the address applied to, from TaskApplied logs (the contract's hasApplied mapping is private)
+  async getAppliedTaskIds(address, fromBlock = this.startBlock) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+      const filter = this.contractRead.filters.TaskApplied(null, address);
+      const events = await this.contractRead.queryFilter(filter, fromBlock, "latest");
+      return { success: true, taskIds: Array.from(new Set(events.map((e) => Number(e.args.taskId)))) };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  /**
+   * Mirrors the contract's modifiers and require() checks for an action, without calling it.
+   * Checks whose input is missing from context are skipped (e.g. no account -> no role checks).
+   * @param {string} action - apply | accept | submit | approve | autoApprove | cancel | expire |
+   *   rateWorker | rateCreator | comment | withdraw | revision | dispute | respondDispute | resolveDispute
+   * @param {Object|null} task - normalized task (null if it doesn't exist; ignored for withdraw)
+   * @param {Object} context - { account, now (block time), applied, applicants, worker, stars,
+   *   submissionCID, ratingStatus: { workerRated, creatorRated }, balanceWei, noteCID, extension (seconds),
+   *   maxRevisions, evidenceCID, dispute (from getDispute), arbiter, workerShareBps }
+   * @returns {Array<{code, message, action, reason}>} blocking reasons, empty when the call should go through
+   */
+  checkPreconditions(action, task, context = {}) {
+    const reasons = [];
+    const require = (ok, revert) => {
+      if (!ok) reasons.push(describeRevert(revert));
+    };
+
+    const { now, stars, submissionCID, ratingStatus, noteCID, extension, maxRevisions, evidenceCID, dispute, workerShareBps } =
+      context;
+    const me = context.account?.toLowerCase();
+    const hasTime = Number.isFinite(now);
+
+    if (action === "withdraw") {
+      if (context.balanceWei != null) require(BigInt(context.balanceWei) > 0n, "No balance");
+      return reasons;
+    }
+
+    // taskExists
+    if (!task) {
+      require(false, "Task does not exist");
+      return reasons;
+    }
+
+    const isCreator = task.creator?.toLowerCase() === me;
+    const isWorker = task.worker?.toLowerCase() === me;
+    const onlyCreator = () => {
+      if (me) require(isCreator, "Only creator");
+    };
+    const onlyWorker = () => {
+      if (me) require(isWorker, "Only assigned worker");
+    };
+    const validStars = () => {
+      if (stars != null) require(stars >= 1 && stars <= 5, "Stars 1..5");
+    };
+    const validEvidence = () => {
+      if (evidenceCID !== undefined) require(String(evidenceCID ?? "").length > 0, "evidenceCID required");
+    };
+
+    switch (action) {
+      case "apply": {
+        const applied = context.applied ?? (me ? context.applicants?.includes(me) : undefined);
+        require(task.status === STATUS.Open, "Not open");
+        if (hasTime) require(now <= task.applyDeadline, "Apply deadline passed");
+        if (me) require(!isCreator, "Creator cannot apply");
+        if (applied != null) require(!applied, "Already applied");
+        break;
+      }
+      case "accept": {
+        const worker = context.worker?.toLowerCase();
+        onlyCreator();
+        require(task.status === STATUS.Open, "Not open");
+        if (hasTime) require(now <= task.applyDeadline, "Apply deadline passed");
+        if (context.worker !== undefined) require(worker && worker !== ethers.ZeroAddress, "Invalid worker");
+        if (worker && context.applicants) require(context.applicants.includes(worker), "Worker did not apply");
+        break;
+      }
+      case "submit":
+        onlyWorker();
+        require(task.status === STATUS.InProgress, "Not in progress");
+        if (hasTime) require(now <= task.deliveryDeadline, "Delivery deadline passed");
+        if (submissionCID !== undefined) require(String(submissionCID ?? "").length > 0, "submissionCID required");
+        break;
+      case "approve":
+        onlyCreator();
+        require(task.status === STATUS.PendingApproval, "Not pending approval");
+        require(task.worker && task.worker !== ethers.ZeroAddress, "No worker");
+        break;
+      case "autoApprove":
+        require(task.status === STATUS.PendingApproval, "Not pending approval");
+        require(task.reviewDeadline !== 0, "No review deadline set");
+        if (hasTime) require(now > task.reviewDeadline, "Review period not over");
+        break;
+      case "cancel":
+        onlyCreator();
+        require(task.status === STATUS.Open || task.status === STATUS.InProgress, "Cannot cancel now");
+        break;
+      case "expire": {
+        const expirable = task.status === STATUS.Open || task.status === STATUS.InProgress;
+        require(expirable, "Not expirable");
+        if (expirable && hasTime) {
+          const deadline = task.status === STATUS.Open ? task.applyDeadline : task.deliveryDeadline;
+          require(now > deadline, "Not past deadline");
+        }
+        break;
+      }
+      case "rateWorker":
+        onlyCreator();
+        require(task.status === STATUS.Completed, "Not completed");
+        if (ratingStatus) require(!ratingStatus.workerRated, "Already rated worker");
+        validStars();
+        break;
+      case "rateCreator":
+        onlyWorker();
+        require(task.status === STATUS.Completed, "Not completed");
+        if (ratingStatus) require(!ratingStatus.creatorRated, "Already rated creator");
+        validStars();
+        break;
+      case "comment":
+        if (me) require(isCreator || isWorker, "Only creator or worker can comment");
+        break;
+      case "revision":
+        onlyCreator();
+        require(task.status === STATUS.PendingApproval, "Not pending approval");
+        if (hasTime) require(now <= task.reviewDeadline, "Review period over");
+        if (noteCID !== undefined) require(String(noteCID ?? "").length > 0, "noteCID required");
+        if (maxRevisions != null) require(task.revisionCount < maxRevisions, "Revision limit reached");
+        if (extension !== undefined) {
+          require(extension >= MIN_REVISION_EXTENSION && extension <= MAX_REVISION_EXTENSION, "Invalid extension");
+        }
+        break;
+      case "dispute":
+        onlyCreator();
+        require(task.status === STATUS.PendingApproval, "Not pending approval");
+        if (hasTime) require(now <= task.reviewDeadline, "Review period over");
+        validEvidence();
+        break;
+      case "respondDispute":
+        onlyWorker();
+        require(task.status === STATUS.Disputed, "Not disputed");
+        if (dispute) require(!dispute.responded, "Already responded");
+        if (dispute && hasTime) require(now <= dispute.responseDeadline, "Response period over");
+        validEvidence();
+        break;
+      case "resolveDispute":
+        if (me && context.arbiter) require(me === context.arbiter.toLowerCase(), "Only arbiter");
+        require(task.status === STATUS.Disputed, "Not disputed");
+        if (me) require(!isCreator && !isWorker, "Arbiter is a party");
+        if (workerShareBps !== undefined) {
+          require(Number.isInteger(workerShareBps) && workerShareBps >= 0 && workerShareBps <= 10000, "Invalid share");
+        }
+        if (dispute && hasTime) require(dispute.responded || now > dispute.responseDeadline, "Awaiting worker response");
+        break;
+      default:
+        throw new Error(`Unknown pre-flight action: ${action}`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Reads fresh task state and block time, then runs checkPreconditions
+   * @param {string} action - see checkPreconditions
+   * @param {number|null} taskId - ignored for withdraw
+   * @param {Object} params - extra context (worker, stars, submissionCID, noteCID, extension, evidenceCID,
+   *   workerShareBps, token for withdraw); account defaults to the wallet's
+   * @returns {Promise<{success, ok, reasons, task, blockTime}>}
+   */
+  async preflight(action, taskId, params = {}) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
+
+      const account = params.account ?? this.account ?? undefined;
+      const [block, total] = await Promise.all([this.getLatestBlockTime(), this._read("getTotalTasks")]);
+      if (!block.success) return block;
+
+      const context = { ...params, account, now: block.timestamp };
+      let task = null;
+
+      if (action === "withdraw") {
+        if (account) {
+          context.balanceWei = isEthToken(params.token)
+            ? await this._read("getBalance", account)
+            : await this._read("getTokenBalance", account, params.token);
+        }
+      } else if (Number(taskId) >= 1 && Number(taskId) <= Number(total)) {
+        const raw = await this._read("getTask", BigInt(taskId));
+        await this._loadTokens([raw.token]);
+        task = this._normalizeTask(raw);
+
+        if (action === "apply" || action === "accept") {
+          const list = await this._read("getApplicants", BigInt(taskId));
+          context.applicants = Array.from(list, (a) => a.toLowerCase());
+        }
+        if (action === "rateWorker" || action === "rateCreator") {
+          const status = await this.getRatingStatus(taskId);
+          if (status.success) context.ratingStatus = status;
+        }
+        if (action === "respondDispute" || action === "resolveDispute") {
+          context.dispute = this._normalizeDispute(await this._read("getDispute", BigInt(taskId)));
+        }
+        if (action === "resolveDispute") context.arbiter = await this._read("arbiter");
+        if (action === "revision") context.maxRevisions = Number(await this._read("maxRevisions"));
+      }
+
+      const reasons = this.checkPreconditions(action, task, context);
+      return { success: true, ok: reasons.length === 0, reasons, task, blockTime: block.timestamp };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  // ---- Transactions ----
+
+  // Record a sent transaction in the queue, then wait for it. A speed-up (same call, higher fees) counts
+  // as this transaction: its receipt is returned. A cancellation or foreign replacement throws.
+  async _track(tx, action, taskId = null) {
+    this.txQueue.record(tx, { chainId: this.walletChainId, action, taskId });
+    try {
+      // responses from contract calls never look for replacements (wait() would hang on a sped-up
+      // transaction): wait on a copy that scans from the current block
+      const startBlock = await this.provider.getBlockNumber();
+      const receipt = await tx.replaceableTransaction(startBlock).wait();
+      this.txQueue.settleReceipt(tx.hash, receipt);
+      return receipt;
+    } catch (e) {
+      if (e?.code === "TRANSACTION_REPLACED") {
+        this.txQueue.record(e.replacement, {
+          chainId: this.walletChainId,
+          action,
+          taskId,
+          kind: e.cancelled ? "cancel" : "speedUp",
+          replaces: tx.hash,
+        });
+        this.txQueue.settleReceipt(e.replacement.hash, e.receipt);
+        if (!e.cancelled) return e.receipt;
+      } else if (e?.receipt) {
+        // mined but reverted
+        this.txQueue.settleReceipt(tx.hash, e.receipt);
+      }
+      throw e;
+    }
+  }
+
+  // Queue entries for the read chain, newest first
+  getTransactions() {
+    return this.txQueue.list(this.chainId);
+  }
+
+  // cb(entries) on every queue change (entries for every chain; filter with getTransactions)
+  onTransactionsChanged(cb) {
+    return this.txQueue.subscribe(() => cb(this.getTransactions()));
+  }
+
+  // Re-attach pending entries to their receipts; detects dropped / replaced ones
+  async refreshTransactions() {
+    try {
+      if (!this.readProvider) return { success: false, error: "Not connected" };
+      const changed = await this.txQueue.refresh(this.readProvider, this.chainId);
+      return { success: true, changed };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  dismissTransaction(hash) {
+    this.txQueue.remove(hash);
+  }
+
+  // Forget every settled entry of the read chain
+  clearFinishedTransactions() {
+    this.txQueue.clearSettled(this.chainId);
+  }
+
+  // Same call, same nonce, higher fees
+  async speedUpTransaction(hash) {
+    return this._replaceTransaction(hash, "speedUp");
+  }
+
+  // Zero-value transfer to self with the same nonce and higher fees; the original can no longer be mined
+  async cancelTransaction(hash) {
+    return this._replaceTransaction(hash, "cancel");
+  }
+
+  // Wallets that manage nonces themselves may refuse the custom nonce; the wallet's own speed-up/cancel
+  // is picked up by refreshTransactions() as a replacement.
+  async _replaceTransaction(hash, kind) {
     try {
-      if (!this.contractRead) return { success: false, error: "Not connected" };
-      const t = await this.contractRead.getTask(BigInt(taskId));
-      const normalized = this._normalizeTask(t);
-      
-      console.log('Raw task from blockchain:', normalized);
-      
-      // ✅ Try to fetch IPFS metadata if metadataCID looks like a CID
-      if (isIPFSCID(normalized.metadataCID)) {
-        console.log('Attempting to fetch metadata from IPFS:', normalized.metadataCID);
-        try {
-          const metadata = await fetchFromIPFS(normalized.metadataCID);
-          console.log('Fetched metadata from IPFS:', metadata);
-          if (metadata) {
-            normalized.metadata = metadata;
-            normalized.description = metadata.description || normalized.metadataCID;
-          } else {
-            console.warn('Metadata fetch returned null for:', normalized.metadataCID);
-          }
-        } catch (e) {
-          console.error(`Failed to fetch IPFS metadata for task ${taskId}:`, e);
-        }
-      } else {
-        console.log('metadataCID is not a valid CID:', normalized.metadataCID);
+      if (!this.signer) return { success: false, error: "Not connected" };
+
+      const entry = this.txQueue.get(hash);
+      if (!entry || entry.status !== TX_STATUS.pending) {
+        return { success: false, error: "Transaction is no longer pending" };
       }
-      
-      return { success: true, task: normalized };
+      if (entry.from?.toLowerCase() !== this.account?.toLowerCase()) {
+        return { success: false, error: "Switch to the account that sent this transaction" };
+      }
+      if (entry.chainId !== this.walletChainId) {
+        return { success: false, error: "Switch the wallet to the network this transaction was sent on" };
+      }
+
+      const request =
+        kind === "cancel"
+          ? { to: entry.from, value: 0n, data: "0x", gasLimit: 21000n }
+          : {
+              to: entry.tx.to,
+              value: BigInt(entry.tx.value ?? 0),
+              data: entry.tx.data,
+              gasLimit: entry.tx.gasLimit ? BigInt(entry.tx.gasLimit) : undefined,
+            };
+
+      const tx = await this.signer.sendTransaction({
+        ...request,
+        nonce: entry.nonce,
+        ...(await this._replacementFees(entry)),
+      });
+      this.txQueue.record(tx, {
+        chainId: this.walletChainId,
+        action: entry.action,
+        taskId: entry.taskId,
+        kind,
+        replaces: hash,
+      });
+
+      return { success: true, hash: tx.hash };
     } catch (e) {
-      return { success: false, error: e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
-  async getApplicants(taskId) {
-    try {
-      if (!this.contractRead) return { success: false, error: "Not connected" };
-      const arr = await this.contractRead.getApplicants(BigInt(taskId));
-      return { success: true, applicants: arr };
-    } catch (e) {
-      return { success: false, error: e?.message || String(e) };
+  // The larger of the old fees bumped past the replacement threshold and the current "fast" preset
+  async _replacementFees(entry) {
+    const bump = (v) => (BigInt(v) * REPLACEMENT_BUMP_BPS + 9999n) / 10000n;
+    const max = (a, b) => (a > b ? a : b);
+    const { presets } = await getFeeOptions(this.readProvider ?? this.provider);
+    const fast = presets.fast;
+
+    if (entry.tx.gasPrice != null) {
+      return { gasPrice: max(bump(entry.tx.gasPrice), fast.gasPrice ?? fast.maxFeePerGas) };
     }
+    const priority = max(bump(entry.tx.maxPriorityFeePerGas ?? 0), fast.maxPriorityFeePerGas ?? 0n);
+    return {
+      maxPriorityFeePerGas: priority,
+      maxFeePerGas: max(max(bump(entry.tx.maxFeePerGas ?? 0), fast.maxFeePerGas ?? fast.gasPrice), priority),
+    };
   }
 
-  async _getTasksFromIds(ids) {
-    const tasks = [];
-    for (const id of ids) {
-      const result = await this.getTask(id);
-      if (result.success) {
-        tasks.push(result.task);
-      }
+  // ---- Actions ----
+  // additionalMetadata: { attachments, skills, acceptanceCriteria, contact } (see taskMetadata.jsx)
+  _buildTaskMetadata(title, description, additionalMetadata, category, tags) {
+    const metadata = buildTaskMetadata({
+      ...additionalMetadata,
+      title,
+      description,
+      category: CATEGORIES[category],
+      tags,
+    });
+    const { valid, errors } = validateTaskMetadata(metadata);
+    if (!valid) throw new Error(`Invalid task metadata: ${errors.join("; ")}`);
+    return metadata;
+  }
+
+  // Smallest-unit amounts of additionalMetadata.milestones ([{ description, amount }] in the reward token);
+  // null for a single payout
+  _milestoneAmounts(milestones, value, decimals = 18) {
+    if (!Array.isArray(milestones) || milestones.length === 0) return null;
+
+    const amounts = milestones.map((m) => parseTokenAmount(m.amount, decimals));
+    if (amounts.reduce((sum, a) => sum + a, 0n) !== value) {
+      throw new Error("Milestone amounts must add up to the reward");
     }
-    // newest first
-    tasks.sort((a, b) => Number(b.id) - Number(a.id));
-    return tasks;
+    return amounts;
   }
 
-  async getTasksByCreator(creator) {
-    try {
-      if (!this.contractRead) return { success: false, error: "Not connected" };
-      const ids = await this.contractRead.getTasksByCreator(creator);
-      const tasks = await this._getTasksFromIds(ids);
-      return { success: true, tasks };
-    } catch (e) {
-      return { success: false, error: e?.message || String(e) };
+  // options: { token = ETH, permit (from prepareTokenReward) }
+  async _resolveReward(rewardAmount, milestones, options) {
+    const token = options.token ?? ethers.ZeroAddress;
+    await this._loadTokens([token]);
+    const meta = this._tokenMeta(token);
+    const value = parseTokenAmount(rewardAmount, meta.decimals);
+    return {
+      token,
+      symbol: meta.symbol,
+      value,
+      milestoneAmounts: this._milestoneAmounts(milestones, value, meta.decimals),
+      permit: isEthToken(token) ? null : (options.permit ?? null),
+    };
+  }
+
+  // ETH: createTask, or createTaskWithMilestones when there are milestone amounts, sending the reward along.
+  // Token: createTokenTask, or createTokenTaskWithPermit with a permit. estimate: the call's gas estimate
+  _sendCreateTask(args, reward, overrides, estimate = false) {
+    const { token, value, milestoneAmounts, permit } = reward;
+    let fn, callArgs;
+    if (isEthToken(token)) {
+      fn = milestoneAmounts ? this.contractWrite.createTaskWithMilestones : this.contractWrite.createTask;
+      callArgs = [...args, ...(milestoneAmounts ? [milestoneAmounts] : []), { ...overrides, value }];
+    } else {
+      const tokenReward = { token, amount: value, milestoneAmounts: milestoneAmounts ?? [] };
+      fn = permit ? this.contractWrite.createTokenTaskWithPermit : this.contractWrite.createTokenTask;
+      callArgs = [...args, tokenReward, ...(permit ? [permit] : []), overrides];
     }
+    return estimate ? fn.estimateGas(...callArgs) : fn(...callArgs);
   }
 
-  async getTasksByWorker(worker) {
-    try {
-      if (!this.contractRead) return { success: false, error: "Not connected" };
-      const ids = await this.contractRead.getTasksByWorker(worker);
-      const tasks = await this._getTasksFromIds(ids);
-      return { success: true, tasks };
-    } catch (e) {
-      return { success: false, error: e?.message || String(e) };
+  // options: { category = 0, tags = [], applyDeadlineTs = min(now + 7 days, delivery), token, permit }
+  _resolveCreateOptions(options, delivery) {
+    const now = Math.floor(Date.now() / 1000);
+    const category = Number(options.category ?? 0);
+    if (!Number.isInteger(category) || category < 0 || category >= CATEGORIES.length) {
+      throw new Error("Invalid category");
+    }
+
+    // Default: 7 days, but never at/after the delivery deadline (the contract requires delivery > apply)
+    const applyDeadline = options.applyDeadlineTs != null
+      ? Number(options.applyDeadlineTs)
+      : Math.min(now + DEFAULT_APPLY_WINDOW, delivery - 1);
+    if (!Number.isFinite(applyDeadline) || applyDeadline <= now) {
+      throw new Error("Apply deadline must be in the future");
+    }
+    if (applyDeadline >= delivery) {
+      throw new Error("Apply deadline must be before the delivery deadline");
     }
+
+    const tags = canonicalizeTags(options.tags ?? []);
+    return { category, tags, tagsHash: hashTags(tags), applyDeadline };
   }
 
-  async getAllOpenTasks() {
+  // ✅ GAS ESTIMATION METHODS - Call before transactions to show user the cost
+
+  // Gas limit -> slow/normal/fast fee presets with each one's ETH range (see feeEngine).
+  // Pass fees[speed].overrides as the last argument of the matching write method.
+  // gasCostEth / gasPrice describe the default preset's worst case.
+  async estimateFees(gasLimit) {
     try {
-      if (!this.contractRead) return { success: false, error: "Not connected" };
-      
-      console.log('🔍 Fetching tasks from contract:', this.contractAddress);
-      const total = await this.contractRead.getTotalTasks();
-      const n = Number(total);
-      console.log(`📊 Total tasks in contract: ${n}`);
-      
-      const tasks = [];
-      for (let id = 1; id <= n; id++) {
-        const result = await this.getTask(id);
-        if (result.success && result.task.status === 0) {
-          console.log(`✅ Found open task #${id}:`, result.task.title);
-          tasks.push(result.task);
-        }
-      }
-      tasks.sort((a, b) => Number(b.id) - Number(a.id));
-      console.log(`✅ Returning ${tasks.length} open tasks`);
-      return { success: true, tasks };
+      const provider = this.readProvider ?? this.provider;
+      if (!provider) return { success: false, error: "Not connected" };
+
+      const { feeType, fees } = await quoteFees(provider, gasLimit);
+      const preset = fees[DEFAULT_FEE_SPEED];
+      return {
+        success: true,
+        gasEstimate: BigInt(gasLimit).toString(),
+        feeType,
+        fees,
+        gasCostEth: preset.maxCostEth,
+        gasPrice: preset.maxFeeGwei,
+      };
     } catch (e) {
-      console.error('❌ Error fetching tasks:', e);
-      return { success: false, error: e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
-  // ---- Actions ----
-  // ✅ GAS ESTIMATION METHODS - Call before transactions to show user the cost
-  async estimateGasForCreateTask(title, descriptionOrCid, deliveryDeadlineTs, rewardEth, additionalMetadata = {}) {
+  // A token reward must be prepared first (prepareTokenReward), or the estimate fails on the missing allowance.
+  // rewardEth is set for ETH rewards only (the reward adds to the transaction cost)
+  async estimateGasForCreateTask(title, descriptionOrCid, deliveryDeadlineTs, rewardAmount, additionalMetadata = {}, options = {}) {
     try {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
 
-      const now = Math.floor(Date.now() / 1000);
       const delivery = Number(deliveryDeadlineTs);
-      const value = ethers.parseEther(String(rewardEth));
+      const { category, tags, tagsHash, applyDeadline } = this._resolveCreateOptions(options, delivery);
+      const reward = await this._resolveReward(rewardAmount, additionalMetadata.milestones, options);
 
       let metadataCID = descriptionOrCid;
       if (!isIPFSCID(descriptionOrCid)) {
-        const metadata = {
-          description: descriptionOrCid,
-          title,
-          createdAt: new Date().toISOString(),
-          ...additionalMetadata,
-        };
+        const metadata = this._buildTaskMetadata(title, descriptionOrCid, additionalMetadata, category, tags);
         metadataCID = await uploadTaskMetadata(metadata);
       }
 
-      const category = 0;
-      const tagsHash = "0x0000000000000000000000000000000000000000000000000000000000000000";
-      const applyDeadline = now + (7 * 24 * 60 * 60);
-
-      const gasEstimate = await this.contractWrite.createTask.estimateGas(
-        title,
-        String(metadataCID),
-        category,
-        tagsHash,
-        BigInt(applyDeadline),
-        BigInt(delivery),
-        { value }
+      const gasEstimate = await this._sendCreateTask(
+        [title, String(metadataCID), category, tagsHash, BigInt(applyDeadline), BigInt(delivery)],
+        reward,
+        {},
+        true
       );
 
-      const feeData = await this.provider.getFeeData();
-      const gasPrice = feeData.gasPrice || ethers.parseUnits("20", "gwei");
-      const gasCostWei = gasEstimate * gasPrice;
-      const gasCostEth = ethers.formatEther(gasCostWei);
-      const totalCostEth = parseFloat(gasCostEth) + parseFloat(rewardEth);
+      const quote = await this.estimateFees(gasEstimate);
+      if (!quote.success) return quote;
 
       return {
-        success: true,
-        gasEstimate: gasEstimate.toString(),
-        gasCostEth,
-        gasPrice: ethers.formatUnits(gasPrice, "gwei"),
-        rewardEth,
-        totalCostEth: totalCostEth.toFixed(6),
-        metadataCID
+        ...quote,
+        reward: String(rewardAmount),
+        rewardSymbol: reward.symbol,
+        rewardEth: isEthToken(reward.token) ? String(rewardAmount) : null,
+        metadataCID,
       };
     } catch (e) {
-      return { success: false, error: e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
@@ -319,19 +1488,20 @@ export default class TaskMarketplaceUtils {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
       
       const gasEstimate = await this.contractWrite.applyToTask.estimateGas(BigInt(taskId));
-      const feeData = await this.provider.getFeeData();
-      const gasPrice = feeData.gasPrice || ethers.parseUnits("20", "gwei");
-      const gasCostWei = gasEstimate * gasPrice;
-      const gasCostEth = ethers.formatEther(gasCostWei);
+      return this.estimateFees(gasEstimate);
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
 
-      return {
-        success: true,
-        gasEstimate: gasEstimate.toString(),
-        gasCostEth,
-        gasPrice: ethers.formatUnits(gasPrice, "gwei"),
-      };
+  async estimateGasForAcceptWorker(taskId, workerAddress) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+
+      const gasEstimate = await this.contractWrite.acceptWorker.estimateGas(BigInt(taskId), workerAddress);
+      return this.estimateFees(gasEstimate);
     } catch (e) {
-      return { success: false, error: e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
@@ -343,19 +1513,9 @@ export default class TaskMarketplaceUtils {
         BigInt(taskId), 
         String(submissionCID ?? "")
       );
-      const feeData = await this.provider.getFeeData();
-      const gasPrice = feeData.gasPrice || ethers.parseUnits("20", "gwei");
-      const gasCostWei = gasEstimate * gasPrice;
-      const gasCostEth = ethers.formatEther(gasCostWei);
-
-      return {
-        success: true,
-        gasEstimate: gasEstimate.toString(),
-        gasCostEth,
-        gasPrice: ethers.formatUnits(gasPrice, "gwei"),
-      };
+      return this.estimateFees(gasEstimate);
     } catch (e) {
-      return { success: false, error: e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
@@ -364,19 +1524,9 @@ export default class TaskMarketplaceUtils {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
       
       const gasEstimate = await this.contractWrite.approveWork.estimateGas(BigInt(taskId));
-      const feeData = await this.provider.getFeeData();
-      const gasPrice = feeData.gasPrice || ethers.parseUnits("20", "gwei");
-      const gasCostWei = gasEstimate * gasPrice;
-      const gasCostEth = ethers.formatEther(gasCostWei);
-
-      return {
-        success: true,
-        gasEstimate: gasEstimate.toString(),
-        gasCostEth,
-        gasPrice: ethers.formatUnits(gasPrice, "gwei"),
-      };
+      return this.estimateFees(gasEstimate);
     } catch (e) {
-      return { success: false, error: e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
@@ -385,19 +1535,104 @@ export default class TaskMarketplaceUtils {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
       
       const gasEstimate = await this.contractWrite.cancelTask.estimateGas(BigInt(taskId));
-      const feeData = await this.provider.getFeeData();
-      const gasPrice = feeData.gasPrice || ethers.parseUnits("20", "gwei");
-      const gasCostWei = gasEstimate * gasPrice;
-      const gasCostEth = ethers.formatEther(gasCostWei);
+      return this.estimateFees(gasEstimate);
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
 
-      return {
-        success: true,
-        gasEstimate: gasEstimate.toString(),
-        gasCostEth,
-        gasPrice: ethers.formatUnits(gasPrice, "gwei"),
-      };
+  async estimateGasForRateWorker(taskId, stars) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+
+      const gasEstimate = await this.contractWrite.rateWorker.estimateGas(BigInt(taskId), Number(stars));
+      return this.estimateFees(gasEstimate);
     } catch (e) {
-      return { success: false, error: e?.message || String(e) };
+      return contractFailure(e);
+    }
+  }
+
+  async estimateGasForRateCreator(taskId, stars) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+
+      const gasEstimate = await this.contractWrite.rateCreator.estimateGas(BigInt(taskId), Number(stars));
+      return this.estimateFees(gasEstimate);
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  async estimateGasForAutoApprove(taskId) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+
+      const gasEstimate = await this.contractWrite.autoApprove.estimateGas(BigInt(taskId));
+      return this.estimateFees(gasEstimate);
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  async estimateGasForExpireTask(taskId) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+
+      const gasEstimate = await this.contractWrite.expireTask.estimateGas(BigInt(taskId));
+      return this.estimateFees(gasEstimate);
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  async estimateGasForRequestRevision(taskId, noteCID, extension) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+
+      const gasEstimate = await this.contractWrite.requestRevision.estimateGas(
+        BigInt(taskId),
+        String(noteCID ?? ""),
+        BigInt(extension)
+      );
+      return this.estimateFees(gasEstimate);
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  async estimateGasForOpenDispute(taskId, evidenceCID) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+
+      const gasEstimate = await this.contractWrite.openDispute.estimateGas(BigInt(taskId), String(evidenceCID ?? ""));
+      return this.estimateFees(gasEstimate);
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  async estimateGasForRespondToDispute(taskId, evidenceCID) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+
+      const gasEstimate = await this.contractWrite.respondToDispute.estimateGas(
+        BigInt(taskId),
+        String(evidenceCID ?? "")
+      );
+      return this.estimateFees(gasEstimate);
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  async estimateGasForResolveDispute(taskId, workerShareBps) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+
+      const gasEstimate = await this.contractWrite.resolveDispute.estimateGas(BigInt(taskId), Number(workerShareBps));
+      return this.estimateFees(gasEstimate);
+    } catch (e) {
+      return contractFailure(e);
     }
   }
 
@@ -406,24 +1641,27 @@ export default class TaskMarketplaceUtils {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
       
       const gasEstimate = await this.contractWrite.withdraw.estimateGas();
-      const feeData = await this.provider.getFeeData();
-      const gasPrice = feeData.gasPrice || ethers.parseUnits("20", "gwei");
-      const gasCostWei = gasEstimate * gasPrice;
-      const gasCostEth = ethers.formatEther(gasCostWei);
+      return this.estimateFees(gasEstimate);
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
 
-      return {
-        success: true,
-        gasEstimate: gasEstimate.toString(),
-        gasCostEth,
-        gasPrice: ethers.formatUnits(gasPrice, "gwei"),
-      };
+  async estimateGasForWithdrawToken(tokenAddress) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+
+      const gasEstimate = await this.contractWrite.withdrawToken.estimateGas(tokenAddress);
+      return this.estimateFees(gasEstimate);
     } catch (e) {
-      return { success: false, error: e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
   // ✅ Updated to match V2 contract: createTask(title, metadataCID, category, tagsHash, applyDeadline, deliveryDeadline)
-  async createTask(title, descriptionOrCid, deliveryDeadlineTs, rewardEth, additionalMetadata = {}) {
+  // rewardAmount is in options.token (ETH by default); see prepareTokenReward for token rewards
+  // overrides: fee parameters from estimateFees (fees[speed].overrides)
+  async createTask(title, descriptionOrCid, deliveryDeadlineTs, rewardAmount, additionalMetadata = {}, options = {}, overrides = {}) {
     try {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
 
@@ -433,57 +1671,51 @@ export default class TaskMarketplaceUtils {
         return { success: false, error: "Delivery deadline must be in the future" };
       }
 
-      const value = ethers.parseEther(String(rewardEth));
+      const { category, tags, tagsHash, applyDeadline } = this._resolveCreateOptions(options, delivery);
+      const reward = await this._resolveReward(rewardAmount, additionalMetadata.milestones, options);
 
       let metadataCID = descriptionOrCid;
 
       // ✅ If description is not already a CID, upload it to IPFS
       if (!isIPFSCID(descriptionOrCid)) {
+        const metadata = this._buildTaskMetadata(title, descriptionOrCid, additionalMetadata, category, tags);
         try {
-          const metadata = {
-            description: descriptionOrCid,
-            title,
-            createdAt: new Date().toISOString(),
-            ...additionalMetadata,
-          };
-          
           metadataCID = await uploadTaskMetadata(metadata);
           console.log("Task metadata uploaded to IPFS:", metadataCID);
         } catch (ipfsError) {
-          console.warn("IPFS upload failed, using plain text:", ipfsError);
-          // Fall back to plain text if IPFS fails
-          metadataCID = descriptionOrCid;
+          // no plain-text fallback: the task would lose its tags, criteria, attachments and milestone descriptions
+          console.warn("IPFS upload failed:", ipfsError);
+          return {
+            success: false,
+            error: `Task metadata upload failed, nothing was sent: ${ipfsError?.message || ipfsError}. Try again.`,
+          };
         }
       }
 
-      // ✅ V2 contract parameters: (title, metadataCID, category, tagsHash, applyDeadline, deliveryDeadline)
-      const category = 0; // Default category (you can make this configurable later)
-      const tagsHash = "0x0000000000000000000000000000000000000000000000000000000000000000"; // Empty bytes32
-      const applyDeadline = now + (7 * 24 * 60 * 60); // 7 days from now (you can make this configurable)
-      
+      // ✅ V2 contract parameters: (title, metadataCID, category, tagsHash, applyDeadline, deliveryDeadline
+      // [, milestoneAmounts]), or a TokenReward [and permit] in place of the milestones for a token
       console.log("Creating task with params:", {
         title,
         metadataCID: String(metadataCID),
         category,
+        tags,
         tagsHash,
         applyDeadline,
         delivery,
+        token: reward.token,
+        milestoneAmounts: reward.milestoneAmounts,
       });
       
       try {
-        const tx = await this.contractWrite.createTask(
-          title,
-          String(metadataCID),
-          category,
-          tagsHash,
-          BigInt(applyDeadline),
-          BigInt(delivery),
-          { value }
+        const tx = await this._sendCreateTask(
+          [title, String(metadataCID), category, tagsHash, BigInt(applyDeadline), BigInt(delivery)],
+          reward,
+          overrides
         );
 
         console.log("Transaction sent:", tx.hash);
 
-        const receipt = await tx.wait();
+        const receipt = await this._track(tx, "createTask");
         
         // Try to read TaskCreated(taskId, ...) from logs
         let taskId = null;
@@ -503,137 +1735,267 @@ export default class TaskMarketplaceUtils {
           success: true,
           taskId,
           metadataCID,
-          hash: tx.hash,
+          hash: receipt?.hash ?? tx.hash,
           gasUsed: receipt?.gasUsed?.toString?.(),
         };
       } catch (contractError) {
-        console.error("Contract call failed:", contractError);
-        const errorMessage = contractError?.reason || contractError?.message || String(contractError);
-        console.error("Error details:", {
-          reason: contractError?.reason,
-          code: contractError?.code,
-          message: contractError?.message,
-          data: contractError?.data,
-        });
-        return { success: false, error: `Contract error: ${errorMessage}` };
+        const failure = contractFailure(contractError);
+        console.error("Contract call failed:", failure.errorInfo);
+        return failure;
       }
     } catch (e) {
-      return { success: false, error: e?.shortMessage || e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
   // App.jsx expects "takeTask". In V2, workers "apply".
-  async takeTask(taskId) {
-    return this.applyToTask(taskId);
+  async takeTask(taskId, overrides = {}) {
+    return this.applyToTask(taskId, overrides);
   }
 
-  async applyToTask(taskId) {
+  async applyToTask(taskId, overrides = {}) {
     try {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
-      const tx = await this.contractWrite.applyToTask(BigInt(taskId));
-      const r = await tx.wait();
-      return { success: true, hash: tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+      const tx = await this.contractWrite.applyToTask(BigInt(taskId), overrides);
+      const r = await this._track(tx, "applyToTask", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
     } catch (e) {
-      return { success: false, error: e?.shortMessage || e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
-  async acceptWorker(taskId, workerAddress) {
+  async acceptWorker(taskId, workerAddress, overrides = {}) {
     try {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
-      const tx = await this.contractWrite.acceptWorker(BigInt(taskId), workerAddress);
-      const r = await tx.wait();
-      return { success: true, hash: tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+      const tx = await this.contractWrite.acceptWorker(BigInt(taskId), workerAddress, overrides);
+      const r = await this._track(tx, "acceptWorker", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
     } catch (e) {
-      return { success: false, error: e?.shortMessage || e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
-  async submitWork(taskId, submissionCID) {
+  async submitWork(taskId, submissionCID, overrides = {}) {
     try {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
-      const tx = await this.contractWrite.submitWork(BigInt(taskId), String(submissionCID ?? ""));
-      const r = await tx.wait();
-      return { success: true, hash: tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+      const tx = await this.contractWrite.submitWork(BigInt(taskId), String(submissionCID ?? ""), overrides);
+      const r = await this._track(tx, "submitWork", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
     } catch (e) {
-      return { success: false, error: e?.shortMessage || e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
-  async approveWork(taskId) {
+  async approveWork(taskId, overrides = {}) {
     try {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
-      const tx = await this.contractWrite.approveWork(BigInt(taskId));
-      const r = await tx.wait();
-      return { success: true, hash: tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+      const tx = await this.contractWrite.approveWork(BigInt(taskId), overrides);
+      const r = await this._track(tx, "approveWork", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
     } catch (e) {
-      return { success: false, error: e?.shortMessage || e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
-  async autoApprove(taskId) {
+  async autoApprove(taskId, overrides = {}) {
     try {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
-      const tx = await this.contractWrite.autoApprove(BigInt(taskId));
-      const r = await tx.wait();
-      return { success: true, hash: tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+      const tx = await this.contractWrite.autoApprove(BigInt(taskId), overrides);
+      const r = await this._track(tx, "autoApprove", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
     } catch (e) {
-      return { success: false, error: e?.shortMessage || e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
-  async cancelTask(taskId) {
+  async cancelTask(taskId, overrides = {}) {
     try {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
-      const tx = await this.contractWrite.cancelTask(BigInt(taskId));
-      const r = await tx.wait();
-      return { success: true, hash: tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+      const tx = await this.contractWrite.cancelTask(BigInt(taskId), overrides);
+      const r = await this._track(tx, "cancelTask", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
     } catch (e) {
-      return { success: false, error: e?.shortMessage || e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
-  async withdraw() {
+  async rateWorker(taskId, stars, overrides = {}) {
     try {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
-      const tx = await this.contractWrite.withdraw();
-      const r = await tx.wait();
-      return { success: true, hash: tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+      const tx = await this.contractWrite.rateWorker(BigInt(taskId), Number(stars), overrides);
+      const r = await this._track(tx, "rateWorker", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
     } catch (e) {
-      return { success: false, error: e?.shortMessage || e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
-  async addComment(taskId, message) {
+  async rateCreator(taskId, stars, overrides = {}) {
     try {
       if (!this.contractWrite) return { success: false, error: "Not connected" };
-      const tx = await this.contractWrite.addComment(BigInt(taskId), message);
-      const r = await tx.wait();
-      return { success: true, hash: tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+      const tx = await this.contractWrite.rateCreator(BigInt(taskId), Number(stars), overrides);
+      const r = await this._track(tx, "rateCreator", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
     } catch (e) {
-      return { success: false, error: e?.shortMessage || e?.message || String(e) };
+      return contractFailure(e);
     }
   }
 
-    async getCommentsForTask(taskId) {
+  async expireTask(taskId, overrides = {}) {
     try {
-      const filter = this.contractRead.filters.TaskComment(taskId);
-      const events = await this.contractRead.queryFilter(filter);
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+      const tx = await this.contractWrite.expireTask(BigInt(taskId), overrides);
+      const r = await this._track(tx, "expireTask", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
 
-      return {
-        success: true,
-        comments: events.map(e => ({
-          taskId: Number(e.args.taskId),
-          author: e.args.author,
-          message: e.args.message,
-          timestamp: Number(e.args.timestamp),
-        }))
-      };
+  // noteCID: manifest from ipfsUtils.uploadRevisionNote; extension: seconds added to the delivery deadline
+  // (see REVISION_EXTENSION_DAYS)
+  async requestRevision(taskId, noteCID, extension, overrides = {}) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+      const tx = await this.contractWrite.requestRevision(BigInt(taskId), String(noteCID ?? ""), BigInt(extension), overrides);
+      const r = await this._track(tx, "requestRevision", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
     } catch (e) {
-      return { success: false, error: e.message };
+      return contractFailure(e);
     }
   }
 
-}
+  // evidenceCID: manifest from ipfsUtils.uploadEvidence
+  async openDispute(taskId, evidenceCID, overrides = {}) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+      const tx = await this.contractWrite.openDispute(BigInt(taskId), String(evidenceCID ?? ""), overrides);
+      const r = await this._track(tx, "openDispute", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  async respondToDispute(taskId, evidenceCID, overrides = {}) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+      const tx = await this.contractWrite.respondToDispute(BigInt(taskId), String(evidenceCID ?? ""), overrides);
+      const r = await this._track(tx, "respondToDispute", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  // workerShareBps: part of the reward awarded to the worker, 0..10000 (see disputeSplit)
+  async resolveDispute(taskId, workerShareBps, overrides = {}) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+      const tx = await this.contractWrite.resolveDispute(BigInt(taskId), Number(workerShareBps), overrides);
+      const r = await this._track(tx, "resolveDispute", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  async withdraw(overrides = {}) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+      const tx = await this.contractWrite.withdraw(overrides);
+      const r = await this._track(tx, "withdraw", null);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  async withdrawToken(tokenAddress, overrides = {}) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+      const tx = await this.contractWrite.withdrawToken(tokenAddress, overrides);
+      const r = await this._track(tx, "withdrawToken", null);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  // options: { storeOnIPFS } - upload the message to IPFS and post only "ipfs://<cid>" (required above MAX_COMMENT_BYTES)
+  async addComment(taskId, message, options = {}) {
+    try {
+      if (!this.contractWrite) return { success: false, error: "Not connected" };
+
+      const text = String(message ?? "").trim();
+      if (!text) return { success: false, error: "Empty message" };
+
+      let posted = text;
+      if (options.storeOnIPFS) {
+        const cid = await uploadComment(taskId, text);
+        posted = `${COMMENT_IPFS_PREFIX}${cid}`;
+      } else if (commentByteLength(text) > MAX_COMMENT_BYTES) {
+        return {
+          success: false,
+          error: `Comment is longer than ${MAX_COMMENT_BYTES} bytes. Store it on IPFS instead.`,
+        };
+      }
+
+      const tx = await this.contractWrite.addComment(BigInt(taskId), posted);
+      const r = await this._track(tx, "addComment", taskId);
+      return { success: true, hash: r?.hash ?? tx.hash, gasUsed: r?.gasUsed?.toString?.() };
+    } catch (e) {
+      return contractFailure(e);
+    }
+  }
+
+  // History from TaskComment logs, starting at the deployment block unless fromBlock is given
+  async getCommentsForTask(taskId, fromBlock = this.startBlock) {
+    try {
+      if (!this.contractRead) return { success: false, error: "Not connected" };
 
+      const filter = this.contractRead.filters.TaskComment(BigInt(taskId));
+      const events = await this.contractRead.queryFilter(filter, fromBlock, "latest");
 
+      const comments = await Promise.all(
+        events
+          .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+          .map((e) =>
+            this._resolveComment(
+              this._toComment({ ...e.args.toObject(), transactionHash: e.transactionHash, index: e.index })
+            )
+          )
+      );
+
+      return { success: true, comments };
+    } catch (e) {
+      return { success: false, error: e?.message || String(e) };
+    }
+  }
+
+  _toComment({ taskId, author, message, timestamp, transactionHash, index }) {
+    const cid = message.startsWith(COMMENT_IPFS_PREFIX) ? message.slice(COMMENT_IPFS_PREFIX.length) : null;
+    return {
+      // txHash + log index identifies a comment, so live events and reloaded history can be merged
+      id: transactionHash ? `${transactionHash}-${index}` : `${taskId}-${author}-${timestamp}`,
+      taskId: Number(taskId),
+      author,
+      message,
+      timestamp: Number(timestamp),
+      cid,
+    };
+  }
+
+  // "ipfs://<cid>" comments: replace the pointer with the stored text (left as-is if IPFS is unreachable)
+  async _resolveComment(comment) {
+    if (!comment.cid) return comment;
+    try {
+      const data = await fetchFromIPFS(comment.cid);
+      const text = typeof data === "string" ? data : data?.message;
+      if (typeof text === "string") return { ...comment, message: text };
+    } catch (e) {
+      console.warn(`Failed to fetch comment ${comment.cid}:`, e);
+    }
+    return { ...comment, unavailable: true };
+  }
+}
@@ -0,0 +1,178 @@
+import { CID } from "multiformats/cid";
+import { base32 } from "multiformats/bases/base32";
+import { base36 } from "multiformats/bases/base36";
+import { base58btc } from "multiformats/bases/base58";
+import { equals } from "multiformats/bytes";
+import * as raw from "multiformats/codecs/raw";
+import { identity } from "multiformats/hashes/identity";
+import { sha256, sha512 } from "multiformats/hashes/sha2";
+import * as dagPB from "@ipld/dag-pb";
+
+// CID parsing and content verification: fetched bytes are hashed and compared with the CID they were
+// requested under, so a gateway can't substitute content.
+//   raw     - the bytes are the block: hash them
+//   dag-pb  - gateways return the file inside the block: rebuild the single UnixFS block a node makes
+//             for it (or accept the block itself) and hash that
+// Files above one chunk are split into several blocks, which can't be checked from the content alone.
+
+export const INTEGRITY = {
+  verified: "verified",
+  mismatch: "mismatch",
+  unverifiable: "unverifiable",
+};
+
+// base32 (bafy…/bafk…), base36 (k51…) and base58btc (z…, and CIDv0 Qm…)
+const MULTIBASE = base32.decoder.or(base36.decoder).or(base58btc.decoder);
+
+const HASHERS = {
+  [sha256.code]: sha256,
+  [sha512.code]: sha512,
+  [identity.code]: identity,
+};
+
+// Kubo's default chunk size: larger dag-pb files have more than one block
+const MAX_SINGLE_BLOCK = 256 * 1024;
+
+// UnixFS Data.Type values
+const UNIXFS_RAW = 0;
+const UNIXFS_FILE = 2;
+
+/**
+ * Parse a CID string (CIDv0 or multibase CIDv1)
+ * @param {string} value
+ * @returns {CID|null} - null when it isn't a well-formed CID
+ */
+export function parseCID(value) {
+  if (typeof value !== "string") return null;
+  const str = value.trim();
+  if (!str) return null;
+
+  try {
+    return CID.parse(str, MULTIBASE);
+  } catch {
+    return null;
+  }
+}
+
+// ---- UnixFS (protobuf) ----
+
+function encodeVarint(n) {
+  const out = [];
+  while (n >= 0x80) {
+    out.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  out.push(n);
+  return out;
+}
+
+function readVarint(bytes, pos) {
+  let value = 0;
+  let shift = 1;
+  for (;;) {
+    if (pos >= bytes.length) throw new Error("Truncated varint");
+    const b = bytes[pos++];
+    value += (b & 0x7f) * shift;
+    if (b < 0x80) return [value, pos];
+    shift *= 0x80;
+  }
+}
+
+// Data{Type: File, Data: content, filesize} — what Kubo / js-ipfs write for a file that fits in one block
+// (Data is left out for an empty file)
+function encodeUnixFSFile(content) {
+  const parts = [0x08, UNIXFS_FILE];
+  if (content.length > 0) parts.push(0x12, ...encodeVarint(content.length));
+  const header = Uint8Array.from(parts);
+  const trailer = Uint8Array.from([0x18, ...encodeVarint(content.length)]);
+
+  const out = new Uint8Array(header.length + content.length + trailer.length);
+  out.set(header, 0);
+  out.set(content, header.length);
+  out.set(trailer, header.length + content.length);
+  return out;
+}
+
+// File bytes of a UnixFS Data message, or null for other node types
+function decodeUnixFSFile(data) {
+  let type = null;
+  let content = new Uint8Array(0);
+
+  for (let pos = 0; pos < data.length; ) {
+    let key;
+    [key, pos] = readVarint(data, pos);
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+
+    if (wireType === 0) {
+      let value;
+      [value, pos] = readVarint(data, pos);
+      if (field === 1) type = value;
+    } else if (wireType === 2) {
+      let length;
+      [length, pos] = readVarint(data, pos);
+      if (field === 2) content = data.subarray(pos, pos + length);
+      pos += length;
+    } else {
+      throw new Error(`Unexpected protobuf wire type ${wireType}`);
+    }
+  }
+
+  return type === UNIXFS_FILE || type === UNIXFS_RAW ? content : null;
+}
+
+// dag-pb block -> file bytes, if it is a single-block file
+function fileFromBlock(block) {
+  try {
+    const node = dagPB.decode(block);
+    if (node.Links.length > 0 || !node.Data) return null;
+    return decodeUnixFSFile(node.Data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check content against the CID it was fetched by
+ * @param {string} cidString
+ * @param {Uint8Array} bytes - what the gateway / node returned
+ * @returns {Promise<{status: "verified"|"mismatch"|"unverifiable", reason: string|null, content: Uint8Array}>}
+ *   content is the file: the bytes themselves, or the file extracted when a dag-pb block was returned
+ */
+export async function verifyContent(cidString, bytes) {
+  const result = (status, reason = null, content = bytes) => ({ status, reason, content });
+
+  const cid = parseCID(cidString);
+  if (!cid) return result(INTEGRITY.unverifiable, "Not a valid CID");
+
+  const hasher = HASHERS[cid.multihash.code];
+  if (!hasher) {
+    return result(INTEGRITY.unverifiable, `Unsupported hash function 0x${cid.multihash.code.toString(16)}`);
+  }
+  const hashesTo = async (block) => equals((await hasher.digest(block)).digest, cid.multihash.digest);
+
+  if (cid.code === raw.code) {
+    return (await hashesTo(bytes))
+      ? result(INTEGRITY.verified)
+      : result(INTEGRITY.mismatch, "Content does not hash to its CID");
+  }
+
+  if (cid.code === dagPB.code) {
+    if (bytes.length <= MAX_SINGLE_BLOCK && (await hashesTo(dagPB.encode({ Data: encodeUnixFSFile(bytes), Links: [] })))) {
+      return result(INTEGRITY.verified);
+    }
+    // a trustless gateway / the block API returns the block itself
+    if (await hashesTo(bytes)) {
+      const file = fileFromBlock(bytes);
+      return file ? result(INTEGRITY.verified, null, file) : result(INTEGRITY.unverifiable, "Not a single-block file");
+    }
+    if (bytes.length > MAX_SINGLE_BLOCK) {
+      return result(INTEGRITY.unverifiable, "Content spans several blocks");
+    }
+    return result(INTEGRITY.mismatch, "Content does not hash to its CID");
+  }
+
+  return result(INTEGRITY.unverifiable, `Unsupported codec 0x${cid.code.toString(16)}`);
+}
+
+export default { INTEGRITY, parseCID, verifyContent };
@@ -0,0 +1,302 @@
+import { ethers } from "ethers";
+import { METADATA_LIMITS } from "./taskMetadata";
+
+// Turns ethers/wallet/RPC errors into { code, message, action, reason, raw }:
+//   code    - stable identifier (e.g. "TASK_NOT_OPEN", "USER_REJECTED") the UI can branch on
+//   message - what went wrong, in plain words
+//   action  - what the user can do about it (may be null)
+//   reason  - the contract's revert string, when there was one
+//   raw     - the original error text, for the console / tooltips
+
+// Revert strings from TaskMarketplace.sol / TaskLibrary.sol
+const REVERTS = {
+  "Task does not exist": ["TASK_NOT_FOUND", "This task doesn't exist.", "Refresh the task list."],
+  "Only creator": ["NOT_CREATOR", "Only the task's creator can do this.", "Switch to the account that created the task."],
+  "Only assigned worker": ["NOT_WORKER", "Only the assigned worker can do this.", "Switch to the worker's account."],
+  "Only owner": ["NOT_OWNER", "Only the marketplace owner can do this.", null],
+  "Only creator or worker can comment": [
+    "NOT_PARTICIPANT",
+    "Only the creator and the assigned worker can comment on this task.",
+    null,
+  ],
+  "Not open": ["TASK_NOT_OPEN", "The task is no longer open.", "Refresh to see its current status."],
+  "Not in progress": ["TASK_NOT_IN_PROGRESS", "The task is not in progress.", "Refresh to see its current status."],
+  "Not pending approval": [
+    "TASK_NOT_PENDING_APPROVAL",
+    "The task is not waiting for approval.",
+    "Refresh to see its current status.",
+  ],
+  "Not completed": ["TASK_NOT_COMPLETED", "The task isn't completed yet.", "Ratings open once the work is approved."],
+  "Cannot cancel now": [
+    "CANNOT_CANCEL",
+    "Only open or in-progress tasks can be cancelled.",
+    "Refresh to see its current status.",
+  ],
+  "Not expirable": ["NOT_EXPIRABLE", "Only open or in-progress tasks can expire.", "Refresh to see its current status."],
+  "Not past deadline": ["DEADLINE_NOT_PASSED", "The deadline hasn't passed yet.", "Try again after the deadline."],
+  "Apply deadline passed": [
+    "APPLY_DEADLINE_PASSED",
+    "Applications for this task have closed.",
+    "Expire the task to refund the reward, or look for another open task.",
+  ],
+  "applyDeadline must be future": [
+    "INVALID_APPLY_DEADLINE",
+    "The application deadline must be in the future.",
+    "Pick a later deadline.",
+  ],
+  "deliveryDeadline must be after applyDeadline": [
+    "INVALID_DELIVERY_DEADLINE",
+    "The delivery deadline must come after the application deadline.",
+    "Pick a later delivery deadline.",
+  ],
+  "Delivery deadline passed": [
+    "DELIVERY_DEADLINE_PASSED",
+    "The delivery deadline has passed.",
+    "The task can now be expired and the reward refunded.",
+  ],
+  "Review period not over": [
+    "REVIEW_PERIOD_ACTIVE",
+    "The creator's review period hasn't ended.",
+    "Auto-approve becomes available after the review deadline.",
+  ],
+  "No review deadline set": ["NO_REVIEW_DEADLINE", "This submission has no review deadline.", null],
+  "Worker did not apply": [
+    "WORKER_NOT_APPLICANT",
+    "That address didn't apply to this task.",
+    "Pick a worker from the applicant list.",
+  ],
+  "Invalid worker": ["INVALID_WORKER", "The worker address is invalid.", "Pick a worker from the applicant list."],
+  "No worker": ["NO_WORKER", "The task has no assigned worker.", null],
+  "Creator cannot apply": ["CREATOR_CANNOT_APPLY", "You can't apply to your own task.", "Use a different account."],
+  "Already applied": ["ALREADY_APPLIED", "You already applied to this task.", "Wait for the creator to pick a worker."],
+  "Stars 1..5": ["INVALID_RATING", "Ratings must be between 1 and 5 stars.", "Choose 1 to 5 stars."],
+  "Already rated worker": ["ALREADY_RATED", "The worker has already been rated for this task.", null],
+  "Already rated creator": ["ALREADY_RATED", "The creator has already been rated for this task.", null],
+  "Reward too small": [
+    "REWARD_TOO_SMALL",
+    "The reward is below the minimum (0.0001 ETH, or the minimum set for the token).",
+    "Increase the reward.",
+  ],
+  "Invalid title length": [
+    "INVALID_TITLE",
+    `The title must be between 1 and ${METADATA_LIMITS.title} characters.`,
+    "Shorten the title.",
+  ],
+  "Invalid category": ["INVALID_CATEGORY", "Unknown task category.", "Pick a category from the list."],
+  "Invalid milestone count": ["INVALID_MILESTONES", "A task needs 2 to 10 milestones.", "Add or remove milestones."],
+  "Empty milestone": ["INVALID_MILESTONES", "Every milestone needs an amount above zero.", "Set an amount for each milestone."],
+  "Milestones must add up to reward": [
+    "INVALID_MILESTONES",
+    "The milestone amounts don't add up to the reward.",
+    "Adjust the amounts or the reward.",
+  ],
+  "metadataCID required": ["MISSING_METADATA", "The task description is missing.", "Add a description and retry."],
+  "submissionCID required": ["MISSING_SUBMISSION", "The submission is empty.", "Add a note or deliverable files."],
+  "Empty message": ["EMPTY_COMMENT", "The comment is empty.", "Write a message first."],
+  "Message too long": ["COMMENT_TOO_LONG", "The comment is longer than 500 bytes.", "Store it on IPFS instead."],
+  "Only arbiter": ["NOT_ARBITER", "Only the marketplace arbiter can resolve disputes.", "Switch to the arbiter's account."],
+  "Invalid arbiter": ["INVALID_ARBITER", "The arbiter address is invalid.", null],
+  "Arbiter is a party": [
+    "ARBITER_IS_PARTY",
+    "The arbiter can't resolve a dispute on a task they created or worked on.",
+    "Ask the owner to appoint another arbiter.",
+  ],
+  "Review period over": [
+    "REVIEW_PERIOD_OVER",
+    "The review period has ended, so the work can no longer be disputed or sent back for changes.",
+    "The work can now be auto-approved.",
+  ],
+  "evidenceCID required": ["MISSING_EVIDENCE", "The dispute evidence is empty.", "Add a statement or evidence files."],
+  "Not disputed": ["TASK_NOT_DISPUTED", "The task is not in dispute.", "Refresh to see its current status."],
+  "Already responded": ["ALREADY_RESPONDED", "You already responded to this dispute.", "Wait for the arbiter's decision."],
+  "Response period over": [
+    "RESPONSE_PERIOD_OVER",
+    "The period to respond to this dispute has ended.",
+    "The arbiter will decide with the evidence on file.",
+  ],
+  "Awaiting worker response": [
+    "AWAITING_RESPONSE",
+    "The worker can still respond to this dispute.",
+    "Resolve it after the worker responds or the response period ends.",
+  ],
+  "noteCID required": ["MISSING_REVISION_NOTE", "The revision request is empty.", "Describe the changes you need."],
+  "Invalid extension": [
+    "INVALID_EXTENSION",
+    "The deadline extension must be between 1 and 30 days.",
+    "Pick an extension from 1 to 30 days.",
+  ],
+  "Revision limit reached": [
+    "REVISION_LIMIT_REACHED",
+    "This task has used all of its revision requests.",
+    "Approve the work or open a dispute.",
+  ],
+  "Invalid share": ["INVALID_SHARE", "The worker's share must be between 0% and 100%.", "Pick a share from 0 to 100%."],
+  "Token not allowed": [
+    "TOKEN_NOT_ALLOWED",
+    "This token can't be used for rewards.",
+    "Pick one of the tokens offered in the form, or pay in ETH.",
+  ],
+  "Token transfer failed": [
+    "TOKEN_TRANSFER_FAILED",
+    "The token transfer failed.",
+    "Check your token balance and that the marketplace is approved for the reward.",
+  ],
+  "Unsupported token": [
+    "UNSUPPORTED_TOKEN",
+    "The token delivered less than the reward (fee-on-transfer tokens aren't supported).",
+    "Pay the reward in another token.",
+  ],
+  "Invalid token": ["INVALID_TOKEN", "That is not a token contract.", "Check the token address."],
+  "Invalid min reward": ["INVALID_MIN_REWARD", "An allowed token needs a minimum reward above zero.", null],
+  "No balance": ["NOTHING_TO_WITHDRAW", "You have nothing to withdraw.", null],
+  "No fees": ["NO_FEES", "There are no platform fees to withdraw.", null],
+  "Transfer failed": ["TRANSFER_FAILED", "The ETH transfer failed.", "Make sure the receiving address can accept ETH."],
+  "Fee transfer failed": ["TRANSFER_FAILED", "The fee transfer failed.", "Make sure the owner address can accept ETH."],
+};
+
+// Wallet / RPC failures, keyed by the code we expose
+const WALLET_ERRORS = {
+  USER_REJECTED: ["You rejected the request in your wallet.", "Approve it in your wallet to continue."],
+  INSUFFICIENT_FUNDS: [
+    "Not enough ETH to cover the value and gas.",
+    "Top up the account, or lower the reward and try again.",
+  ],
+  NONCE_TOO_LOW: [
+    "The wallet used an outdated transaction nonce.",
+    "Clear the wallet's activity data for this account (MetaMask: Settings → Advanced) and retry.",
+  ],
+  REPLACEMENT_UNDERPRICED: [
+    "A pending transaction with the same nonce pays a higher fee.",
+    "Wait for it to confirm, or speed it up in your wallet.",
+  ],
+  TRANSACTION_REPLACED: [
+    "The transaction was cancelled or replaced before it was mined.",
+    "Check the pending transactions panel, then retry if needed.",
+  ],
+  UNAUTHORIZED: ["The wallet hasn't authorized this site.", "Reconnect your wallet."],
+  WALLET_DISCONNECTED: ["The wallet is disconnected from the network.", "Unlock the wallet or switch networks, then retry."],
+  NETWORK_ERROR: ["Could not reach the network.", "Check your connection and try again."],
+  NOT_CONNECTED: ["No wallet is connected.", "Connect your wallet."],
+  UNKNOWN_REVERT: ["The contract rejected the transaction.", "Refresh to check the task's current status and try again."],
+  UNKNOWN: ["Something went wrong.", null],
+};
+
+// EIP-1193 provider error codes
+const PROVIDER_CODES = { 4001: "USER_REJECTED", 4100: "UNAUTHORIZED", 4900: "WALLET_DISCONNECTED", 4901: "WALLET_DISCONNECTED" };
+
+// ethers v6 error codes
+const ETHERS_CODES = {
+  ACTION_REJECTED: "USER_REJECTED",
+  INSUFFICIENT_FUNDS: "INSUFFICIENT_FUNDS",
+  NONCE_EXPIRED: "NONCE_TOO_LOW",
+  REPLACEMENT_UNDERPRICED: "REPLACEMENT_UNDERPRICED",
+  TRANSACTION_REPLACED: "TRANSACTION_REPLACED",
+  NETWORK_ERROR: "NETWORK_ERROR",
+  TIMEOUT: "NETWORK_ERROR",
+  SERVER_ERROR: "NETWORK_ERROR",
+};
+
+// Fallback for wallets that only put it in the message text
+const MESSAGE_PATTERNS = [
+  [/user (rejected|denied)|rejected by user/i, "USER_REJECTED"],
+  [/insufficient funds|(does not|doesn't) have enough funds/i, "INSUFFICIENT_FUNDS"],
+  [/nonce too low|nonce has already been used/i, "NONCE_TOO_LOW"],
+  [/replacement (transaction )?underpriced/i, "REPLACEMENT_UNDERPRICED"],
+  [/failed to fetch|network error|timeout/i, "NETWORK_ERROR"],
+  [/^not connected$/i, "NOT_CONNECTED"],
+];
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+
+// Error(string) revert data -> reason
+function decodeRevertData(data) {
+  if (typeof data !== "string" || !data.startsWith(ERROR_STRING_SELECTOR)) return null;
+  try {
+    return ethers.AbiCoder.defaultAbiCoder().decode(["string"], `0x${data.slice(10)}`)[0];
+  } catch {
+    return null;
+  }
+}
+
+// ethers wraps the wallet's error (info.error), which may wrap the node's (error / data.originalError)
+function errorChain(err) {
+  const chain = [];
+  let e = err;
+  while (e && typeof e === "object" && chain.length < 6 && !chain.includes(e)) {
+    chain.push(e);
+    e = e.info?.error ?? e.error ?? e.data?.originalError ?? e.cause;
+  }
+  return chain;
+}
+
+function findRevertReason(chain) {
+  for (const e of chain) {
+    if (typeof e.reason === "string" && e.reason) return e.reason;
+    if (e.revert?.args?.[0] != null) return String(e.revert.args[0]);
+
+    const fromData = decodeRevertData(e.data) ?? decodeRevertData(e.data?.data);
+    if (fromData) return fromData;
+
+    // execution reverted: "Not open" / reverted with reason string 'Not open'
+    const match = /reverted(?: with reason string)?:?\s*["']([^"']+)["']/.exec(e.shortMessage ?? e.message ?? "");
+    if (match) return match[1];
+  }
+  return null;
+}
+
+function build(code, message, action, reason, raw) {
+  return { code, message, action: action ?? null, reason: reason ?? null, raw };
+}
+
+/**
+ * Decode an error thrown by a contract call, the wallet or the RPC
+ * @param {unknown} err - Error object, or a plain message string
+ * @returns {{code: string, message: string, action: string|null, reason: string|null, raw: string}}
+ */
+export function decodeContractError(err) {
+  const raw = typeof err === "string" ? err : err?.shortMessage || err?.message || String(err);
+  const chain = typeof err === "string" ? [] : errorChain(err);
+
+  // Wallet codes first: a rejected prompt can carry the revert string of the estimate it was built on
+  for (const e of chain) {
+    const code = ETHERS_CODES[e.code] ?? PROVIDER_CODES[e.code];
+    if (code) return build(code, ...WALLET_ERRORS[code], null, raw);
+  }
+
+  // utils validation errors can repeat a revert string verbatim, so the raw text is tried as a key too
+  const reason = findRevertReason(chain);
+  const known = REVERTS[reason] ? reason : REVERTS[raw] ? raw : null;
+  if (known) return build(...REVERTS[known], known, raw);
+
+  for (const [pattern, code] of MESSAGE_PATTERNS) {
+    if (chain.some((e) => pattern.test(e.message ?? "")) || pattern.test(raw)) {
+      return build(code, ...WALLET_ERRORS[code], null, raw);
+    }
+  }
+
+  if (chain.some((e) => e.code === "CALL_EXCEPTION")) {
+    // A revert we don't know: show the contract's own words if it gave any
+    const [message, action] = WALLET_ERRORS.UNKNOWN_REVERT;
+    return build("UNKNOWN_REVERT", reason ? `${message.slice(0, -1)}: ${reason}` : message, action, reason, raw);
+  }
+
+  // Not something we recognise (e.g. a validation message from the utils): pass it through
+  return build("UNKNOWN", raw || WALLET_ERRORS.UNKNOWN[0], null, null, raw);
+}
+
+// Decoded form of a known revert string (same shape as decodeContractError), or null
+export function describeRevert(reason) {
+  const entry = REVERTS[reason];
+  return entry ? build(...entry, reason, reason) : null;
+}
+
+/**
+ * Standard failure result for write and estimate methods: { success: false, error, errorInfo }
+ * error stays a string for existing callers; errorInfo is the decoded object
+ */
+export function contractFailure(err) {
+  const errorInfo = decodeContractError(err);
+  return { success: false, error: errorInfo.message, errorInfo };
+}
+
+export default { decodeContractError, describeRevert, contractFailure };
@@ -0,0 +1,89 @@
+import { ethers } from "ethers";
+
+// ERC-20 reward tokens: the marketplace escrows them with transferFrom, so the creator approves it first,
+// or signs an EIP-2612 permit when the token supports one (one transaction instead of two).
+
+export const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  // EIP-2612
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function version() view returns (string)",
+];
+
+// Task.token is address(0) for ETH rewards
+export const ETH_TOKEN = { address: ethers.ZeroAddress, symbol: "ETH", name: "Ether", decimals: 18 };
+
+export function isEthToken(address) {
+  return !address || address === ethers.ZeroAddress;
+}
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Amount typed by the user -> smallest units (throws on invalid input or too many decimals)
+export function parseTokenAmount(amount, decimals = 18) {
+  return ethers.parseUnits(String(amount).trim() || "0", Number(decimals));
+}
+
+export function formatTokenAmount(amount, decimals = 18) {
+  return ethers.formatUnits(amount ?? 0n, Number(decimals));
+}
+
+/**
+ * Symbol, name and decimals of a token
+ * @param {ethers.Contract} token - ERC20_ABI contract
+ * @param {Function} read - read(contract, method) for batched calls; defaults to a direct call
+ * @returns {Promise<{address, symbol, name, decimals}>}
+ */
+export async function readTokenMeta(token, read = (contract, method) => contract[method]()) {
+  const [symbol, name, decimals] = await Promise.all([
+    read(token, "symbol").catch(() => null),
+    read(token, "name").catch(() => null),
+    read(token, "decimals"),
+  ]);
+  const address = await token.getAddress();
+  return { address, symbol: symbol || `${address.slice(0, 6)}…`, name: name || "", decimals: Number(decimals) };
+}
+
+/**
+ * EIP-2612 permit for spender to pull value from the signer's balance.
+ * The token's DOMAIN_SEPARATOR must match the domain we sign for (name, version or "1", chainId, address),
+ * otherwise the token doesn't implement EIP-2612 the standard way and null is returned: approve instead.
+ * @returns {Promise<{deadline: bigint, v: number, r: string, s: string}|null>}
+ */
+export async function signPermit(signer, token, { spender, value, deadline, chainId }) {
+  const owner = await signer.getAddress();
+  const verifyingContract = await token.getAddress();
+
+  let nonce, separator, name, version;
+  try {
+    [nonce, separator, name] = await Promise.all([token.nonces(owner), token.DOMAIN_SEPARATOR(), token.name()]);
+  } catch {
+    return null; // no permit
+  }
+  try {
+    version = await token.version();
+  } catch {
+    version = "1";
+  }
+
+  const domain = { name, version, chainId, verifyingContract };
+  if (ethers.TypedDataEncoder.hashDomain(domain) !== separator) return null;
+
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline });
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { deadline: BigInt(deadline), v, r, s };
+}
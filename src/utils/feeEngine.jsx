@@ -0,0 +1,125 @@
+import { ethers } from "ethers";
+
+// Shared fee engine: slow/normal/fast EIP-1559 presets from recent eth_feeHistory,
+// falling back to a legacy gasPrice on chains/RPCs without it.
+//   priority fee = that percentile of the tips paid in recent blocks
+//   max fee      = next block's base fee * headroom + priority fee
+// The headroom lets the transaction survive base fee increases while it waits (+12.5% per full block).
+
+export const FEE_SPEEDS = {
+  slow: { label: "Slow", percentile: 10, headroomBps: 11250n, legacyBps: 10000n },
+  normal: { label: "Normal", percentile: 50, headroomBps: 15000n, legacyBps: 11000n },
+  fast: { label: "Fast", percentile: 90, headroomBps: 20000n, legacyBps: 12500n },
+};
+
+export const DEFAULT_FEE_SPEED = "normal";
+
+const FEE_HISTORY_BLOCKS = 10;
+const BPS = 10000n;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0n;
+};
+
+const bigMax = (a, b) => (a > b ? a : b);
+const bigMin = (a, b) => (a < b ? a : b);
+
+async function fetchFeeHistory(provider, percentiles) {
+  try {
+    return await provider.send("eth_feeHistory", [ethers.toQuantity(FEE_HISTORY_BLOCKS), "latest", percentiles]);
+  } catch {
+    // pre-London chain or an RPC that doesn't implement it
+    return null;
+  }
+}
+
+/**
+ * Fee presets for the provider's chain
+ * @param {ethers.JsonRpcProvider|ethers.BrowserProvider} provider
+ * @returns {Promise<{type: "eip1559"|"legacy", baseFeePerGas?: bigint, presets: Object}>}
+ *   presets[speed] = { speed, label, maxFeePerGas, maxPriorityFeePerGas } or { speed, label, gasPrice }
+ */
+export async function getFeeOptions(provider) {
+  const speeds = Object.entries(FEE_SPEEDS);
+  const history = await fetchFeeHistory(provider, speeds.map(([, s]) => s.percentile));
+  const baseFees = history?.baseFeePerGas ?? [];
+
+  if (baseFees.length > 0) {
+    // feeHistory returns one base fee more than blocks requested: the last one is the next block's
+    const baseFeePerGas = BigInt(baseFees[baseFees.length - 1]);
+    const rewards = history.reward ?? [];
+
+    // blocks without transactions report no tips; ask the node instead of proposing a zero tip
+    let suggestedTip = null;
+    if (rewards.every((r) => r.every((v) => BigInt(v) === 0n))) {
+      suggestedTip = (await provider.getFeeData()).maxPriorityFeePerGas ?? 0n;
+    }
+
+    const presets = {};
+    let previousTip = 0n;
+    speeds.forEach(([speed, s], i) => {
+      const tip = bigMax(suggestedTip ?? median(rewards.map((r) => BigInt(r[i] ?? 0))), previousTip);
+      previousTip = tip;
+      presets[speed] = {
+        speed,
+        label: s.label,
+        maxPriorityFeePerGas: tip,
+        maxFeePerGas: (baseFeePerGas * s.headroomBps) / BPS + tip,
+      };
+    });
+
+    return { type: "eip1559", baseFeePerGas, presets };
+  }
+
+  const { gasPrice } = await provider.getFeeData();
+  if (!gasPrice) throw new Error("Could not determine network fees");
+
+  const presets = {};
+  for (const [speed, s] of speeds) {
+    presets[speed] = { speed, label: s.label, gasPrice: (gasPrice * s.legacyBps) / BPS };
+  }
+  return { type: "legacy", presets };
+}
+
+// Transaction overrides for a preset (spread into a contract call)
+export function feeOverrides(preset) {
+  if (!preset) return {};
+  if (preset.gasPrice != null) return { gasPrice: preset.gasPrice };
+  return { maxFeePerGas: preset.maxFeePerGas, maxPriorityFeePerGas: preset.maxPriorityFeePerGas };
+}
+
+/**
+ * What a preset costs for gasLimit: min assumes the base fee stays where it is, max is the cap the wallet
+ * signs (maxFeePerGas * gas). Legacy presets cost exactly gasPrice * gas.
+ */
+export function describeFee(gasLimit, preset, options) {
+  const gas = BigInt(gasLimit);
+  const maxFee = preset.gasPrice ?? preset.maxFeePerGas;
+  const expectedFee = preset.gasPrice ?? bigMin(options.baseFeePerGas + preset.maxPriorityFeePerGas, maxFee);
+
+  return {
+    speed: preset.speed,
+    label: preset.label,
+    overrides: feeOverrides(preset),
+    maxFeeGwei: ethers.formatUnits(maxFee, "gwei"),
+    priorityFeeGwei: preset.maxPriorityFeePerGas != null ? ethers.formatUnits(preset.maxPriorityFeePerGas, "gwei") : null,
+    minCostEth: ethers.formatEther(gas * expectedFee),
+    maxCostEth: ethers.formatEther(gas * maxFee),
+  };
+}
+
+/**
+ * Gas limit -> every preset with its cost range
+ * @returns {Promise<{feeType, fees: Object<string, ReturnType<describeFee>>}>}
+ */
+export async function quoteFees(provider, gasLimit) {
+  const options = await getFeeOptions(provider);
+  const fees = {};
+  for (const [speed, preset] of Object.entries(options.presets)) {
+    fees[speed] = describeFee(gasLimit, preset, options);
+  }
+  return { feeType: options.type, fees };
+}
+
+export default { FEE_SPEEDS, DEFAULT_FEE_SPEED, getFeeOptions, feeOverrides, describeFee, quoteFees };
@@ -0,0 +1,147 @@
+// IndexedDB cache of fetched IPFS content, keyed by CID. A CID names immutable content, so entries never
+// go stale; the cache is capped in bytes and evicts the least recently used entries.
+// Content and bookkeeping live in separate stores so eviction only reads the small entries.
+
+const DB_VERSION = 1;
+const CONTENT_STORE = "content"; // cid -> { bytes, type, integrity, integrityReason }
+const ENTRIES_STORE = "entries"; // { cid, size, lastAccess }
+
+const DEFAULT_DB_NAME = "task-marketplace-ipfs-cache";
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+// ---- IndexedDB helpers ----
+function openDB(name) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB not available"));
+      return;
+    }
+
+    const req = indexedDB.open(name, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(CONTENT_STORE)) db.createObjectStore(CONTENT_STORE);
+      if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+        db.createObjectStore(ENTRIES_STORE, { keyPath: "cid" }).createIndex("lastAccess", "lastAccess");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export default class IPFSCache {
+  /**
+   * @param {Object} options - { dbName, maxBytes = 50 MiB }
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName ?? DEFAULT_DB_NAME;
+    this.maxBytes = options.maxBytes ?? DEFAULT_MAX_BYTES;
+    this.hits = 0;
+    this.misses = 0;
+    this._db = null;
+  }
+
+  async _open() {
+    if (!this._db) this._db = await openDB(this.dbName);
+    return this._db;
+  }
+
+  /**
+   * Cached content for cid (and mark it recently used)
+   * @returns {Promise<{bytes: Uint8Array, type, integrity, integrityReason}|null>}
+   */
+  async get(cid) {
+    const db = await this._open();
+    const tx = db.transaction([CONTENT_STORE, ENTRIES_STORE], "readwrite");
+    const value = await requestToPromise(tx.objectStore(CONTENT_STORE).get(cid));
+
+    if (!value) {
+      this.misses++;
+      return null;
+    }
+
+    this.hits++;
+    const entries = tx.objectStore(ENTRIES_STORE);
+    const entry = await requestToPromise(entries.get(cid));
+    entries.put({ cid, size: entry?.size ?? value.bytes.byteLength, lastAccess: Date.now() });
+    await transactionDone(tx);
+    return value;
+  }
+
+  /**
+   * Store content for cid, then evict least recently used entries above maxBytes.
+   * Content larger than the whole cache is not stored.
+   * @param {string} cid
+   * @param {Object} value - { bytes: Uint8Array, type, integrity, integrityReason }
+   */
+  async put(cid, value) {
+    const size = value.bytes.byteLength;
+    if (size > this.maxBytes) return;
+
+    const db = await this._open();
+    const tx = db.transaction([CONTENT_STORE, ENTRIES_STORE], "readwrite");
+    tx.objectStore(CONTENT_STORE).put(value, cid);
+    tx.objectStore(ENTRIES_STORE).put({ cid, size, lastAccess: Date.now() });
+    await transactionDone(tx);
+
+    await this._evict();
+  }
+
+  async _evict() {
+    const db = await this._open();
+    const tx = db.transaction([CONTENT_STORE, ENTRIES_STORE], "readwrite");
+    const entries = tx.objectStore(ENTRIES_STORE);
+    const all = await requestToPromise(entries.index("lastAccess").getAll()); // oldest first
+
+    let total = all.reduce((sum, e) => sum + e.size, 0);
+    for (const entry of all) {
+      if (total <= this.maxBytes) break;
+      entries.delete(entry.cid);
+      tx.objectStore(CONTENT_STORE).delete(entry.cid);
+      total -= entry.size;
+    }
+    await transactionDone(tx);
+  }
+
+  /**
+   * Counters for debugging: hits / misses since page load, and what is stored
+   * @returns {Promise<{hits, misses, entries, bytes, maxBytes}>}
+   */
+  async stats() {
+    const db = await this._open();
+    const all = await requestToPromise(db.transaction(ENTRIES_STORE).objectStore(ENTRIES_STORE).getAll());
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      entries: all.length,
+      bytes: all.reduce((sum, e) => sum + e.size, 0),
+      maxBytes: this.maxBytes,
+    };
+  }
+
+  async clear() {
+    const db = await this._open();
+    const tx = db.transaction([CONTENT_STORE, ENTRIES_STORE], "readwrite");
+    tx.objectStore(CONTENT_STORE).clear();
+    tx.objectStore(ENTRIES_STORE).clear();
+    await transactionDone(tx);
+    this.hits = 0;
+    this.misses = 0;
+  }
+}
@@ -1,58 +1,105 @@
-import { PinataSDK } from "pinata";
+import { createStorageProvider, readContent } from "./storageProviders";
+import { parseCID, verifyContent } from "./cidUtils";
+import IPFSCache from "./ipfsCache";
 
-let pinata = null;
-let isInitialized = false;
+// Uploads go through the configured storage backend (see storageProviders.jsx); reads race it against the
+// public gateways, so content the backend can't serve still loads:
+//   VITE_IPFS_PROVIDER   - "pinata" | "kubo" | "mock" (default: Pinata when a JWT is set, otherwise the mock)
+//   VITE_PINATA_JWT      - Pinata API JWT (or setPinataJWT() at runtime)
+//   VITE_PINATA_GATEWAY  - dedicated Pinata gateway domain (optional)
+//   VITE_KUBO_API_URL    - Kubo RPC API, default http://127.0.0.1:5001
+//   VITE_KUBO_GATEWAY_URL - Kubo gateway, default http://127.0.0.1:8080
+//   VITE_IPFS_GATEWAYS   - comma-separated public gateways raced for reads (default ipfs.io, dweb.link)
+//   VITE_IPFS_GATEWAY_TIMEOUT_MS - per-gateway timeout, default 8000
+//   VITE_IPFS_CACHE_MAX_BYTES - size cap of the IndexedDB content cache, default 50 MiB
+
+// links before the backend is ready, and for content the backend can't serve
+const FALLBACK_GATEWAY = "https://gateway.pinata.cloud";
+
+let provider = null;
+let initPromise = null;
+let cache = null;
+
+function storageConfig() {
+  const env = import.meta.env;
+  return {
+    provider: env.VITE_IPFS_PROVIDER,
+    pinataJwt: env.VITE_PINATA_JWT || localStorage.getItem('pinata_jwt'),
+    pinataGateway: env.VITE_PINATA_GATEWAY,
+    kuboApiUrl: env.VITE_KUBO_API_URL,
+    kuboGatewayUrl: env.VITE_KUBO_GATEWAY_URL,
+    gateways: env.VITE_IPFS_GATEWAYS?.split(',').map((g) => g.trim()).filter(Boolean),
+    gatewayTimeoutMs: Number(env.VITE_IPFS_GATEWAY_TIMEOUT_MS) || undefined,
+  };
+}
+
+function contentCache() {
+  if (!cache) cache = new IPFSCache({ maxBytes: Number(import.meta.env.VITE_IPFS_CACHE_MAX_BYTES) || undefined });
+  return cache;
+}
+
+// The cache is an optimisation: without IndexedDB every fetch goes to the backend
+async function readCache(cid) {
+  try {
+    return await contentCache().get(cid);
+  } catch {
+    return null;
+  }
+}
+
+async function writeCache(cid, value) {
+  try {
+    await contentCache().put(cid, value);
+  } catch (e) {
+    console.warn(`Failed to cache IPFS content (${cid}):`, e);
+  }
+}
 
 /**
- * Initialize Pinata client with JWT token
- * Get your JWT from: https://app.pinata.cloud/developers/api-keys
+ * Content cache counters for debugging
+ * @returns {Promise<{hits, misses, entries, bytes, maxBytes}|null>} - null if IndexedDB is unavailable
  */
-export async function initIPFS() {
-  if (isInitialized && pinata) return pinata;
-  
+export async function getIPFSCacheStats() {
   try {
-    // Check for Pinata JWT in environment variable or localStorage
-    const jwt = import.meta.env.VITE_PINATA_JWT || localStorage.getItem('pinata_jwt');
-    
-    if (!jwt) {
-      console.warn("⚠️ No Pinata JWT found. Set VITE_PINATA_JWT in .env or call setPinataJWT()");
-      isInitialized = true;
-      return null;
-    }
-    
-    pinata = new PinataSDK({
-      pinataJwt: jwt,
-    });
-    
-    // ✅ Debug: Log available methods
-    console.log("Pinata SDK methods:", Object.keys(pinata));
-    if (pinata.upload) {
-      const uploadMethods = Object.keys(pinata.upload);
-      console.log("Pinata upload methods:", uploadMethods);
-      
-      // Log each method name individually
-      uploadMethods.forEach(method => {
-        console.log(`  - upload.${method} is a`, typeof pinata.upload[method]);
-      });
-    }
-    
-    // Test the connection
-    try {
-      await pinata.testAuthentication();
-      console.log("✅ Pinata connected successfully");
-    } catch (testErr) {
-      console.warn("Pinata auth test failed:", testErr);
-    }
-    
-    isInitialized = true;
-    return pinata;
-  } catch (e) {
-    console.warn("Pinata init failed:", e);
-    isInitialized = true;
+    return await contentCache().stats();
+  } catch {
     return null;
   }
 }
 
+export async function clearIPFSCache() {
+  await contentCache().clear();
+}
+
+/**
+ * Create the configured storage backend (once)
+ * @returns {Promise<Object>} - storage provider
+ */
+export async function initIPFS() {
+  if (!initPromise) {
+    initPromise = (async () => {
+      const p = createStorageProvider(storageConfig());
+      await p.init?.();
+      provider = p;
+      console.log(`✅ IPFS storage: ${p.name}`);
+      return p;
+    })().catch((e) => {
+      initPromise = null; // retry on next use
+      throw e;
+    });
+  }
+  return initPromise;
+}
+
+/**
+ * Use a specific storage backend instead of the configured one (tests, runtime settings)
+ * @param {Object} storageProvider - see storageProviders.jsx
+ */
+export function setStorageProvider(storageProvider) {
+  provider = storageProvider;
+  initPromise = Promise.resolve(storageProvider);
+}
+
 /**
  * Set Pinata JWT (useful for runtime configuration)
  * @param {string} jwt - Your Pinata JWT token
@@ -60,112 +107,164 @@ export async function initIPFS() {
 export function setPinataJWT(jwt) {
   if (jwt) {
     localStorage.setItem('pinata_jwt', jwt);
-    isInitialized = false; // Force re-init
-    pinata = null;
+    initPromise = null; // Force re-init
+    provider = null;
   }
 }
 
 /**
- * Upload task metadata to IPFS via Pinata
+ * Upload task metadata to IPFS
  * @param {Object} metadata - Task metadata { description, tags, attachments, etc }
  * @returns {Promise<string>} - IPFS CID
  */
 export async function uploadTaskMetadata(metadata) {
-  try {
-    if (!pinata) await initIPFS();
-    
-    if (!pinata) {
-      return uploadMetadataFallback(metadata);
-    }
-    
-    const json = JSON.stringify(metadata, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const file = new File([blob], 'metadata.json', { type: 'application/json' });
-    
-    // ✅ Fixed: Use correct Pinata SDK v2 API - pinata.upload.public.file()
-    const upload = await pinata.upload.public.file(file);
-    console.log("✅ Metadata uploaded to Pinata:", upload.cid);
-    return upload.cid;
-  } catch (e) {
-    console.error("Pinata upload failed, using fallback:", e);
-    return uploadMetadataFallback(metadata);
-  }
+  const storage = await initIPFS();
+  const json = JSON.stringify(metadata, null, 2);
+  const cid = await storage.add(new Blob([json], { type: 'application/json' }), { name: 'metadata.json' });
+  console.log(`✅ Metadata uploaded (${storage.name}):`, cid);
+  return cid;
 }
 
 /**
- * Upload file(s) to IPFS via Pinata
+ * Upload file(s) to IPFS
  * @param {File|File[]} files - File or array of files to upload
- * @returns {Promise<string>} - IPFS CID
+ * @returns {Promise<string>} - IPFS CID (of the file, or of a { files: [cid...] } list for several)
  */
 export async function uploadFiles(files) {
+  const storage = await initIPFS();
+  const fileArray = Array.isArray(files) ? files : [files];
+
+  if (fileArray.length === 1) {
+    const cid = await storage.add(fileArray[0], { name: fileArray[0].name });
+    console.log(`✅ File uploaded (${storage.name}):`, cid);
+    return cid;
+  }
+
+  const cids = await Promise.all(fileArray.map((file) => storage.add(file, { name: file.name })));
+  console.log(`✅ ${cids.length} files uploaded (${storage.name})`);
+  return await uploadTaskMetadata({ files: cids });
+}
+
+/**
+ * Upload work deliverables plus a submission manifest to IPFS
+ * Each file is uploaded on its own so the manifest can link directly to it.
+ * @param {number|string} taskId - Task the work belongs to
+ * @param {string} note - Worker's note to the creator
+ * @param {File[]} files - Deliverable files (may be empty)
+ * @returns {Promise<string>} - CID of the submission manifest (used as submissionCID)
+ */
+export async function uploadSubmission(taskId, note, files = []) {
+  return uploadTaskMetadata({
+    type: 'submission',
+    taskId: Number(taskId),
+    note: note || '',
+    files: await uploadFileEntries(files),
+    submittedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Upload dispute evidence (statement + files) in the submission manifest shape
+ * @param {number|string} taskId - Disputed task
+ * @param {"creator"|"worker"} party - Who files it
+ * @param {string} statement - The party's side of the dispute
+ * @param {File[]} files - Supporting files (may be empty)
+ * @returns {Promise<string>} - CID of the evidence manifest (used as evidenceCID)
+ */
+export async function uploadEvidence(taskId, party, statement, files = []) {
+  return uploadTaskMetadata({
+    type: 'dispute-evidence',
+    taskId: Number(taskId),
+    party,
+    note: statement || '',
+    files: await uploadFileEntries(files),
+    submittedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Upload a revision request (what to change + reference files) in the submission manifest shape
+ * @param {number|string} taskId - Task whose submission is sent back
+ * @param {string} note - Creator's description of the requested changes
+ * @param {File[]} files - Reference files (may be empty)
+ * @returns {Promise<string>} - CID of the note manifest (used as noteCID)
+ */
+export async function uploadRevisionNote(taskId, note, files = []) {
+  return uploadTaskMetadata({
+    type: 'revision-request',
+    taskId: Number(taskId),
+    note: note || '',
+    files: await uploadFileEntries(files),
+    submittedAt: new Date().toISOString(),
+  });
+}
+
+// [{ name, size, type, cid }], one upload per file
+function uploadFileEntries(files) {
+  return Promise.all(
+    files.map(async (file) => ({
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      cid: await uploadFiles(file),
+    }))
+  );
+}
+
+/**
+ * Upload a comment body to IPFS (for comments longer than the on-chain limit)
+ * @param {number|string} taskId - Task the comment belongs to
+ * @param {string} message - Full comment text
+ * @returns {Promise<string>} - IPFS CID (posted on-chain as "ipfs://<cid>")
+ */
+export async function uploadComment(taskId, message) {
+  return uploadTaskMetadata({
+    type: 'comment',
+    taskId: Number(taskId),
+    message,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+// JSON when it parses, the text otherwise
+function parseContent(bytes) {
+  const text = new TextDecoder().decode(bytes);
   try {
-    if (!pinata) await initIPFS();
-    
-    if (!pinata) {
-      return uploadFilesFallback(files);
-    }
-    
-    const fileArray = Array.isArray(files) ? files : [files];
-    
-    if (fileArray.length === 1) {
-      // ✅ Fixed: Use correct Pinata SDK v2 API - pinata.upload.public.file()
-      const upload = await pinata.upload.public.file(fileArray[0]);
-      console.log("✅ File uploaded to Pinata:", upload.cid);
-      return upload.cid;
-    } else {
-      // Upload multiple files
-      const uploads = await Promise.all(
-        fileArray.map(file => pinata.upload.public.file(file))
-      );
-      console.log(`✅ ${uploads.length} files uploaded to Pinata`);
-      
-      // Return array of CIDs as JSON
-      const cids = uploads.map(u => u.cid);
-      return await uploadTaskMetadata({ files: cids });
-    }
-  } catch (e) {
-    console.error("Pinata file upload failed, using fallback:", e);
-    return uploadFilesFallback(files);
+    return JSON.parse(text);
+  } catch {
+    return text;
   }
 }
 
 /**
- * Fetch content from IPFS using Pinata gateway or public gateway
+ * Fetch content from IPFS and check it against its CID (see cidUtils.verifyContent).
+ * Content is served from the IndexedDB cache when possible. Only verified content is cached: entries never
+ * expire, so anything unchecked would stay pinned to whatever the first gateway returned.
  * @param {string} cid - IPFS CID
- * @returns {Promise<Object>} - Parsed content
+ * @returns {Promise<{data: Object|string, integrity: string, integrityReason: string|null}|null>}
+ *   data: parsed JSON, or the text if it isn't JSON; null if unavailable
  */
-export async function fetchFromIPFS(cid) {
+export async function fetchVerifiedFromIPFS(cid) {
   if (!cid) return null;
 
   try {
-    // First try localStorage (for demo/fallback data)
-    const localData = localStorage.getItem(`ipfs_metadata_${cid}`);
-    if (localData) {
-      return JSON.parse(localData);
-    }
-    
-    // Try Pinata gateway (faster, more reliable)
-    const pinataGateway = `https://gateway.pinata.cloud/ipfs/${cid}`;
-    const publicGateway = `https://ipfs.io/ipfs/${cid}`;
-    
-    let response;
-    try {
-      response = await fetch(pinataGateway);
-    } catch {
-      response = await fetch(publicGateway);
-    }
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
+    // entries cached before only verified content was kept are fetched again
+    const cached = await readCache(cid);
+    if (cached?.integrity === 'verified') return { data: parseContent(cached.bytes), integrity: cached.integrity, integrityReason: cached.integrityReason };
 
-    const contentType = response.headers.get('content-type');
-    
-    if (contentType?.includes('application/json')) {
-      return await response.json();
-    } else {
-      return await response.text();
+    const storage = await initIPFS();
+    const { gateways, gatewayTimeoutMs } = storageConfig();
+    const { bytes, type } = await readContent(storage, cid, {
+      gateways: gateways?.length ? gateways : undefined,
+      timeoutMs: gatewayTimeoutMs,
+    });
+    const { status, reason, content } = await verifyContent(cid, bytes);
+    if (status !== 'verified') console.warn(`IPFS content ${cid} is ${status}: ${reason}`);
+    if (status === 'verified') {
+      await writeCache(cid, { bytes: content, type, integrity: status, integrityReason: reason });
     }
+
+    return { data: parseContent(content), integrity: status, integrityReason: reason };
   } catch (e) {
     console.warn(`Failed to fetch IPFS content (${cid}):`, e);
     return null;
@@ -173,97 +272,47 @@ export async function fetchFromIPFS(cid) {
 }
 
 /**
- * Get IPFS gateway URL for a CID
+ * Fetch content from IPFS (without the verification result)
+ * @param {string} cid - IPFS CID
+ * @returns {Promise<Object|string|null>} - Parsed JSON, or the text if it isn't JSON; null if unavailable
+ */
+export async function fetchFromIPFS(cid) {
+  return (await fetchVerifiedFromIPFS(cid))?.data ?? null;
+}
+
+/**
+ * Get a URL for a CID (gateway link, or an object URL for the mock backend)
  * @param {string} cid - IPFS CID
- * @returns {string} - Gateway URL
+ * @returns {string} - URL
  */
 export function getIPFSUrl(cid) {
   if (!cid) return '';
-  
-  // Check if it's a demo CID stored in localStorage
-  const localData = localStorage.getItem(`ipfs_files_${cid}`);
-  if (localData) {
-    try {
-      const files = JSON.parse(localData);
-      if (files && files[0]?.dataUrl) {
-        return files[0].dataUrl;
-      }
-    } catch (e) {
-      console.warn("Failed to parse local file data:", e);
-    }
-  }
-  
-  // Use Pinata gateway for better performance
-  return `https://gateway.pinata.cloud/ipfs/${cid}`;
+  return provider?.url(cid) || `${FALLBACK_GATEWAY}/ipfs/${cid}`;
 }
 
 /**
- * Check if a string is a valid IPFS CID
+ * Check if a string is a valid IPFS CID (CIDv0, or CIDv1 in base32 / base36 / base58btc)
  * @param {string} str - String to check
  * @returns {boolean}
  */
 export function isIPFSCID(str) {
-  if (!str || typeof str !== 'string') return false;
-  
-  // CIDv0 starts with Qm, CIDv1 starts with b or z, also accept our mock CIDs
-  return /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[A-Za-z2-7]{58}|z[1-9A-HJ-NP-Za-km-z]{48}|bafybei\w+)/.test(str);
-}
-
-// ========== FALLBACK FUNCTIONS (for demo without Pinata) ==========
-
-function uploadMetadataFallback(metadata) {
-  const json = JSON.stringify(metadata, null, 2);
-  const mockCID = 'bafybeihash' + Math.random().toString(36).substring(2, 15);
-  
-  console.log("📦 Using localStorage fallback for metadata");
-  
-  try {
-    localStorage.setItem(`ipfs_metadata_${mockCID}`, json);
-  } catch (storageErr) {
-    console.warn("LocalStorage failed:", storageErr);
-  }
-  
-  return mockCID;
-}
-
-async function uploadFilesFallback(files) {
-  const fileArray = Array.isArray(files) ? files : [files];
-  const mockCID = 'bafybeifile' + Math.random().toString(36).substring(2, 15);
-  
-  console.log(`📦 Using localStorage fallback for ${fileArray.length} file(s)`);
-  
-  const fileMetadata = await Promise.all(
-    fileArray.map(async (file) => {
-      const dataUrl = await new Promise((resolve) => {
-        const reader = new FileReader();
-        reader.onloadend = () => resolve(reader.result);
-        reader.readAsDataURL(file);
-      });
-      
-      return {
-        name: file.name,
-        size: file.size,
-        type: file.type,
-        dataUrl,
-      };
-    })
-  );
-  
-  try {
-    localStorage.setItem(`ipfs_files_${mockCID}`, JSON.stringify(fileMetadata));
-  } catch (storageErr) {
-    console.warn("LocalStorage failed:", storageErr);
-  }
-  
-  return mockCID;
+  return parseCID(str) !== null;
 }
 
 export default {
   initIPFS,
+  setStorageProvider,
   setPinataJWT,
   uploadTaskMetadata,
   uploadFiles,
+  uploadSubmission,
+  uploadEvidence,
+  uploadRevisionNote,
+  uploadComment,
   fetchFromIPFS,
+  fetchVerifiedFromIPFS,
+  getIPFSCacheStats,
+  clearIPFSCache,
   getIPFSUrl,
   isIPFSCID,
 };
@@ -0,0 +1,455 @@
+// Markdown for task descriptions, rendered to React elements: no HTML string is ever injected, so raw
+// <script>/<iframe>/on* markup in a description shows up as text. Links are the only way out of the page
+// and are limited to SAFE_PROTOCOLS; images are shown as links so a brief can't load trackers.
+// Supported: # headings, paragraphs, - / 1. lists (nested by indentation), > quotes, ``` fences, ---,
+// **bold**, *italic*, ~~strike~~, `code`, [links](url), <url> and bare http(s) URLs, backslash escapes.
+
+import { METADATA_LIMITS } from "./taskMetadata";
+
+export const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+const MAX_DEPTH = 8; // nested quotes / lists
+const DEFAULT_EXCERPT_LENGTH = 160;
+// an excerpt is taken from this many source characters per excerpt character (markup included)
+const EXCERPT_SOURCE_FACTOR = 10;
+
+/**
+ * href if it is an absolute URL with a safe protocol (javascript:, data:, vbscript:, relative… are refused)
+ * @param {string} href
+ * @returns {string|null}
+ */
+export function safeUrl(href) {
+  if (typeof href !== "string") return null;
+  try {
+    // the URL parser drops tabs / newlines the way browsers do, so "java\nscript:" is caught too
+    const url = new URL(href.trim());
+    return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---- Block parsing ----
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>\s?/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(\s+|$)/;
+
+const isBlank = (line) => line.trim() === "";
+// index of the first non-blank line at or after i (lines.length if there is none)
+const nextNonBlank = (lines, i) => {
+  while (i < lines.length && isBlank(lines[i])) i++;
+  return i;
+};
+const indentOf = (line) => line.match(/^ */)[0].length;
+const startsBlock = (line) => FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+function parseList(lines, start, depth) {
+  const ordered = /\d/.test(lines[start].match(LIST_ITEM)[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const marker = lines[i].match(LIST_ITEM);
+    if (!marker || /\d/.test(marker[2]) !== ordered) break;
+
+    const contentIndent = marker[0].length;
+    const body = [lines[i].slice(contentIndent)];
+    i++;
+    // continuation: indented lines (blank lines only if more indented content follows)
+    while (i < lines.length) {
+      if (isBlank(lines[i])) {
+        const next = nextNonBlank(lines, i);
+        if (next === lines.length || indentOf(lines[next]) < 2) break;
+        for (; i < next; i++) body.push("");
+      } else if (indentOf(lines[i]) >= 2) {
+        body.push(lines[i].slice(Math.min(indentOf(lines[i]), contentIndent)));
+        i++;
+      } else if (!startsBlock(lines[i]) && !isBlank(body[body.length - 1])) {
+        body.push(lines[i]); // lazy paragraph continuation
+        i++;
+      } else {
+        break;
+      }
+    }
+    items.push(parseBlocks(body, depth + 1));
+
+    // a blank line between items keeps the list going
+    if (i < lines.length && isBlank(lines[i])) {
+      const next = nextNonBlank(lines, i);
+      const following = next === lines.length ? null : lines[next].match(LIST_ITEM);
+      if (!following || /\d/.test(following[2]) !== ordered) break;
+      i = next;
+    }
+  }
+
+  const first = lines[start].match(LIST_ITEM)[2];
+  return { block: { type: "list", ordered, start: ordered ? parseInt(first, 10) : null, items }, next: i };
+}
+
+function parseBlocks(lines, depth = 0) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = depth < MAX_DEPTH ? line.match(FENCE) : null;
+    if (fence) {
+      const close = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const code = [];
+      for (i++; i < lines.length && !close.test(lines[i]); i++) code.push(lines[i]);
+      i++; // closing fence (or past the end)
+      blocks.push({ type: "code", lang: fence[2] || null, text: code.join("\n") });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2] ?? "" });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: "rule" });
+      i++;
+      continue;
+    }
+
+    if (depth < MAX_DEPTH && QUOTE.test(line)) {
+      const quoted = [];
+      for (; i < lines.length && QUOTE.test(lines[i]); i++) quoted.push(lines[i].replace(QUOTE, ""));
+      blocks.push({ type: "quote", children: parseBlocks(quoted, depth + 1) });
+      continue;
+    }
+
+    if (depth < MAX_DEPTH && LIST_ITEM.test(line)) {
+      const { block, next } = parseList(lines, i, depth);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    const paragraph = [line];
+    for (i++; i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i]); i++) paragraph.push(lines[i]);
+    blocks.push({ type: "paragraph", text: paragraph.map((l) => l.replace(/^ +/, "")).join("\n") });
+  }
+
+  return blocks;
+}
+
+/**
+ * Block tree of a Markdown document. Descriptions come from IPFS and may not respect the schema, so anything
+ * past METADATA_LIMITS.description is ignored.
+ * @param {string} source
+ * @returns {Array<Object>} - { type: "paragraph"|"heading"|"code"|"quote"|"list"|"rule", ... }
+ */
+export function parseMarkdown(source) {
+  if (typeof source !== "string" || !source) return [];
+  const clamped = source.slice(0, METADATA_LIMITS.description);
+  return parseBlocks(clamped.replace(/\r\n?/g, "\n").replace(/\t/g, "    ").split("\n"));
+}
+
+// ---- Inline parsing ----
+
+const ESCAPABLE = /[\\`*_{}[\]()#+\-.!~<>|"']/;
+const BARE_URL = /^https?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]]/;
+const AUTOLINK = /^<((?:https?:\/\/|mailto:)[^\s<>]+)>/;
+const isWordChar = (c) => c !== undefined && /[\p{L}\p{N}]/u.test(c);
+
+// Closer positions of one inline run, each table built in a single pass the first time it is needed, so a
+// run full of unmatched "[" or "*" doesn't rescan the rest of the text from every one of them:
+//   bracket(start)  - index of the "]" closing the "[" at start (nesting and escapes honoured), -1 if none
+//   closer(d, from) - first index >= from where delimiter d can close, -1 if none; a single * / _ never closes
+//                     on half of a double one
+function inlineClosers(text) {
+  let brackets = null;
+  const closers = new Map();
+
+  return {
+    bracket(start) {
+      if (!brackets) {
+        brackets = new Int32Array(text.length).fill(-1);
+        const open = [];
+        for (let i = 0; i < text.length; i++) {
+          if (text[i] === "\\") i++;
+          else if (text[i] === "[") open.push(i);
+          else if (text[i] === "]" && open.length > 0) brackets[open.pop()] = i;
+        }
+      }
+      return brackets[start];
+    },
+
+    closer(d, from) {
+      if (from >= text.length) return -1;
+      let next = closers.get(d);
+      if (!next) {
+        next = new Int32Array(text.length + 2).fill(-1);
+        for (let p = text.length - 1; p >= 0; p--) {
+          if (!text.startsWith(d, p)) next[p] = next[p + 1];
+          else if (d.length === 1 && text[p + 1] === d) next[p] = next[p + 2];
+          else next[p] = p;
+        }
+        closers.set(d, next);
+      }
+      return next[from];
+    },
+  };
+}
+
+// [label](url "title") / ![alt](url) starting at i -> { label, href, end }
+function matchLink(text, i, closers) {
+  const close = closers.bracket(i);
+  if (close === -1 || text[close + 1] !== "(") return null;
+  const target = text.slice(close + 2).match(/^\s*<?([^\s()<>]*(?:\([^\s()]*\)[^\s()<>]*)*)>?(?:\s+"[^"]*")?\s*\)/);
+  if (!target) return null;
+  return { label: text.slice(i + 1, close), href: target[1], end: close + 2 + target[0].length };
+}
+
+function parseInline(text, depth = 0) {
+  const nodes = [];
+  let buffer = "";
+  const flush = () => {
+    if (buffer) nodes.push({ type: "text", text: buffer });
+    buffer = "";
+  };
+  const push = (node) => {
+    flush();
+    nodes.push(node);
+  };
+  const nested = (inner) => (depth < MAX_DEPTH ? parseInline(inner, depth + 1) : [{ type: "text", text: inner }]);
+  const closers = inlineClosers(text);
+
+  for (let i = 0; i < text.length; ) {
+    const c = text[i];
+    const rest = text.slice(i);
+
+    if (c === "\\" && ESCAPABLE.test(text[i + 1] ?? "")) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+    // hard break: two trailing spaces or a backslash before the newline
+    if (c === "\n") {
+      if (/ {2,}$/.test(buffer) || text[i - 1] === "\\") {
+        buffer = buffer.replace(/[ \\]+$/, "");
+        push({ type: "break" });
+      } else {
+        buffer = buffer.replace(/ +$/, "") + " ";
+      }
+      i++;
+      continue;
+    }
+
+    if (c === "`") {
+      const ticks = rest.match(/^`+/)[0];
+      const end = text.indexOf(ticks, i + ticks.length);
+      if (end !== -1) {
+        const code = text.slice(i + ticks.length, end).replace(/\n/g, " ");
+        push({ type: "code", text: code.length > 2 && code.startsWith(" ") && code.endsWith(" ") ? code.slice(1, -1) : code });
+        i = end + ticks.length;
+        continue;
+      }
+      buffer += ticks;
+      i += ticks.length;
+      continue;
+    }
+
+    if (c === "[" || (c === "!" && text[i + 1] === "[")) {
+      const image = c === "!";
+      const link = matchLink(text, image ? i + 1 : i, closers);
+      if (link) {
+        push({
+          type: "link",
+          href: safeUrl(link.href),
+          children: image ? [{ type: "text", text: link.label || link.href }] : nested(link.label),
+          image,
+        });
+        i = link.end;
+        continue;
+      }
+    }
+
+    const autolink = c === "<" ? rest.match(AUTOLINK) : null;
+    if (autolink) {
+      push({ type: "link", href: safeUrl(autolink[1]), children: [{ type: "text", text: autolink[1] }] });
+      i += autolink[0].length;
+      continue;
+    }
+    const bare = c === "h" && !isWordChar(text[i - 1]) ? rest.match(BARE_URL) : null;
+    if (bare) {
+      push({ type: "link", href: safeUrl(bare[0]), children: [{ type: "text", text: bare[0] }] });
+      i += bare[0].length;
+      continue;
+    }
+
+    // **strong** / __strong__ / ~~strike~~ / *em* / _em_ (underscores not inside words: snake_case stays)
+    const delimiter = ["**", "__", "~~"].find((d) => rest.startsWith(d)) ?? (c === "*" || c === "_" ? c : null);
+    if (delimiter && !(c === "_" && isWordChar(text[i - 1])) && !/\s/.test(text[i + delimiter.length] ?? " ")) {
+      const end = closers.closer(delimiter, i + delimiter.length + 1);
+      const inner = end === -1 ? "" : text.slice(i + delimiter.length, end);
+      if (inner && !/\s$/.test(inner) && !(c === "_" && isWordChar(text[end + delimiter.length]))) {
+        const type = delimiter === "~~" ? "strike" : delimiter.length === 2 ? "strong" : "em";
+        push({ type, children: nested(inner) });
+        i = end + delimiter.length;
+        continue;
+      }
+    }
+
+    buffer += c;
+    i++;
+  }
+
+  flush();
+  return nodes;
+}
+
+// ---- Rendering ----
+
+function renderInline(nodes) {
+  return nodes.map((node, key) => {
+    switch (node.type) {
+      case "text":
+        return node.text;
+      case "break":
+        return <br key={key} />;
+      case "code":
+        return <code key={key}>{node.text}</code>;
+      case "strong":
+        return <strong key={key}>{renderInline(node.children)}</strong>;
+      case "em":
+        return <em key={key}>{renderInline(node.children)}</em>;
+      case "strike":
+        return <del key={key}>{renderInline(node.children)}</del>;
+      case "link":
+        // unsafe target: keep the text, drop the link
+        return node.href ? (
+          <a key={key} href={node.href} target="_blank" rel="noopener noreferrer nofollow">
+            {node.image && "🖼 "}
+            {renderInline(node.children)}
+          </a>
+        ) : (
+          <span key={key}>{renderInline(node.children)}</span>
+        );
+      default:
+        return null;
+    }
+  });
+}
+
+function renderBlocks(blocks) {
+  return blocks.map((block, key) => {
+    switch (block.type) {
+      case "heading": {
+        // h1 is reserved for the page; description headings start at h3
+        const Tag = `h${Math.min(block.level + 2, 6)}`;
+        return <Tag key={key}>{renderInline(parseInline(block.text))}</Tag>;
+      }
+      case "paragraph":
+        return <p key={key}>{renderInline(parseInline(block.text))}</p>;
+      case "code":
+        return (
+          <pre key={key}>
+            <code data-lang={block.lang ?? undefined}>{block.text}</code>
+          </pre>
+        );
+      case "quote":
+        return <blockquote key={key}>{renderBlocks(block.children)}</blockquote>;
+      case "rule":
+        return <hr key={key} />;
+      case "list": {
+        // the item's first paragraph renders without <p>, so "- text" followed by a sub-list stays tight
+        const items = block.items.map(([first, ...rest], i) => (
+          <li key={i}>
+            {first?.type === "paragraph" ? renderInline(parseInline(first.text)) : first && renderBlocks([first])}
+            {renderBlocks(rest)}
+          </li>
+        ));
+        return block.ordered ? (
+          <ol key={key} start={block.start !== 1 ? block.start : undefined}>
+            {items}
+          </ol>
+        ) : (
+          <ul key={key}>{items}</ul>
+        );
+      }
+      default:
+        return null;
+    }
+  });
+}
+
+/**
+ * React elements for a Markdown document (place inside an element with className="markdown")
+ * @param {string} source
+ * @returns {Array<React.ReactNode>}
+ */
+export function renderMarkdown(source) {
+  return renderBlocks(parseMarkdown(source));
+}
+
+// ---- Plain text ----
+
+const inlineText = (nodes) =>
+  nodes.map((node) => (node.type === "break" ? " " : node.children ? inlineText(node.children) : node.text)).join("");
+
+function blocksText(blocks) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case "heading":
+      case "paragraph":
+        return inlineText(parseInline(block.text));
+      case "code":
+        return block.text;
+      case "quote":
+        return blocksText(block.children).join(" ");
+      case "list":
+        return block.items.map((item) => blocksText(item).join(" ")).join(" ");
+      default:
+        return "";
+    }
+  });
+}
+
+/**
+ * Text content of a Markdown document, markup removed and whitespace collapsed
+ * @param {string} source
+ * @returns {string}
+ */
+export function markdownToText(source) {
+  return blocksText(parseMarkdown(source)).join(" ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Plain-text excerpt for task cards: at most maxLength characters, cut at a word boundary with "…". Only the
+ * start of the source is parsed, so a card costs the same whatever the description's length.
+ * @param {string} source
+ * @param {number} maxLength
+ * @returns {string}
+ */
+export function markdownExcerpt(source, maxLength = DEFAULT_EXCERPT_LENGTH) {
+  const prefixLength = maxLength * EXCERPT_SOURCE_FACTOR;
+  const truncated = typeof source === "string" && source.length > prefixLength;
+  const text = markdownToText(truncated ? source.slice(0, prefixLength) : source);
+  if (text.length <= maxLength) return truncated ? `${text}…` : text;
+
+  const cut = text.slice(0, maxLength - 1);
+  const space = cut.lastIndexOf(" ");
+  return `${(space > maxLength / 2 ? cut.slice(0, space) : cut).replace(/[\s.,;:!?-]+$/, "")}…`;
+}
+
+export default {
+  SAFE_PROTOCOLS,
+  safeUrl,
+  parseMarkdown,
+  renderMarkdown,
+  markdownToText,
+  markdownExcerpt,
+};
@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { renderToStaticMarkup } from "react-dom/server";
+import { markdownExcerpt, markdownToText, parseMarkdown, renderMarkdown } from "./markdown";
+import { METADATA_LIMITS } from "./taskMetadata";
+
+const render = (source) => renderToStaticMarkup(<>{renderMarkdown(source)}</>);
+
+// ms taken by `runs` calls of fn
+const elapsed = (fn, runs = 1) => {
+  const start = performance.now();
+  for (let i = 0; i < runs; i++) fn();
+  return performance.now() - start;
+};
+
+describe("markdown", () => {
+  it("renders inline markup and keeps unmatched delimiters as text", () => {
+    expect(render("**bold** *em* ~~gone~~ [docs](https://example.com)")).toBe(
+      '<p><strong>bold</strong> <em>em</em> <del>gone</del> <a href="https://example.com/" target="_blank" rel="noopener noreferrer nofollow">docs</a></p>'
+    );
+    expect(render("[[a] *b **c")).toBe("<p>[[a] *b **c</p>");
+    expect(render("*a**b*")).toBe("<p><em>a**b</em></p>");
+  });
+
+  it("ignores anything past the description limit", () => {
+    const source = `${"a".repeat(METADATA_LIMITS.description)}\n\n# Hidden`;
+    expect(parseMarkdown(source)).toEqual([{ type: "paragraph", text: "a".repeat(METADATA_LIMITS.description) }]);
+  });
+
+  it("cuts excerpts of long descriptions", () => {
+    const excerpt = markdownExcerpt("word ".repeat(100_000), 40);
+    expect(excerpt.length).toBeLessThanOrEqual(40);
+    expect(excerpt.endsWith("…")).toBe(true);
+  });
+
+  // a hostile description must not freeze the marketplace list or the create-task preview. The bounds are
+  // loose for slow CI machines: the old scans were quadratic, and an unclamped 1 MB description never finished.
+  describe("pathological input", () => {
+    const limit = METADATA_LIMITS.description;
+    const cases = {
+      "unmatched brackets": "[".repeat(limit),
+      "unmatched emphasis": "*a".repeat(limit / 2),
+      "unmatched strong": "**a".repeat(limit / 3),
+      "unclosed links": "[a](".repeat(limit / 4),
+      "blank lines in a list": `- item${"\n".repeat(limit)}  more`,
+    };
+
+    for (const [name, source] of Object.entries(cases)) {
+      it(`parses ${name} in linear time`, () => {
+        // markdownToText runs the same block and inline parsing as renderMarkdown, without React
+        expect(elapsed(() => markdownToText(source), 10)).toBeLessThan(500);
+      });
+    }
+
+    it("bounds the work on oversized descriptions", () => {
+      const huge = "[*".repeat(500_000);
+      expect(elapsed(() => render(huge))).toBeLessThan(1000);
+      // one per task card
+      expect(elapsed(() => markdownExcerpt(huge), 100)).toBeLessThan(500);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import { ethers } from "ethers";
+
+// Canonical Multicall3 (same address on Sepolia, mainnet and most L2s)
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+  "function getEthBalance(address addr) view returns (uint256 balance)",
+];
+
+const DEFAULT_BATCH_WAIT_MS = 10;
+const DEFAULT_MAX_BATCH_SIZE = 100;
+
+/**
+ * Groups view calls made close together into Multicall3 aggregate3 requests.
+ * Falls back to plain parallel calls (Promise.all) when no Multicall3 is deployed at the address.
+ */
+export default class Multicall {
+  /**
+   * @param {ethers.Provider} provider
+   * @param {Object} options - { address = MULTICALL3_ADDRESS, wait = 10 (ms), maxBatchSize = 100 }
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.address = options.address || MULTICALL3_ADDRESS;
+    this.wait = options.wait ?? DEFAULT_BATCH_WAIT_MS;
+    this.maxBatchSize = options.maxBatchSize ?? DEFAULT_MAX_BATCH_SIZE;
+    this.contract = new ethers.Contract(this.address, MULTICALL3_ABI, provider);
+
+    this._available = null;
+    this._queue = [];
+    this._timer = null;
+  }
+
+  // Cached: is there code at the Multicall3 address on this chain?
+  isAvailable() {
+    if (!this._available) {
+      this._available = this.provider
+        .getCode(this.address)
+        .then((code) => Boolean(code && code !== "0x"))
+        .catch(() => false);
+    }
+    return this._available;
+  }
+
+  /**
+   * Queue a view call; resolves like contract[method](...args) would.
+   * @param {ethers.Contract} contract
+   * @param {string} method
+   * @param {Array} args
+   */
+  call(contract, method, args = []) {
+    return new Promise((resolve, reject) => {
+      this._queue.push({ contract, method, args, resolve, reject });
+      if (!this._timer) {
+        this._timer = setTimeout(() => this._flush(), this.wait);
+      }
+    });
+  }
+
+  // Native balance through Multicall3.getEthBalance so it can share a batch with contract reads
+  async getEthBalance(address) {
+    if (!(await this.isAvailable())) return this.provider.getBalance(address);
+    return this.call(this.contract, "getEthBalance", [address]);
+  }
+
+  async _flush() {
+    const queue = this._queue;
+    this._queue = [];
+    this._timer = null;
+
+    if (!(await this.isAvailable())) {
+      await Promise.all(
+        queue.map((c) => c.contract[c.method](...c.args).then(c.resolve, c.reject))
+      );
+      return;
+    }
+
+    const chunks = [];
+    for (let i = 0; i < queue.length; i += this.maxBatchSize) {
+      chunks.push(queue.slice(i, i + this.maxBatchSize));
+    }
+    await Promise.all(chunks.map((chunk) => this._aggregate(chunk)));
+  }
+
+  async _aggregate(chunk) {
+    let encoded;
+    try {
+      encoded = chunk.map((c) => ({
+        target: c.contract.target,
+        allowFailure: true,
+        callData: c.contract.interface.encodeFunctionData(c.method, c.args),
+      }));
+    } catch (e) {
+      chunk.forEach((c) => c.reject(e));
+      return;
+    }
+
+    let results;
+    try {
+      results = await this.contract.aggregate3.staticCall(encoded);
+    } catch (e) {
+      chunk.forEach((c) => c.reject(e));
+      return;
+    }
+
+    chunk.forEach((c, i) => {
+      const { success, returnData } = results[i];
+      const iface = c.contract.interface;
+      try {
+        if (!success) {
+          // Same CallExceptionError (with .reason) a direct call would throw
+          throw iface.makeError(returnData, { to: encoded[i].target, data: encoded[i].callData });
+        }
+        const decoded = iface.decodeFunctionResult(c.method, returnData);
+        // ethers returns the bare value for single-output functions
+        c.resolve(decoded.length === 1 ? decoded[0] : decoded);
+      } catch (e) {
+        c.reject(e);
+      }
+    });
+  }
+}
@@ -0,0 +1,101 @@
+import deployments from "../contracts/deployments.json";
+
+// Per-chain deployments are generated by contracts/scripts/deploy-taskmarketplace.ts.
+// CHAINS only holds what wallet_addEthereumChain (EIP-3085) needs to add a network the wallet doesn't know.
+export const CHAINS = {
+  31337: {
+    chainName: "Hardhat Localhost",
+    rpcUrls: ["http://127.0.0.1:8545"],
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+  },
+  11155111: {
+    chainName: "Sepolia",
+    rpcUrls: ["https://rpc.sepolia.org"],
+    nativeCurrency: { name: "Sepolia Ether", symbol: "ETH", decimals: 18 },
+    blockExplorerUrls: ["https://sepolia.etherscan.io"],
+  },
+};
+
+// EIP-1193 error code for "chain not added to the wallet"
+const UNRECOGNIZED_CHAIN = 4902;
+
+export function toHexChainId(chainId) {
+  return `0x${Number(chainId).toString(16)}`;
+}
+
+export function getChainName(chainId) {
+  return CHAINS[Number(chainId)]?.chainName ?? `Chain ${chainId}`;
+}
+
+/**
+ * Deployment for a chain, or null if the marketplace isn't deployed there
+ * @param {number|string|bigint} chainId
+ * @returns {{chainId, network, taskMarketplace, taskLibrary, multicall3, startBlock} | null}
+ */
+export function getDeployment(chainId) {
+  const entry = deployments[String(chainId)];
+  if (!entry?.taskMarketplace) return null;
+  return { ...entry, chainId: Number(chainId), startBlock: Number(entry.startBlock ?? 0) };
+}
+
+// Chains with a marketplace deployment, in registry order
+export function getSupportedChains() {
+  return Object.keys(deployments)
+    .map((id) => getDeployment(id))
+    .filter(Boolean)
+    .map((d) => ({ chainId: d.chainId, name: getChainName(d.chainId) }));
+}
+
+// Read-only RPC for a chain: VITE_RPC_URL_<chainId> overrides the public RPC in CHAINS
+export function getRpcUrl(chainId) {
+  return import.meta.env[`VITE_RPC_URL_${Number(chainId)}`] || CHAINS[Number(chainId)]?.rpcUrls?.[0] || null;
+}
+
+// Block explorer page for a transaction, or null if the chain has no explorer (e.g. Hardhat)
+export function getExplorerTxUrl(chainId, hash) {
+  const base = CHAINS[Number(chainId)]?.blockExplorerUrls?.[0];
+  return base ? `${base}/tx/${hash}` : null;
+}
+
+// Chain browsed before a wallet connects: VITE_DEFAULT_CHAIN_ID if deployed there, else the first deployment
+export function getDefaultChainId() {
+  const preferred = Number(import.meta.env.VITE_DEFAULT_CHAIN_ID);
+  if (preferred && getDeployment(preferred)) return preferred;
+  return getSupportedChains()[0]?.chainId ?? null;
+}
+
+/**
+ * Ask the wallet to switch to chainId, adding the network first if the wallet doesn't know it
+ * @param {Object} ethereum - EIP-1193 provider (window.ethereum)
+ * @param {number} chainId
+ */
+export async function switchNetwork(ethereum, chainId) {
+  if (!ethereum?.request) throw new Error("No wallet found");
+
+  const hexChainId = toHexChainId(chainId);
+  try {
+    await ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: hexChainId }] });
+  } catch (e) {
+    // MetaMask mobile nests the code under data.originalError
+    const code = e?.code ?? e?.data?.originalError?.code;
+    const params = CHAINS[Number(chainId)];
+    if (code !== UNRECOGNIZED_CHAIN || !params) throw e;
+
+    await ethereum.request({
+      method: "wallet_addEthereumChain",
+      params: [{ chainId: hexChainId, ...params }],
+    });
+  }
+}
+
+export default {
+  CHAINS,
+  toHexChainId,
+  getChainName,
+  getDeployment,
+  getSupportedChains,
+  getRpcUrl,
+  getDefaultChainId,
+  getExplorerTxUrl,
+  switchNetwork,
+};
@@ -0,0 +1,84 @@
+import { matchPath } from "react-router-dom";
+import { ethers } from "ethers";
+
+// URLs of the app's views. The marketplace filters live in its query string so a filtered list can be
+// shared, reloaded and walked through with back/forward.
+
+export const PATHS = {
+  marketplace: "/",
+  created: "/my/created",
+  working: "/my/working",
+  create: "/create",
+  maintenance: "/maintenance",
+};
+
+export const taskPath = (taskId) => `/tasks/${taskId}`;
+export const addressPath = (address) => `/address/${address}`;
+
+// My Tasks sections (/my/:section)
+export const MY_SECTIONS = ["created", "working"];
+
+/**
+ * View shown for a path
+ * @param {string} pathname
+ * @returns {{view: string, taskId?: number, address?: string, section?: string}|null} - view is marketplace |
+ *   taskDetail | myTasks | create | address | maintenance; address is checksummed (null when invalid);
+ *   null for unknown paths
+ */
+export function parseRoute(pathname) {
+  if (matchPath(PATHS.marketplace, pathname)) return { view: "marketplace" };
+  if (matchPath(PATHS.create, pathname)) return { view: "create" };
+  if (matchPath(PATHS.maintenance, pathname)) return { view: "maintenance" };
+  if (matchPath("/my", pathname)) return { view: "myTasks", section: "created" };
+
+  const my = matchPath("/my/:section", pathname);
+  if (my) return MY_SECTIONS.includes(my.params.section) ? { view: "myTasks", section: my.params.section } : null;
+
+  const task = matchPath("/tasks/:id", pathname);
+  if (task) {
+    const taskId = Number(task.params.id);
+    return Number.isSafeInteger(taskId) && taskId > 0 ? { view: "taskDetail", taskId } : null;
+  }
+
+  const address = matchPath("/address/:addr", pathname);
+  if (address) {
+    const addr = address.params.addr;
+    return { view: "address", address: ethers.isAddress(addr) ? ethers.getAddress(addr) : null };
+  }
+
+  return null;
+}
+
+// ---- Marketplace filters (query string) ----
+
+// query parameter -> default; defaults are left out of the URL
+export const FILTER_DEFAULTS = {
+  q: "",
+  status: "all",
+  category: "all",
+  tag: "",
+  sort: "newest",
+};
+
+// { q, status, category, tag, sort } from the query string, defaults filled in
+export function readFilters(searchParams) {
+  return Object.fromEntries(
+    Object.entries(FILTER_DEFAULTS).map(([key, fallback]) => [key, searchParams.get(key) ?? fallback])
+  );
+}
+
+/**
+ * Query string for the marketplace with some filters changed
+ * @param {URLSearchParams} searchParams - current ones
+ * @param {Object} changes - e.g. { tag: "solidity" }
+ * @returns {string} - "?..." or "" when every filter is at its default
+ */
+export function filtersSearch(searchParams, changes) {
+  const next = new URLSearchParams(searchParams);
+  for (const [key, value] of Object.entries(changes)) {
+    if (value == null || value === FILTER_DEFAULTS[key]) next.delete(key);
+    else next.set(key, value);
+  }
+  const search = next.toString();
+  return search ? `?${search}` : "";
+}
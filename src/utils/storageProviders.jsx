@@ -0,0 +1,322 @@
+import { PinataSDK } from "pinata";
+import { CID } from "multiformats/cid";
+import * as raw from "multiformats/codecs/raw";
+import { sha256 } from "multiformats/hashes/sha2";
+
+// IPFS storage backends behind one interface, so uploads and fetches don't care where content lives:
+//   provider = {
+//     name,
+//     init()              -> Promise, optional one-time setup
+//     add(blob, { name }) -> Promise<string> CID of the stored content
+//     cat(cid, { signal }) -> Promise<{ bytes: Uint8Array, type: string|null }>, throws if unavailable or aborted
+//     url(cid)            -> string|null, link for <a>/<img> (null if this backend can't serve it)
+//   }
+// Backends: Pinata (hosted pinning), a Kubo node's HTTP API, and a browser-local mock. Reads go through
+// readContent, which races the backend against the public gateways.
+
+export const STORAGE_PROVIDERS = ["pinata", "kubo", "mock"];
+
+// public gateways raced next to the backend (override with VITE_IPFS_GATEWAYS)
+export const DEFAULT_GATEWAYS = ["https://ipfs.io", "https://dweb.link"];
+export const DEFAULT_GATEWAY_TIMEOUT_MS = 8000;
+
+const PINATA_GATEWAY = "gateway.pinata.cloud";
+
+const trimSlash = (url) => url.replace(/\/+$/, "");
+
+const toFile = (blob, name) =>
+  blob instanceof File ? blob : new File([blob], name || "file", { type: blob.type || "application/octet-stream" });
+
+/**
+ * Request cid from every gateway at once; the first complete OK response wins and the others are aborted.
+ * A gateway that answers with an HTTP error, or not within timeoutMs (body included), drops out.
+ * @param {string} cid
+ * @param {string[]} gateways - base URLs, e.g. "https://ipfs.io"
+ * @param {Object} options - { timeoutMs = 8000, signal } (signal: aborts every request)
+ * @returns {Promise<{bytes: Uint8Array, type: string|null, gateway: string}>}
+ */
+export async function raceGateways(cid, gateways, { timeoutMs = DEFAULT_GATEWAY_TIMEOUT_MS, signal } = {}) {
+  if (gateways.length === 0) throw new Error("No gateway configured");
+
+  const controllers = gateways.map(() => new AbortController());
+  const abortAll = () => {
+    for (const controller of controllers) controller.abort(signal?.reason);
+  };
+  if (signal?.aborted) abortAll();
+  signal?.addEventListener("abort", abortAll, { once: true });
+
+  const attempts = gateways.map(async (gateway, i) => {
+    const controller = controllers[i];
+    const timer = setTimeout(() => controller.abort(new Error(`${gateway} timed out after ${timeoutMs} ms`)), timeoutMs);
+    try {
+      const res = await fetch(`${trimSlash(gateway)}/ipfs/${cid}`, { signal: controller.signal });
+      if (!res.ok) throw new Error(`${gateway}: HTTP ${res.status}`);
+      return { bytes: new Uint8Array(await res.arrayBuffer()), type: res.headers.get("content-type"), gateway };
+    } finally {
+      clearTimeout(timer);
+    }
+  });
+
+  try {
+    return await Promise.any(attempts);
+  } catch (e) {
+    const reasons = (e.errors ?? [e]).map((err) => err?.message || String(err));
+    throw new Error(`No gateway could serve ${cid}: ${reasons.join("; ")}`);
+  } finally {
+    signal?.removeEventListener("abort", abortAll);
+    for (const controller of controllers) controller.abort(); // stop the losers
+  }
+}
+
+/**
+ * Read cid from the backend and the public gateways at once: the first complete answer wins and the others are
+ * aborted. The backend gets the same timeout as each gateway, so a stalled node can't hang a read, and content the
+ * backend doesn't have (the mock only knows this browser's uploads) still loads.
+ * @param {Object} provider - storage provider (see above)
+ * @param {string} cid
+ * @param {Object} options - { gateways = DEFAULT_GATEWAYS, timeoutMs = 8000 }
+ * @returns {Promise<{bytes: Uint8Array, type: string|null}>}
+ */
+export async function readContent(
+  provider,
+  cid,
+  { gateways = DEFAULT_GATEWAYS, timeoutMs = DEFAULT_GATEWAY_TIMEOUT_MS } = {}
+) {
+  const backend = new AbortController();
+  const others = new AbortController();
+  const timer = setTimeout(
+    () => backend.abort(new Error(`${provider.name} timed out after ${timeoutMs} ms`)),
+    timeoutMs
+  );
+
+  const attempts = [
+    Promise.resolve()
+      .then(() => provider.cat(cid, { signal: backend.signal }))
+      .finally(() => clearTimeout(timer)),
+  ];
+  if (gateways.length > 0) attempts.push(raceGateways(cid, gateways, { timeoutMs, signal: others.signal }));
+
+  try {
+    return await Promise.any(attempts);
+  } catch (e) {
+    const reasons = (e.errors ?? [e]).map((err) => err?.message || String(err));
+    throw new Error(`${cid} is unavailable: ${reasons.join("; ")}`);
+  } finally {
+    clearTimeout(timer);
+    backend.abort();
+    others.abort();
+  }
+}
+
+/**
+ * Pinata (https://pinata.cloud): uploads with the SDK, reads through the Pinata gateway
+ * @param {Object} options - { jwt, gateway = "gateway.pinata.cloud", timeoutMs }
+ *   gateway: a dedicated gateway domain
+ */
+export function createPinataProvider({ jwt, gateway = PINATA_GATEWAY, timeoutMs = DEFAULT_GATEWAY_TIMEOUT_MS } = {}) {
+  if (!jwt) throw new Error("Pinata needs a JWT (VITE_PINATA_JWT)");
+
+  const pinata = new PinataSDK({ pinataJwt: jwt, pinataGateway: gateway });
+  const gatewayUrl = `https://${gateway}`;
+
+  return {
+    name: "pinata",
+
+    async init() {
+      try {
+        await pinata.testAuthentication();
+      } catch (e) {
+        console.warn("Pinata auth test failed:", e);
+      }
+    },
+
+    async add(blob, { name } = {}) {
+      const upload = await pinata.upload.public.file(toFile(blob, name));
+      return upload.cid;
+    },
+
+    cat: (cid, { signal } = {}) => raceGateways(cid, [gatewayUrl], { timeoutMs, signal }),
+
+    url: (cid) => `${gatewayUrl}/ipfs/${cid}`,
+  };
+}
+
+/**
+ * Local Kubo (go-ipfs) node through its RPC API. The node must allow the app's origin:
+ *   ipfs config --json API.HTTPHeaders.Access-Control-Allow-Origin '["http://localhost:5173"]'
+ * @param {Object} options - { apiUrl = "http://127.0.0.1:5001", gatewayUrl = "http://127.0.0.1:8080" }
+ */
+export function createKuboProvider({ apiUrl = "http://127.0.0.1:5001", gatewayUrl = "http://127.0.0.1:8080" } = {}) {
+  const api = `${trimSlash(apiUrl)}/api/v0`;
+
+  const rpc = async (command, params, body, signal) => {
+    const res = await fetch(`${api}/${command}?${new URLSearchParams(params)}`, { method: "POST", body, signal });
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw new Error(`Kubo ${command} failed: HTTP ${res.status} ${text}`.trim());
+    }
+    return res;
+  };
+
+  return {
+    name: "kubo",
+
+    async init() {
+      try {
+        const { Version } = await (await rpc("version", {})).json();
+        console.log(`✅ Kubo ${Version} at ${apiUrl}`);
+      } catch (e) {
+        console.warn(`Kubo node not reachable at ${apiUrl}:`, e);
+      }
+    },
+
+    async add(blob, { name } = {}) {
+      const form = new FormData();
+      form.append("file", toFile(blob, name));
+      // CIDv1 with raw leaves: a small file gets the same CID as the mock backend computes
+      const res = await rpc("add", { "cid-version": "1", "raw-leaves": "true", pin: "true" }, form);
+      return (await res.json()).Hash;
+    },
+
+    async cat(cid, { signal } = {}) {
+      const res = await rpc("cat", { arg: cid }, undefined, signal);
+      return { bytes: new Uint8Array(await res.arrayBuffer()), type: res.headers.get("content-type") };
+    },
+
+    url: (cid) => `${trimSlash(gatewayUrl)}/ipfs/${cid}`,
+  };
+}
+
+// ---- Mock backend ----
+
+const MOCK_DB_VERSION = 1;
+const MOCK_STORE = "blocks";
+
+function openMockDB(name) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB not available"));
+      return;
+    }
+
+    const req = indexedDB.open(name, MOCK_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(MOCK_STORE)) db.createObjectStore(MOCK_STORE, { keyPath: "cid" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * CID of content stored as a single raw block (CIDv1, raw codec, sha2-256) — what Kubo returns for a
+ * file under its 256 KiB chunk size with raw leaves
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+export async function computeRawCID(bytes) {
+  return CID.create(1, raw.code, await sha256.digest(bytes)).toString();
+}
+
+/**
+ * Browser-local backend for development and demos: content is kept in memory and, unless dbName is null,
+ * in IndexedDB, under its real CID. Nobody else can fetch it.
+ * @param {Object} options - { dbName = "task-marketplace-ipfs" } (null: memory only)
+ */
+export function createMockProvider({ dbName = "task-marketplace-ipfs" } = {}) {
+  const blocks = new Map(); // cid -> { bytes, type }
+  const objectUrls = new Map();
+  let db = null;
+
+  return {
+    name: "mock",
+
+    // load everything persisted so url() can answer synchronously
+    async init() {
+      if (!dbName) return;
+      try {
+        db = await openMockDB(dbName);
+        const all = await requestToPromise(db.transaction(MOCK_STORE).objectStore(MOCK_STORE).getAll());
+        for (const { cid, bytes, type } of all) blocks.set(cid, { bytes, type });
+      } catch (e) {
+        console.warn("Mock IPFS: IndexedDB unavailable, content is kept in memory only:", e);
+        db = null;
+      }
+    },
+
+    async add(blob, { name } = {}) {
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      const cid = await computeRawCID(bytes);
+      const type = blob.type || null;
+
+      blocks.set(cid, { bytes, type });
+      if (db) {
+        await requestToPromise(db.transaction(MOCK_STORE, "readwrite").objectStore(MOCK_STORE).put({ cid, bytes, type, name }));
+      }
+      return cid;
+    },
+
+    async cat(cid) {
+      const block = blocks.get(cid);
+      if (!block) throw new Error(`Mock IPFS: ${cid} not found (stored in another browser?)`);
+      return { bytes: block.bytes, type: block.type };
+    },
+
+    url(cid) {
+      const block = blocks.get(cid);
+      if (!block) return null;
+      if (!objectUrls.has(cid)) {
+        objectUrls.set(cid, URL.createObjectURL(new Blob([block.bytes], { type: block.type ?? "" })));
+      }
+      return objectUrls.get(cid);
+    },
+  };
+}
+
+/**
+ * Backend from configuration
+ * @param {Object} config - { provider, pinataJwt, pinataGateway, gateways, gatewayTimeoutMs, kuboApiUrl,
+ *   kuboGatewayUrl, mockDbName }
+ *   provider: "pinata" | "kubo" | "mock"; unset: Pinata when a JWT is configured, otherwise the mock
+ */
+export function createStorageProvider(config = {}) {
+  const kind = config.provider || (config.pinataJwt ? "pinata" : "mock");
+
+  switch (kind) {
+    case "pinata":
+      return createPinataProvider({
+        jwt: config.pinataJwt,
+        gateway: config.pinataGateway || undefined,
+        timeoutMs: config.gatewayTimeoutMs || undefined,
+      });
+    case "kubo":
+      return createKuboProvider({
+        apiUrl: config.kuboApiUrl || undefined,
+        gatewayUrl: config.kuboGatewayUrl || undefined,
+      });
+    case "mock":
+      return createMockProvider({ dbName: config.mockDbName });
+    default:
+      throw new Error(`Unknown IPFS provider "${kind}" (expected ${STORAGE_PROVIDERS.join(", ")})`);
+  }
+}
+
+export default {
+  STORAGE_PROVIDERS,
+  DEFAULT_GATEWAYS,
+  raceGateways,
+  readContent,
+  createStorageProvider,
+  createPinataProvider,
+  createKuboProvider,
+  createMockProvider,
+  computeRawCID,
+};
@@ -0,0 +1,211 @@
+import { ethers } from "ethers";
+
+// Task state rebuilt from contract events and persisted in IndexedDB.
+// Only new logs are fetched after the first sync (lastBlock is stored next to the tasks).
+
+const DB_VERSION = 1;
+const TASKS_STORE = "tasks";
+const META_STORE = "meta";
+
+const DEFAULT_CHUNK_SIZE = 5000;
+
+// ---- IndexedDB helpers ----
+function openDB(name) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB not available"));
+      return;
+    }
+
+    const req = indexedDB.open(name, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(TASKS_STORE)) db.createObjectStore(TASKS_STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// ---- Event reducers (event args -> task record changes) ----
+// Records keep the same shape as the on-chain Task struct so TaskMarketplaceUtils._normalizeTask can read them.
+const REDUCERS = {
+  TaskCreated: (_task, args, ctx) => ({
+    id: Number(args.taskId),
+    creator: args.creator,
+    worker: ethers.ZeroAddress,
+    title: ctx.title ?? "",
+    metadataCID: args.metadataCID,
+    submissionCID: "",
+    reward: args.reward,
+    status: 0n,
+    createdAt: BigInt(ctx.timestamp),
+    applyDeadline: args.applyDeadline,
+    deliveryDeadline: args.deliveryDeadline,
+    reviewDeadline: 0n,
+    acceptedAt: 0n,
+    completedAt: 0n,
+    category: BigInt(args.category),
+    tagsHash: args.tagsHash,
+    milestoneAmounts: ctx.milestoneAmounts ?? [],
+    milestonesApproved: 0n,
+    token: ctx.token ?? ethers.ZeroAddress,
+    revisionCount: 0n,
+  }),
+  WorkerAccepted: (task, args, ctx) => ({
+    ...task,
+    worker: args.worker,
+    status: 1n,
+    acceptedAt: BigInt(ctx.timestamp),
+  }),
+  WorkSubmitted: (task, args) => ({
+    ...task,
+    status: 2n,
+    submissionCID: args.submissionCID,
+    reviewDeadline: args.reviewDeadline,
+  }),
+  // followed by WorkApproved / WorkAutoApproved (same transaction) for the last milestone
+  MilestoneApproved: (task, args) => ({
+    ...task,
+    status: 1n,
+    reviewDeadline: 0n,
+    milestonesApproved: BigInt(args.milestone) + 1n,
+  }),
+  RevisionRequested: (task, args) => ({
+    ...task,
+    status: 1n,
+    deliveryDeadline: args.deliveryDeadline,
+    reviewDeadline: 0n,
+    revisionCount: args.round,
+  }),
+  WorkApproved: (task, _args, ctx) => ({ ...task, status: 3n, completedAt: BigInt(ctx.timestamp) }),
+  WorkAutoApproved: (task, _args, ctx) => ({ ...task, status: 3n, completedAt: BigInt(ctx.timestamp) }),
+  TaskCancelled: (task) => ({ ...task, status: 4n }),
+  TaskExpired: (task) => ({ ...task, status: 5n }),
+  DisputeOpened: (task) => ({ ...task, status: 6n }),
+  DisputeResolved: (task, _args, ctx) => ({ ...task, status: 7n, completedAt: BigInt(ctx.timestamp) }),
+};
+
+export default class TaskIndexer {
+  /**
+   * @param {ethers.Contract} contract - read-only TaskMarketplace contract
+   * @param {ethers.Provider} provider
+   * @param {Object} options - { dbName, startBlock = 0, chunkSize = 5000, read }
+   *   read(method, ...args) - optional view-call function (e.g. batched through Multicall3)
+   */
+  constructor(contract, provider, options = {}) {
+    this.contract = contract;
+    this.provider = provider;
+    this.dbName = options.dbName;
+    this.startBlock = Number(options.startBlock ?? 0);
+    this.chunkSize = Number(options.chunkSize ?? DEFAULT_CHUNK_SIZE);
+    this.read = options.read ?? ((method, ...args) => contract[method](...args));
+    this._db = null;
+    this._syncing = null;
+  }
+
+  async _getDB() {
+    if (!this._db) this._db = await openDB(this.dbName);
+    return this._db;
+  }
+
+  async getLastBlock() {
+    const db = await this._getDB();
+    const last = await requestToPromise(db.transaction(META_STORE).objectStore(META_STORE).get("lastBlock"));
+    return last ?? this.startBlock - 1;
+  }
+
+  async getAllTasks() {
+    const db = await this._getDB();
+    return requestToPromise(db.transaction(TASKS_STORE).objectStore(TASKS_STORE).getAll());
+  }
+
+  async getTask(taskId) {
+    const db = await this._getDB();
+    return requestToPromise(db.transaction(TASKS_STORE).objectStore(TASKS_STORE).get(Number(taskId)));
+  }
+
+  // Concurrent callers share the same sync run
+  sync() {
+    if (!this._syncing) {
+      this._syncing = this._sync().finally(() => {
+        this._syncing = null;
+      });
+    }
+    return this._syncing;
+  }
+
+  async _sync() {
+    const latest = await this.provider.getBlockNumber();
+    let from = (await this.getLastBlock()) + 1;
+
+    while (from <= latest) {
+      const to = Math.min(from + this.chunkSize - 1, latest);
+      const logs = await this.contract.queryFilter("*", from, to);
+      await this._applyLogs(logs, to);
+      from = to + 1;
+    }
+
+    return { lastBlock: latest };
+  }
+
+  async _applyLogs(logs, toBlock) {
+    const events = logs
+      .filter((log) => REDUCERS[log.eventName])
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    // Extra reads happen up front and in parallel: block timestamps + titles, milestone amounts and reward
+    // tokens (not in TaskCreated)
+    const blockNumbers = Array.from(new Set(events.map((e) => e.blockNumber)));
+    const created = events.filter((e) => e.eventName === "TaskCreated");
+
+    const [blocks, createdTasks] = await Promise.all([
+      Promise.all(blockNumbers.map((n) => this.provider.getBlock(n))),
+      Promise.all(created.map((e) => this.read("getTask", e.args.taskId))),
+    ]);
+
+    const timestamps = new Map(blocks.map((b) => [b.number, b.timestamp]));
+    const createdById = new Map(created.map((e, i) => [Number(e.args.taskId), createdTasks[i]]));
+
+    const db = await this._getDB();
+    const tx = db.transaction([TASKS_STORE, META_STORE], "readwrite");
+    const store = tx.objectStore(TASKS_STORE);
+
+    const touched = new Map();
+    for (const e of events) {
+      const id = Number(e.args.taskId);
+      const current = touched.get(id) ?? (await requestToPromise(store.get(id)));
+      if (!current && e.eventName !== "TaskCreated") continue; // created before startBlock
+
+      const createdTask = createdById.get(id);
+      const ctx = {
+        timestamp: timestamps.get(e.blockNumber) ?? 0,
+        title: createdTask?.title,
+        milestoneAmounts: createdTask ? Array.from(createdTask.milestoneAmounts) : undefined,
+        token: createdTask?.token,
+      };
+      touched.set(id, REDUCERS[e.eventName](current, e.args, ctx));
+    }
+
+    for (const task of touched.values()) store.put(task);
+    tx.objectStore(META_STORE).put(toBlock, "lastBlock");
+
+    await transactionDone(tx);
+  }
+}
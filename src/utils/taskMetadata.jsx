@@ -0,0 +1,253 @@
+import { parseCID } from "./cidUtils";
+
+// Versioned schema of the task metadata JSON stored on IPFS (task.metadataCID).
+// Version 1:
+//   {
+//     schema: "task-marketplace/task-metadata", version: 1,
+//     title, description,           - strings; description is required
+//     createdAt,                     - ISO 8601 timestamp
+//     category,                      - category name (the on-chain category is authoritative)
+//     tags: string[],                - canonical (trimmed, lowercase, no commas); must hash to task.tagsHash
+//     attachments: [{ name, size, type, cid }],
+//     skills: string[],
+//     acceptanceCriteria: string[],
+//     contact: { email?, telegram?, discord?, website? } | null,
+//     milestones: [{ description, amount }]  - optional; amount in the reward token ("0.25"), empty for a single payout.
+//                                              The amounts escrowed on-chain (task.milestoneAmounts) are authoritative
+//   }
+// Unknown extra fields are kept and ignored. Older content is migrated on read (migrateTaskMetadata):
+//   plain text - a metadataCID that is the description itself (tasks created while IPFS was unavailable)
+//   version 0  - the unversioned { description, title, createdAt, attachments, category, tags } objects
+
+export const METADATA_SCHEMA = "task-marketplace/task-metadata";
+export const METADATA_VERSION = 1;
+
+export const METADATA_LIMITS = {
+  title: 80, // TaskLibrary.MAX_TITLE_LEN: the title is also stored on-chain
+  description: 5000,
+  category: 32,
+  tag: 50,
+  tags: 20,
+  attachments: 20,
+  skill: 50,
+  skills: 20,
+  criterion: 500,
+  acceptanceCriteria: 20,
+  contactValue: 200,
+  milestones: 10, // TaskLibrary.MAX_MILESTONES
+  milestoneDescription: 500,
+};
+
+export const CONTACT_METHODS = ["email", "telegram", "discord", "website"];
+
+const TOKEN_AMOUNT = /^\d+(\.\d{1,18})?$/;
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
+
+// "<cid>" or "<cid>/<path>"
+const isContentPath = (v) => typeof v === "string" && parseCID(v.split("/")[0]) !== null;
+
+function checkStringList(errors, value, field, { maxItems, maxLength, check }) {
+  if (!Array.isArray(value)) {
+    errors.push(`${field}: must be a list`);
+    return;
+  }
+  if (value.length > maxItems) errors.push(`${field}: at most ${maxItems} entries`);
+  value.forEach((item, i) => {
+    if (!isNonEmptyString(item)) errors.push(`${field}[${i}]: must be a non-empty string`);
+    else if (item.length > maxLength) errors.push(`${field}[${i}]: longer than ${maxLength} characters`);
+    else if (check) {
+      const problem = check(item);
+      if (problem) errors.push(`${field}[${i}]: ${problem}`);
+    }
+  });
+}
+
+function checkContact(errors, contact) {
+  if (contact === null) return;
+  if (!isPlainObject(contact)) {
+    errors.push("contact: must be an object or null");
+    return;
+  }
+  for (const [method, value] of Object.entries(contact)) {
+    if (!CONTACT_METHODS.includes(method)) {
+      errors.push(`contact.${method}: unknown contact method`);
+    } else if (!isNonEmptyString(value) || value.length > METADATA_LIMITS.contactValue) {
+      errors.push(`contact.${method}: must be a non-empty string of at most ${METADATA_LIMITS.contactValue} characters`);
+    } else if (method === "email" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      errors.push("contact.email: not an email address");
+    } else if (method === "website" && !/^https?:\/\/\S+$/i.test(value)) {
+      errors.push("contact.website: must be an http(s) URL");
+    }
+  }
+}
+
+function checkMilestones(errors, milestones) {
+  if (!Array.isArray(milestones)) {
+    errors.push("milestones: must be a list");
+    return;
+  }
+  if (milestones.length === 1) errors.push("milestones: at least 2 entries (or none for a single payout)");
+  if (milestones.length > METADATA_LIMITS.milestones) errors.push(`milestones: at most ${METADATA_LIMITS.milestones} entries`);
+  milestones.forEach((m, i) => {
+    if (!isPlainObject(m)) {
+      errors.push(`milestones[${i}]: must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(m.description)) errors.push(`milestones[${i}].description: required`);
+    else if (m.description.length > METADATA_LIMITS.milestoneDescription) {
+      errors.push(`milestones[${i}].description: longer than ${METADATA_LIMITS.milestoneDescription} characters`);
+    }
+    if (typeof m.amount !== "string" || !TOKEN_AMOUNT.test(m.amount) || !/[1-9]/.test(m.amount)) {
+      errors.push(`milestones[${i}].amount: must be a positive amount`);
+    }
+  });
+}
+
+/**
+ * Validate version-1 task metadata
+ * @param {unknown} metadata
+ * @returns {{valid: boolean, errors: string[]}} - errors as "field: problem"
+ */
+export function validateTaskMetadata(metadata) {
+  const errors = [];
+  if (!isPlainObject(metadata)) return { valid: false, errors: ["metadata: must be a JSON object"] };
+
+  if (metadata.schema !== METADATA_SCHEMA) errors.push(`schema: expected "${METADATA_SCHEMA}"`);
+  if (metadata.version !== METADATA_VERSION) {
+    // the other fields can't be checked against a schema we don't know
+    errors.push(`version: unsupported version ${JSON.stringify(metadata.version)} (expected ${METADATA_VERSION})`);
+    return { valid: false, errors };
+  }
+
+  if (metadata.title !== undefined && typeof metadata.title !== "string") errors.push("title: must be a string");
+  else if (metadata.title?.length > METADATA_LIMITS.title) errors.push(`title: longer than ${METADATA_LIMITS.title} characters`);
+
+  if (!isNonEmptyString(metadata.description)) errors.push("description: required");
+  else if (metadata.description.length > METADATA_LIMITS.description) {
+    errors.push(`description: longer than ${METADATA_LIMITS.description} characters`);
+  }
+
+  if (typeof metadata.createdAt !== "string" || Number.isNaN(Date.parse(metadata.createdAt))) {
+    errors.push("createdAt: must be an ISO 8601 timestamp");
+  }
+
+  if (metadata.category !== undefined && (!isNonEmptyString(metadata.category) || metadata.category.length > METADATA_LIMITS.category)) {
+    errors.push("category: must be a category name");
+  }
+
+  checkStringList(errors, metadata.tags, "tags", {
+    maxItems: METADATA_LIMITS.tags,
+    maxLength: METADATA_LIMITS.tag,
+    check: (tag) => (tag !== tag.trim().toLowerCase() || tag.includes(",") ? "must be trimmed, lowercase, without commas" : null),
+  });
+
+  if (!Array.isArray(metadata.attachments)) {
+    errors.push("attachments: must be a list");
+  } else {
+    if (metadata.attachments.length > METADATA_LIMITS.attachments) {
+      errors.push(`attachments: at most ${METADATA_LIMITS.attachments} entries`);
+    }
+    metadata.attachments.forEach((att, i) => {
+      if (!isPlainObject(att)) {
+        errors.push(`attachments[${i}]: must be an object`);
+        return;
+      }
+      if (!isNonEmptyString(att.name)) errors.push(`attachments[${i}].name: required`);
+      if (!Number.isSafeInteger(att.size) || att.size < 0) errors.push(`attachments[${i}].size: must be a byte count`);
+      if (att.type !== undefined && typeof att.type !== "string") errors.push(`attachments[${i}].type: must be a string`);
+      if (!isContentPath(att.cid)) errors.push(`attachments[${i}].cid: not a valid CID`);
+    });
+  }
+
+  checkStringList(errors, metadata.skills, "skills", {
+    maxItems: METADATA_LIMITS.skills,
+    maxLength: METADATA_LIMITS.skill,
+  });
+  checkStringList(errors, metadata.acceptanceCriteria, "acceptanceCriteria", {
+    maxItems: METADATA_LIMITS.acceptanceCriteria,
+    maxLength: METADATA_LIMITS.criterion,
+  });
+  checkContact(errors, metadata.contact);
+  // added after version 1 shipped, so documents without it stay valid
+  if (metadata.milestones !== undefined) checkMilestones(errors, metadata.milestones);
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Current-version metadata from form fields (missing lists default to empty, contact to null)
+ * @param {Object} fields - { title, description, category, tags, attachments, skills, acceptanceCriteria, contact,
+ *   milestones, createdAt }
+ */
+export function buildTaskMetadata(fields) {
+  const list = (v) => (Array.isArray(v) ? v : []);
+  const contact = isPlainObject(fields.contact)
+    ? Object.fromEntries(Object.entries(fields.contact).filter(([, v]) => isNonEmptyString(v)).map(([k, v]) => [k, v.trim()]))
+    : null;
+
+  return {
+    schema: METADATA_SCHEMA,
+    version: METADATA_VERSION,
+    title: fields.title ?? "",
+    description: fields.description ?? "",
+    createdAt: fields.createdAt ?? new Date().toISOString(),
+    category: fields.category,
+    tags: list(fields.tags),
+    attachments: list(fields.attachments),
+    skills: list(fields.skills).map((s) => String(s).trim()).filter(Boolean),
+    acceptanceCriteria: list(fields.acceptanceCriteria).map((c) => String(c).trim()).filter(Boolean),
+    contact: contact && Object.keys(contact).length > 0 ? contact : null,
+    milestones: list(fields.milestones).map((m) => ({
+      description: String(m?.description ?? "").trim(),
+      amount: String(m?.amount ?? "").trim(),
+    })),
+  };
+}
+
+/**
+ * Bring stored metadata up to the current version
+ * @param {unknown} source - fetched JSON, or the text of a plain-text metadataCID / non-JSON content
+ * @param {Object} context - { title, createdAt } from the chain, used for plain text
+ * @returns {{metadata: Object, fromVersion: "text"|number|null}} - metadata is returned unchanged (and fails
+ *   validation) when its version is unknown
+ */
+export function migrateTaskMetadata(source, context = {}) {
+  if (typeof source === "string") {
+    return {
+      metadata: buildTaskMetadata({ title: context.title, description: source, createdAt: context.createdAt }),
+      fromVersion: "text",
+    };
+  }
+  if (!isPlainObject(source)) return { metadata: source, fromVersion: null };
+
+  if (source.version === undefined) {
+    return {
+      metadata: {
+        ...source,
+        schema: METADATA_SCHEMA,
+        version: METADATA_VERSION,
+        tags: source.tags ?? [],
+        attachments: source.attachments ?? [],
+        skills: source.skills ?? [],
+        acceptanceCriteria: source.acceptanceCriteria ?? [],
+        contact: source.contact ?? null,
+        createdAt: source.createdAt ?? context.createdAt,
+      },
+      fromVersion: 0,
+    };
+  }
+
+  return { metadata: source, fromVersion: source.version };
+}
+
+export default {
+  METADATA_SCHEMA,
+  METADATA_VERSION,
+  METADATA_LIMITS,
+  CONTACT_METHODS,
+  validateTaskMetadata,
+  buildTaskMetadata,
+  migrateTaskMetadata,
+};
@@ -0,0 +1,222 @@
+// Persistent record of submitted transactions (localStorage), so pending ones survive a reload.
+// Entries are re-attached to their receipts with refresh(); a transaction whose nonce was used by
+// another one is "replaced" (or "cancelled"), one the node no longer knows is "dropped".
+//
+// Entry: { hash, chainId, from, nonce, action, taskId, kind, replaces, status, submittedAt, settledAt,
+//          blockNumber, replacedBy, tx: { to, data, value, gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice } }
+//   kind   - "original" | "speedUp" | "cancel" (replacements point at the hash they replace)
+//   status - "pending" | "confirmed" | "failed" | "replaced" | "cancelled" | "dropped"
+// Quantities are stored as decimal strings.
+
+const STORAGE_KEY = "task-marketplace:transactions";
+const MAX_SETTLED = 50;
+// A pending transaction the node doesn't know about is only declared dropped after this long,
+// so a just-broadcast one that hasn't reached our RPC yet isn't
+const DROP_AFTER_MS = 5 * 60 * 1000;
+
+export const TX_STATUS = {
+  pending: "pending",
+  confirmed: "confirmed",
+  failed: "failed",
+  replaced: "replaced",
+  cancelled: "cancelled",
+  dropped: "dropped",
+};
+
+const quantity = (v) => (v == null ? null : v.toString());
+
+export default class TxQueue {
+  /**
+   * @param {Object} options - { storage = localStorage, key }
+   */
+  constructor(options = {}) {
+    this.storage = options.storage ?? (typeof localStorage !== "undefined" ? localStorage : null);
+    this.key = options.key ?? STORAGE_KEY;
+    this._entries = this._load();
+    this._subscribers = new Set();
+  }
+
+  _load() {
+    try {
+      const raw = this.storage?.getItem(this.key);
+      return raw ? JSON.parse(raw) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  _save() {
+    // keep every pending entry, trim the oldest settled ones
+    const settled = this._entries.filter((e) => e.status !== TX_STATUS.pending);
+    const drop = new Set(
+      settled
+        .sort((a, b) => b.submittedAt - a.submittedAt)
+        .slice(MAX_SETTLED)
+        .map((e) => e.hash)
+    );
+    this._entries = this._entries.filter((e) => !drop.has(e.hash));
+
+    try {
+      this.storage?.setItem(this.key, JSON.stringify(this._entries));
+    } catch {
+      // storage full / unavailable: the queue still works for this page load
+    }
+    for (const cb of this._subscribers) cb(this.list());
+  }
+
+  /**
+   * @param {(entries: Array) => void} cb - called with every entry (newest first) after each change
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(cb) {
+    this._subscribers.add(cb);
+    return () => this._subscribers.delete(cb);
+  }
+
+  // Newest first; only chainId's entries when given
+  list(chainId) {
+    return this._entries
+      .filter((e) => chainId == null || e.chainId === Number(chainId))
+      .sort((a, b) => b.submittedAt - a.submittedAt);
+  }
+
+  get(hash) {
+    return this._entries.find((e) => e.hash === hash) ?? null;
+  }
+
+  /**
+   * Add a just-sent transaction
+   * @param {ethers.TransactionResponse} tx
+   * @param {Object} meta - { chainId, action, taskId, kind = "original", replaces }
+   */
+  record(tx, meta) {
+    if (this.get(tx.hash)) return;
+
+    this._entries.push({
+      hash: tx.hash,
+      chainId: Number(meta.chainId ?? tx.chainId),
+      from: tx.from,
+      nonce: Number(tx.nonce),
+      action: meta.action,
+      taskId: meta.taskId ?? null,
+      kind: meta.kind ?? "original",
+      replaces: meta.replaces ?? null,
+      status: TX_STATUS.pending,
+      submittedAt: Date.now(),
+      settledAt: null,
+      blockNumber: null,
+      replacedBy: null,
+      tx: {
+        to: tx.to,
+        data: tx.data,
+        value: quantity(tx.value),
+        gasLimit: quantity(tx.gasLimit),
+        maxFeePerGas: quantity(tx.maxFeePerGas),
+        maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+        gasPrice: tx.maxFeePerGas == null ? quantity(tx.gasPrice) : null,
+      },
+    });
+    this._save();
+  }
+
+  _settle(entry, patch) {
+    Object.assign(entry, { settledAt: Date.now() }, patch);
+  }
+
+  // A receipt arrived: settle it and every other transaction that shared its nonce
+  settleReceipt(hash, receipt) {
+    const entry = this.get(hash);
+    if (!entry || !receipt) return;
+
+    this._settle(entry, {
+      status: receipt.status === 1 ? TX_STATUS.confirmed : TX_STATUS.failed,
+      blockNumber: receipt.blockNumber,
+    });
+    this._settleSiblings(entry);
+    this._save();
+  }
+
+  // Forget a settled entry (the drawer's dismiss button)
+  remove(hash) {
+    this._entries = this._entries.filter((e) => e.hash !== hash || e.status === TX_STATUS.pending);
+    this._save();
+  }
+
+  clearSettled(chainId) {
+    this._entries = this._entries.filter(
+      (e) => e.status === TX_STATUS.pending || (chainId != null && e.chainId !== Number(chainId))
+    );
+    this._save();
+  }
+
+  _settleSiblings(mined) {
+    for (const other of this._entries) {
+      if (other === mined || other.status !== TX_STATUS.pending) continue;
+      if (other.chainId !== mined.chainId || other.nonce !== mined.nonce) continue;
+      if (other.from?.toLowerCase() !== mined.from?.toLowerCase()) continue;
+
+      this._settle(other, {
+        status: mined.kind === "cancel" ? TX_STATUS.cancelled : TX_STATUS.replaced,
+        replacedBy: mined.hash,
+      });
+    }
+  }
+
+  /**
+   * Re-check chainId's pending entries against the chain
+   * @param {ethers.Provider} provider - connected to chainId
+   * @param {number} chainId
+   * @returns {Promise<Array>} entries whose status changed
+   */
+  async refresh(provider, chainId) {
+    const pending = this.list(chainId).filter((e) => e.status === TX_STATUS.pending);
+    if (pending.length === 0) return [];
+
+    const changed = [];
+
+    // 1. receipts (also settles same-nonce siblings)
+    for (const entry of pending) {
+      const receipt = await provider.getTransactionReceipt(entry.hash);
+      if (!receipt) continue;
+
+      this._settle(entry, {
+        status: receipt.status === 1 ? TX_STATUS.confirmed : TX_STATUS.failed,
+        blockNumber: receipt.blockNumber,
+      });
+      this._settleSiblings(entry);
+      changed.push(entry);
+    }
+
+    // 2. still pending: nonce used by a transaction we didn't record (sped up / cancelled in the wallet),
+    //    or unknown to the node (dropped from the mempool)
+    const nonces = new Map();
+    for (const entry of pending) {
+      if (entry.status !== TX_STATUS.pending) continue;
+
+      const from = entry.from.toLowerCase();
+      if (!nonces.has(from)) nonces.set(from, await provider.getTransactionCount(entry.from, "latest"));
+
+      if (nonces.get(from) > entry.nonce) {
+        // it may have been mined between the receipt check and the nonce read
+        const receipt = await provider.getTransactionReceipt(entry.hash);
+        this._settle(
+          entry,
+          receipt
+            ? { status: receipt.status === 1 ? TX_STATUS.confirmed : TX_STATUS.failed, blockNumber: receipt.blockNumber }
+            : { status: TX_STATUS.replaced }
+        );
+        changed.push(entry);
+        continue;
+      }
+
+      const known = await provider.getTransaction(entry.hash);
+      if (!known && Date.now() - entry.submittedAt > DROP_AFTER_MS) {
+        this._settle(entry, { status: TX_STATUS.dropped });
+        changed.push(entry);
+      }
+    }
+
+    if (changed.length > 0) this._save();
+    return changed;
+  }
+}
@@ -0,0 +1,190 @@
+import { ethers } from "ethers";
+
+// A wallet is { id, name, icon, provider } where provider is any EIP-1193 provider
+// (request/on/removeListener). Browser extensions are discovered through EIP-6963;
+// development signers (private key, Hardhat node account) are wrapped to look the same.
+
+const REMEMBERED_WALLET_KEY = "task-marketplace:wallet";
+const LEGACY_FALLBACK_MS = 500;
+
+// ---- EIP-6963 discovery ----
+
+/**
+ * Collect wallets announced through EIP-6963 (plus window.ethereum for wallets that don't announce)
+ * @param {(wallets: Array) => void} onChange - called with the full list whenever a wallet appears
+ * @returns {() => void} - stop listening
+ */
+export function watchWallets(onChange) {
+  if (typeof window === "undefined") return () => {};
+
+  const wallets = new Map();
+  const emit = () => onChange(Array.from(wallets.values()));
+
+  const onAnnounce = (event) => {
+    const { info, provider } = event.detail ?? {};
+    if (!info?.rdns || !provider) return;
+    // rdns is stable across reloads (uuid is per page load), so it's what gets remembered
+    wallets.set(info.rdns, { id: info.rdns, name: info.name, icon: info.icon, provider });
+    emit();
+  };
+
+  window.addEventListener("eip6963:announceProvider", onAnnounce);
+  window.dispatchEvent(new Event("eip6963:requestProvider"));
+
+  // Older extensions only inject window.ethereum
+  const fallback = setTimeout(() => {
+    if (wallets.size === 0 && window.ethereum) {
+      wallets.set("injected", { id: "injected", name: "Browser wallet", icon: null, provider: window.ethereum });
+      emit();
+    }
+  }, LEGACY_FALLBACK_MS);
+
+  return () => {
+    clearTimeout(fallback);
+    window.removeEventListener("eip6963:announceProvider", onAnnounce);
+  };
+}
+
+// ---- Remembered selection ----
+
+export function getRememberedWalletId() {
+  try {
+    return localStorage.getItem(REMEMBERED_WALLET_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function rememberWallet(id) {
+  try {
+    localStorage.setItem(REMEMBERED_WALLET_KEY, id);
+  } catch {
+    // storage unavailable (private mode): selection just isn't remembered
+  }
+}
+
+export function forgetWallet() {
+  try {
+    localStorage.removeItem(REMEMBERED_WALLET_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+// ---- Signer-backed providers (development and tests) ----
+
+// eth_sendTransaction params (hex quantities) -> ethers TransactionRequest
+function fromRpcTransaction(tx) {
+  const quantity = (v) => (v == null ? undefined : BigInt(v));
+  return {
+    to: tx.to ?? undefined,
+    data: tx.data ?? tx.input ?? undefined,
+    value: quantity(tx.value),
+    gasLimit: quantity(tx.gas),
+    gasPrice: quantity(tx.gasPrice),
+    maxFeePerGas: quantity(tx.maxFeePerGas),
+    maxPriorityFeePerGas: quantity(tx.maxPriorityFeePerGas),
+    nonce: tx.nonce == null ? undefined : Number(tx.nonce),
+  };
+}
+
+// Minimal EIP-1193 provider: methods in `handlers` are answered locally, the rest go to `send` (JSON-RPC)
+function createDevProvider(handlers, send) {
+  const listeners = new Map();
+
+  return {
+    isDevSigner: true,
+
+    async request({ method, params = [] }) {
+      if (handlers[method]) return handlers[method](params);
+      if (method === "wallet_switchEthereumChain" || method === "wallet_addEthereumChain") {
+        // EIP-1193 "unsupported method": a dev signer is bound to its RPC's chain
+        throw Object.assign(new Error("This signer can't switch networks"), { code: 4200 });
+      }
+      return send(method, params);
+    },
+
+    on(event, handler) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+    },
+
+    removeListener(event, handler) {
+      listeners.get(event)?.delete(handler);
+    },
+  };
+}
+
+/**
+ * EIP-1193 provider backed by an ethers Signer; account/signing methods go to the signer,
+ * everything else to the signer's JSON-RPC provider
+ * @param {ethers.Signer} signer - must be connected to a provider
+ */
+export function createSignerProvider(signer) {
+  const accounts = async () => [await signer.getAddress()];
+
+  return createDevProvider(
+    {
+      eth_requestAccounts: accounts,
+      eth_accounts: accounts,
+      eth_chainId: async () => ethers.toQuantity((await signer.provider.getNetwork()).chainId),
+      eth_sendTransaction: async ([tx]) => (await signer.sendTransaction(fromRpcTransaction(tx))).hash,
+      personal_sign: ([message]) => signer.signMessage(ethers.getBytes(message)),
+      eth_signTypedData_v4: ([, json]) => {
+        const { domain, types, message } = JSON.parse(json);
+        const { EIP712Domain: _domainType, ...rest } = types;
+        return signer.signTypedData(domain, rest, message);
+      },
+    },
+    (method, params) => signer.provider.send(method, params)
+  );
+}
+
+/**
+ * Development wallet that signs with a raw private key against an RPC endpoint
+ * @param {string} privateKey
+ * @param {string} rpcUrl
+ */
+export function createPrivateKeyWallet(privateKey, rpcUrl) {
+  const wallet = new ethers.Wallet(privateKey, new ethers.JsonRpcProvider(rpcUrl));
+  return {
+    id: "dev:private-key",
+    name: `Private key (${wallet.address.slice(0, 6)}…${wallet.address.slice(-4)})`,
+    icon: null,
+    provider: createSignerProvider(wallet),
+  };
+}
+
+/**
+ * Development wallet using one of a local Hardhat node's unlocked accounts (the node signs)
+ * @param {string} rpcUrl - e.g. http://127.0.0.1:8545
+ * @param {number} index - account index (0 = the node's first account)
+ */
+export function createHardhatWallet(rpcUrl, index = 0) {
+  const rpc = new ethers.JsonRpcProvider(rpcUrl);
+  const accounts = async () => {
+    const all = await rpc.send("eth_accounts", []);
+    if (!all[index]) throw new Error(`Hardhat node has no account #${index}`);
+    return [all[index]];
+  };
+
+  return {
+    id: `dev:hardhat-${index}`,
+    name: `Hardhat account #${index}`,
+    icon: null,
+    provider: createDevProvider(
+      { eth_requestAccounts: accounts, eth_accounts: accounts },
+      (method, params) => rpc.send(method, params)
+    ),
+  };
+}
+
+export default {
+  watchWallets,
+  getRememberedWalletId,
+  rememberWallet,
+  forgetWallet,
+  createSignerProvider,
+  createPrivateKeyWallet,
+  createHardhatWallet,
+};